@@ -5,6 +5,6 @@
  * @copyright  2026 Adeptus 360 <info@adeptus360.com>
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-define("block_adeptus_insights/block",["jquery","core/ajax","core/notification","core/str","core/modal_factory","core/modal_events","core/templates","core/chartjs"],(function($,Ajax,Notification,Str,ModalFactory,ModalEvents,Templates,Chart){var BlockController=function(options){this.blockId=options.blockid,this.contextId=options.contextid,this.config=options.config||{},this.apiKey=options.apiKey||"",this.isAdmin=options.isAdmin||!1,this.container=null,this.reports=[],this.lastUpdated=null,this.refreshTimer=null,this.modal=null,this.modalData=null,this.modalReport=null,this.chartInstance=null,this.currentView="table",this.listCurrentPage=1,this.listItemsPerPage=this.config.maxLinkItems||10,this.listTotalPages=1,this.tableCurrentPage=1,this.tableRowsPerPage=25,this.tableTotalPages=1,this.selectedCategory="",this.availableCategories=[],this.selectedReportSlug=this.config.defaultReport||"",this.selectedReportSource="",this.embeddedCurrentView="table",this.embeddedTablePage=1,this.embeddedTableRowsPerPage=25,this.embeddedChartType="bar",this.embeddedXAxis="",this.embeddedYAxis="",this.backendUrl=this.config.backendUrl||"https://backend.adeptus360.com/api/v1",this.cacheKey="adeptus_block_reports_"+this.blockId,this.cacheTTL=3e5,this.reportDataCache={},this.preloadTimeout=null,this.preloadingSlug=null,this.tabPaneStates={},this.tabChartInstances={},this.kpiModal=null,this.kpiModalChart=null,this.kpiModalData=null,this.kpiModalDateRange="30d",this.kpiSnapshotCache={},this.registeredSnapshots={},this.strings={},this.init()};return BlockController.prototype={capitalizeWords:function(str){return str.replace(/[-_]/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}))},init:function(){var self=this;this.container=$('[data-blockid="'+this.blockId+'"]'),this.container.length&&this.loadStrings().then((function(){return self.bindEvents(),self.loadReports(),self.setupAutoRefresh(),!0})).catch((function(){return!1}))},loadStrings:function(){var self=this;return Str.get_strings([{key:"js_error_auth_failed",component:"block_adeptus_insights"},{key:"js_error_could_not_auth",component:"block_adeptus_insights"},{key:"js_error_no_auth_token",component:"block_adeptus_insights"},{key:"js_error_report_not_found",component:"block_adeptus_insights"},{key:"js_error_connection",component:"block_adeptus_insights"},{key:"js_error_failed_load_report",component:"block_adeptus_insights"},{key:"js_error_failed_execute_report",component:"block_adeptus_insights"},{key:"js_error_failed_to_load",component:"block_adeptus_insights"},{key:"js_error_query_failed",component:"block_adeptus_insights"},{key:"js_export_no_data",component:"block_adeptus_insights"},{key:"js_export_not_available",component:"block_adeptus_insights"},{key:"js_export_verify_error",component:"block_adeptus_insights"},{key:"js_no_reports",component:"block_adeptus_insights"},{key:"js_no_change",component:"block_adeptus_insights"},{key:"js_unknown",component:"block_adeptus_insights"},{key:"js_just_now",component:"block_adeptus_insights"},{key:"loading",component:"block_adeptus_insights"},{key:"showingxofy",component:"block_adeptus_insights"},{key:"page",component:"block_adeptus_insights"},{key:"of",component:"block_adeptus_insights"},{key:"lastupdated",component:"block_adeptus_insights"},{key:"js_vs_previous",component:"block_adeptus_insights"},{key:"js_min_ago",component:"block_adeptus_insights"},{key:"js_hour_ago",component:"block_adeptus_insights"},{key:"js_hours_ago",component:"block_adeptus_insights"},{key:"js_day_ago",component:"block_adeptus_insights"},{key:"js_days_ago",component:"block_adeptus_insights"},{key:"js_last_run",component:"block_adeptus_insights"},{key:"js_export_title",component:"block_adeptus_insights"},{key:"js_export_not_on_plan",component:"block_adeptus_insights"},{key:"js_ok",component:"block_adeptus_insights"}]).then((function(strings){return self.strings={errorAuthFailed:strings[0],errorCouldNotAuth:strings[1],errorNoAuthToken:strings[2],errorReportNotFound:strings[3],errorConnection:strings[4],errorFailedLoadReport:strings[5],errorFailedExecuteReport:strings[6],errorFailedToLoad:strings[7],errorQueryFailed:strings[8],exportNoData:strings[9],exportNotAvailable:strings[10],exportVerifyError:strings[11],noReports:strings[12],noChange:strings[13],unknown:strings[14],justNow:strings[15],loading:strings[16],showingXOfY:strings[17],page:strings[18],of:strings[19],lastUpdated:strings[20],vsPrevious:strings[21],minAgo:strings[22],hourAgo:strings[23],hoursAgo:strings[24],dayAgo:strings[25],daysAgo:strings[26],lastRun:strings[27],exportTitle:strings[28],exportNotOnPlan:strings[29],ok:strings[30]},self.strings})).catch((function(){return self.strings={errorAuthFailed:"Authentication failed",errorCouldNotAuth:"Could not authenticate",errorNoAuthToken:"No authentication token",errorReportNotFound:"Report not found",errorConnection:"Connection error",errorFailedLoadReport:"Failed to load report",errorFailedExecuteReport:"Failed to execute report",errorFailedToLoad:"Failed to load",errorQueryFailed:"Query execution failed",exportNoData:"No data to export",exportNotAvailable:"Export not available",exportVerifyError:"Unable to verify export eligibility. Please try again.",noReports:"-- No Reports --",noChange:"No change",unknown:"Unknown",justNow:"Just now",loading:"Loading...",showingXOfY:"Showing {$a->start}-{$a->end} of {$a->total}",page:"Page",of:"of",lastUpdated:"Last updated",vsPrevious:"{$a} vs previous",minAgo:"{$a} min ago",hourAgo:"{$a} hour ago",hoursAgo:"{$a} hours ago",dayAgo:"{$a} day ago",daysAgo:"{$a} days ago",lastRun:"Last run: {$a}",exportTitle:"{$a} Export",exportNotOnPlan:"{$a} export is not available on your current plan.",ok:"OK"},self.strings}))},bindEvents:function(){var self=this;this.container.on("click",".block-adeptus-refresh, .block-adeptus-retry",(function(e){e.preventDefault(),self.refresh()})),this.container.on("click",".block-adeptus-report-item",(function(e){e.preventDefault();var slug=$(this).data("slug"),source=$(this).data("source");self.handleReportClick(slug,source)})),this.container.on("keydown",".block-adeptus-report-item",(function(e){if("Enter"===e.key||" "===e.key){e.preventDefault();var slug=$(this).data("slug"),source=$(this).data("source");self.handleReportClick(slug,source)}})),this.container.on("click",".block-adeptus-kpi-card",(function(e){e.preventDefault();var slug=$(this).data("slug"),source=$(this).data("source");self.handleReportClick(slug,source)})),this.container.on("shown.bs.tab",".block-adeptus-tab-nav a",(function(e){var tabPane=$($(e.target).attr("href")),slug=tabPane.data("slug"),source=tabPane.data("source");tabPane.data("loaded")||self.loadTabContent(tabPane,slug,source)})),this.container.on("click",".block-adeptus-export",(function(e){e.preventDefault();var format=$(this).data("format");self.exportReport(format)})),this.container.on("click",".pagination-prev",(function(e){e.preventDefault(),self.listCurrentPage>1&&(self.listCurrentPage--,self.renderCurrentPage(),self.scrollToListTop())})),this.container.on("click",".pagination-next",(function(e){e.preventDefault(),self.listCurrentPage<self.listTotalPages&&(self.listCurrentPage++,self.renderCurrentPage(),self.scrollToListTop())})),this.container.on("change",".block-adeptus-category-filter-select",(function(){self.selectedCategory=$(this).val(),self.listCurrentPage=1,"embedded"===self.config.displayMode?self.populateReportSelector():self.renderReports()})),this.container.on("change",".block-adeptus-report-selector-select",(function(){var selectedValue=$(this).val();if(selectedValue){var parts=selectedValue.split("::"),slug=parts[0],source=parts[1]||"wizard";self.selectedReportSlug=slug,self.selectedReportSource=source,self.embeddedTablePage=1,self.embeddedCurrentView="table",self.loadEmbeddedReport(slug,source)}})),this.container.on("click",".block-adeptus-searchable-dropdown-toggle",(function(e){e.preventDefault(),e.stopPropagation();var dropdown=$(this).closest(".block-adeptus-searchable-dropdown");self.toggleSearchableDropdown(dropdown)})),this.container.on("input",".block-adeptus-searchable-dropdown-input",(function(){var dropdown=$(this).closest(".block-adeptus-searchable-dropdown"),query=$(this).val().toLowerCase().trim();self.filterSearchableDropdown(dropdown,query)})),this.container.on("click",".block-adeptus-searchable-dropdown-item",(function(e){e.preventDefault(),e.stopPropagation();var dropdown=$(this).closest(".block-adeptus-searchable-dropdown"),value=$(this).data("value"),text=$(this).find(".block-adeptus-dropdown-item-name").text();self.selectSearchableDropdownItem(dropdown,value,text)})),this.container.on("keydown",".block-adeptus-searchable-dropdown-input",(function(e){var dropdown=$(this).closest(".block-adeptus-searchable-dropdown"),items=dropdown.find(".block-adeptus-searchable-dropdown-item:visible"),focused=dropdown.find(".block-adeptus-searchable-dropdown-item.focused");if("ArrowDown"===e.key)if(e.preventDefault(),0===focused.length)items.first().addClass("focused");else{var next=focused.nextAll(".block-adeptus-searchable-dropdown-item:visible").first();next.length&&(focused.removeClass("focused"),next.addClass("focused"),self.scrollDropdownItemIntoView(next))}else if("ArrowUp"===e.key){if(e.preventDefault(),focused.length){var prev=focused.prevAll(".block-adeptus-searchable-dropdown-item:visible").first();prev.length&&(focused.removeClass("focused"),prev.addClass("focused"),self.scrollDropdownItemIntoView(prev))}}else"Enter"===e.key?(e.preventDefault(),focused.length?focused.trigger("click"):1===items.length&&items.first().trigger("click")):"Escape"===e.key&&self.closeSearchableDropdown(dropdown)})),$(document).on("click",(function(e){$(e.target).closest(".block-adeptus-searchable-dropdown").length||self.container.find(".block-adeptus-searchable-dropdown.open").each((function(){self.closeSearchableDropdown($(this))}))})),this.container.on("click",".block-adeptus-embedded-view-toggle-btn",(function(e){e.preventDefault();var view=$(this).data("view");self.switchEmbeddedView(view)})),this.container.on("click",".block-adeptus-embedded-pagination-prev",(function(e){e.preventDefault(),self.embeddedTablePage>1&&(self.embeddedTablePage--,self.renderEmbeddedTablePage(),self.scrollToEmbeddedTableTop())})),this.container.on("click",".block-adeptus-embedded-pagination-next",(function(e){e.preventDefault();var totalPages=Math.ceil((self.embeddedData||[]).length/self.embeddedTableRowsPerPage);self.embeddedTablePage<totalPages&&(self.embeddedTablePage++,self.renderEmbeddedTablePage(),self.scrollToEmbeddedTableTop())})),this.container.on("change",".block-adeptus-embedded-chart-type",(function(){self.embeddedChartType=$(this).val(),self.renderEmbeddedChart()})),this.container.on("change",".block-adeptus-embedded-chart-x-axis",(function(){self.embeddedXAxis=$(this).val(),self.renderEmbeddedChart()})),this.container.on("change",".block-adeptus-embedded-chart-y-axis",(function(){self.embeddedYAxis=$(this).val(),self.renderEmbeddedChart()})),this.container.on("click",".block-adeptus-embedded-export",(function(e){e.preventDefault();var format=$(this).data("format");self.exportEmbeddedReport(format)})),this.container.on("click",".block-adeptus-tab-view-toggle-btn",(function(e){e.preventDefault();var pane=$(this).closest(".block-adeptus-tab-pane"),view=$(this).data("view");self.switchTabView(pane,view)})),this.container.on("click",".block-adeptus-tab-pagination-prev",(function(e){e.preventDefault();var pane=$(this).closest(".block-adeptus-tab-pane"),tabId=pane.attr("id"),state=self.tabPaneStates[tabId];state&&state.tablePage>1&&(state.tablePage--,self.renderTabTablePage(pane,state))})),this.container.on("click",".block-adeptus-tab-pagination-next",(function(e){e.preventDefault();var pane=$(this).closest(".block-adeptus-tab-pane"),tabId=pane.attr("id"),state=self.tabPaneStates[tabId];if(state){var totalPages=Math.ceil(state.data.length/state.rowsPerPage);state.tablePage<totalPages&&(state.tablePage++,self.renderTabTablePage(pane,state))}})),this.container.on("change",".block-adeptus-tab-chart-type",(function(){var pane=$(this).closest(".block-adeptus-tab-pane"),tabId=pane.attr("id"),state=self.tabPaneStates[tabId];state&&(state.chartType=$(this).val(),self.renderTabChart(pane,state))})),this.container.on("change",".block-adeptus-tab-chart-x-axis",(function(){var pane=$(this).closest(".block-adeptus-tab-pane"),tabId=pane.attr("id"),state=self.tabPaneStates[tabId];state&&(state.xAxis=$(this).val(),self.renderTabChart(pane,state))})),this.container.on("change",".block-adeptus-tab-chart-y-axis",(function(){var pane=$(this).closest(".block-adeptus-tab-pane"),tabId=pane.attr("id"),state=self.tabPaneStates[tabId];state&&(state.yAxis=$(this).val(),self.renderTabChart(pane,state))})),this.container.on("click",".block-adeptus-tab-export",(function(e){e.preventDefault();var tabId=$(this).closest(".block-adeptus-tab-pane").attr("id"),state=self.tabPaneStates[tabId],format=$(this).data("format");state&&self.exportTabReport(state,format)})),this.container.on("mouseenter",".block-adeptus-report-item",(function(){var slug=$(this).data("slug"),source=$(this).data("source");self.preloadTimeout&&clearTimeout(self.preloadTimeout),self.preloadTimeout=setTimeout((function(){self.preloadReportData(slug,source)}),300)})),this.container.on("mouseleave",".block-adeptus-report-item",(function(){self.preloadTimeout&&(clearTimeout(self.preloadTimeout),self.preloadTimeout=null)}))},loadReports:function(){var self=this;this.showLoading();var cachedData=this.getFromCache();if(cachedData)return this.reports=cachedData,this.lastUpdated=new Date,void this.renderReports();this.waitForAuth((function(){self.fetchReports()}))},getFromCache:function(){try{var cached=sessionStorage.getItem(this.cacheKey);if(cached){var data=JSON.parse(cached);if(data.timestamp&&Date.now()-data.timestamp<this.cacheTTL)return data.reports;sessionStorage.removeItem(this.cacheKey)}}catch(_e){}return null},saveToCache:function(reports){try{sessionStorage.setItem(this.cacheKey,JSON.stringify({timestamp:Date.now(),reports:reports}))}catch(_e){}},preloadReportData:function(slug,source){var self=this,cacheKey=slug+"_"+source;if(!this.reportDataCache[cacheKey]&&this.preloadingSlug!==slug){this.preloadingSlug=slug;var report=this.reports.find((function(r){return r.slug===slug}));if(report)if("wizard"===source)$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/generate_report.php",method:"POST",data:{reportid:report.name||report.report_template_id,sesskey:M.cfg.sesskey},dataType:"json",timeout:3e4}).done((function(response){return response.success&&(self.reportDataCache[cacheKey]={report:report,results:response.results||[],chartData:response.chart_data,chartType:response.chart_type}),self.preloadingSlug=null,response})).fail((function(){return self.preloadingSlug=null,null}));else{var token=this.apiKey||(window.adeptusAuthData?window.adeptusAuthData.api_key:null);if(!token)return;$.ajax({url:this.backendUrl+"/ai-reports/"+slug,method:"GET",headers:{Authorization:"Bearer "+token,Accept:"application/json"},timeout:15e3}).done((function(response){if(response.success&&response.report){var reportData=response.report,data=response.data||[],sqlQuery=response.sql||reportData&&reportData.sql_query||reportData&&reportData.sql;if((response.execution_required||(!data||0===data.length)&&sqlQuery)&&sqlQuery)return void self.executeReportLocally(sqlQuery,reportData.params||{}).then((function(executionResult){var localData=executionResult.data||[];return self.reportDataCache[cacheKey]={report:reportData,results:localData,chartData:null,chartType:null},self.preloadingSlug=null,localData})).catch((function(){return self.preloadingSlug=null,null}));self.reportDataCache[cacheKey]={report:reportData,results:data,chartData:null,chartType:null}}self.preloadingSlug=null})).fail((function(){self.preloadingSlug=null}))}}},waitForAuth:function(callback){var self=this;if(this.apiKey)return window.adeptusAuthData=window.adeptusAuthData||{},window.adeptusAuthData.api_key=this.apiKey,void callback();window.adeptusAuthData&&window.adeptusAuthData.api_key?callback():$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/get_auth_status.php",method:"GET",dataType:"json",timeout:1e4}).done((function(response){return response&&response.success&&response.data?(window.adeptusAuthData=response.data,callback()):self.showError(self.strings.errorAuthFailed),response})).fail((function(){return self.showError(self.strings.errorCouldNotAuth),null}))},fetchReports:function(){var self=this,token=this.apiKey||(window.adeptusAuthData?window.adeptusAuthData.api_key:null);if(token){var promises=[],source=this.config.reportSource||"all";"all"!==source&&"wizard"!==source&&"manual"!==source&&"category"!==source||promises.push(this.fetchFromApi("/wizard-reports",token)),"all"!==source&&"ai"!==source&&"manual"!==source&&"category"!==source||promises.push(this.fetchFromApi("/ai-reports",token)),$.when.apply($,promises).then((function(){for(var allReports=[],i=0;i<promises.length;i++){var result,reports=(result=1===promises.length?arguments[0]:arguments[i][0]).reports||result.data||[];if(reports&&reports.length){var fetchesBoth="all"===source||"manual"===source||"category"===source,currentSource="ai"===source||1===i&&fetchesBoth?"ai":"wizard";!function(reportSource,reportsArr){reportsArr.forEach((function(report){report.source=report.source||reportSource,allReports.push(report)}))}(currentSource,reports)}}return self.reports=allReports,self.lastUpdated=new Date,self.saveToCache(allReports),self.renderReports(),allReports})).fail((function(){return self.showError(),null}))}else this.showError(this.strings.errorNoAuthToken)},fetchFromApi:function(endpoint,token){var baseUrl=""+this.backendUrl;return $.ajax({url:baseUrl+endpoint,method:"GET",headers:{Authorization:"Bearer "+token,"Content-Type":"application/json",Accept:"application/json"},timeout:15e3})},renderReports:function(){var mode=this.config.displayMode||"links";if(0!==this.reports.length){"embedded"!==mode&&"links"!==mode||this.populateCategoryFilter();var filteredReports=this.filterReports();switch(mode){case"embedded":this.renderEmbedded();break;case"kpi":var kpiReports=this.getSelectedReportsForMode("kpi",this.reports);this.renderKpi(kpiReports);break;case"tabs":var tabsReports=this.getSelectedReportsForMode("tabs",this.reports);this.renderTabs(tabsReports);break;default:this.renderLinks(filteredReports)}this.hideLoading(),this.updateTimestamp()}else this.showEmpty()},getSelectedReportsForMode:function(mode,allReports){var selectedConfig=[];if("kpi"===mode&&this.config.kpiSelectedReports&&this.config.kpiSelectedReports.length>0?selectedConfig=this.config.kpiSelectedReports:"tabs"===mode&&this.config.tabsSelectedReports&&this.config.tabsSelectedReports.length>0&&(selectedConfig=this.config.tabsSelectedReports),0===selectedConfig.length)return allReports;var result=[];return selectedConfig.forEach((function(item){var slug=item.slug||item,source=item.source||"wizard",report=allReports.find((function(r){return r.slug===slug&&(r.source===source||!item.source)}));if(report){var enrichedReport=Object.assign({},report);item.icon&&(enrichedReport.customIcon=item.icon),result.push(enrichedReport)}})),result},populateCategoryFilter:function(){var self=this,categoryMap={},config=this.config,categoryLocked=!!config.reportCategory;if(categoryLocked&&(this.selectedCategory=config.reportCategory),this.reports.forEach((function(report){var catInfo=report.category_info;catInfo&&catInfo.slug?categoryMap[catInfo.slug]={slug:catInfo.slug,name:catInfo.name||catInfo.slug,color:catInfo.color||"#6c757d"}:report.category&&(categoryMap[report.category]={slug:report.category,name:report.category,color:"#6c757d"})})),categoryLocked&&!categoryMap[config.reportCategory]){var displayName=config.reportCategory.replace(/[-_]/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}));categoryMap[config.reportCategory]={slug:config.reportCategory,name:displayName,color:"#6c757d"}}this.availableCategories=Object.values(categoryMap).sort((function(a,b){return a.name.localeCompare(b.name)}));var select=this.container.find(".block-adeptus-category-filter-select"),dropdown=this.container.find(".block-adeptus-category-dropdown"),dropdownList=dropdown.find(".block-adeptus-searchable-dropdown-list");if(select.length&&(select.find("option:not(:first)").remove(),this.availableCategories.forEach((function(cat){var selected=self.selectedCategory===cat.slug?" selected":"";select.append('<option value="'+cat.slug+'"'+selected+">"+cat.name+"</option>")}))),dropdownList.length){dropdownList.empty();var allItemHtml='<li class="block-adeptus-searchable-dropdown-item '+(this.selectedCategory?"":"selected")+'" data-value="" data-search="all categories" role="option"><span class="block-adeptus-dropdown-item-name">All Categories</span></li>';dropdownList.append(allItemHtml),this.availableCategories.forEach((function(cat){var itemHtml='<li class="block-adeptus-searchable-dropdown-item '+(self.selectedCategory===cat.slug?"selected":"")+'" data-value="'+cat.slug+'" data-search="'+cat.name.toLowerCase()+'" role="option"><span class="block-adeptus-dropdown-item-name">'+self.escapeHtml(cat.name)+'</span><span class="block-adeptus-dropdown-item-category" style="background-color: '+cat.color+'"><i class="fa fa-circle" style="font-size: 0.5rem;"></i></span></li>';dropdownList.append(itemHtml)}));var selectedText="All Categories";if(this.selectedCategory){var selectedCat=this.availableCategories.find((function(c){return c.slug===self.selectedCategory}));selectedCat&&(selectedText=selectedCat.name)}dropdown.find(".block-adeptus-searchable-dropdown-text").text(selectedText),categoryLocked&&this.container.find(".block-adeptus-category-filter").hide()}},populateReportSelector:function(){var self=this,select=this.container.find(".block-adeptus-report-selector-select"),dropdown=this.container.find(".block-adeptus-report-selector .block-adeptus-searchable-dropdown"),dropdownList=dropdown.find(".block-adeptus-searchable-dropdown-list");if(select.length){var reports=this.filterReports();if(select.find("option:not(:first)").remove(),dropdownList.empty(),reports.forEach((function(report){var reportName=report.name||report.title||report.display_name||report.slug||"Untitled",value=report.slug+"::"+report.source,categoryInfo=report.category_info||{name:"General",color:"#6c757d"},categoryLabel=" ["+categoryInfo.name+"]",selected=self.selectedReportSlug===report.slug?" selected":"";select.append('<option value="'+value+'"'+selected+">"+reportName+categoryLabel+"</option>");var itemHtml='<li class="block-adeptus-searchable-dropdown-item" data-value="'+value+'" data-search="'+reportName.toLowerCase()+" "+categoryInfo.name.toLowerCase()+'" role="option"><span class="block-adeptus-dropdown-item-name">'+self.escapeHtml(reportName)+'</span><span class="block-adeptus-dropdown-item-category" style="background-color: '+categoryInfo.color+'">'+self.escapeHtml(categoryInfo.name)+"</span></li>";dropdownList.append(itemHtml)})),this.selectedReportSlug&&!select.val()){var defaultOption=select.find('option[value^="'+this.selectedReportSlug+'::"]');defaultOption.length&&defaultOption.prop("selected",!0)}if(!select.val()&&reports.length>0){var firstReport=reports[0],firstValue=firstReport.slug+"::"+firstReport.source,firstName=firstReport.name||firstReport.title||firstReport.display_name||firstReport.slug||"Untitled";select.val(firstValue),this.selectedReportSlug=firstReport.slug,this.selectedReportSource=firstReport.source,dropdown.find(".block-adeptus-searchable-dropdown-text").text(firstName),dropdown.find(".block-adeptus-searchable-dropdown-item").removeClass("selected"),dropdown.find('.block-adeptus-searchable-dropdown-item[data-value="'+firstValue+'"]').addClass("selected"),this.loadEmbeddedReport(firstReport.slug,firstReport.source)}else if(select.val()){var parts=select.val().split("::"),selectedReport=reports.find((function(r){return r.slug===parts[0]}));if(selectedReport){var selectedName=selectedReport.name||selectedReport.title||selectedReport.display_name||selectedReport.slug||"Untitled";dropdown.find(".block-adeptus-searchable-dropdown-text").text(selectedName),dropdown.find(".block-adeptus-searchable-dropdown-item").removeClass("selected"),dropdown.find('.block-adeptus-searchable-dropdown-item[data-value="'+select.val()+'"]').addClass("selected")}this.loadEmbeddedReport(parts[0],parts[1]||"wizard")}else dropdown.find(".block-adeptus-searchable-dropdown-text").text(this.strings.noReports),this.showEmpty()}},filterReports:function(){var self=this,reports=this.reports.slice(),config=this.config;return config.reportCategory&&(reports=reports.filter((function(r){return(r.category_info?r.category_info.slug:r.category||"")===config.reportCategory}))),this.selectedCategory&&this.selectedCategory!==config.reportCategory&&(reports=reports.filter((function(r){return(r.category_info?r.category_info.slug:r.category||"")===self.selectedCategory}))),reports.sort((function(a,b){var nameA=a.name||a.title||a.display_name||a.report_name||a.slug||"",nameB=b.name||b.title||b.display_name||b.report_name||b.slug||"";return nameA.localeCompare(nameB)})),reports},renderLinks:function(reports){this.filteredReports=reports,this.listItemsPerPage=this.config.maxLinkItems||10,this.listTotalPages=Math.ceil(reports.length/this.listItemsPerPage),this.listCurrentPage=1,this.renderCurrentPage()},renderCurrentPage:function(){var reports=this.filteredReports||[],listContainer=this.container.find(".block-adeptus-report-list"),template=$("#block-adeptus-report-item-template-"+this.blockId),paginationContainer=this.container.find(".block-adeptus-pagination"),startIndex=(this.listCurrentPage-1)*this.listItemsPerPage,endIndex=startIndex+this.listItemsPerPage,pageReports=reports.slice(startIndex,endIndex);if(listContainer.empty(),pageReports.forEach((function(report){var item=template.html(),$item=$(item);$item.attr("data-slug",report.slug),$item.attr("data-source",report.source);var reportName=report.name||report.title||report.display_name||report.report_name||report.slug||"Untitled Report";$item.find(".block-adeptus-report-item-name").text(reportName);var categoryName=report.category_info?report.category_info.name:report.category||"General",categoryColor=report.category_info?report.category_info.color:"#6c757d";$item.find(".block-adeptus-report-item-category").text(categoryName).css("background-color",categoryColor).css("color","#fff"),listContainer.append($item)})),listContainer.removeClass("d-none"),this.listTotalPages>1){var actualEnd=startIndex+pageReports.length;paginationContainer.find(".pagination-showing").text(this.formatShowingText(startIndex+1,actualEnd,reports.length)),paginationContainer.find(".pagination-pages").text(this.formatPageText(this.listCurrentPage,this.listTotalPages)),paginationContainer.find(".pagination-prev").prop("disabled",this.listCurrentPage<=1),paginationContainer.find(".pagination-next").prop("disabled",this.listCurrentPage>=this.listTotalPages),paginationContainer.removeClass("d-none")}else paginationContainer.addClass("d-none")},renderEmbedded:function(){this.embeddedReport=null,this.embeddedData=null,this.embeddedChartInstance=null,this.populateReportSelector(),0===this.reports.length&&this.showEmpty()},loadEmbeddedReport:function(slug,source){var self=this,cacheKey=slug+"_"+source;if(this.reportDataCache[cacheKey]){var cached=this.reportDataCache[cacheKey];return this.embeddedData=cached.results,void this.renderEmbeddedContent(cached.report,cached.results)}this.showEmbeddedLoadingOverlay();var report=this.reports.find((function(r){return r.slug===slug}));if(!report)return this.hideEmbeddedLoadingOverlay(),void this.showError(this.strings.errorReportNotFound);if("wizard"===source)$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/generate_report.php",method:"POST",data:{reportid:report.name||report.report_template_id,sesskey:M.cfg.sesskey},dataType:"json",timeout:3e4}).done((function(response){self.hideEmbeddedLoadingOverlay(),response.success?(self.reportDataCache[cacheKey]={report:report,results:response.results||[],chartData:response.chart_data,chartType:response.chart_type},self.embeddedData=response.results||[],self.renderEmbeddedContent(report,response.results||[])):self.showError(response.message||self.strings.errorFailedLoadReport)})).fail((function(){self.hideEmbeddedLoadingOverlay(),self.showError(self.strings.errorConnection)}));else{var token=this.apiKey||(window.adeptusAuthData?window.adeptusAuthData.api_key:null);if(!token)return this.hideEmbeddedLoadingOverlay(),void this.showError(this.strings.errorNoAuthToken);$.ajax({url:this.backendUrl+"/ai-reports/"+slug,method:"GET",headers:{Authorization:"Bearer "+token,Accept:"application/json"},timeout:15e3}).done((function(response){if(response.success&&response.report){var reportData=response.report,data=response.data||[],sqlQuery=response.sql||reportData&&reportData.sql_query||reportData&&reportData.sql;if((response.execution_required||(!data||0===data.length)&&sqlQuery)&&sqlQuery)return void self.executeReportLocally(sqlQuery,reportData.params||{}).then((function(executionResult){self.hideEmbeddedLoadingOverlay();var localData=executionResult.data||[];return self.reportDataCache[cacheKey]={report:reportData,results:localData,chartData:null,chartType:null},self.embeddedData=localData,self.renderEmbeddedContent(reportData,localData),localData})).catch((function(){return self.hideEmbeddedLoadingOverlay(),self.showError(self.strings.errorFailedExecuteReport),null}));self.hideEmbeddedLoadingOverlay(),self.reportDataCache[cacheKey]={report:reportData,results:data,chartData:null,chartType:null},self.embeddedData=data,self.renderEmbeddedContent(reportData,data)}else self.hideEmbeddedLoadingOverlay(),self.showError(self.strings.errorFailedLoadReport)})).fail((function(){self.hideEmbeddedLoadingOverlay(),self.showError(self.strings.errorConnection)}))}},renderEmbeddedContent:function(report,data){var contentArea=this.container.find(".block-adeptus-content");if(data&&0!==data.length){this.embeddedReport=report,this.embeddedData=data;var category=report.category_info||{name:"General",color:"#6c757d"};this.container.find(".block-adeptus-report-category").text(category.name).css("background-color",category.color).css("color","#fff"),this.container.find(".block-adeptus-row-count-num").text(data.length),this.container.find(".report-date").text(this.strings.lastUpdated+": "+(new Date).toLocaleTimeString()),this.populateEmbeddedChartControls(data),this.embeddedCurrentView="table",this.embeddedTablePage=1,this.container.find(".block-adeptus-embedded-view-toggle-btn").removeClass("active"),this.container.find('.block-adeptus-embedded-view-toggle-btn[data-view="table"]').addClass("active"),this.container.find(".block-adeptus-embedded-table-view").removeClass("d-none"),this.container.find(".block-adeptus-embedded-chart-view").addClass("d-none"),this.renderEmbeddedTablePage(),contentArea.removeClass("d-none"),this.hideLoading(),this.updateTimestamp()}else this.showEmpty()},switchEmbeddedView:function(view){this.embeddedCurrentView=view,this.container.find(".block-adeptus-embedded-view-toggle-btn").removeClass("active"),this.container.find('.block-adeptus-embedded-view-toggle-btn[data-view="'+view+'"]').addClass("active"),"table"===view?(this.container.find(".block-adeptus-embedded-table-view").removeClass("d-none"),this.container.find(".block-adeptus-embedded-chart-view").addClass("d-none")):(this.container.find(".block-adeptus-embedded-table-view").addClass("d-none"),this.container.find(".block-adeptus-embedded-chart-view").removeClass("d-none"),this.renderEmbeddedChart())},populateEmbeddedChartControls:function(data){if(data&&0!==data.length){var headers=Object.keys(data[0]),numericCols=this.detectNumericColumns(data,headers),xAxisSelect=this.container.find(".block-adeptus-embedded-chart-x-axis"),yAxisSelect=this.container.find(".block-adeptus-embedded-chart-y-axis");xAxisSelect.empty(),yAxisSelect.empty(),headers.forEach((function(h){var formatted=h.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}));xAxisSelect.append('<option value="'+h+'">'+formatted+"</option>")})),(numericCols.length>0?numericCols:headers).forEach((function(h){var formatted=h.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}));yAxisSelect.append('<option value="'+h+'">'+formatted+"</option>")})),this.embeddedXAxis=headers[0],this.embeddedYAxis=numericCols.length>0?numericCols[numericCols.length-1]:headers[headers.length-1],xAxisSelect.val(this.embeddedXAxis),yAxisSelect.val(this.embeddedYAxis)}},renderEmbeddedTablePage:function(){var data=this.embeddedData||[],table=this.container.find(".block-adeptus-embedded-table"),thead=table.find("thead"),tbody=table.find("tbody");if(thead.empty(),tbody.empty(),0!==data.length){var headers=Object.keys(data[0]),headerRow=$("<tr>");headers.forEach((function(h){var formatted=h.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}));headerRow.append($("<th>").text(formatted))})),thead.append(headerRow);var totalPages=Math.ceil(data.length/this.embeddedTableRowsPerPage),startIndex=(this.embeddedTablePage-1)*this.embeddedTableRowsPerPage,endIndex=Math.min(startIndex+this.embeddedTableRowsPerPage,data.length);data.slice(startIndex,endIndex).forEach((function(row){var tr=$("<tr>");headers.forEach((function(h){var val=row[h];null==val&&(val="");var displayVal=String(val);displayVal.length>50&&(displayVal=displayVal.substring(0,50)+"..."),tr.append($("<td>").attr("title",val).text(displayVal))})),tbody.append(tr)}));var showingText=this.formatShowingText(startIndex+1,endIndex,data.length);this.container.find(".block-adeptus-row-count").text(showingText);var pageText=this.formatPageText(this.embeddedTablePage,totalPages);this.container.find(".block-adeptus-embedded-pagination-info").text(pageText),this.container.find(".block-adeptus-embedded-pagination-prev").prop("disabled",this.embeddedTablePage<=1),this.container.find(".block-adeptus-embedded-pagination-next").prop("disabled",this.embeddedTablePage>=totalPages)}},renderEmbeddedChart:function(){var data=this.embeddedData||[],canvas=this.container.find(".block-adeptus-embedded-chart")[0];if(canvas&&0!==data.length){this.embeddedChartInstance&&(this.embeddedChartInstance.destroy(),this.embeddedChartInstance=null);var chartType=this.embeddedChartType||"bar",xAxis=this.embeddedXAxis||Object.keys(data[0])[0],yAxis=this.embeddedYAxis||Object.keys(data[0])[1],chartData=data.slice(0,30),labels=chartData.map((function(row){var label=row[xAxis];if(null==label)return this.strings.unknown;var labelStr=String(label);return labelStr.length>20?labelStr.substring(0,20)+"...":labelStr})),values=chartData.map((function(row){return parseFloat(row[yAxis])||0})),colors=this.generateChartColors(values.length),datasetConfig={label:yAxis.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()})),data:values};"pie"===chartType||"doughnut"===chartType?(datasetConfig.backgroundColor=colors,datasetConfig.borderWidth=1):(datasetConfig.backgroundColor=colors[0],datasetConfig.borderColor=colors[0].replace("0.7","1"),datasetConfig.borderWidth=1);var config={type:chartType,data:{labels:labels,datasets:[datasetConfig]},options:{responsive:!0,maintainAspectRatio:!1,plugins:{legend:{display:"pie"===chartType||"doughnut"===chartType,position:"right"}}}};"bar"!==chartType&&"line"!==chartType||(config.options.scales={y:{beginAtZero:!0},x:{display:data.length<=15}});try{this.embeddedChartInstance=new Chart(canvas.getContext("2d"),config)}catch(_error){this.container.find(".block-adeptus-embedded-chart-container").html('<div class="alert alert-warning text-center"><i class="fa fa-exclamation-circle"></i> Could not render chart</div>')}}},exportEmbeddedReport:function(format){var self=this,data=this.embeddedData||[],report=this.embeddedReport||{};0!==data.length?$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/check_export_eligibility.php",method:"POST",data:{format:format,sesskey:M.cfg.sesskey},dataType:"json"}).done((function(response){response.success&&response.eligible?self.performExport(format,report,data):self.showExportUpgradePrompt(format,response.message||self.strings.exportNotAvailable)})).fail((function(){Notification.addNotification({message:self.strings.exportVerifyError,type:"error"})})):Notification.addNotification({message:self.strings.exportNoData,type:"warning"})},renderKpi:function(reports){var self=this,gridContainer=this.container.find(".block-adeptus-kpi-grid"),template=$("#block-adeptus-kpi-card-template-"+this.blockId),maxCards=parseInt(this.config.kpiColumns,10)||2;maxCards=Math.max(1,Math.min(4,maxCards)),gridContainer.empty();var kpiReports=reports.slice(0,maxCards),cardMap={},wizardReports=[],aiReports=[];kpiReports.forEach((function(report,index){var card=template.html(),$card=$(card),reportName=report.name||report.title||report.display_name||report.slug||"Metric";$card.attr("data-slug",report.slug),$card.attr("data-source",report.source),$card.find(".block-adeptus-kpi-card-label").text(reportName),$card.find(".block-adeptus-kpi-card-value").html('<i class="fa fa-spinner fa-spin"></i>'),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"),$card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none");var defaultIcons=["fa-users","fa-graduation-cap","fa-clock-o","fa-check-circle"],iconClass=report.customIcon||defaultIcons[index%defaultIcons.length];$card.find(".block-adeptus-kpi-card-icon i").removeClass("fa-bar-chart").addClass(iconClass),gridContainer.append($card),cardMap[report.slug]={$card:$card,report:report,index:index},"wizard"===report.source?wizardReports.push(report):aiReports.push(report)})),gridContainer.removeClass("d-none"),wizardReports.length>0&&this.loadKpiBatch(wizardReports,cardMap),aiReports.forEach((function(report,index){var cardInfo=cardMap[report.slug];setTimeout((function(){self.loadKpiData(report,cardInfo.$card,cardInfo.index)}),100*index)}))},loadKpiBatch:function(reports,cardMap){var self=this,reportIds=reports.map((function(r){return r.report_template_id||r.id||r.name||r.slug}));$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/batch_kpi_data.php",method:"POST",data:{reportids:JSON.stringify(reportIds),sesskey:M.cfg.sesskey},dataType:"json",timeout:3e4}).done((function(response){response.success&&response.reports?reports.forEach((function(report){var reportId=report.report_template_id||report.id||report.name||report.slug,reportData=response.reports[reportId],cardInfo=cardMap[report.slug];if(cardInfo){var $card=cardInfo.$card,cacheKey=report.slug+"_"+report.source;reportData&&reportData.success?(self.reportDataCache[cacheKey]={report:report,results:reportData.results||[]},self.renderKpiValue($card,reportData.results||[])):($card.find(".block-adeptus-kpi-card-value").text("--"),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"))}})):reports.forEach((function(report,index){var cardInfo=cardMap[report.slug];setTimeout((function(){self.loadKpiData(report,cardInfo.$card,cardInfo.index)}),100*index)}))})).fail((function(){reports.forEach((function(report,index){var cardInfo=cardMap[report.slug];setTimeout((function(){self.loadKpiData(report,cardInfo.$card,cardInfo.index)}),100*index)}))}))},loadKpiData:function(report,$card,cardIndex,retryCount){var self=this,cacheKey=report.slug+"_"+report.source;retryCount=retryCount||0;if(this.reportDataCache[cacheKey]){var cached=this.reportDataCache[cacheKey];this.renderKpiValue($card,cached.results)}else{var reportId=report.report_template_id||report.id||report.name||report.slug;if("wizard"===report.source)$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/generate_report.php",method:"POST",data:{reportid:reportId,sesskey:M.cfg.sesskey},dataType:"json",timeout:3e4}).done((function(response){response.success?(self.reportDataCache[cacheKey]={report:report,results:response.results||[]},self.renderKpiValue($card,response.results||[])):($card.find(".block-adeptus-kpi-card-value").text("--"),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"))})).fail((function(jqXHR,textStatus){retryCount<2&&("timeout"===textStatus||jqXHR.status>=500)?setTimeout((function(){self.loadKpiData(report,$card,cardIndex,retryCount+1)}),1e3*(retryCount+1)):($card.find(".block-adeptus-kpi-card-value").text("--"),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"))}));else{var token=this.apiKey||(window.adeptusAuthData?window.adeptusAuthData.api_key:null);if(!token)return $card.find(".block-adeptus-kpi-card-value").text("--"),void $card.find(".block-adeptus-kpi-card-trend").addClass("d-none");$.ajax({url:this.backendUrl+"/ai-reports/"+report.slug,method:"GET",headers:{Authorization:"Bearer "+token,Accept:"application/json"},timeout:3e4}).done((function(response){if(response.success){var reportData=response.report||report,data=response.data||[],sqlQuery=response.sql||reportData&&reportData.sql_query||reportData&&reportData.sql;if((response.execution_required||(!data||0===data.length)&&sqlQuery)&&sqlQuery)return void self.executeReportLocally(sqlQuery,reportData.params||{}).then((function(executionResult){var localData=executionResult.data||[];return self.reportDataCache[cacheKey]={report:reportData,results:localData},self.renderKpiValue($card,localData),localData})).catch((function(){return $card.find(".block-adeptus-kpi-card-value").text("--"),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"),null}));data&&data.length>0?(self.reportDataCache[cacheKey]={report:reportData,results:data},self.renderKpiValue($card,data)):($card.find(".block-adeptus-kpi-card-value").text("--"),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"))}else $card.find(".block-adeptus-kpi-card-value").text("--"),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none")})).fail((function(jqXHR,textStatus){retryCount<2&&("timeout"===textStatus||jqXHR.status>=500)?setTimeout((function(){self.loadKpiData(report,$card,cardIndex,retryCount+1)}),1e3*(retryCount+1)):($card.find(".block-adeptus-kpi-card-value").text("--"),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"))}))}}},renderKpiValue:function($card,data){var slug=$card.data("slug"),source=$card.data("source")||"wizard",label=$card.find(".block-adeptus-kpi-card-label").text()||"";if(!data||0===data.length)return $card.find(".block-adeptus-kpi-card-value").text("0"),void this.saveKpiHistoryToServer($card,slug,0,source,label,0);var value,formattedValue,headers=Object.keys(data[0]),numericCols=this.detectNumericColumns(data,headers);if(numericCols.length>0){var valueCol=numericCols[numericCols.length-1];value=valueCol.toLowerCase().includes("count")||valueCol.toLowerCase().includes("total")||1===data.length?data.reduce((function(sum,row){return sum+(parseFloat(row[valueCol])||0)}),0):data.length}else value=data.length;formattedValue=this.formatKpiValue(value),$card.find(".block-adeptus-kpi-card-value").text(formattedValue),this.saveKpiHistoryToServer($card,slug,value,source,label,data.length)},formatKpiValue:function(value){return value>=1e6?(value/1e6).toFixed(1)+"M":value>=1e3?(value/1e3).toFixed(1)+"K":Number.isInteger(value)?value.toLocaleString():value.toFixed(1)},saveKpiHistoryToServer:function($card,slug,value,source,_label,_rowCount,executionTimeMs){if(!this.config.snapshotsEnabled)return $card.find(".block-adeptus-kpi-card-trend").addClass("d-none"),void $card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none");this.postSnapshotToBackend($card,slug,value,executionTimeMs||0)},postSnapshotToBackend:function($card,slug,metricValue,executionTimeMs){var self=this,token=this.apiKey,source=$card.data("source")||"wizard";if(!token)return $card.find(".block-adeptus-kpi-card-trend").addClass("d-none"),void $card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none");var endpoint="ai"===source?"/ai-reports/":"/wizard-reports/",baselinePeriod=this.config.baselinePeriod||"all_time",historyLimit=this.getHistoryLimitForBaseline(baselinePeriod);$.ajax({url:this.backendUrl+endpoint+encodeURIComponent(slug)+"/snapshots?baseline_period="+baselinePeriod+"&history_limit="+historyLimit,method:"POST",headers:{Authorization:"Bearer "+token,"Content-Type":"application/json",Accept:"application/json"},data:JSON.stringify({row_count:metricValue,execution_time_ms:executionTimeMs,evaluate_alerts:!0,baseline_period:baselinePeriod}),timeout:15e3}).done((function(response){if(response.success&&(self.kpiSnapshotCache[slug]={history:response.history||[],trend:response.trend||{},currentValue:metricValue,timestamp:Date.now()},self.registerSnapshotSchedule(slug,source,metricValue),self.updateKpiTrendFromBackend($card,response.trend),response.history&&response.history.length>=2?self.renderKpiSparklineFromBackend($card,slug,response.history):$card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none"),response.alerts&&response.alerts.triggered_count>0)){var reportName=$card.find(".block-adeptus-kpi-card-label").text()||slug;self.handleTriggeredAlerts(response.alerts.triggered,slug,metricValue,response.trend,reportName)}})).fail((function(){$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"),$card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none")}))},registerSnapshotSchedule:function(slug,source,metricValue){var self=this,scheduleKey=this.blockId+"_"+slug;if(!this.registeredSnapshots[scheduleKey]){var intervalSeconds=this.config.kpiHistoryInterval||3600;Ajax.call([{methodname:"block_adeptus_insights_register_snapshot_schedule",args:{blockinstanceid:this.blockId,reportslug:slug,reportsource:source,intervalseconds:intervalSeconds,rowcount:metricValue}}])[0].done((function(response){response.success&&(self.registeredSnapshots[scheduleKey]=!0)})).fail((function(){}))}},updateKpiTrendFromBackend:function($card,trend){var trendContainer=$card.find(".block-adeptus-kpi-card-trend");if(trendContainer.removeClass("d-none trend-up trend-down trend-neutral"),trend&&(trend.vs_baseline||trend.vs_previous))this.updateKpiDualTrend($card,trend);else if(trend&&trend.has_previous){var direction=trend.direction,percentage=Math.abs(trend.change_percent||0),changeText=this.formatPercentage(percentage);"increase"===direction?(trendContainer.addClass("trend-up"),trendContainer.find(".trend-icon").html('<i class="fa fa-arrow-up"></i>'),trendContainer.find(".trend-value").text(this.strings.vsPrevious.replace("{$a}","+"+changeText))):"decrease"===direction?(trendContainer.addClass("trend-down"),trendContainer.find(".trend-icon").html('<i class="fa fa-arrow-down"></i>'),trendContainer.find(".trend-value").text(this.strings.vsPrevious.replace("{$a}","-"+changeText))):(trendContainer.addClass("trend-neutral"),trendContainer.find(".trend-icon").html('<i class="fa fa-minus"></i>'),trendContainer.find(".trend-value").text(this.strings.noChange))}else trendContainer.addClass("d-none")},updateKpiDualTrend:function($card,trend){var trendContainer=$card.find(".block-adeptus-kpi-card-trend");trendContainer.removeClass("d-none trend-up trend-down trend-neutral");var vsBaseline=trend.vs_baseline||{},vsPrevious=trend.vs_previous||{},hasBaseline=vsBaseline.has_baseline,hasPrevious=vsPrevious.has_previous;if(hasBaseline||hasPrevious){var parts=[],directionSigns={increase:"+",decrease:"-"};if(hasBaseline){var baselinePct=this.formatPercentage(Math.abs(vsBaseline.change_percent||0)),baselineIcon=this.getTrendIcon(vsBaseline.direction),baselineSign=directionSigns[vsBaseline.direction]||"";parts.push(baselineIcon+" "+baselineSign+baselinePct+" overall")}if(hasPrevious){var previousPct=this.formatPercentage(Math.abs(vsPrevious.change_percent||0)),previousIcon=this.getTrendIcon(vsPrevious.direction),previousSign=directionSigns[vsPrevious.direction]||"";parts.push(previousIcon+" "+previousSign+previousPct+" since last")}var primaryDirection=hasBaseline?vsBaseline.direction:vsPrevious.direction;"increase"===primaryDirection?trendContainer.addClass("trend-up"):"decrease"===primaryDirection?trendContainer.addClass("trend-down"):trendContainer.addClass("trend-neutral"),trendContainer.find(".trend-icon").html(""),trendContainer.find(".trend-value").html(parts.join(' <span class="trend-separator">|</span> '))}else trendContainer.addClass("d-none")},getTrendIcon:function(direction){return"increase"===direction?'<i class="fa fa-arrow-up trend-icon-up"></i>':"decrease"===direction?'<i class="fa fa-arrow-down trend-icon-down"></i>':'<i class="fa fa-minus trend-icon-neutral"></i>'},formatPercentage:function(percentage){return percentage>=100?Math.round(percentage)+"%":percentage>=10?percentage.toFixed(0)+"%":percentage.toFixed(1)+"%"},formatNumber:function(value){if(null==value||"--"===value)return"--";var num=parseFloat(value);return isNaN(num)?value.toString():Math.abs(num)>=1e3?num.toLocaleString():num%1!=0?num.toFixed(2):num.toString()},formatTimestamp:function(timestamp){if(!timestamp)return"";var date=new Date(timestamp),diffMs=new Date-date,diffMins=Math.floor(diffMs/6e4),diffHours=Math.floor(diffMins/60),diffDays=Math.floor(diffHours/24);if(diffMins<1)return this.strings.justNow;if(diffMins<60)return this.strings.minAgo.replace("{$a}",diffMins);if(diffHours<24)return(diffHours>1?this.strings.hoursAgo:this.strings.hourAgo).replace("{$a}",diffHours);if(diffDays<7)return(diffDays>1?this.strings.daysAgo:this.strings.dayAgo).replace("{$a}",diffDays);return["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][date.getMonth()]+" "+date.getDate()+", "+date.getFullYear()},formatShowingText:function(start,end,total){return this.strings.showingXOfY&&-1!==this.strings.showingXOfY.indexOf("{$a")?this.strings.showingXOfY.replace("{$a->start}",start).replace("{$a->end}",end).replace("{$a->total}",total):"Showing "+start+"-"+end+" of "+total},formatPageText:function(current,total){return this.strings.page+" "+current+" "+this.strings.of+" "+total},getHistoryLimitForBaseline:function(baselinePeriod){switch(baselinePeriod){case"all_time":return 100;case"rolling_30d":return 60;case"month_start":return 62;case"rolling_7d":case"week_start":return 14;default:return 30}},renderKpiSparklineFromBackend:function($card,slug,history){var sparklineData=history.map((function(point){return point.row_count})).reverse();this.renderKpiSparklineFromData($card,slug,sparklineData,sparklineData[sparklineData.length-1])},handleTriggeredAlerts:function(triggeredAlerts,reportSlug,currentValue,trend,reportName){var self=this;if(triggeredAlerts&&0!==triggeredAlerts.length){var alertsConfig=self.config.alertsConfig||[],alertsToSend=triggeredAlerts.map((function(alert){for(var alertName=alert.alert_name||alert.name||"Alert",value=parseFloat(alert.current_value||alert.actual_value||alert.value||currentValue||0),displayReportName=reportName||alert.report_name||reportSlug||"Report",alertId=alert.id||alert.alert_id||0,localConfig=null,i=0;i<alertsConfig.length;i++)if(alertsConfig[i].backend_id===alertId){localConfig=alertsConfig[i];break}var severity="warning",thresholdValue=alert.threshold||alert.threshold_value||"";if(localConfig){var warningThreshold=parseFloat(localConfig.warning_value)||0,criticalThreshold=parseFloat(localConfig.critical_value)||0;criticalThreshold>0&&value>=criticalThreshold?(severity="critical",thresholdValue=criticalThreshold):warningThreshold>0&&value>=warningThreshold&&(severity="warning",thresholdValue=warningThreshold)}else severity=alert.severity||(alert.is_critical?"critical":"warning");var message="Your "+displayReportName+" has reached "+value+", exceeding your "+severity+" threshold ("+thresholdValue+").";if(trend&&trend.has_previous){var direction=trend.direction||"change",changeAbs=Math.abs(trend.change_absolute||0),changePct=Math.abs(trend.change_percent||0).toFixed(1);message+="increase"===direction?" "+alertName+" increased by "+changeAbs+" ("+changePct+"%) since last measurement.":"decrease"===direction?" "+alertName+" decreased by "+changeAbs+" ("+changePct+"%) since last measurement.":" "+alertName+" has remained stable since last measurement."}return{alert_id:alertId,alert_name:alertName,message:message,severity:severity,report_name:displayReportName,report_slug:alert.report_slug||alert.slug||reportSlug||"",current_value:String(value),threshold:String(thresholdValue),notify_users:JSON.stringify(alert.notify_users||[])}}));require(["core/ajax"],(function(Ajax){Ajax.call([{methodname:"block_adeptus_insights_send_alert_notification",args:{blockinstanceid:self.blockId,alerts:alertsToSend}}])[0].done((function(response){response.success&&response.sent_count>0&&setTimeout((function(){self.refreshNotificationArea()}),500)})).fail((function(){}))}))}},refreshNotificationArea:function(){require(["jquery","core/ajax"],(function($,Ajax){try{var $popover=$("#nav-notification-popover-container");if(!$popover.length)return;var userId=$popover.attr("data-userid");if(!userId)return;Ajax.call([{methodname:"message_popup_get_unread_popup_notification_count",args:{useridto:parseInt(userId,10)}}])[0].done((function(count){var $countContainer=$popover.find('[data-region="count-container"]');$countContainer.length&&(count>0?($countContainer.text(count),$countContainer.removeClass("hidden")):$countContainer.addClass("hidden"))})).fail((function(){}))}catch(_e){}}))},loadKpiSparklineFromServer:function($card){this.config.snapshotsEnabled||$card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none")},updateKpiTrendFromServer:function($card,direction,percentage){var trendContainer=$card.find(".block-adeptus-kpi-card-trend");trendContainer.removeClass("d-none trend-up trend-down trend-neutral");var changeText,absChange=Math.abs(percentage);changeText=absChange>=100?Math.round(absChange)+"%":absChange>=10?absChange.toFixed(0)+"%":absChange.toFixed(1)+"%","up"===direction?(trendContainer.addClass("trend-up"),trendContainer.find(".trend-icon").html('<i class="fa fa-arrow-up"></i>'),trendContainer.find(".trend-value").text(this.strings.vsPrevious.replace("{$a}",changeText))):"down"===direction?(trendContainer.addClass("trend-down"),trendContainer.find(".trend-icon").html('<i class="fa fa-arrow-down"></i>'),trendContainer.find(".trend-value").text(this.strings.vsPrevious.replace("{$a}",changeText))):(trendContainer.addClass("trend-neutral"),trendContainer.find(".trend-icon").html('<i class="fa fa-minus"></i>'),trendContainer.find(".trend-value").text(this.strings.noChange))},updateKpiTrend:function($card){var trendContainer=$card.find(".block-adeptus-kpi-card-trend");trendContainer.removeClass("d-none"),trendContainer.addClass("trend-neutral"),trendContainer.find(".trend-icon").html('<i class="fa fa-spinner fa-spin"></i>'),trendContainer.find(".trend-value").text(this.strings.loading)},renderKpiSparklineFromData:function($card,slug,sparklineData,currentValue){var sparklineContainer=$card.find(".block-adeptus-kpi-card-sparkline"),canvas=sparklineContainer.find(".block-adeptus-sparkline-chart")[0];if(canvas){var dataPoints=sparklineData.slice();if(0!==dataPoints.length&&dataPoints[dataPoints.length-1]===currentValue||dataPoints.push(currentValue),dataPoints.length<2)sparklineContainer.addClass("d-none");else{sparklineContainer.removeClass("d-none");var firstValue=dataPoints[0],lastValue=dataPoints[dataPoints.length-1],trendColor=lastValue>=firstValue?"rgba(40, 167, 69, 0.8)":"rgba(220, 53, 69, 0.8)",trendBgColor=lastValue>=firstValue?"rgba(40, 167, 69, 0.1)":"rgba(220, 53, 69, 0.1)",chartKey="sparkline_"+this.blockId+"_"+slug;this.kpiSparklineCharts&&this.kpiSparklineCharts[chartKey]&&this.kpiSparklineCharts[chartKey].destroy(),this.kpiSparklineCharts||(this.kpiSparklineCharts={});try{this.kpiSparklineCharts[chartKey]=new Chart(canvas.getContext("2d"),{type:"line",data:{labels:dataPoints.map((function(){return""})),datasets:[{data:dataPoints,borderColor:trendColor,backgroundColor:trendBgColor,borderWidth:2,fill:!0,tension:.4,pointRadius:0,pointHoverRadius:0}]},options:{responsive:!0,maintainAspectRatio:!1,plugins:{legend:{display:!1},tooltip:{enabled:!1}},scales:{x:{display:!1},y:{display:!1}},elements:{line:{borderCapStyle:"round"}},animation:{duration:500}}})}catch(_e){sparklineContainer.addClass("d-none")}}}},renderKpiSparkline:function(){},renderTabs:function(reports){var self=this,tabNav=this.container.find(".block-adeptus-tab-nav"),tabContent=this.container.find(".block-adeptus-tab-content"),tabTemplate=$("#block-adeptus-tab-template-"+this.blockId),paneTemplate=$("#block-adeptus-tab-pane-template-"+this.blockId);if(tabNav.empty(),tabContent.empty(),this.tabChartInstances={},reports.slice(0,5).forEach((function(report,index){var tabId="tab-"+self.blockId+"-"+index,reportName=report.name||report.title||report.display_name||report.slug||"Report",tab=$(tabTemplate.html());tab.find("a").attr("href","#"+tabId).attr("aria-controls",tabId),tab.find(".block-adeptus-tab-name").text(reportName),0===index&&tab.find("a").addClass("active").attr("aria-selected","true"),tabNav.append(tab);var pane=$(paneTemplate.html());pane.attr("id",tabId),pane.attr("data-slug",report.slug),pane.attr("data-source",report.source),0===index&&pane.addClass("show active"),tabContent.append(pane)})),reports.length>0){var firstPane=tabContent.find(".block-adeptus-tab-pane").first();this.loadTabContent(firstPane,reports[0].slug,reports[0].source)}this.container.find(".block-adeptus-tabs-container").removeClass("d-none")},loadTabContent:function(pane,slug,source){var self=this,cacheKey=slug+"_"+source;if(pane.data("loaded",!0),this.reportDataCache[cacheKey]){var cached=this.reportDataCache[cacheKey];this.renderTabContent(pane,cached.report,cached.results)}else{var report=this.reports.find((function(r){return r.slug===slug}));if(!report)return pane.find(".block-adeptus-tab-pane-loading").addClass("d-none"),void pane.find(".block-adeptus-tab-pane-content").removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-exclamation-circle"></i><p class="mt-2">Report not found</p></div>');if("wizard"===source)$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/generate_report.php",method:"POST",data:{reportid:report.name||report.report_template_id,sesskey:M.cfg.sesskey},dataType:"json",timeout:3e4}).done((function(response){response.success?(self.reportDataCache[cacheKey]={report:report,results:response.results||[]},self.renderTabContent(pane,report,response.results||[])):(pane.find(".block-adeptus-tab-pane-loading").addClass("d-none"),pane.find(".block-adeptus-tab-pane-content").removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-exclamation-circle"></i><p class="mt-2">'+(response.message||"Failed to load")+"</p></div>"))})).fail((function(){pane.find(".block-adeptus-tab-pane-loading").addClass("d-none"),pane.find(".block-adeptus-tab-pane-content").removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-exclamation-circle"></i><p class="mt-2">Connection error</p></div>')}));else{var token=this.apiKey||(window.adeptusAuthData?window.adeptusAuthData.api_key:null);if(!token)return pane.find(".block-adeptus-tab-pane-loading").addClass("d-none"),void pane.find(".block-adeptus-tab-pane-content").removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-exclamation-circle"></i><p class="mt-2">Authentication required</p></div>');$.ajax({url:this.backendUrl+"/ai-reports/"+slug,method:"GET",headers:{Authorization:"Bearer "+token,Accept:"application/json"},timeout:15e3}).done((function(response){if(response.success){var reportData=response.report||report,data=response.data||[],sqlQuery=response.sql||reportData&&reportData.sql_query||reportData&&reportData.sql;if((response.execution_required||(!data||0===data.length)&&sqlQuery)&&sqlQuery)return void self.executeReportLocally(sqlQuery,reportData.params||{}).then((function(executionResult){var localData=executionResult.data||[];return self.reportDataCache[cacheKey]={report:reportData,results:localData},self.renderTabContent(pane,reportData,localData),localData})).catch((function(){return pane.find(".block-adeptus-tab-pane-loading").addClass("d-none"),pane.find(".block-adeptus-tab-pane-content").removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-exclamation-circle"></i><p class="mt-2">Failed to execute report</p></div>'),null}));self.reportDataCache[cacheKey]={report:reportData,results:data},self.renderTabContent(pane,reportData,data)}else pane.find(".block-adeptus-tab-pane-loading").addClass("d-none"),pane.find(".block-adeptus-tab-pane-content").removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-exclamation-circle"></i><p class="mt-2">Failed to load report</p></div>')})).fail((function(){pane.find(".block-adeptus-tab-pane-loading").addClass("d-none"),pane.find(".block-adeptus-tab-pane-content").removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-exclamation-circle"></i><p class="mt-2">Connection error</p></div>')}))}}},renderTabContent:function(pane,report,data){var tabId=pane.attr("id");pane.find(".block-adeptus-tab-pane-loading").addClass("d-none");var contentArea=pane.find(".block-adeptus-tab-pane-content");if(data&&0!==data.length){var headers=Object.keys(data[0]),numericCols=this.detectNumericColumns(data,headers),state={data:data,report:report,headers:headers,numericCols:numericCols,currentView:"table",tablePage:1,rowsPerPage:25,chartType:"bar",xAxis:headers[0],yAxis:numericCols.length>0?numericCols[numericCols.length-1]:headers[headers.length-1]};this.tabPaneStates[tabId]=state,contentArea.removeClass("d-none"),this.updateTabMetaBar(pane,report,data),this.populateTabChartControls(pane,state),this.renderTabTablePage(pane,state),pane.find(".block-adeptus-tab-view-toggle-btn").removeClass("active"),pane.find('.block-adeptus-tab-view-toggle-btn[data-view="table"]').addClass("active"),pane.find(".tab-table-view").removeClass("d-none"),pane.find(".block-adeptus-tab-chart-view").addClass("d-none")}else contentArea.removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-inbox"></i><p class="mt-2">No data available</p></div>')},updateTabMetaBar:function(pane,report,data){var category=report.category||report.category_name||"",categoryBadge=pane.find(".block-adeptus-report-category");category?(categoryBadge.text(category).removeClass("d-none"),report.category_color?categoryBadge.css("background-color",report.category_color):categoryBadge.addClass("bg-primary")):categoryBadge.addClass("d-none"),pane.find(".block-adeptus-row-count-num").text(data.length);var dateStr=report.updated_at||report.created_at||"";if(dateStr){var date=new Date(dateStr);pane.find(".report-date").text(date.toLocaleDateString())}},populateTabChartControls:function(pane,state){var xAxisSelect=pane.find(".block-adeptus-tab-chart-x-axis"),yAxisSelect=pane.find(".block-adeptus-tab-chart-y-axis");xAxisSelect.empty(),yAxisSelect.empty(),state.headers.forEach((function(header){var formatted=header.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}));xAxisSelect.append($("<option>").val(header).text(formatted)),yAxisSelect.append($("<option>").val(header).text(formatted))})),xAxisSelect.val(state.xAxis),yAxisSelect.val(state.yAxis)},switchTabView:function(pane,view){var tabId=pane.attr("id"),state=this.tabPaneStates[tabId];state&&(state.currentView=view,pane.find(".block-adeptus-tab-view-toggle-btn").removeClass("active"),pane.find('.block-adeptus-tab-view-toggle-btn[data-view="'+view+'"]').addClass("active"),"table"===view?(pane.find(".tab-table-view").removeClass("d-none"),pane.find(".block-adeptus-tab-chart-view").addClass("d-none")):(pane.find(".tab-table-view").addClass("d-none"),pane.find(".block-adeptus-tab-chart-view").removeClass("d-none"),this.renderTabChart(pane,state)))},renderTabTablePage:function(pane,state){var table=pane.find(".tab-table"),thead=table.find("thead"),tbody=table.find("tbody"),data=state.data,headers=state.headers;thead.empty(),tbody.empty();var headerRow=$("<tr>");headers.forEach((function(h){var formatted=h.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}));headerRow.append($("<th>").text(formatted))})),thead.append(headerRow);var totalRows=data.length,totalPages=Math.ceil(totalRows/state.rowsPerPage),startIndex=(state.tablePage-1)*state.rowsPerPage,endIndex=Math.min(startIndex+state.rowsPerPage,totalRows);data.slice(startIndex,endIndex).forEach((function(row){var tr=$("<tr>");headers.forEach((function(h){var val=row[h];null==val&&(val="");var displayVal=String(val);displayVal.length>50&&(displayVal=displayVal.substring(0,50)+"..."),tr.append($("<td>").attr("title",val).text(displayVal))})),tbody.append(tr)}));var showingText=this.formatShowingText(startIndex+1,endIndex,totalRows);pane.find(".block-adeptus-row-count").text(showingText),pane.find(".block-adeptus-tab-pagination-info").text(this.formatPageText(state.tablePage,totalPages)),pane.find(".block-adeptus-tab-pagination-prev").prop("disabled",state.tablePage<=1),pane.find(".block-adeptus-tab-pagination-next").prop("disabled",state.tablePage>=totalPages),totalPages>1?pane.find(".tab-table-pagination").removeClass("d-none"):pane.find(".tab-table-pagination").addClass("d-none")},renderTabChart:function(pane,state){var tabId=pane.attr("id"),canvas=pane.find(".block-adeptus-tab-chart")[0];if(canvas&&state.data&&0!==state.data.length){this.tabChartInstances&&this.tabChartInstances[tabId]&&this.tabChartInstances[tabId].destroy();var chartType=state.chartType,xAxis=state.xAxis,yAxis=state.yAxis,data=state.data,chartData=data.slice(0,20),labels=chartData.map((function(row){var label=row[xAxis];if(null==label)return this.strings.unknown;var labelStr=String(label);return labelStr.length>20?labelStr.substring(0,20)+"...":labelStr})),values=chartData.map((function(row){return parseFloat(row[yAxis])||0})),colors=this.generateChartColors(values.length),yAxisFormatted=yAxis.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()})),config={type:chartType,data:{labels:labels,datasets:[{label:yAxisFormatted,data:values,backgroundColor:"pie"===chartType||"doughnut"===chartType?colors:colors[0],borderColor:"line"===chartType?colors[0]:"pie"===chartType||"doughnut"===chartType?"#fff":colors[0],borderWidth:"pie"===chartType||"doughnut"===chartType?2:1,fill:"line"!==chartType&&void 0,tension:"line"===chartType?.1:void 0}]},options:{responsive:!0,maintainAspectRatio:!1,plugins:{legend:{display:"pie"===chartType||"doughnut"===chartType,position:"right"}},scales:"pie"===chartType||"doughnut"===chartType?{}:{y:{beginAtZero:!0},x:{display:data.length<=10}}}};try{this.tabChartInstances=this.tabChartInstances||{},this.tabChartInstances[tabId]=new Chart(canvas.getContext("2d"),config)}catch(_error){pane.find(".block-adeptus-tab-chart-container").html('<div class="alert alert-warning text-center"><i class="fa fa-exclamation-circle"></i> Could not render chart</div>')}}},exportTabReport:function(state,format){var self=this;state&&state.data&&0!==state.data.length?$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/check_export_eligibility.php",method:"POST",data:{format:format,sesskey:M.cfg.sesskey},dataType:"json"}).done((function(response){response.success&&response.eligible?self.performExport(format,state.report,state.data):self.showExportUpgradePrompt(format,response.message||self.strings.exportNotAvailable)})).fail((function(){Notification.addNotification({message:self.strings.exportVerifyError,type:"error"})})):Notification.addNotification({message:self.strings.exportNoData,type:"warning"})},renderTabTable:function(pane,data){var table=pane.find("table"),thead=table.find("thead"),tbody=table.find("tbody"),maxRows=this.config.tableMaxRows||10;if(thead.empty(),tbody.empty(),data&&0!==data.length){var headers=Object.keys(data[0]),headerRow=$("<tr>");headers.forEach((function(h){var formatted=h.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}));headerRow.append($("<th>").text(formatted))})),thead.append(headerRow),data.slice(0,maxRows).forEach((function(row){var tr=$("<tr>");headers.forEach((function(h){var val=row[h];null==val&&(val="");var displayVal=String(val);displayVal.length>40&&(displayVal=displayVal.substring(0,40)+"..."),tr.append($("<td>").attr("title",val).text(displayVal))})),tbody.append(tr)}))}},handleReportClick:function(slug,source){var action=this.config.clickAction||"modal";if("kpi"===this.config.displayMode&&this.config.alertsFeatureEnabled&&"modal"===action)this.openKpiModal(slug,source);else switch(action){case"modal":this.openReportModal(slug,source);break;case"newtab":this.openReportNewTab(slug)}},openReportModal:function(slug,source){var self=this,report=this.reports.find((function(r){return r.slug===slug}));report&&(this.modalData=null,this.modalReport=null,this.currentView="table",this.chartInstance&&(this.chartInstance.destroy(),this.chartInstance=null),Templates.render("block_adeptus_insights/report_modal",{blockid:this.blockId}).then((function(html){return ModalFactory.create({type:ModalFactory.types.DEFAULT,title:report.name,body:html,large:!0})})).then((function(modal){return self.modal=modal,self.bindModalEvents(modal),modal.getRoot().on(ModalEvents.shown,(function(){self.loadModalReport(slug,source)})),modal.getRoot().on(ModalEvents.hidden,(function(){self.chartInstance&&(self.chartInstance.destroy(),self.chartInstance=null),modal.destroy(),self.modal=null,self.modalData=null,self.modalReport=null})),modal.show(),modal})).catch(Notification.exception))},openKpiModal:function(slug,source){var self=this,report=this.reports.find((function(r){return r.slug===slug}));report&&(this.kpiModalData=null,this.kpiModalDateRange="30d",this.kpiModalChart&&(this.kpiModalChart.destroy(),this.kpiModalChart=null),Templates.render("block_adeptus_insights/kpi_modal",{blockid:this.blockId}).then((function(html){return ModalFactory.create({type:ModalFactory.types.DEFAULT,title:report.name,body:html,large:!0})})).then((function(modal){return self.kpiModal=modal,self.bindKpiModalEvents(modal,slug,source),modal.getRoot().on(ModalEvents.shown,(function(){self.loadKpiModalData(slug,source,self.kpiModalDateRange)})),modal.getRoot().on(ModalEvents.hidden,(function(){self.kpiModalChart&&(self.kpiModalChart.destroy(),self.kpiModalChart=null),modal.destroy(),self.kpiModal=null,self.kpiModalData=null})),modal.show(),modal})).catch(Notification.exception))},bindKpiModalEvents:function(modal,slug,source){var self=this,modalRoot=modal.getRoot();modalRoot.on("change",".block-adeptus-kpi-date-range-select",(function(){var dateRange=$(this).val();self.kpiModalDateRange=dateRange,self.loadKpiModalData(slug,source,dateRange)})),modalRoot.on("click",".block-adeptus-kpi-modal-retry",(function(e){e.preventDefault(),self.loadKpiModalData(slug,source,self.kpiModalDateRange)}))},loadKpiModalData:function(slug,source,dateRange){var self=this,modalContent=this.kpiModal.getRoot().find(".block-adeptus-kpi-modal-content");modalContent.find(".block-adeptus-kpi-modal-loading").removeClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-content-area").addClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-error").addClass("d-none");var cached=this.kpiSnapshotCache[slug];if(cached&&cached.history&&Date.now()-cached.timestamp<3e5)return self.kpiModalData=cached,void self.renderKpiModal(modalContent,cached,dateRange);var token=this.apiKey;if(token){var endpoint="ai"===source?"/ai-reports/":"/reports/",baselinePeriod=this.config.baselinePeriod||"all_time",historyLimit=this.getKpiModalHistoryLimit(dateRange),currentValue=cached?cached.currentValue:0;$.ajax({url:this.backendUrl+endpoint+encodeURIComponent(slug)+"/snapshots?baseline_period="+baselinePeriod+"&history_limit="+historyLimit,method:"POST",headers:{Authorization:"Bearer "+token,"Content-Type":"application/json",Accept:"application/json"},data:JSON.stringify({row_count:currentValue,execution_time_ms:0,evaluate_alerts:!1,baseline_period:baselinePeriod}),timeout:15e3,success:function(response){response&&response.success&&response.history?(self.kpiSnapshotCache[slug]={history:response.history||[],trend:response.trend||{},currentValue:currentValue,timestamp:Date.now()},self.kpiModalData=response,self.renderKpiModal(modalContent,response,dateRange)):self.showKpiModalError(modalContent)},error:function(){self.showKpiModalError(modalContent)}})}else self.showKpiModalError(modalContent)},getKpiModalHistoryLimit:function(dateRange){switch(dateRange){case"7d":return 14;case"30d":default:return 60;case"90d":return 180;case"all":return 500}},renderKpiModal:function(modalContent,data,dateRange){modalContent.find(".block-adeptus-kpi-modal-loading").addClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-content-area").removeClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-error").addClass("d-none");var history=(data.history||[]).slice();history.sort((function(a,b){return new Date(a.recorded_at||a.created_at)-new Date(b.recorded_at||b.created_at)}));var trend=data.trend||{},vsBaseline=trend.vs_baseline||{},vsPrevious=trend.vs_previous||{},filteredHistory=this.filterKpiHistoryByDateRange(history,dateRange),currentValue=data.currentValue;!currentValue&&filteredHistory.length>0&&(currentValue=filteredHistory[filteredHistory.length-1].row_count),currentValue=currentValue||"--",modalContent.find(".block-adeptus-kpi-modal-value").text(this.formatNumber(currentValue)),this.renderKpiModalTrends(modalContent,vsBaseline,vsPrevious);var stats=this.calculateKpiStats(filteredHistory);if(modalContent.find(".block-adeptus-kpi-stat-min").text(this.formatNumber(stats.min)),modalContent.find(".block-adeptus-kpi-stat-max").text(this.formatNumber(stats.max)),modalContent.find(".block-adeptus-kpi-stat-avg").text(this.formatNumber(stats.avg)),modalContent.find(".datapoints-count").text(filteredHistory.length),filteredHistory.length>0){var lastEntry=filteredHistory[filteredHistory.length-1],lastUpdated=lastEntry.recorded_at||lastEntry.created_at;lastUpdated&&modalContent.find(".block-adeptus-kpi-modal-last-updated").text(this.strings.lastUpdated+": "+this.formatTimestamp(lastUpdated))}this.renderKpiModalChart(modalContent,filteredHistory)},filterKpiHistoryByDateRange:function(history,dateRange){if("all"===dateRange||!history||0===history.length)return history;var cutoffDate,now=new Date;switch(dateRange){case"7d":cutoffDate=new Date(now.getTime()-6048e5);break;case"30d":cutoffDate=new Date(now.getTime()-2592e6);break;case"90d":cutoffDate=new Date(now.getTime()-7776e6);break;default:return history}return history.filter((function(entry){return new Date(entry.recorded_at||entry.created_at)>=cutoffDate}))},renderKpiModalTrends:function(modalContent,vsBaseline,vsPrevious){var directionSigns={increase:"+",decrease:"-"},baselineHtml="--";if(vsBaseline&&vsBaseline.has_baseline){var baselinePct=this.formatPercentage(Math.abs(vsBaseline.change_percent||0)),baselineIcon=this.getTrendIcon(vsBaseline.direction);baselineHtml='<span class="'+("trend-"+(vsBaseline.direction||"neutral"))+'">'+baselineIcon+" "+(directionSigns[vsBaseline.direction]||"")+baselinePct+" overall</span>"}modalContent.find(".block-adeptus-kpi-modal-trend-baseline").html(baselineHtml);var previousHtml="--";if(vsPrevious&&vsPrevious.has_previous){var previousPct=this.formatPercentage(Math.abs(vsPrevious.change_percent||0)),previousIcon=this.getTrendIcon(vsPrevious.direction);previousHtml='<span class="'+("trend-"+(vsPrevious.direction||"neutral"))+'">'+previousIcon+" "+(directionSigns[vsPrevious.direction]||"")+previousPct+" since last</span>"}modalContent.find(".block-adeptus-kpi-modal-trend-previous").html(previousHtml)},calculateKpiStats:function(history){if(!history||0===history.length)return{min:"--",max:"--",avg:"--"};var values=history.map((function(entry){return parseFloat(entry.row_count)||0})),min=Math.min.apply(null,values),max=Math.max.apply(null,values),sum=values.reduce((function(a,b){return a+b}),0);return{min:min,max:max,avg:Math.round(sum/values.length)}},renderKpiModalChart:function(modalContent,history){var self=this,canvas=modalContent.find(".block-adeptus-kpi-modal-chart")[0];if(canvas){this.kpiModalChart&&this.kpiModalChart.destroy();var labels=[],data=[],lastValue=null;history.forEach((function(entry){var value=parseFloat(entry.row_count)||0;if(null===lastValue||value!==lastValue){var date=new Date(entry.recorded_at||entry.created_at);labels.push(self.formatChartDate(date)),data.push(value),lastValue=value}}));var ctx=canvas.getContext("2d");this.kpiModalChart=new Chart(ctx,{type:"line",data:{labels:labels,datasets:[{label:"Value",data:data,borderColor:"#0066cc",backgroundColor:"rgba(0, 102, 204, 0.1)",borderWidth:2,fill:!0,tension:.3,pointRadius:4,pointHoverRadius:6,pointBackgroundColor:"#0066cc",pointBorderColor:"#fff",pointBorderWidth:2}]},options:{responsive:!0,maintainAspectRatio:!1,interaction:{mode:"index",intersect:!1},plugins:{legend:{display:!1},tooltip:{enabled:!0,backgroundColor:"rgba(0, 0, 0, 0.8)",titleColor:"#fff",bodyColor:"#fff",padding:12,displayColors:!1,callbacks:{title:function(tooltipItems){return tooltipItems[0].label},label:function(context){return"Value: "+self.formatNumber(context.parsed.y)}}}},scales:{x:{display:!0,grid:{display:!1},ticks:{maxRotation:45,minRotation:0,autoSkip:!0,maxTicksLimit:10}},y:{display:!0,beginAtZero:!1,grid:{color:"rgba(0, 0, 0, 0.05)"},ticks:{callback:function(value){return self.formatNumber(value)}}}}}})}},formatChartDate:function(date){return["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][date.getMonth()]+" "+date.getDate()},showKpiModalError:function(modalContent){modalContent.find(".block-adeptus-kpi-modal-loading").addClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-content-area").addClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-error").removeClass("d-none")},bindModalEvents:function(modal){var self=this,modalRoot=modal.getRoot();modalRoot.on("click",".block-adeptus-view-toggle-btn",(function(e){e.preventDefault();var view=$(this).data("view");self.switchModalView(view)})),modalRoot.on("change","#modal-chart-type, #modal-chart-x-axis, #modal-chart-y-axis",(function(){"chart"===self.currentView&&self.renderModalChart()})),modalRoot.on("click",".block-adeptus-modal-retry",(function(e){e.preventDefault(),self.modalReport&&self.loadModalReport(self.modalReport.slug,self.modalReport.source)})),modalRoot.on("click",".block-adeptus-modal-export",(function(e){e.preventDefault();var format=$(this).data("format");self.exportModalData(format)})),modalRoot.on("click",".table-pagination-prev",(function(e){e.preventDefault(),self.tableCurrentPage>1&&(self.tableCurrentPage--,self.renderModalTablePage())})),modalRoot.on("click",".table-pagination-next",(function(e){e.preventDefault(),self.tableCurrentPage<self.tableTotalPages&&(self.tableCurrentPage++,self.renderModalTablePage())}))},switchModalView:function(view){var modalBody=this.modal.getBody();modalBody.find(".block-adeptus-view-toggle-btn").removeClass("active"),modalBody.find('.block-adeptus-view-toggle-btn[data-view="'+view+'"]').addClass("active"),"table"===view?(modalBody.find("#modal-table-view").removeClass("d-none"),modalBody.find("#modal-chart-view").addClass("d-none")):(modalBody.find("#modal-table-view").addClass("d-none"),modalBody.find("#modal-chart-view").removeClass("d-none"),this.renderModalChart()),this.currentView=view},loadModalReport:function(slug,source){var self=this,modalBody=this.modal.getBody(),cacheKey=slug+"_"+source;if(this.reportDataCache[cacheKey]){var cached=this.reportDataCache[cacheKey];return modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),void this.renderModalContent(modalBody,cached.report,cached.results)}var report=this.reports.find((function(r){return r.slug===slug}));if(!report)return modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),void modalBody.find(".block-adeptus-modal-error").removeClass("d-none");if("wizard"===source)$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/generate_report.php",method:"POST",data:{reportid:report.name||report.report_template_id,sesskey:M.cfg.sesskey},dataType:"json",timeout:3e4}).done((function(response){modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),response.success?(self.reportDataCache[cacheKey]={report:report,results:response.results||[],chartData:response.chart_data,chartType:response.chart_type},self.renderModalContent(modalBody,report,response.results||[])):(modalBody.find(".block-adeptus-modal-error").removeClass("d-none"),modalBody.find(".block-adeptus-modal-error p").text(response.message||self.strings.errorFailedLoadReport))})).fail((function(){modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),modalBody.find(".block-adeptus-modal-error").removeClass("d-none")}));else{var token=this.apiKey||(window.adeptusAuthData?window.adeptusAuthData.api_key:null);if(!token)return modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),void modalBody.find(".block-adeptus-modal-error").removeClass("d-none");$.ajax({url:this.backendUrl+"/ai-reports/"+slug,method:"GET",headers:{Authorization:"Bearer "+token,Accept:"application/json"},timeout:15e3}).done((function(response){if(response.success&&response.report){var reportData=response.report,data=response.data||[],sqlQuery=response.sql||reportData&&reportData.sql_query||reportData&&reportData.sql;if((response.execution_required||(!data||0===data.length)&&sqlQuery)&&sqlQuery)return void self.executeReportLocally(sqlQuery,reportData.params||{}).then((function(executionResult){modalBody.find(".block-adeptus-modal-loading").addClass("d-none");var localData=executionResult.data||[];return self.reportDataCache[cacheKey]={report:reportData,results:localData,chartData:null,chartType:null},self.renderModalContent(modalBody,reportData,localData),localData})).catch((function(){return modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),modalBody.find(".block-adeptus-modal-error").removeClass("d-none"),null}));modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),self.reportDataCache[cacheKey]={report:reportData,results:data,chartData:null,chartType:null},self.renderModalContent(modalBody,reportData,data)}else modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),modalBody.find(".block-adeptus-modal-error").removeClass("d-none")})).fail((function(){modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),modalBody.find(".block-adeptus-modal-error").removeClass("d-none")}))}},renderModalContent:function(modalBody,report,data){this.modalData=data||[],this.modalReport=report,modalBody.find(".block-adeptus-modal-content-area").removeClass("d-none");var category=report.category_info||{name:"General",color:"#6c757d"};modalBody.find(".block-adeptus-report-category").text(category.name).css("background-color",category.color),modalBody.find(".block-adeptus-row-count-num").text(this.modalData.length),modalBody.find(".report-date").text(report.last_executed_at?this.strings.lastRun.replace("{$a}",new Date(report.last_executed_at).toLocaleDateString()):""),this.populateAxisSelectors(modalBody),this.renderModalTable(modalBody,this.modalData),this.currentView="table",modalBody.find(".block-adeptus-view-toggle-btn").removeClass("active"),modalBody.find('.block-adeptus-view-toggle-btn[data-view="table"]').addClass("active"),modalBody.find("#modal-table-view").removeClass("d-none"),modalBody.find("#modal-chart-view").addClass("d-none")},populateAxisSelectors:function(modalBody){var data=this.modalData;if(data&&0!==data.length){var headers=Object.keys(data[0]),xAxisSelect=modalBody.find("#modal-chart-x-axis"),yAxisSelect=modalBody.find("#modal-chart-y-axis");xAxisSelect.empty(),yAxisSelect.empty();var numericCols=this.detectNumericColumns(data,headers);headers.forEach((function(header,idx){var formattedHeader=header.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()})),selected=0===idx?" selected":"";xAxisSelect.append('<option value="'+header+'"'+selected+">"+formattedHeader+"</option>")}));var yAxisOptions=numericCols.length>0?numericCols:headers;yAxisOptions.forEach((function(col,idx){var formattedHeader=col.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()})),selected=idx===yAxisOptions.length-1?" selected":"";yAxisSelect.append('<option value="'+col+'"'+selected+">"+formattedHeader+"</option>")}))}},detectNumericColumns:function(data,headers){var numericCols=[];return headers.forEach((function(header){var isNumeric=data.every((function(row){var val=row[header];return null==val||""===val||!isNaN(parseFloat(val))&&isFinite(val)})),hasNumbers=data.some((function(row){var val=row[header];return null!=val&&""!==val&&!isNaN(parseFloat(val))}));isNumeric&&hasNumbers&&numericCols.push(header)})),numericCols},executeReportLocally:function(sql,params){return params=params||{},new Promise((function(resolve,reject){$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/execute_ai_report.php",method:"POST",contentType:"application/json",data:JSON.stringify({sql:sql,params:params,sesskey:M.cfg.sesskey}),timeout:6e4,success:function(response){response.success?resolve({data:response.data||[],headers:response.headers||[],row_count:response.row_count||0,error:null}):resolve({data:[],headers:[],row_count:0,error:response.message||"Query execution failed"})},error:function(_jqXhr,_textStatus,errorThrown){reject(new Error("Failed to execute report: "+errorThrown))}})}))},renderModalChart:function(){var self=this,modalBody=this.modal.getBody(),data=this.modalData;if(data&&0!==data.length){var canvas=modalBody.find(".block-adeptus-modal-chart")[0];if(canvas){this.chartInstance&&(this.chartInstance.destroy(),this.chartInstance=null);var chartType=modalBody.find("#modal-chart-type").val()||"bar",labelKey=modalBody.find("#modal-chart-x-axis").val(),valueKey=modalBody.find("#modal-chart-y-axis").val();if(!labelKey||!valueKey){var headers=Object.keys(data[0]);labelKey=labelKey||headers[0],valueKey=valueKey||headers[headers.length-1]}var valueKeyFormatted=valueKey.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()})),chartData=data.slice(0,50),labels=chartData.map((function(row){var label=row[labelKey];if(null==label)return self.strings.unknown;var labelStr=String(label);return labelStr.length>30?labelStr.substring(0,30)+"...":labelStr})),values=chartData.map((function(row){return parseFloat(row[valueKey])||0})),colors=this.generateChartColors(values.length),config=this.createChartConfig(chartType,labels,values,valueKeyFormatted,colors);try{this.chartInstance=new Chart(canvas.getContext("2d"),config)}catch(_error){modalBody.find(".block-adeptus-chart-container").html('<div class="alert alert-danger"><i class="fa fa-exclamation-triangle"></i> Error rendering chart</div>')}}}else modalBody.find(".block-adeptus-chart-container").html('<div class="alert alert-warning text-center"><i class="fa fa-info-circle"></i> No data available for chart</div>')},createChartConfig:function(chartType,labels,values,valueKey,colors){var baseOptions={responsive:!0,maintainAspectRatio:!1,plugins:{title:{display:!0,text:this.modalReport?this.modalReport.name:"Report",font:{size:14,weight:"bold"},padding:{top:10,bottom:20}},legend:{display:"pie"===chartType||"doughnut"===chartType,position:"right"}}};return"pie"===chartType||"doughnut"===chartType?{type:chartType,data:{labels:labels,datasets:[{data:values,backgroundColor:colors,borderWidth:2}]},options:baseOptions}:(baseOptions.scales={y:{beginAtZero:!0,title:{display:!0,text:valueKey}},x:{title:{display:!1}}},{type:chartType,data:{labels:labels,datasets:[{label:valueKey,data:values,backgroundColor:"line"===chartType?"transparent":colors[0],borderColor:colors[0].replace("0.7","1"),borderWidth:2,fill:"line"!==chartType,tension:.1}]},options:baseOptions})},generateChartColors:function(count){for(var baseColors=["rgba(37, 99, 235, 0.7)","rgba(16, 185, 129, 0.7)","rgba(245, 158, 11, 0.7)","rgba(239, 68, 68, 0.7)","rgba(139, 92, 246, 0.7)","rgba(6, 182, 212, 0.7)","rgba(236, 72, 153, 0.7)","rgba(132, 204, 22, 0.7)","rgba(249, 115, 22, 0.7)","rgba(99, 102, 241, 0.7)"],colors=[],i=0;i<count;i++)colors.push(baseColors[i%baseColors.length]);return colors},exportModalData:function(format){var self=this,data=this.modalData,report=this.modalReport;data&&0!==data.length?$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/check_export_eligibility.php",method:"POST",data:{format:format,sesskey:M.cfg.sesskey},dataType:"json"}).done((function(response){response.success&&response.eligible?self.performExport(format,report,data):self.showExportUpgradePrompt(format,response.message||self.strings.exportNotAvailable)})).fail((function(){Notification.addNotification({message:self.strings.exportVerifyError,type:"error"})})):Notification.addNotification({message:self.strings.exportNoData,type:"warning"})},showExportUpgradePrompt:function(format,message){var formatName={pdf:"PDF",csv:"CSV",json:"JSON"}[format]||format.toUpperCase();Notification.alert(this.strings.exportTitle.replace("{$a}",formatName),message||this.strings.exportNotOnPlan.replace("{$a}",formatName),this.strings.ok)},captureChartImage:function(){var self=this;return new Promise((function(resolve){setTimeout((function(){var canvas=null,modalChart=document.querySelector(".modal.show .block-adeptus-modal-chart");if(modalChart&&(canvas=modalChart),!canvas){var embeddedChart=self.container?self.container.find(".block-adeptus-embedded-chart")[0]:null;embeddedChart&&(canvas=embeddedChart)}if(!canvas){var tabChart=self.container?self.container.find(".tab-pane.active .block-adeptus-tab-chart")[0]:null;tabChart&&(canvas=tabChart)}if(canvas||(canvas=document.querySelector(".block-adeptus-modal-chart, .block-adeptus-embedded-chart, .block-adeptus-tab-chart")),canvas)try{var dataUrl=canvas.toDataURL("image/png",.8);dataUrl&&dataUrl.length>100&&dataUrl.length<2e6?resolve(dataUrl):resolve(null)}catch(_e){resolve(null)}else resolve(null)}),300)}))},performExport:function(format,report,data){var self=this,reportData={results:data,headers:data.length>0?Object.keys(data[0]):[],report_name:report?report.name:"Report",report_category:report&&report.category||""},chartPromise=Promise.resolve(null);"pdf"===format&&"chart"===self.currentView&&(chartPromise=self.captureChartImage()),chartPromise.then((function(chartImage){var form=document.createElement("form");form.method="POST",form.action=M.cfg.wwwroot+"/report/adeptus_insights/ajax/export_report.php",form.target="_blank";var fields={reportid:report?report.slug:"block_export",format:format,sesskey:M.cfg.sesskey,view:self.currentView||"table",report_data:JSON.stringify(reportData),chart_image:chartImage&&chartImage.length>100?chartImage:""};for(var key in fields)if(fields.hasOwnProperty(key)){var input=document.createElement("input");input.type="hidden",input.name=key,input.value=fields[key],form.appendChild(input)}return document.body.appendChild(form),form.submit(),document.body.removeChild(form),$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/track_export.php",method:"POST",data:{format:format,report_name:report?report.name:"Block Export",sesskey:M.cfg.sesskey}}),!0})).catch((function(){return!1}))},renderModalTable:function(modalBody,data){this.tableCurrentPage=1,this.tableTotalPages=Math.ceil((data?data.length:0)/this.tableRowsPerPage);var thead=modalBody.find(".block-adeptus-modal-table").find("thead");if(thead.empty(),data&&0!==data.length){var headers=Object.keys(data[0]),headerRow=$("<tr>");headers.forEach((function(h){var formatted=h.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}));headerRow.append($("<th>").text(formatted))})),thead.append(headerRow),this.renderModalTablePage()}else modalBody.find(".block-adeptus-modal-table-container").addClass("d-none")},renderModalTablePage:function(){var modalBody=this.modal.getBody(),data=this.modalData||[],tbody=modalBody.find(".block-adeptus-modal-table").find("tbody");if(tbody.empty(),data&&0!==data.length){var headers=Object.keys(data[0]),startIndex=(this.tableCurrentPage-1)*this.tableRowsPerPage,endIndex=startIndex+this.tableRowsPerPage;data.slice(startIndex,endIndex).forEach((function(row){var tr=$("<tr>");headers.forEach((function(h){var val=row[h];null==val&&(val="");var displayVal=String(val);displayVal.length>100&&(displayVal=displayVal.substring(0,100)+"..."),tr.append($("<td>").attr("title",val).text(displayVal))})),tbody.append(tr)}));var actualEnd=Math.min(endIndex,data.length);modalBody.find(".block-adeptus-row-count").text(data.length+" total rows"),modalBody.find(".table-pagination-info").text(startIndex+1+"-"+actualEnd+" of "+data.length),modalBody.find(".table-pagination-prev").prop("disabled",this.tableCurrentPage<=1),modalBody.find(".table-pagination-next").prop("disabled",this.tableCurrentPage>=this.tableTotalPages),this.tableTotalPages>1?modalBody.find(".table-pagination").removeClass("d-none"):modalBody.find(".table-pagination").addClass("d-none")}},openReportNewTab:function(slug){var url=M.cfg.wwwroot+"/report/adeptus_insights/generated_reports.php?slug="+encodeURIComponent(slug);window.open(url,"_blank")},exportReport:function(format){Notification.addNotification({message:"Export to "+format.toUpperCase()+" coming soon",type:"info"})},refresh:function(){var refreshBtn=this.container.find(".block-adeptus-refresh i");refreshBtn.addClass("fa-spin"),this.clearAllCaches(),this.showLoading();var self=this;this.waitForAuth((function(){self.fetchReports()})),setTimeout((function(){refreshBtn.removeClass("fa-spin")}),1e3)},clearAllCaches:function(){try{sessionStorage.removeItem(this.cacheKey)}catch(_e){}this.reportDataCache={}},setupAutoRefresh:function(){var interval=this.config.autoRefresh;if(interval&&"never"!==interval){var ms;switch(interval){case"5m":ms=3e5;break;case"15m":ms=9e5;break;case"30m":ms=18e5;break;case"1h":ms=36e5;break;default:return}var self=this;this.refreshTimer=setInterval((function(){document.hidden||self.refresh()}),ms)}},showLoading:function(){this.container.find(".block-adeptus-loading").removeClass("d-none"),this.container.find(".block-adeptus-report-list, .block-adeptus-kpi-grid, .block-adeptus-tabs-container, .block-adeptus-content").addClass("d-none"),this.container.find(".block-adeptus-empty, .block-adeptus-error").addClass("d-none")},hideLoading:function(){this.container.find(".block-adeptus-loading").addClass("d-none")},showEmpty:function(){this.hideLoading(),this.container.find(".block-adeptus-empty").removeClass("d-none")},showError:function(message){this.hideLoading();var errorDiv=this.container.find(".block-adeptus-error");message&&errorDiv.find("p").text(message),errorDiv.removeClass("d-none")},updateTimestamp:function(){if(this.lastUpdated){var text=this.formatTimeAgo(this.lastUpdated),kpiFooter=this.container.find(".block-adeptus-kpi-footer");if(kpiFooter.length)return kpiFooter.find(".timestamp-text").text(text),void kpiFooter.removeClass("d-none");if(this.config.showTimestamp){var timestampEl=this.container.find(".block-adeptus-timestamp");timestampEl.find(".timestamp-text").text(text),timestampEl.removeClass("d-none")}}},scrollToListTop:function(){var listContainer=this.container.find(".block-adeptus-report-list");listContainer.length&&listContainer[0].scrollIntoView({behavior:"smooth",block:"start"})},scrollToEmbeddedTableTop:function(){var tableContainer=this.container.find(".block-adeptus-embedded-table-view");tableContainer.length&&tableContainer[0].scrollIntoView({behavior:"smooth",block:"start"})},showEmbeddedLoadingOverlay:function(){var overlay=this.container.find(".block-adeptus-embedded-loading-overlay");this.container.find(".block-adeptus-content").removeClass("d-none"),overlay.removeClass("d-none").css("opacity",0).animate({opacity:1},150)},hideEmbeddedLoadingOverlay:function(){this.container.find(".block-adeptus-embedded-loading-overlay").animate({opacity:0},150,(function(){$(this).addClass("d-none")}))},toggleSearchableDropdown:function(dropdown){dropdown.hasClass("open")?this.closeSearchableDropdown(dropdown):this.openSearchableDropdown(dropdown)},openSearchableDropdown:function(dropdown){var self=this;this.container.find(".block-adeptus-searchable-dropdown.open").each((function(){$(this).is(dropdown)||self.closeSearchableDropdown($(this))})),dropdown.addClass("open"),dropdown.find(".block-adeptus-searchable-dropdown-toggle").attr("aria-expanded","true");var input=dropdown.find(".block-adeptus-searchable-dropdown-input");input.val(""),dropdown.find(".block-adeptus-searchable-dropdown-item").show().removeClass("focused"),dropdown.find(".block-adeptus-searchable-dropdown-empty").addClass("d-none"),setTimeout((function(){input.focus()}),50)},closeSearchableDropdown:function(dropdown){dropdown.removeClass("open"),dropdown.find(".block-adeptus-searchable-dropdown-toggle").attr("aria-expanded","false"),dropdown.find(".block-adeptus-searchable-dropdown-item").removeClass("focused")},filterSearchableDropdown:function(dropdown,query){var items=dropdown.find(".block-adeptus-searchable-dropdown-item"),emptyState=dropdown.find(".block-adeptus-searchable-dropdown-empty"),visibleCount=0;items.each((function(){var searchText=$(this).data("search")||"";""===query||-1!==searchText.indexOf(query)?($(this).show(),visibleCount++):$(this).hide()})),items.filter(":hidden").removeClass("focused"),0===visibleCount?emptyState.removeClass("d-none"):emptyState.addClass("d-none")},selectSearchableDropdownItem:function(dropdown,value,text){dropdown.find(".block-adeptus-searchable-dropdown-text").text(text),dropdown.find(".block-adeptus-searchable-dropdown-item").removeClass("selected"),dropdown.find('.block-adeptus-searchable-dropdown-item[data-value="'+value+'"]').addClass("selected");var select=dropdown.siblings("select");select.length&&select.val(value).trigger("change"),this.closeSearchableDropdown(dropdown)},scrollDropdownItemIntoView:function(item){var list=item.closest(".block-adeptus-searchable-dropdown-list"),listHeight=list.height(),itemTop=item.position().top,itemHeight=item.outerHeight();itemTop<0?list.scrollTop(list.scrollTop()+itemTop):itemTop+itemHeight>listHeight&&list.scrollTop(list.scrollTop()+(itemTop+itemHeight-listHeight))},escapeHtml:function(text){var div=document.createElement("div");return div.textContent=text,div.innerHTML},formatTimeAgo:function(date){var seconds=Math.floor((new Date-date)/1e3);if(seconds<60)return this.strings.justNow;var minutes=Math.floor(seconds/60);if(minutes<60)return minutes+" minute"+(1!==minutes?"s":"")+" ago";var hours=Math.floor(minutes/60);if(hours<24)return hours+" hour"+(1!==hours?"s":"")+" ago";var days=Math.floor(hours/24);return days+" day"+(1!==days?"s":"")+" ago"}},{init:function(options){return new BlockController(options)}}}));
+define("block_adeptus_insights/block",["jquery","core/ajax","core/notification","core/str","core/modal_factory","core/modal_events","core/templates","core/chartjs","block_adeptus_insights/report_registry","block_adeptus_insights/result_cache","block_adeptus_insights/tab_sync","block_adeptus_insights/parameter_bar","block_adeptus_insights/data_worker","block_adeptus_insights/table_filter","block_adeptus_insights/cell_renderer","block_adeptus_insights/pivot_view","block_adeptus_insights/row_drilldown","block_adeptus_insights/report_table","block_adeptus_insights/chart_types","block_adeptus_insights/chart_series"],(function($,Ajax,Notification,Str,ModalFactory,ModalEvents,Templates,Chart,ReportRegistry,ResultCache,TabSync,ParameterBar,DataWorker,TableFilter,CellRenderer,PivotView,RowDrilldown,ReportTable,ChartTypes,ChartSeries){var BlockController=function(options){this.blockId=options.blockid,this.contextId=options.contextid,this.config=options.config||{},this.apiKey=options.apiKey||"",this.isAdmin=options.isAdmin||!1,this.container=null,this.reports=[],this.lastUpdated=null,this.refreshTimer=null,this.modal=null,this.modalData=null,this.modalDataset=null,this.modalTable=null,this.modalFilter=null,this.modalPivot=null,this.modalPivotChart=!1,this.modalSeries=[],this.modalReport=null,this.chartInstance=null,this.currentView="table",this.listCurrentPage=1,this.listItemsPerPage=this.config.maxLinkItems||10,this.listTotalPages=1,this.tableMode="virtual"===this.config.tableMode?"virtual":"paginated",this.rowsPerPage=parseInt(this.config.tableRowsPerPage,10)||25,this.selectedCategory="",this.availableCategories=[],this.selectedReportSlug=this.config.defaultReport||"",this.selectedReportSource="",this.embeddedCurrentView="table",this.embeddedChartType="bar",this.embeddedXAxis="",this.embeddedAggregate="auto",this.embeddedBucket="auto",this.embeddedSort=this.config.chartSort||"none",this.embeddedTop=this.config.chartTopN||0,this.embeddedSeries=[],this.embeddedDataset=null,this.embeddedTable=null,this.embeddedFilter=null,this.embeddedPivot=null,this.embeddedPivotChart=!1,this.backendUrl=this.config.backendUrl||"https://backend.adeptus360.com/api/v1",this.preloadTimeout=null,this.dateRange={preset:"all",start:null,end:null},ReportRegistry.setUser(this.config.userId),this.dataService=ReportRegistry.getDataService({backendUrl:this.backendUrl,getToken:this.getApiToken.bind(this)}).forBlock({userId:this.config.userId,blockId:this.blockId,params:this.getBlockParams(),ttl:1e3*(parseInt(this.config.cacheTtl,10)||0),onResult:this.shareResult.bind(this)}),this.dataService.isPersistent()||ResultCache.clearBlock(this.blockId),this.requestControllers={},this.reportParams=(this.config.reportPreferences||{}).params||{},this.reportSorts=(this.config.reportPreferences||{}).sort||{},this.reportColumns=(this.config.reportPreferences||{}).columns||{},this.reportAggregates=(this.config.reportPreferences||{}).aggregates||{},this.showTableFooter=!!this.config.tableFooter,this.formatRules=this.config.formatRules||{},this.columnTypes=this.config.columnTypes||{},this.drilldowns=this.config.drilldowns||{},this.staleSince=null,this.tabPaneStates={},this.tabChartInstances={},this.kpiModal=null,this.kpiModalChart=null,this.kpiModalData=null,this.kpiModalDateRange="30d",this.kpiModalRequest=null,this.kpiSnapshotCache={},this.snapshotResponses={},this.registeredSnapshots={},this.strings={},this.init()};return BlockController.prototype={capitalizeWords:function(str){return str.replace(/[-_]/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}))},init:function(){var self=this;this.container=$('[data-blockid="'+this.blockId+'"]'),this.container.length&&this.loadStrings().then((function(){return self.bindEvents(),ReportRegistry.subscribe((function(reports){self.setReports(reports)})),TabSync.join(self.blockId,self.handleTabMessage.bind(self)),ReportRegistry.onReconnect((function(){self.hideOffline(),self.replaySnapshots()})),self.loadReports(),self.replaySnapshots(),self.setupAutoRefresh(),!0})).catch((function(){return!1}))},loadStrings:function(){var self=this;return Str.get_strings([{key:"js_error_auth_failed",component:"block_adeptus_insights"},{key:"js_error_could_not_auth",component:"block_adeptus_insights"},{key:"js_error_no_auth_token",component:"block_adeptus_insights"},{key:"js_error_report_not_found",component:"block_adeptus_insights"},{key:"js_error_connection",component:"block_adeptus_insights"},{key:"js_error_failed_load_report",component:"block_adeptus_insights"},{key:"js_error_failed_execute_report",component:"block_adeptus_insights"},{key:"js_error_failed_to_load",component:"block_adeptus_insights"},{key:"js_error_query_failed",component:"block_adeptus_insights"},{key:"js_export_no_data",component:"block_adeptus_insights"},{key:"js_export_not_available",component:"block_adeptus_insights"},{key:"js_export_verify_error",component:"block_adeptus_insights"},{key:"js_no_reports",component:"block_adeptus_insights"},{key:"js_no_change",component:"block_adeptus_insights"},{key:"js_unknown",component:"block_adeptus_insights"},{key:"js_just_now",component:"block_adeptus_insights"},{key:"loading",component:"block_adeptus_insights"},{key:"showingxofy",component:"block_adeptus_insights"},{key:"page",component:"block_adeptus_insights"},{key:"of",component:"block_adeptus_insights"},{key:"lastupdated",component:"block_adeptus_insights"},{key:"js_vs_previous",component:"block_adeptus_insights"},{key:"js_min_ago",component:"block_adeptus_insights"},{key:"js_hour_ago",component:"block_adeptus_insights"},{key:"js_hours_ago",component:"block_adeptus_insights"},{key:"js_day_ago",component:"block_adeptus_insights"},{key:"js_days_ago",component:"block_adeptus_insights"},{key:"js_last_run",component:"block_adeptus_insights"},{key:"js_export_title",component:"block_adeptus_insights"},{key:"js_export_not_on_plan",component:"block_adeptus_insights"},{key:"js_ok",component:"block_adeptus_insights"},{key:"js_stale_since",component:"block_adeptus_insights"},{key:"chart_other",component:"block_adeptus_insights"}]).then((function(strings){return self.strings={errorAuthFailed:strings[0],errorCouldNotAuth:strings[1],errorNoAuthToken:strings[2],errorReportNotFound:strings[3],errorConnection:strings[4],errorFailedLoadReport:strings[5],errorFailedExecuteReport:strings[6],errorFailedToLoad:strings[7],errorQueryFailed:strings[8],exportNoData:strings[9],exportNotAvailable:strings[10],exportVerifyError:strings[11],noReports:strings[12],noChange:strings[13],unknown:strings[14],justNow:strings[15],loading:strings[16],showingXOfY:strings[17],page:strings[18],of:strings[19],lastUpdated:strings[20],vsPrevious:strings[21],minAgo:strings[22],hourAgo:strings[23],hoursAgo:strings[24],dayAgo:strings[25],daysAgo:strings[26],lastRun:strings[27],exportTitle:strings[28],exportNotOnPlan:strings[29],ok:strings[30],staleSince:strings[31],other:strings[32]},self.strings})).catch((function(){return self.strings={errorAuthFailed:"Authentication failed",errorCouldNotAuth:"Could not authenticate",errorNoAuthToken:"No authentication token",errorReportNotFound:"Report not found",errorConnection:"Connection error",errorFailedLoadReport:"Failed to load report",errorFailedExecuteReport:"Failed to execute report",errorFailedToLoad:"Failed to load",errorQueryFailed:"Query execution failed",exportNoData:"No data to export",exportNotAvailable:"Export not available",exportVerifyError:"Unable to verify export eligibility. Please try again.",noReports:"-- No Reports --",noChange:"No change",unknown:"Unknown",justNow:"Just now",loading:"Loading...",showingXOfY:"Showing {$a->start}-{$a->end} of {$a->total}",page:"Page",of:"of",lastUpdated:"Last updated",vsPrevious:"{$a} vs previous",minAgo:"{$a} min ago",hourAgo:"{$a} hour ago",hoursAgo:"{$a} hours ago",dayAgo:"{$a} day ago",daysAgo:"{$a} days ago",lastRun:"Last run: {$a}",exportTitle:"{$a} Export",exportNotOnPlan:"{$a} export is not available on your current plan.",ok:"OK",staleSince:"Stale since {$a}. Adeptus Insights cannot be reached, retrying automatically.",other:"Other"},self.strings}))},bindEvents:function(){var self=this;this.container.on("click",".block-adeptus-refresh, .block-adeptus-retry",(function(e){e.preventDefault(),self.refresh()})),this.container.on("click",".block-adeptus-report-item",(function(e){e.preventDefault();var slug=$(this).data("slug"),source=$(this).data("source");self.handleReportClick(slug,source)})),this.container.on("keydown",".block-adeptus-report-item",(function(e){if("Enter"===e.key||" "===e.key){e.preventDefault();var slug=$(this).data("slug"),source=$(this).data("source");self.handleReportClick(slug,source)}})),this.container.on("click",".block-adeptus-kpi-card",(function(e){e.preventDefault();var slug=$(this).data("slug"),source=$(this).data("source");self.handleReportClick(slug,source)})),this.container.on("shown.bs.tab",".block-adeptus-tab-nav a",(function(e){var tabPane=$($(e.target).attr("href")),slug=tabPane.data("slug"),source=tabPane.data("source");tabPane.data("loaded")||self.loadTabContent(tabPane,slug,source)})),this.container.on("change",".block-adeptus-date-range select, .block-adeptus-date-range input",(function(){self.applyDateRange()})),this.container.on("click",".block-adeptus-export",(function(e){e.preventDefault();var format=$(this).data("format");self.exportReport(format)})),this.container.on("click",".pagination-prev",(function(e){e.preventDefault(),self.listCurrentPage>1&&(self.listCurrentPage--,self.renderCurrentPage(),self.scrollToListTop())})),this.container.on("click",".pagination-next",(function(e){e.preventDefault(),self.listCurrentPage<self.listTotalPages&&(self.listCurrentPage++,self.renderCurrentPage(),self.scrollToListTop())})),this.container.on("change",".block-adeptus-category-filter-select",(function(){self.selectedCategory=$(this).val(),self.listCurrentPage=1,"embedded"===self.config.displayMode?self.populateReportSelector():self.renderReports()})),this.container.on("change",".block-adeptus-report-selector-select",(function(){var selectedValue=$(this).val();if(selectedValue){var parts=selectedValue.split("::"),slug=parts[0],source=parts[1]||"wizard";self.selectedReportSlug=slug,self.selectedReportSource=source,self.embeddedCurrentView="table",self.loadEmbeddedReport(slug,source)}})),this.container.on("click",".block-adeptus-searchable-dropdown-toggle",(function(e){e.preventDefault(),e.stopPropagation();var dropdown=$(this).closest(".block-adeptus-searchable-dropdown");self.toggleSearchableDropdown(dropdown)})),this.container.on("input",".block-adeptus-searchable-dropdown-input",(function(){var dropdown=$(this).closest(".block-adeptus-searchable-dropdown"),query=$(this).val().toLowerCase().trim();self.filterSearchableDropdown(dropdown,query)})),this.container.on("click",".block-adeptus-searchable-dropdown-item",(function(e){e.preventDefault(),e.stopPropagation();var dropdown=$(this).closest(".block-adeptus-searchable-dropdown"),value=$(this).data("value"),text=$(this).find(".block-adeptus-dropdown-item-name").text();self.selectSearchableDropdownItem(dropdown,value,text)})),this.container.on("keydown",".block-adeptus-searchable-dropdown-input",(function(e){var dropdown=$(this).closest(".block-adeptus-searchable-dropdown"),items=dropdown.find(".block-adeptus-searchable-dropdown-item:visible"),focused=dropdown.find(".block-adeptus-searchable-dropdown-item.focused");if("ArrowDown"===e.key)if(e.preventDefault(),0===focused.length)items.first().addClass("focused");else{var next=focused.nextAll(".block-adeptus-searchable-dropdown-item:visible").first();next.length&&(focused.removeClass("focused"),next.addClass("focused"),self.scrollDropdownItemIntoView(next))}else if("ArrowUp"===e.key){if(e.preventDefault(),focused.length){var prev=focused.prevAll(".block-adeptus-searchable-dropdown-item:visible").first();prev.length&&(focused.removeClass("focused"),prev.addClass("focused"),self.scrollDropdownItemIntoView(prev))}}else"Enter"===e.key?(e.preventDefault(),focused.length?focused.trigger("click"):1===items.length&&items.first().trigger("click")):"Escape"===e.key&&self.closeSearchableDropdown(dropdown)})),$(document).on("click",(function(e){$(e.target).closest(".block-adeptus-searchable-dropdown").length||self.container.find(".block-adeptus-searchable-dropdown.open").each((function(){self.closeSearchableDropdown($(this))}))})),this.container.on("click",".block-adeptus-embedded-view-toggle-btn",(function(e){e.preventDefault();var view=$(this).data("view");self.switchEmbeddedView(view)})),this.container.on("change",".block-adeptus-embedded-chart-type",(function(){self.embeddedChartType=$(this).val(),self.updateEmbeddedChartAxes().then((function(){return self.renderEmbeddedChart(),null})).catch(Notification.exception)})),this.container.on("change",".block-adeptus-embedded-chart-x-axis",(function(){self.embeddedXAxis=$(this).val(),self.embeddedPivotChart=!1,self.updateEmbeddedChartAxes().then((function(){return self.renderEmbeddedChart(),null})).catch(Notification.exception)})),this.container.on("change",".block-adeptus-embedded-chart-bucket",(function(){self.embeddedBucket=$(this).val(),self.embeddedPivotChart=!1,self.updateEmbeddedChartAxes().then((function(){return self.renderEmbeddedChart(),null})).catch(Notification.exception)})),this.container.on("change",".block-adeptus-embedded-chart-sort, .block-adeptus-embedded-chart-top",(function(){self.embeddedSort=self.container.find(".block-adeptus-embedded-chart-sort").val(),self.embeddedTop=parseInt(self.container.find(".block-adeptus-embedded-chart-top").val(),10)||0,self.embeddedPivotChart=!1,self.saveChartOptions(self.embeddedSort,self.embeddedTop),self.renderEmbeddedChart()})),this.container.on("change",".block-adeptus-embedded-chart-aggregate",(function(){self.embeddedAggregate=$(this).val(),self.embeddedPivotChart=!1,self.renderEmbeddedChart()})),this.container.on("click",".block-adeptus-pivot-chart-off",(function(e){e.preventDefault();var pane=$(this).closest(".block-adeptus-tab-pane"),state=pane.length?self.tabPaneStates[pane.attr("id")]:null;state?(state.pivotChart=!1,self.renderTabChart(pane,state)):pane.length||(self.embeddedPivotChart=!1,self.renderEmbeddedChart())})),this.container.on("click",".block-adeptus-embedded-export",(function(e){e.preventDefault();var format=$(this).data("format");self.exportEmbeddedReport(format)})),this.container.on("click",".block-adeptus-tab-view-toggle-btn",(function(e){e.preventDefault();var pane=$(this).closest(".block-adeptus-tab-pane"),view=$(this).data("view");self.switchTabView(pane,view)})),this.container.on("change",".block-adeptus-tab-chart-type",(function(){var pane=$(this).closest(".block-adeptus-tab-pane"),tabId=pane.attr("id"),state=self.tabPaneStates[tabId];state&&(state.chartType=$(this).val(),self.populateTabChartControls(pane,state).then((function(){return self.renderTabChart(pane,state),null})).catch(Notification.exception))})),this.container.on("change",".block-adeptus-tab-chart-x-axis",(function(){var pane=$(this).closest(".block-adeptus-tab-pane"),tabId=pane.attr("id"),state=self.tabPaneStates[tabId];state&&(state.xAxis=$(this).val(),state.pivotChart=!1,self.populateTabChartControls(pane,state).then((function(){return self.renderTabChart(pane,state),null})).catch(Notification.exception))})),this.container.on("change",".block-adeptus-tab-chart-bucket",(function(){var pane=$(this).closest(".block-adeptus-tab-pane"),state=self.tabPaneStates[pane.attr("id")];state&&(state.bucket=$(this).val(),state.pivotChart=!1,self.populateTabChartControls(pane,state).then((function(){return self.renderTabChart(pane,state),null})).catch(Notification.exception))})),this.container.on("change",".block-adeptus-tab-chart-sort, .block-adeptus-tab-chart-top",(function(){var pane=$(this).closest(".block-adeptus-tab-pane"),state=self.tabPaneStates[pane.attr("id")];state&&(state.sort=pane.find(".block-adeptus-tab-chart-sort").val(),state.top=parseInt(pane.find(".block-adeptus-tab-chart-top").val(),10)||0,state.pivotChart=!1,self.saveChartOptions(state.sort,state.top),self.renderTabChart(pane,state))})),this.container.on("change",".block-adeptus-tab-chart-aggregate",(function(){var pane=$(this).closest(".block-adeptus-tab-pane"),state=self.tabPaneStates[pane.attr("id")];state&&(state.aggregate=$(this).val(),state.pivotChart=!1,self.renderTabChart(pane,state))})),this.container.on("click",".block-adeptus-tab-export",(function(e){e.preventDefault();var tabId=$(this).closest(".block-adeptus-tab-pane").attr("id"),state=self.tabPaneStates[tabId],format=$(this).data("format");state&&self.exportTabReport(state,format)})),this.container.on("mouseenter",".block-adeptus-report-item",(function(){var slug=$(this).data("slug"),source=$(this).data("source");self.preloadTimeout&&clearTimeout(self.preloadTimeout),self.preloadTimeout=setTimeout((function(){self.preloadReportData(slug,source)}),300)})),this.container.on("mouseleave",".block-adeptus-report-item",(function(){self.preloadTimeout&&(clearTimeout(self.preloadTimeout),self.preloadTimeout=null)}))},loadReports:function(){var self=this;this.showLoading();var cached=ReportRegistry.peekCatalogue();cached?this.setReports(cached):this.waitForAuth((function(){self.fetchReports()}))},setReports:function(reports){var source=this.config.reportSource||"all";this.reports=reports.filter((function(report){return"wizard"!==source&&"ai"!==source||report.source===source})),this.lastUpdated=new Date,this.renderReports()},preloadReportData:function(slug,source){var report=this.findReport(slug,source);report&&this.dataService.load(report).catch((function(){return null}))},waitForAuth:function(callback){var self=this;if(this.apiKey)return window.adeptusAuthData=window.adeptusAuthData||{},window.adeptusAuthData.api_key=this.apiKey,void callback();window.adeptusAuthData&&window.adeptusAuthData.api_key?callback():$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/get_auth_status.php",method:"GET",dataType:"json",timeout:1e4}).done((function(response){return response&&response.success&&response.data?(window.adeptusAuthData=response.data,callback()):self.showError(self.strings.errorAuthFailed),response})).fail((function(){return self.showError(self.strings.errorCouldNotAuth),null}))},fetchReports:function(){var self=this,token=this.getApiToken();token?ReportRegistry.getCatalogue({backendUrl:this.backendUrl,token:token}).then((function(reports){return self.setReports(reports),reports})).catch((function(){self.showLastKnownCatalogue()})):this.showError(this.strings.errorNoAuthToken)},getApiToken:function(){return this.apiKey||(window.adeptusAuthData?window.adeptusAuthData.api_key:null)},getContextParams:function(){var id=parseInt(this.config.contextId,10)||0;return id?"course"===this.config.contextType?{courseid:id}:"category"===this.config.contextType?{categoryid:id}:{}:{}},getDateRangeParams:function(){var range=this.dateRange,days={"7d":7,"30d":30,"90d":90}[range.preset],params={};if(days){var start=new Date;start.setHours(0,0,0,0),start.setDate(start.getDate()-days),params.startdate=Math.floor(start.getTime()/1e3)}else"custom"===range.preset&&(range.start&&(params.startdate=range.start),range.end&&(params.enddate=range.end));return params},getBlockParams:function(){return $.extend(this.getContextParams(),this.getDateRangeParams())},applyDateRange:function(){var $filter=this.container.find(".block-adeptus-date-range"),preset=$filter.find(".block-adeptus-date-range-preset").val(),toTimestamp=function(value,endOfDay){var parts=(value||"").split("-");if(3!==parts.length)return null;var date=endOfDay?new Date(parts[0],parts[1]-1,parts[2],23,59,59):new Date(parts[0],parts[1]-1,parts[2]);return isNaN(date.getTime())?null:Math.floor(date.getTime()/1e3)};$filter.find(".block-adeptus-date-range-custom").toggleClass("d-none","custom"!==preset),this.dateRange={preset:preset,start:toTimestamp($filter.find(".block-adeptus-date-range-start").val(),!1),end:toTimestamp($filter.find(".block-adeptus-date-range-end").val(),!0)};var params=this.getBlockParams();if(JSON.stringify(params)!==JSON.stringify(this.dataService.getParams())&&(this.dataService.setParams(params),this.reports&&0!==this.reports.length)){var mode=this.config.displayMode||"links";if("tabs"===mode){var $panes=this.container.find(".block-adeptus-tab-pane");$panes.data("loaded",!1);var $active=$panes.filter(".active").first();$active.length&&this.loadTabContent($active,$active.data("slug"),$active.data("source"))}else"links"!==mode&&this.renderReports()}},getReportKey:function(report){return report.slug+"::"+(report.source||"wizard")},getReportParams:function(report){return this.reportParams[this.getReportKey(report)]||{}},setReportParams:function(report,values){var key=this.getReportKey(report),empty=0===Object.keys(values).length;empty?delete this.reportParams[key]:this.reportParams[key]=values,this.saveReportPreference("params",key,empty?null:values)},saveReportPreference:function(type,key,value){Ajax.call([{methodname:"block_adeptus_insights_set_report_preference",args:{blockinstanceid:this.blockId,type:type,reportkey:key,value:null===value?"":JSON.stringify(value)}}])[0].catch((function(){return null}))},saveChartOptions:function(sort,top){this.config.chartSort=sort,this.config.chartTopN=top,this.config.canEditCharts&&Ajax.call([{methodname:"block_adeptus_insights_set_chart_options",args:{blockinstanceid:this.blockId,sort:sort,topn:top}}])[0].catch(Notification.exception)},getReportSort:function(report){return this.reportSorts[this.getReportKey(report)]||null},setReportSort:function(report,sort){var key=this.getReportKey(report);sort?this.reportSorts[key]=sort:delete this.reportSorts[key],this.saveReportPreference("sort",key,sort)},getVisibleColumns:function(report,headers){return ReportTable.getVisibleColumns(headers,report&&this.reportColumns[this.getReportKey(report)]||null)},setReportColumns:function(report,layout){var key=this.getReportKey(report);layout?this.reportColumns[key]=layout:delete this.reportColumns[key],this.saveReportPreference("columns",key,layout)},getReportAggregates:function(report){return(report?this.reportAggregates[this.getReportKey(report)]:null)||{}},setReportAggregate:function(report,column,aggregate){var key=this.getReportKey(report),aggregates=$.extend({},this.reportAggregates[key]);aggregates[column]=aggregate,this.reportAggregates[key]=aggregates,this.saveReportPreference("aggregates",key,aggregates)},getTableFilter:function(current,report){var key=this.getReportKey(report);return current&&current.report===key?current:$.extend(TableFilter.empty(),{report:key})},getPivot:function(current,report){return current&&current.report===this.getReportKey(report)?current:null},showPivotView:function(container,dataset,filter,pivot,report,onChange,onChart){var key=this.getReportKey(report);return dataset.columns().then((function(columns){return pivot||(pivot=$.extend(PivotView.getDefault(columns),{report:key}),onChange(pivot)),PivotView.render(container,{columns:columns,pivot:pivot,fetch:function(options){return dataset.pivot($.extend({search:filter.search,filters:filter.filters},options))},onChange:onChange,onChart:onChart})})).catch(Notification.exception)},loadPivotChart:function(dataset,filter,pivot){return dataset.pivot($.extend({search:filter.search,filters:filter.filters},PivotView.getOptions(pivot))).then((function(result){return PivotView.getChartData(result,pivot)}))},drawPivotChart:function(canvas,chartType,chartData){var type=ChartTypes.plotsPoints(chartType)?"bar":chartType,config=ChartTypes.create(type,{labels:chartData.labels,series:ChartTypes.isRound(type)?[chartData.totals]:chartData.series},{unknown:this.strings.unknown});try{return new Chart(canvas.getContext("2d"),config)}catch(_error){return null}},loadChartData:function(dataset,filter,chartType,axes,limit){var query={x:axes.x,aggregate:axes.aggregate,bucket:ChartTypes.plotsTime(chartType)?axes.bucket:"none",sort:axes.sort,top:axes.top,sortBy:axes.series[0].column,other:this.strings.other,limit:ChartTypes.getLimit(chartType,limit),points:ChartTypes.plotsPoints(chartType),search:filter.search,filters:filter.filters};return Promise.all(axes.series.map((function(item){return dataset.chart($.extend({y:item.column},query))}))).then((function(results){return{x:axes.x,labels:results[0].labels,bucket:results[0].bucket,other:results[0].other,series:results.map((function(result,index){return $.extend({values:result.values,points:result.points},axes.series[index])}))}}))},fillChartAxes:function(controls,columns,chartType,axes,onSeriesChange){var result=ChartTypes.getAxes(chartType,columns,axes);return controls.x.empty(),result.choices.x.forEach((function(name){controls.x.append($("<option>").val(name).text(ChartTypes.formatName(name)))})),controls.x.val(result.axes.x),controls.aggregate.val(result.axes.aggregate).prop("disabled",ChartTypes.plotsPoints(chartType)),controls.bucket.val(result.axes.bucket).prop("disabled",!result.choices.bucket),controls.sort.val(result.axes.sort).prop("disabled",!result.choices.sort),controls.top.val(String(result.axes.top)).prop("disabled",!result.choices.sort),ChartSeries.render(controls.series,{columns:result.choices.y,series:result.axes.series,onChange:onSeriesChange}).catch(Notification.exception),result.axes},showTableFilter:function($container,dataset,filter,apply){dataset.columns().then((function(columns){var signature=filter.report+"|"+columns.map((function(column){return column.name+":"+column.type})).join(",");return $container.data("signature")===signature?columns:($container.data("signature",signature),TableFilter.render($container,{columns:columns,value:filter,onChange:function(value){filter.search=value.search,filter.filters=value.filters,apply()}}))})).catch(Notification.exception)},createReportTable:function($root,report,dataset,headers,filter,textLimit,onPageChange){var self=this,key=this.getReportKey(report);return ReportTable.create($root,{dataset:dataset,headers:headers,key:key,filter:filter,sort:this.getReportSort(report),layout:this.reportColumns[key]||null,mode:this.tableMode,rowsPerPage:this.rowsPerPage,textLimit:textLimit,formatRules:this.formatRules,columnTypes:this.columnTypes,footer:this.showTableFooter,aggregates:this.getReportAggregates(report),drilldown:!!RowDrilldown.forReport(this.drilldowns,key),onSort:function(sort){self.setReportSort(report,sort)},onLayoutChange:function(layout){self.setReportColumns(report,layout)},onAggregateChange:function(column,aggregate){self.setReportAggregate(report,column,aggregate)},onDrilldown:function(row){self.drillDown(row,report,dataset)},onPageChange:onPageChange})},drillDown:function(row,report,dataset){var self=this,drilldown=report?RowDrilldown.forReport(this.drilldowns,this.getReportKey(report)):null;if(!drilldown||!row)return Promise.resolve();if("url"===drilldown.action){var url=RowDrilldown.buildUrl(drilldown.url,row);return url&&(window.location.href=url),Promise.resolve()}if("report"===drilldown.action){var target=String(drilldown.target||"").split("::"),targetReport=this.findReport(target[0],target[1]);return targetReport&&this.openDrilldownReport(targetReport,RowDrilldown.getParams(drilldown.params,row)),Promise.resolve()}return dataset.columns().then((function(columns){return CellRenderer.create(columns,CellRenderer.forReport(self.columnTypes,self.getReportKey(report)))})).then((function(cells){return RowDrilldown.showDetail({title:report.name,row:row,cells:cells})})).catch(Notification.exception)},openDrilldownReport:function(report,params){if(this.reportParams[this.getReportKey(report)]=$.extend({},this.getReportParams(report),params),this.modal){var modalBody=this.modal.getBody();this.cancelRequest("modal"),this.modalTable&&(this.modalTable.destroy(),this.modalTable=null),this.chartInstance&&(this.chartInstance.destroy(),this.chartInstance=null),this.modal.setTitle(report.name),modalBody.find(".block-adeptus-modal-content-area, .block-adeptus-modal-error").addClass("d-none"),modalBody.find(".block-adeptus-modal-loading").removeClass("d-none"),this.loadModalReport(report.slug,report.source)}else this.openReportModal(report.slug,report.source)},showParameterBar:function($bar,report,result,reload){var self=this,types=ParameterBar.getTypes($.extend({},report,result.report)),signature=this.getReportKey(report)+"|"+types.join(",");types.length?$bar.data("signature")!==signature&&($bar.data("signature",signature),ParameterBar.render($bar,{blockId:this.blockId,types:types,values:this.getReportParams(report),onChange:function(values){self.setReportParams(report,values),reload()}}).catch(Notification.exception)):$bar.addClass("d-none").empty().removeData("signature")},findReport:function(slug,source){return this.reports.find((function(r){return r.slug===slug&&(!source||r.source===source)}))||null},getErrorMessage:function(error){switch(error&&error.code){case"notoken":return this.strings.errorNoAuthToken;case"connection":return this.strings.errorConnection;case"execution":return this.strings.errorFailedExecuteReport;default:return error&&error.serverMessage||this.strings.errorFailedLoadReport}},beginRequest:function(name){return this.cancelRequest(name),this.requestControllers[name]=new AbortController,this.requestControllers[name].signal},cancelRequest:function(name){this.requestControllers[name]&&(this.requestControllers[name].abort(),delete this.requestControllers[name])},renderReports:function(){var mode=this.config.displayMode||"links";if(0!==this.reports.length){"embedded"!==mode&&"links"!==mode||this.populateCategoryFilter();var filteredReports=this.filterReports();switch(mode){case"embedded":this.renderEmbedded();break;case"kpi":var kpiReports=this.getSelectedReportsForMode("kpi",this.reports);this.renderKpi(kpiReports);break;case"tabs":var tabsReports=this.getSelectedReportsForMode("tabs",this.reports);this.renderTabs(tabsReports);break;default:this.renderLinks(filteredReports)}this.hideLoading(),this.updateTimestamp()}else this.showEmpty()},getSelectedReportsForMode:function(mode,allReports){var selectedConfig=[];if("kpi"===mode&&this.config.kpiSelectedReports&&this.config.kpiSelectedReports.length>0?selectedConfig=this.config.kpiSelectedReports:"tabs"===mode&&this.config.tabsSelectedReports&&this.config.tabsSelectedReports.length>0&&(selectedConfig=this.config.tabsSelectedReports),0===selectedConfig.length)return allReports;var result=[];return selectedConfig.forEach((function(item){var slug=item.slug||item,source=item.source||"wizard",report=allReports.find((function(r){return r.slug===slug&&(r.source===source||!item.source)}));if(report){var enrichedReport=Object.assign({},report);item.icon&&(enrichedReport.customIcon=item.icon),result.push(enrichedReport)}})),result},populateCategoryFilter:function(){var self=this,categoryMap={},config=this.config,categoryLocked=!!config.reportCategory;if(categoryLocked&&(this.selectedCategory=config.reportCategory),this.reports.forEach((function(report){var catInfo=report.category_info;catInfo&&catInfo.slug?categoryMap[catInfo.slug]={slug:catInfo.slug,name:catInfo.name||catInfo.slug,color:catInfo.color||"#6c757d"}:report.category&&(categoryMap[report.category]={slug:report.category,name:report.category,color:"#6c757d"})})),categoryLocked&&!categoryMap[config.reportCategory]){var displayName=config.reportCategory.replace(/[-_]/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}));categoryMap[config.reportCategory]={slug:config.reportCategory,name:displayName,color:"#6c757d"}}this.availableCategories=Object.values(categoryMap).sort((function(a,b){return a.name.localeCompare(b.name)}));var select=this.container.find(".block-adeptus-category-filter-select"),dropdown=this.container.find(".block-adeptus-category-dropdown"),dropdownList=dropdown.find(".block-adeptus-searchable-dropdown-list");if(select.length&&(select.find("option:not(:first)").remove(),this.availableCategories.forEach((function(cat){var selected=self.selectedCategory===cat.slug?" selected":"";select.append('<option value="'+cat.slug+'"'+selected+">"+cat.name+"</option>")}))),dropdownList.length){dropdownList.empty();var allItemHtml='<li class="block-adeptus-searchable-dropdown-item '+(this.selectedCategory?"":"selected")+'" data-value="" data-search="all categories" role="option"><span class="block-adeptus-dropdown-item-name">All Categories</span></li>';dropdownList.append(allItemHtml),this.availableCategories.forEach((function(cat){var itemHtml='<li class="block-adeptus-searchable-dropdown-item '+(self.selectedCategory===cat.slug?"selected":"")+'" data-value="'+cat.slug+'" data-search="'+cat.name.toLowerCase()+'" role="option"><span class="block-adeptus-dropdown-item-name">'+self.escapeHtml(cat.name)+'</span><span class="block-adeptus-dropdown-item-category" style="background-color: '+cat.color+'"><i class="fa fa-circle" style="font-size: 0.5rem;"></i></span></li>';dropdownList.append(itemHtml)}));var selectedText="All Categories";if(this.selectedCategory){var selectedCat=this.availableCategories.find((function(c){return c.slug===self.selectedCategory}));selectedCat&&(selectedText=selectedCat.name)}dropdown.find(".block-adeptus-searchable-dropdown-text").text(selectedText),categoryLocked&&this.container.find(".block-adeptus-category-filter").hide()}},populateReportSelector:function(){var self=this,select=this.container.find(".block-adeptus-report-selector-select"),dropdown=this.container.find(".block-adeptus-report-selector .block-adeptus-searchable-dropdown"),dropdownList=dropdown.find(".block-adeptus-searchable-dropdown-list");if(select.length){var reports=this.filterReports();if(select.find("option:not(:first)").remove(),dropdownList.empty(),reports.forEach((function(report){var reportName=report.name||report.title||report.display_name||report.slug||"Untitled",value=report.slug+"::"+report.source,categoryInfo=report.category_info||{name:"General",color:"#6c757d"},categoryLabel=" ["+categoryInfo.name+"]",selected=self.selectedReportSlug===report.slug?" selected":"";select.append('<option value="'+value+'"'+selected+">"+reportName+categoryLabel+"</option>");var itemHtml='<li class="block-adeptus-searchable-dropdown-item" data-value="'+value+'" data-search="'+reportName.toLowerCase()+" "+categoryInfo.name.toLowerCase()+'" role="option"><span class="block-adeptus-dropdown-item-name">'+self.escapeHtml(reportName)+'</span><span class="block-adeptus-dropdown-item-category" style="background-color: '+categoryInfo.color+'">'+self.escapeHtml(categoryInfo.name)+"</span></li>";dropdownList.append(itemHtml)})),this.selectedReportSlug&&!select.val()){var defaultOption=select.find('option[value^="'+this.selectedReportSlug+'::"]');defaultOption.length&&defaultOption.prop("selected",!0)}if(!select.val()&&reports.length>0){var firstReport=reports[0],firstValue=firstReport.slug+"::"+firstReport.source,firstName=firstReport.name||firstReport.title||firstReport.display_name||firstReport.slug||"Untitled";select.val(firstValue),this.selectedReportSlug=firstReport.slug,this.selectedReportSource=firstReport.source,dropdown.find(".block-adeptus-searchable-dropdown-text").text(firstName),dropdown.find(".block-adeptus-searchable-dropdown-item").removeClass("selected"),dropdown.find('.block-adeptus-searchable-dropdown-item[data-value="'+firstValue+'"]').addClass("selected"),this.loadEmbeddedReport(firstReport.slug,firstReport.source)}else if(select.val()){var parts=select.val().split("::"),selectedReport=reports.find((function(r){return r.slug===parts[0]}));if(selectedReport){var selectedName=selectedReport.name||selectedReport.title||selectedReport.display_name||selectedReport.slug||"Untitled";dropdown.find(".block-adeptus-searchable-dropdown-text").text(selectedName),dropdown.find(".block-adeptus-searchable-dropdown-item").removeClass("selected"),dropdown.find('.block-adeptus-searchable-dropdown-item[data-value="'+select.val()+'"]').addClass("selected")}this.loadEmbeddedReport(parts[0],parts[1]||"wizard")}else dropdown.find(".block-adeptus-searchable-dropdown-text").text(this.strings.noReports),this.showEmpty()}},filterReports:function(){var self=this,reports=this.reports.slice(),config=this.config;return config.reportCategory&&(reports=reports.filter((function(r){return(r.category_info?r.category_info.slug:r.category||"")===config.reportCategory}))),this.selectedCategory&&this.selectedCategory!==config.reportCategory&&(reports=reports.filter((function(r){return(r.category_info?r.category_info.slug:r.category||"")===self.selectedCategory}))),reports.sort((function(a,b){var nameA=a.name||a.title||a.display_name||a.report_name||a.slug||"",nameB=b.name||b.title||b.display_name||b.report_name||b.slug||"";return nameA.localeCompare(nameB)})),reports},renderLinks:function(reports){this.filteredReports=reports,this.listItemsPerPage=this.config.maxLinkItems||10,this.listTotalPages=Math.ceil(reports.length/this.listItemsPerPage),this.listCurrentPage=1,this.renderCurrentPage()},renderCurrentPage:function(){var reports=this.filteredReports||[],listContainer=this.container.find(".block-adeptus-report-list"),template=$("#block-adeptus-report-item-template-"+this.blockId),paginationContainer=this.container.find(".block-adeptus-pagination"),startIndex=(this.listCurrentPage-1)*this.listItemsPerPage,endIndex=startIndex+this.listItemsPerPage,pageReports=reports.slice(startIndex,endIndex);if(listContainer.empty(),pageReports.forEach((function(report){var item=template.html(),$item=$(item);$item.attr("data-slug",report.slug),$item.attr("data-source",report.source);var reportName=report.name||report.title||report.display_name||report.report_name||report.slug||"Untitled Report";$item.find(".block-adeptus-report-item-name").text(reportName);var categoryName=report.category_info?report.category_info.name:report.category||"General",categoryColor=report.category_info?report.category_info.color:"#6c757d";$item.find(".block-adeptus-report-item-category").text(categoryName).css("background-color",categoryColor).css("color","#fff"),listContainer.append($item)})),listContainer.removeClass("d-none"),this.listTotalPages>1){var actualEnd=startIndex+pageReports.length;paginationContainer.find(".pagination-showing").text(this.formatShowingText(startIndex+1,actualEnd,reports.length)),paginationContainer.find(".pagination-pages").text(this.formatPageText(this.listCurrentPage,this.listTotalPages)),paginationContainer.find(".pagination-prev").prop("disabled",this.listCurrentPage<=1),paginationContainer.find(".pagination-next").prop("disabled",this.listCurrentPage>=this.listTotalPages),paginationContainer.removeClass("d-none")}else paginationContainer.addClass("d-none")},renderEmbedded:function(){this.embeddedReport=null,this.embeddedData=null,this.embeddedChartInstance=null,this.populateReportSelector(),0===this.reports.length&&this.showEmpty()},loadEmbeddedReport:function(slug,source){var self=this,report=this.findReport(slug,source),signal=this.beginRequest("embedded");if(report){var params=this.getReportParams(report),$parameters=this.container.find(".block-adeptus-embedded-parameters"),reload=function(){self.loadEmbeddedReport(slug,source)};this.dataService.peek(report,params)||this.showEmbeddedLoadingOverlay();var staleResult=null;this.dataService.load(report,{signal:signal,params:params,onStale:function(result){staleResult=result,self.hideEmbeddedLoadingOverlay(),self.embeddedData=result.results,self.renderEmbeddedContent(result.report,result.results),self.showParameterBar($parameters,report,result,reload),self.setRefreshing(self.container,!0)}}).then((function(result){return self.hideEmbeddedLoadingOverlay(),self.setRefreshing(self.container,!1),self.embeddedData=result.results,self.renderEmbeddedContent(result.report,result.results),self.showParameterBar($parameters,report,result,reload),result})).catch((function(error){"abort"!==error.code&&(self.hideEmbeddedLoadingOverlay(),self.setRefreshing(self.container,!1),self.handleLoadFailure(error,staleResult)||self.showError(self.getErrorMessage(error)))}))}else this.showError(this.strings.errorReportNotFound)},renderEmbeddedContent:function(report,data){var self=this,contentArea=this.container.find(".block-adeptus-content");if(data&&0!==data.length){this.embeddedReport=report,this.embeddedData=data,this.embeddedDataset&&this.embeddedDataset.release(),this.embeddedDataset=DataWorker.dataset(data),this.embeddedFilter=this.getTableFilter(this.embeddedFilter,report),this.embeddedPivot=this.getPivot(this.embeddedPivot,report),this.embeddedPivotChart=!1;var category=report.category_info||{name:"General",color:"#6c757d"};this.container.find(".block-adeptus-report-category").text(category.name).css("background-color",category.color).css("color","#fff"),this.container.find(".block-adeptus-row-count-num").text(data.length),this.container.find(".report-date").text(this.strings.lastUpdated+": "+(new Date).toLocaleTimeString()),this.populateEmbeddedChartControls(data),this.embeddedCurrentView="table",this.container.find(".block-adeptus-embedded-view-toggle-btn").removeClass("active"),this.container.find('.block-adeptus-embedded-view-toggle-btn[data-view="table"]').addClass("active"),this.container.find(".block-adeptus-embedded-view").addClass("d-none"),this.container.find(".block-adeptus-embedded-table-view").removeClass("d-none"),this.embeddedTable&&this.embeddedTable.destroy(),this.embeddedTable=this.createReportTable(this.container.find(".block-adeptus-embedded-table-container"),report,this.embeddedDataset,Object.keys(data[0]),this.embeddedFilter,50,(function(){self.scrollToEmbeddedTableTop()})),this.embeddedTable.render().catch(Notification.exception),this.showTableFilter(this.container.find(".block-adeptus-embedded-filter"),this.embeddedDataset,this.embeddedFilter,(function(){self.embeddedTable.showPage(1).catch(Notification.exception),"chart"===self.embeddedCurrentView?self.renderEmbeddedChart():"pivot"===self.embeddedCurrentView&&self.renderEmbeddedPivot()})),contentArea.removeClass("d-none"),this.hideLoading(),this.updateTimestamp()}else this.showEmpty()},switchEmbeddedView:function(view){this.embeddedCurrentView=view,this.container.find(".block-adeptus-embedded-view-toggle-btn").removeClass("active"),this.container.find('.block-adeptus-embedded-view-toggle-btn[data-view="'+view+'"]').addClass("active"),this.container.find(".block-adeptus-embedded-view").addClass("d-none"),this.container.find(".block-adeptus-embedded-"+view+"-view").removeClass("d-none"),"chart"===view?this.renderEmbeddedChart():"pivot"===view&&this.renderEmbeddedPivot()},renderEmbeddedPivot:function(){var self=this,dataset=this.embeddedDataset;return dataset?this.showPivotView(this.container.find(".block-adeptus-embedded-pivot"),dataset,this.embeddedFilter,this.embeddedPivot,this.embeddedReport,(function(pivot){self.embeddedPivot=pivot}),(function(pivot){self.embeddedPivot=pivot,self.embeddedPivotChart=!0,self.switchEmbeddedView("chart")})):Promise.resolve()},populateEmbeddedChartControls:function(data){data&&0!==data.length&&(this.embeddedXAxis="",this.embeddedAggregate="auto",this.embeddedBucket="auto",this.embeddedSeries=[],this.updateEmbeddedChartAxes().catch(Notification.exception))},updateEmbeddedChartAxes:function(){var self=this,dataset=this.embeddedDataset;return dataset.columns().then((function(columns){if(self.embeddedDataset!==dataset)return columns;var axes=self.fillChartAxes({x:self.container.find(".block-adeptus-embedded-chart-x-axis"),aggregate:self.container.find(".block-adeptus-embedded-chart-aggregate"),bucket:self.container.find(".block-adeptus-embedded-chart-bucket"),sort:self.container.find(".block-adeptus-embedded-chart-sort"),top:self.container.find(".block-adeptus-embedded-chart-top"),series:self.container.find(".block-adeptus-embedded-chart-series")},columns,self.embeddedChartType,{x:self.embeddedXAxis,aggregate:self.embeddedAggregate,bucket:self.embeddedBucket,sort:self.embeddedSort,top:self.embeddedTop,series:self.embeddedSeries},(function(series){self.embeddedSeries=series,self.embeddedPivotChart=!1,self.renderEmbeddedChart()}));return self.embeddedXAxis=axes.x,self.embeddedAggregate=axes.aggregate,self.embeddedBucket=axes.bucket,self.embeddedSort=axes.sort,self.embeddedTop=axes.top,self.embeddedSeries=axes.series,columns}))},renderEmbeddedChart:function(){var self=this,data=this.embeddedData||[],dataset=this.embeddedDataset,canvas=this.container.find(".block-adeptus-embedded-chart")[0];if(canvas&&0!==data.length)if(this.container.find(".block-adeptus-embedded-chart-view .block-adeptus-pivot-chart-note").toggleClass("d-none",!this.embeddedPivotChart),this.embeddedPivotChart&&this.embeddedPivot)this.loadPivotChart(dataset,this.embeddedFilter,this.embeddedPivot).then((function(chartData){return self.embeddedDataset===dataset&&(self.embeddedChartInstance&&self.embeddedChartInstance.destroy(),self.embeddedChartInstance=self.drawPivotChart(canvas,self.embeddedChartType||"bar",chartData)),chartData})).catch(Notification.exception);else{var axes={x:this.embeddedXAxis||Object.keys(data[0])[0],aggregate:this.embeddedAggregate,bucket:this.embeddedBucket,sort:this.embeddedSort,top:this.embeddedTop,series:this.embeddedSeries.length?this.embeddedSeries:[{column:Object.keys(data[0])[1]}]};this.loadChartData(dataset,this.embeddedFilter,this.embeddedChartType,axes,30).then((function(chartData){return self.embeddedDataset===dataset&&self.drawEmbeddedChart(canvas,chartData),chartData})).catch(Notification.exception)}},drawEmbeddedChart:function(canvas,chartData){this.embeddedChartInstance&&(this.embeddedChartInstance.destroy(),this.embeddedChartInstance=null);var config=ChartTypes.create(this.embeddedChartType,chartData,{showLabels:(chartData.labels||[]).length<=15,labelLength:20,unknown:this.strings.unknown});try{this.embeddedChartInstance=new Chart(canvas.getContext("2d"),config)}catch(_error){this.container.find(".block-adeptus-embedded-chart-container").html('<div class="alert alert-warning text-center"><i class="fa fa-exclamation-circle"></i> Could not render chart</div>')}},exportEmbeddedReport:function(format){var self=this,data=this.embeddedData||[],report=this.embeddedReport||{};0!==data.length?$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/check_export_eligibility.php",method:"POST",data:{format:format,sesskey:M.cfg.sesskey},dataType:"json"}).done((function(response){response.success&&response.eligible?self.performExport(format,report,data):self.showExportUpgradePrompt(format,response.message||self.strings.exportNotAvailable)})).fail((function(){Notification.addNotification({message:self.strings.exportVerifyError,type:"error"})})):Notification.addNotification({message:self.strings.exportNoData,type:"warning"})},renderKpi:function(reports){var self=this,gridContainer=this.container.find(".block-adeptus-kpi-grid"),template=$("#block-adeptus-kpi-card-template-"+this.blockId),maxCards=parseInt(this.config.kpiColumns,10)||2;maxCards=Math.max(1,Math.min(4,maxCards)),gridContainer.empty();var kpiReports=reports.slice(0,maxCards),cardMap={},wizardReports=[],aiReports=[];kpiReports.forEach((function(report,index){var card=template.html(),$card=$(card),reportName=report.name||report.title||report.display_name||report.slug||"Metric";$card.attr("data-slug",report.slug),$card.attr("data-source",report.source),$card.find(".block-adeptus-kpi-card-label").text(reportName),$card.find(".block-adeptus-kpi-card-value").html('<i class="fa fa-spinner fa-spin"></i>'),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"),$card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none");var defaultIcons=["fa-users","fa-graduation-cap","fa-clock-o","fa-check-circle"],iconClass=report.customIcon||defaultIcons[index%defaultIcons.length];$card.find(".block-adeptus-kpi-card-icon i").removeClass("fa-bar-chart").addClass(iconClass),gridContainer.append($card),cardMap[report.slug]={$card:$card,report:report,index:index},"wizard"===report.source?wizardReports.push(report):aiReports.push(report)})),gridContainer.removeClass("d-none"),wizardReports.length>0&&this.loadKpiBatch(wizardReports,cardMap),aiReports.forEach((function(report,index){var cardInfo=cardMap[report.slug];setTimeout((function(){self.loadKpiData(report,cardInfo.$card,cardInfo.index)}),100*index)}))},loadKpiBatch:function(reports,cardMap){var self=this,lookups=reports.map((function(report){return self.dataService.lookup(report)}));Promise.all(lookups).then((function(cached){var toFetch=reports.filter((function(report,index){var cardInfo=cardMap[report.slug];return!cached[index]||!cardInfo||(self.renderKpiValue(cardInfo.$card,cached[index].result.results,cached[index].stale),cached[index].stale)}));return toFetch.length>0&&self.fetchKpiBatch(toFetch,cardMap),toFetch})).catch((function(){self.fetchKpiBatch(reports,cardMap)}))},fetchKpiBatch:function(reports,cardMap){var self=this,reportIds=reports.map((function(r){return r.report_template_id||r.id||r.name||r.slug}));$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/batch_kpi_data.php",method:"POST",data:$.extend({},this.dataService.getParams(),{reportids:JSON.stringify(reportIds),sesskey:M.cfg.sesskey}),dataType:"json",timeout:3e4}).done((function(response){response.success&&response.reports?reports.forEach((function(report){var reportId=report.report_template_id||report.id||report.name||report.slug,reportData=response.reports[reportId],cardInfo=cardMap[report.slug];if(cardInfo){var $card=cardInfo.$card;reportData&&reportData.success?(self.dataService.prime(report,reportData.results||[]),self.renderKpiValue($card,reportData.results||[])):self.showKpiUnavailable($card)}})):reports.forEach((function(report,index){var cardInfo=cardMap[report.slug];setTimeout((function(){self.loadKpiData(report,cardInfo.$card,cardInfo.index)}),100*index)}))})).fail((function(){reports.forEach((function(report,index){var cardInfo=cardMap[report.slug];setTimeout((function(){self.loadKpiData(report,cardInfo.$card,cardInfo.index)}),100*index)}))}))},loadKpiData:function(report,$card,cardIndex,retryCount){var self=this;retryCount=retryCount||0;var staleResult=null;this.dataService.load(report,{onStale:function(result){staleResult=result,self.renderKpiValue($card,result.results,!0)}}).then((function(result){return self.renderKpiValue($card,result.results),result})).catch((function(error){retryCount<2&&("timeout"===error.textStatus||error.status>=500)?setTimeout((function(){self.loadKpiData(report,$card,cardIndex,retryCount+1)}),1e3*(retryCount+1)):(self.handleLoadFailure(error,staleResult),self.showKpiUnavailable($card))}))},renderKpiValue:function($card,data,stale){var slug=$card.data("slug"),source=$card.data("source")||"wizard",label=$card.find(".block-adeptus-kpi-card-label").text()||"";if($card.toggleClass("block-adeptus-kpi-card-refreshing",!!stale),!data||0===data.length)return $card.removeData("kpiDataset"),$card.find(".block-adeptus-kpi-card-value").text("0"),void(stale||this.saveKpiHistoryToServer($card,slug,0,source,label,0));var self=this,dataset=DataWorker.dataset(data);$card.data("kpiDataset",dataset),dataset.kpi().then((function(kpi){return dataset.release(),$card.data("kpiDataset")!==dataset||($card.find(".block-adeptus-kpi-card-value").text(self.formatKpiValue(kpi.value)),stale||self.saveKpiHistoryToServer($card,slug,kpi.value,source,label,kpi.rows)),kpi})).catch(Notification.exception)},showKpiUnavailable:function($card){$card.hasClass("block-adeptus-kpi-card-refreshing")?$card.removeClass("block-adeptus-kpi-card-refreshing"):($card.find(".block-adeptus-kpi-card-value").text("--"),$card.find(".block-adeptus-kpi-card-trend").addClass("d-none"))},formatKpiValue:function(value){return value>=1e6?(value/1e6).toFixed(1)+"M":value>=1e3?(value/1e3).toFixed(1)+"K":Number.isInteger(value)?value.toLocaleString():value.toFixed(1)},saveKpiHistoryToServer:function($card,slug,value,source,_label,_rowCount,executionTimeMs){if(!this.config.snapshotsEnabled)return $card.find(".block-adeptus-kpi-card-trend").addClass("d-none"),void $card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none");TabSync.isLeader(this.blockId)?this.postSnapshotToBackend($card,slug,value,executionTimeMs||0):this.useSharedSnapshot($card,slug)},postSnapshotToBackend:function($card,slug,metricValue,executionTimeMs,source,capturedAt){var self=this,token=this.apiKey;if(source=source||$card.data("source")||"wizard",!token)return $card.find(".block-adeptus-kpi-card-trend").addClass("d-none"),void $card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none");var endpoint="ai"===source?"/ai-reports/":"/wizard-reports/",baselinePeriod=this.config.baselinePeriod||"all_time",historyLimit=this.getHistoryLimitForBaseline(baselinePeriod);$.ajax({url:this.backendUrl+endpoint+encodeURIComponent(slug)+"/snapshots?baseline_period="+baselinePeriod+"&history_limit="+historyLimit,method:"POST",headers:{Authorization:"Bearer "+token,"Content-Type":"application/json",Accept:"application/json"},data:JSON.stringify({row_count:metricValue,execution_time_ms:executionTimeMs,captured_at:new Date(capturedAt||Date.now()).toISOString(),evaluate_alerts:!capturedAt,baseline_period:baselinePeriod}),timeout:15e3}).done((function(response){if(response.success&&!capturedAt&&(self.applySnapshot($card,slug,metricValue,response),TabSync.publish(self.blockId,"snapshot",{slug:slug,metricValue:metricValue,response:response}),self.registerSnapshotSchedule(slug,source,metricValue),response.alerts&&response.alerts.triggered_count>0)){var reportName=$card.find(".block-adeptus-kpi-card-label").text()||slug;self.handleTriggeredAlerts(response.alerts.triggered,slug,metricValue,response.trend,reportName)}})).fail((function(jqXHR,textStatus){capturedAt||($card.find(".block-adeptus-kpi-card-trend").addClass("d-none"),$card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none")),("timeout"===textStatus||0===jqXHR.status||jqXHR.status>=500)&&(self.queueSnapshot(slug,source,metricValue,executionTimeMs,capturedAt),self.goOffline())}))},applySnapshot:function($card,slug,metricValue,response){this.snapshotResponses[slug]={metricValue:metricValue,response:response},this.kpiSnapshotCache[slug]={history:response.history||[],trend:response.trend||{},currentValue:metricValue,timestamp:Date.now()},this.updateKpiTrendFromBackend($card,response.trend),response.history&&response.history.length>=2?this.renderKpiSparklineFromBackend($card,slug,response.history):$card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none")},useSharedSnapshot:function($card,slug){var shared=this.snapshotResponses[slug];shared?this.applySnapshot($card,slug,shared.metricValue,shared.response):TabSync.publish(this.blockId,"snapshot-request",{slug:slug})},getSnapshotQueueKey:function(){return"adeptus_block_snapshot_queue_"+this.config.userId+"_"+this.blockId},queueSnapshot:function(slug,source,metricValue,executionTimeMs,capturedAt){var key=this.getSnapshotQueueKey();try{var queue=JSON.parse(localStorage.getItem(key))||{};if(capturedAt=capturedAt||Date.now(),queue[slug]&&queue[slug].capturedAt>capturedAt)return;queue[slug]={source:source,metricValue:metricValue,executionTimeMs:executionTimeMs,capturedAt:capturedAt},localStorage.setItem(key,JSON.stringify(queue))}catch(_e){}},replaySnapshots:function(){var queue,self=this,key=this.getSnapshotQueueKey();if(this.config.snapshotsEnabled&&TabSync.isLeader(this.blockId)){try{queue=JSON.parse(localStorage.getItem(key)),localStorage.removeItem(key)}catch(_e){return}Object.keys(queue||{}).forEach((function(slug){var entry=queue[slug];if(entry.capturedAt&&!(Date.now()-entry.capturedAt>864e5)){var $card=self.container.find('.block-adeptus-kpi-card[data-slug="'+slug+'"]');self.postSnapshotToBackend($card,slug,entry.metricValue,entry.executionTimeMs,entry.source,entry.capturedAt)}}))}},registerSnapshotSchedule:function(slug,source,metricValue){var self=this,scheduleKey=this.blockId+"_"+slug;if(!this.registeredSnapshots[scheduleKey]){var intervalSeconds=this.config.kpiHistoryInterval||3600;Ajax.call([{methodname:"block_adeptus_insights_register_snapshot_schedule",args:{blockinstanceid:this.blockId,reportslug:slug,reportsource:source,intervalseconds:intervalSeconds,rowcount:metricValue}}])[0].done((function(response){response.success&&(self.registeredSnapshots[scheduleKey]=!0)})).fail((function(){}))}},updateKpiTrendFromBackend:function($card,trend){var trendContainer=$card.find(".block-adeptus-kpi-card-trend");if(trendContainer.removeClass("d-none trend-up trend-down trend-neutral"),trend&&(trend.vs_baseline||trend.vs_previous))this.updateKpiDualTrend($card,trend);else if(trend&&trend.has_previous){var direction=trend.direction,percentage=Math.abs(trend.change_percent||0),changeText=this.formatPercentage(percentage);"increase"===direction?(trendContainer.addClass("trend-up"),trendContainer.find(".trend-icon").html('<i class="fa fa-arrow-up"></i>'),trendContainer.find(".trend-value").text(this.strings.vsPrevious.replace("{$a}","+"+changeText))):"decrease"===direction?(trendContainer.addClass("trend-down"),trendContainer.find(".trend-icon").html('<i class="fa fa-arrow-down"></i>'),trendContainer.find(".trend-value").text(this.strings.vsPrevious.replace("{$a}","-"+changeText))):(trendContainer.addClass("trend-neutral"),trendContainer.find(".trend-icon").html('<i class="fa fa-minus"></i>'),trendContainer.find(".trend-value").text(this.strings.noChange))}else trendContainer.addClass("d-none")},updateKpiDualTrend:function($card,trend){var trendContainer=$card.find(".block-adeptus-kpi-card-trend");trendContainer.removeClass("d-none trend-up trend-down trend-neutral");var vsBaseline=trend.vs_baseline||{},vsPrevious=trend.vs_previous||{},hasBaseline=vsBaseline.has_baseline,hasPrevious=vsPrevious.has_previous;if(hasBaseline||hasPrevious){var parts=[],directionSigns={increase:"+",decrease:"-"};if(hasBaseline){var baselinePct=this.formatPercentage(Math.abs(vsBaseline.change_percent||0)),baselineIcon=this.getTrendIcon(vsBaseline.direction),baselineSign=directionSigns[vsBaseline.direction]||"";parts.push(baselineIcon+" "+baselineSign+baselinePct+" overall")}if(hasPrevious){var previousPct=this.formatPercentage(Math.abs(vsPrevious.change_percent||0)),previousIcon=this.getTrendIcon(vsPrevious.direction),previousSign=directionSigns[vsPrevious.direction]||"";parts.push(previousIcon+" "+previousSign+previousPct+" since last")}var primaryDirection=hasBaseline?vsBaseline.direction:vsPrevious.direction;"increase"===primaryDirection?trendContainer.addClass("trend-up"):"decrease"===primaryDirection?trendContainer.addClass("trend-down"):trendContainer.addClass("trend-neutral"),trendContainer.find(".trend-icon").html(""),trendContainer.find(".trend-value").html(parts.join(' <span class="trend-separator">|</span> '))}else trendContainer.addClass("d-none")},getTrendIcon:function(direction){return"increase"===direction?'<i class="fa fa-arrow-up trend-icon-up"></i>':"decrease"===direction?'<i class="fa fa-arrow-down trend-icon-down"></i>':'<i class="fa fa-minus trend-icon-neutral"></i>'},formatPercentage:function(percentage){return percentage>=100?Math.round(percentage)+"%":percentage>=10?percentage.toFixed(0)+"%":percentage.toFixed(1)+"%"},formatNumber:function(value){if(null==value||"--"===value)return"--";var num=parseFloat(value);return isNaN(num)?value.toString():Math.abs(num)>=1e3?num.toLocaleString():num%1!=0?num.toFixed(2):num.toString()},formatTimestamp:function(timestamp){if(!timestamp)return"";var date=new Date(timestamp),diffMs=new Date-date,diffMins=Math.floor(diffMs/6e4),diffHours=Math.floor(diffMins/60),diffDays=Math.floor(diffHours/24);if(diffMins<1)return this.strings.justNow;if(diffMins<60)return this.strings.minAgo.replace("{$a}",diffMins);if(diffHours<24)return(diffHours>1?this.strings.hoursAgo:this.strings.hourAgo).replace("{$a}",diffHours);if(diffDays<7)return(diffDays>1?this.strings.daysAgo:this.strings.dayAgo).replace("{$a}",diffDays);return["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][date.getMonth()]+" "+date.getDate()+", "+date.getFullYear()},formatShowingText:function(start,end,total){return this.strings.showingXOfY&&-1!==this.strings.showingXOfY.indexOf("{$a")?this.strings.showingXOfY.replace("{$a->start}",start).replace("{$a->end}",end).replace("{$a->total}",total):"Showing "+start+"-"+end+" of "+total},formatPageText:function(current,total){return this.strings.page+" "+current+" "+this.strings.of+" "+total},getHistoryLimitForBaseline:function(baselinePeriod){switch(baselinePeriod){case"all_time":return 100;case"rolling_30d":return 60;case"month_start":return 62;case"rolling_7d":case"week_start":return 14;default:return 30}},renderKpiSparklineFromBackend:function($card,slug,history){var sparklineData=history.map((function(point){return point.row_count})).reverse();this.renderKpiSparklineFromData($card,slug,sparklineData,sparklineData[sparklineData.length-1])},handleTriggeredAlerts:function(triggeredAlerts,reportSlug,currentValue,trend,reportName){var self=this;if(triggeredAlerts&&0!==triggeredAlerts.length){var alertsConfig=self.config.alertsConfig||[],alertsToSend=triggeredAlerts.map((function(alert){for(var alertName=alert.alert_name||alert.name||"Alert",value=parseFloat(alert.current_value||alert.actual_value||alert.value||currentValue||0),displayReportName=reportName||alert.report_name||reportSlug||"Report",alertId=alert.id||alert.alert_id||0,localConfig=null,i=0;i<alertsConfig.length;i++)if(alertsConfig[i].backend_id===alertId){localConfig=alertsConfig[i];break}var severity="warning",thresholdValue=alert.threshold||alert.threshold_value||"";if(localConfig){var warningThreshold=parseFloat(localConfig.warning_value)||0,criticalThreshold=parseFloat(localConfig.critical_value)||0;criticalThreshold>0&&value>=criticalThreshold?(severity="critical",thresholdValue=criticalThreshold):warningThreshold>0&&value>=warningThreshold&&(severity="warning",thresholdValue=warningThreshold)}else severity=alert.severity||(alert.is_critical?"critical":"warning");var message="Your "+displayReportName+" has reached "+value+", exceeding your "+severity+" threshold ("+thresholdValue+").";if(trend&&trend.has_previous){var direction=trend.direction||"change",changeAbs=Math.abs(trend.change_absolute||0),changePct=Math.abs(trend.change_percent||0).toFixed(1);message+="increase"===direction?" "+alertName+" increased by "+changeAbs+" ("+changePct+"%) since last measurement.":"decrease"===direction?" "+alertName+" decreased by "+changeAbs+" ("+changePct+"%) since last measurement.":" "+alertName+" has remained stable since last measurement."}return{alert_id:alertId,alert_name:alertName,message:message,severity:severity,report_name:displayReportName,report_slug:alert.report_slug||alert.slug||reportSlug||"",current_value:String(value),threshold:String(thresholdValue),notify_users:JSON.stringify(alert.notify_users||[])}}));require(["core/ajax"],(function(Ajax){Ajax.call([{methodname:"block_adeptus_insights_send_alert_notification",args:{blockinstanceid:self.blockId,alerts:alertsToSend}}])[0].done((function(response){response.success&&response.sent_count>0&&setTimeout((function(){self.refreshNotificationArea()}),500)})).fail((function(){}))}))}},refreshNotificationArea:function(){require(["jquery","core/ajax"],(function($,Ajax){try{var $popover=$("#nav-notification-popover-container");if(!$popover.length)return;var userId=$popover.attr("data-userid");if(!userId)return;Ajax.call([{methodname:"message_popup_get_unread_popup_notification_count",args:{useridto:parseInt(userId,10)}}])[0].done((function(count){var $countContainer=$popover.find('[data-region="count-container"]');$countContainer.length&&(count>0?($countContainer.text(count),$countContainer.removeClass("hidden")):$countContainer.addClass("hidden"))})).fail((function(){}))}catch(_e){}}))},loadKpiSparklineFromServer:function($card){this.config.snapshotsEnabled||$card.find(".block-adeptus-kpi-card-sparkline").addClass("d-none")},updateKpiTrendFromServer:function($card,direction,percentage){var trendContainer=$card.find(".block-adeptus-kpi-card-trend");trendContainer.removeClass("d-none trend-up trend-down trend-neutral");var changeText,absChange=Math.abs(percentage);changeText=absChange>=100?Math.round(absChange)+"%":absChange>=10?absChange.toFixed(0)+"%":absChange.toFixed(1)+"%","up"===direction?(trendContainer.addClass("trend-up"),trendContainer.find(".trend-icon").html('<i class="fa fa-arrow-up"></i>'),trendContainer.find(".trend-value").text(this.strings.vsPrevious.replace("{$a}",changeText))):"down"===direction?(trendContainer.addClass("trend-down"),trendContainer.find(".trend-icon").html('<i class="fa fa-arrow-down"></i>'),trendContainer.find(".trend-value").text(this.strings.vsPrevious.replace("{$a}",changeText))):(trendContainer.addClass("trend-neutral"),trendContainer.find(".trend-icon").html('<i class="fa fa-minus"></i>'),trendContainer.find(".trend-value").text(this.strings.noChange))},updateKpiTrend:function($card){var trendContainer=$card.find(".block-adeptus-kpi-card-trend");trendContainer.removeClass("d-none"),trendContainer.addClass("trend-neutral"),trendContainer.find(".trend-icon").html('<i class="fa fa-spinner fa-spin"></i>'),trendContainer.find(".trend-value").text(this.strings.loading)},renderKpiSparklineFromData:function($card,slug,sparklineData,currentValue){var sparklineContainer=$card.find(".block-adeptus-kpi-card-sparkline"),canvas=sparklineContainer.find(".block-adeptus-sparkline-chart")[0];if(canvas){var dataPoints=sparklineData.slice();if(0!==dataPoints.length&&dataPoints[dataPoints.length-1]===currentValue||dataPoints.push(currentValue),dataPoints.length<2)sparklineContainer.addClass("d-none");else{sparklineContainer.removeClass("d-none");var firstValue=dataPoints[0],lastValue=dataPoints[dataPoints.length-1],trendColor=lastValue>=firstValue?"rgba(40, 167, 69, 0.8)":"rgba(220, 53, 69, 0.8)",trendBgColor=lastValue>=firstValue?"rgba(40, 167, 69, 0.1)":"rgba(220, 53, 69, 0.1)",chartKey="sparkline_"+this.blockId+"_"+slug;this.kpiSparklineCharts&&this.kpiSparklineCharts[chartKey]&&this.kpiSparklineCharts[chartKey].destroy(),this.kpiSparklineCharts||(this.kpiSparklineCharts={});try{this.kpiSparklineCharts[chartKey]=new Chart(canvas.getContext("2d"),{type:"line",data:{labels:dataPoints.map((function(){return""})),datasets:[{data:dataPoints,borderColor:trendColor,backgroundColor:trendBgColor,borderWidth:2,fill:!0,tension:.4,pointRadius:0,pointHoverRadius:0}]},options:{responsive:!0,maintainAspectRatio:!1,plugins:{legend:{display:!1},tooltip:{enabled:!1}},scales:{x:{display:!1},y:{display:!1}},elements:{line:{borderCapStyle:"round"}},animation:{duration:500}}})}catch(_e){sparklineContainer.addClass("d-none")}}}},renderKpiSparkline:function(){},renderTabs:function(reports){var self=this,tabNav=this.container.find(".block-adeptus-tab-nav"),tabContent=this.container.find(".block-adeptus-tab-content"),tabTemplate=$("#block-adeptus-tab-template-"+this.blockId),paneTemplate=$("#block-adeptus-tab-pane-template-"+this.blockId);if(tabNav.empty(),tabContent.empty(),this.tabChartInstances={},reports.slice(0,5).forEach((function(report,index){var tabId="tab-"+self.blockId+"-"+index,reportName=report.name||report.title||report.display_name||report.slug||"Report",tab=$(tabTemplate.html());tab.find("a").attr("href","#"+tabId).attr("aria-controls",tabId),tab.find(".block-adeptus-tab-name").text(reportName),0===index&&tab.find("a").addClass("active").attr("aria-selected","true"),tabNav.append(tab);var pane=$(paneTemplate.html());pane.attr("id",tabId),pane.attr("data-slug",report.slug),pane.attr("data-source",report.source),0===index&&pane.addClass("show active"),tabContent.append(pane)})),reports.length>0){var firstPane=tabContent.find(".block-adeptus-tab-pane").first();this.loadTabContent(firstPane,reports[0].slug,reports[0].source)}this.container.find(".block-adeptus-tabs-container").removeClass("d-none")},loadTabContent:function(pane,slug,source){var self=this,report=this.findReport(slug,source),signal=this.beginRequest("tab");if(pane.data("loaded",!0),report){var $parameters=pane.find(".block-adeptus-tab-parameters"),reload=function(){self.setRefreshing(pane,!0),self.loadTabContent(pane,slug,source)},staleResult=null;this.dataService.load(report,{signal:signal,params:this.getReportParams(report),onStale:function(result){staleResult=result,self.renderTabContent(pane,result.report,result.results),self.showParameterBar($parameters,report,result,reload),self.setRefreshing(pane,!0)}}).then((function(result){return self.setRefreshing(pane,!1),self.renderTabContent(pane,result.report,result.results),self.showParameterBar($parameters,report,result,reload),result})).catch((function(error){self.setRefreshing(pane,!1),"abort"!==error.code?self.handleLoadFailure(error,staleResult)||self.showTabError(pane,self.getErrorMessage(error)):pane.data("loaded",!1)}))}else this.showTabError(pane,this.strings.errorReportNotFound)},showTabError:function(pane,message){pane.find(".block-adeptus-tab-pane-loading").addClass("d-none"),pane.find(".block-adeptus-tab-pane-content").removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-exclamation-circle"></i><p class="mt-2">'+this.escapeHtml(message)+"</p></div>")},renderTabContent:function(pane,report,data){var self=this,tabId=pane.attr("id");pane.find(".block-adeptus-tab-pane-loading").addClass("d-none");var contentArea=pane.find(".block-adeptus-tab-pane-content");if(data&&0!==data.length){var headers=Object.keys(data[0]),previous=this.tabPaneStates[tabId];previous&&previous.dataset&&previous.dataset.release(),previous&&previous.table&&previous.table.destroy();var state={data:data,dataset:DataWorker.dataset(data),report:report,headers:headers,currentView:"table",table:null,chartType:"bar",filter:this.getTableFilter(previous&&previous.filter,report),pivot:this.getPivot(previous&&previous.pivot,report),pivotChart:!1,xAxis:headers[0],aggregate:"auto",bucket:"auto",sort:this.config.chartSort||"none",top:this.config.chartTopN||0,series:[{column:headers[headers.length-1]}]};this.tabPaneStates[tabId]=state,contentArea.removeClass("d-none"),this.updateTabMetaBar(pane,report,data),this.populateTabChartControls(pane,state).catch(Notification.exception),state.table=this.createReportTable(pane.find(".tab-table-container"),report,state.dataset,headers,state.filter,50),state.table.render().catch(Notification.exception),this.showTableFilter(pane.find(".block-adeptus-tab-filter"),state.dataset,state.filter,(function(){var current=self.tabPaneStates[tabId];current.table.showPage(1).catch(Notification.exception),"chart"===current.currentView?self.renderTabChart(pane,current):"pivot"===current.currentView&&self.renderTabPivot(pane,current)})),pane.find(".block-adeptus-tab-view-toggle-btn").removeClass("active"),pane.find('.block-adeptus-tab-view-toggle-btn[data-view="table"]').addClass("active"),pane.find(".block-adeptus-tab-view").addClass("d-none"),pane.find(".tab-table-view").removeClass("d-none")}else contentArea.removeClass("d-none").html('<div class="text-center text-muted py-4"><i class="fa fa-inbox"></i><p class="mt-2">No data available</p></div>')},updateTabMetaBar:function(pane,report,data){var category=report.category||report.category_name||"",categoryBadge=pane.find(".block-adeptus-report-category");category?(categoryBadge.text(category).removeClass("d-none"),report.category_color?categoryBadge.css("background-color",report.category_color):categoryBadge.addClass("bg-primary")):categoryBadge.addClass("d-none"),pane.find(".block-adeptus-row-count-num").text(data.length);var dateStr=report.updated_at||report.created_at||"";if(dateStr){var date=new Date(dateStr);pane.find(".report-date").text(date.toLocaleDateString())}},populateTabChartControls:function(pane,state){var self=this,tabId=pane.attr("id");return state.dataset.columns().then((function(columns){if(self.tabPaneStates[tabId]!==state)return columns;var axes=self.fillChartAxes({x:pane.find(".block-adeptus-tab-chart-x-axis"),aggregate:pane.find(".block-adeptus-tab-chart-aggregate"),bucket:pane.find(".block-adeptus-tab-chart-bucket"),sort:pane.find(".block-adeptus-tab-chart-sort"),top:pane.find(".block-adeptus-tab-chart-top"),series:pane.find(".block-adeptus-tab-chart-series")},columns,state.chartType,{x:state.xAxis,aggregate:state.aggregate,bucket:state.bucket,sort:state.sort,top:state.top,series:state.series},(function(series){state.series=series,state.pivotChart=!1,self.renderTabChart(pane,state)}));return state.xAxis=axes.x,state.aggregate=axes.aggregate,state.bucket=axes.bucket,state.sort=axes.sort,state.top=axes.top,state.series=axes.series,columns}))},switchTabView:function(pane,view){var tabId=pane.attr("id"),state=this.tabPaneStates[tabId];state&&(state.currentView=view,pane.find(".block-adeptus-tab-view-toggle-btn").removeClass("active"),pane.find('.block-adeptus-tab-view-toggle-btn[data-view="'+view+'"]').addClass("active"),pane.find(".block-adeptus-tab-view").addClass("d-none"),"table"===view?pane.find(".tab-table-view").removeClass("d-none"):pane.find(".block-adeptus-tab-"+view+"-view").removeClass("d-none"),"chart"===view?this.renderTabChart(pane,state):"pivot"===view&&this.renderTabPivot(pane,state))},renderTabPivot:function(pane,state){var self=this;return this.showPivotView(pane.find(".block-adeptus-tab-pivot"),state.dataset,state.filter,state.pivot,state.report,(function(pivot){state.pivot=pivot}),(function(pivot){state.pivot=pivot,state.pivotChart=!0,self.switchTabView(pane,"chart")}))},renderTabChart:function(pane,state){var self=this,tabId=pane.attr("id"),canvas=pane.find(".block-adeptus-tab-chart")[0];if(canvas&&state.data&&0!==state.data.length)if(pane.find(".block-adeptus-pivot-chart-note").toggleClass("d-none",!state.pivotChart),state.pivotChart&&state.pivot)this.loadPivotChart(state.dataset,state.filter,state.pivot).then((function(chartData){return self.tabPaneStates[tabId]===state&&(self.tabChartInstances=self.tabChartInstances||{},self.tabChartInstances[tabId]&&self.tabChartInstances[tabId].destroy(),self.tabChartInstances[tabId]=self.drawPivotChart(canvas,state.chartType,chartData)),chartData})).catch(Notification.exception);else{var axes={x:state.xAxis,aggregate:state.aggregate,bucket:state.bucket,sort:state.sort,top:state.top,series:state.series};this.loadChartData(state.dataset,state.filter,state.chartType,axes,20).then((function(chartData){return self.tabPaneStates[tabId]===state&&self.drawTabChart(pane,state,canvas,chartData),chartData})).catch(Notification.exception)}},drawTabChart:function(pane,state,canvas,chartData){var tabId=pane.attr("id");this.tabChartInstances&&this.tabChartInstances[tabId]&&this.tabChartInstances[tabId].destroy();var config=ChartTypes.create(state.chartType,chartData,{showLabels:(chartData.labels||[]).length<=10,labelLength:20,unknown:this.strings.unknown});try{this.tabChartInstances=this.tabChartInstances||{},this.tabChartInstances[tabId]=new Chart(canvas.getContext("2d"),config)}catch(_error){pane.find(".block-adeptus-tab-chart-container").html('<div class="alert alert-warning text-center"><i class="fa fa-exclamation-circle"></i> Could not render chart</div>')}},exportTabReport:function(state,format){var self=this;state&&state.data&&0!==state.data.length?$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/check_export_eligibility.php",method:"POST",data:{format:format,sesskey:M.cfg.sesskey},dataType:"json"}).done((function(response){response.success&&response.eligible?self.performExport(format,state.report,state.data):self.showExportUpgradePrompt(format,response.message||self.strings.exportNotAvailable)})).fail((function(){Notification.addNotification({message:self.strings.exportVerifyError,type:"error"})})):Notification.addNotification({message:self.strings.exportNoData,type:"warning"})},handleReportClick:function(slug,source){var action=this.config.clickAction||"modal";if("kpi"===this.config.displayMode&&this.config.alertsFeatureEnabled&&"modal"===action)this.openKpiModal(slug,source);else switch(action){case"modal":this.openReportModal(slug,source);break;case"newtab":this.openReportNewTab(slug)}},openReportModal:function(slug,source){var self=this,report=this.reports.find((function(r){return r.slug===slug}));report&&(this.modalData=null,this.modalReport=null,this.currentView="table",this.chartInstance&&(this.chartInstance.destroy(),this.chartInstance=null),Templates.render("block_adeptus_insights/report_modal",{blockid:this.blockId}).then((function(html){return ModalFactory.create({type:ModalFactory.types.DEFAULT,title:report.name,body:html,large:!0})})).then((function(modal){return self.modal=modal,self.bindModalEvents(modal),modal.getRoot().on(ModalEvents.shown,(function(){self.loadModalReport(slug,source)})),modal.getRoot().on(ModalEvents.hidden,(function(){self.cancelRequest("modal"),self.modalTable&&(self.modalTable.destroy(),self.modalTable=null),self.chartInstance&&(self.chartInstance.destroy(),self.chartInstance=null),modal.destroy(),self.modal=null,self.modalData=null,self.modalReport=null,self.modalDataset&&(self.modalDataset.release(),self.modalDataset=null),self.modalFilter=null})),modal.show(),modal})).catch(Notification.exception))},openKpiModal:function(slug,source){var self=this,report=this.reports.find((function(r){return r.slug===slug}));report&&(this.kpiModalData=null,this.kpiModalDateRange="all"===this.dateRange.preset?"30d":this.dateRange.preset,this.kpiModalChart&&(this.kpiModalChart.destroy(),this.kpiModalChart=null),Templates.render("block_adeptus_insights/kpi_modal",{blockid:this.blockId,customrange:"custom"===this.dateRange.preset}).then((function(html){return ModalFactory.create({type:ModalFactory.types.DEFAULT,title:report.name,body:html,large:!0})})).then((function(modal){return self.kpiModal=modal,modal.getRoot().find(".block-adeptus-kpi-date-range-select").val(self.kpiModalDateRange),self.bindKpiModalEvents(modal,slug,source),modal.getRoot().on(ModalEvents.shown,(function(){self.loadKpiModalData(slug,source,self.kpiModalDateRange)})),modal.getRoot().on(ModalEvents.hidden,(function(){self.kpiModalRequest&&(self.kpiModalRequest.abort(),self.kpiModalRequest=null),self.kpiModalChart&&(self.kpiModalChart.destroy(),self.kpiModalChart=null),modal.destroy(),self.kpiModal=null,self.kpiModalData=null})),modal.show(),modal})).catch(Notification.exception))},bindKpiModalEvents:function(modal,slug,source){var self=this,modalRoot=modal.getRoot();modalRoot.on("change",".block-adeptus-kpi-date-range-select",(function(){var dateRange=$(this).val();self.kpiModalDateRange=dateRange,self.loadKpiModalData(slug,source,dateRange)})),modalRoot.on("click",".block-adeptus-kpi-modal-retry",(function(e){e.preventDefault(),self.loadKpiModalData(slug,source,self.kpiModalDateRange)}))},loadKpiModalData:function(slug,source,dateRange){var self=this,modalContent=this.kpiModal.getRoot().find(".block-adeptus-kpi-modal-content");modalContent.find(".block-adeptus-kpi-modal-loading").removeClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-content-area").addClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-error").addClass("d-none"),this.kpiModalRequest&&(this.kpiModalRequest.abort(),this.kpiModalRequest=null);var cached=this.kpiSnapshotCache[slug];if(cached&&cached.history&&Date.now()-cached.timestamp<3e5)return self.kpiModalData=cached,void self.renderKpiModal(modalContent,cached,dateRange);var token=this.apiKey;if(token){var endpoint="ai"===source?"/ai-reports/":"/reports/",baselinePeriod=this.config.baselinePeriod||"all_time",historyLimit=this.getKpiModalHistoryLimit(dateRange),currentValue=cached?cached.currentValue:0;this.kpiModalRequest=$.ajax({url:this.backendUrl+endpoint+encodeURIComponent(slug)+"/snapshots?baseline_period="+baselinePeriod+"&history_limit="+historyLimit,method:"POST",headers:{Authorization:"Bearer "+token,"Content-Type":"application/json",Accept:"application/json"},data:JSON.stringify({row_count:currentValue,execution_time_ms:0,evaluate_alerts:!1,baseline_period:baselinePeriod}),timeout:15e3,success:function(response){self.kpiModalRequest=null,response&&response.success&&response.history?(self.kpiSnapshotCache[slug]={history:response.history||[],trend:response.trend||{},currentValue:currentValue,timestamp:Date.now()},self.kpiModalData=response,self.renderKpiModal(modalContent,response,dateRange)):self.showKpiModalError(modalContent)},error:function(_jqXHR,textStatus){"abort"!==textStatus&&(self.kpiModalRequest=null,self.showKpiModalError(modalContent))}})}else self.showKpiModalError(modalContent)},getKpiModalHistoryLimit:function(dateRange){switch(dateRange){case"7d":return 14;case"30d":default:return 60;case"90d":return 180;case"all":case"custom":return 500}},renderKpiModal:function(modalContent,data,dateRange){modalContent.find(".block-adeptus-kpi-modal-loading").addClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-content-area").removeClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-error").addClass("d-none");var history=(data.history||[]).slice();history.sort((function(a,b){return new Date(a.recorded_at||a.created_at)-new Date(b.recorded_at||b.created_at)}));var trend=data.trend||{},vsBaseline=trend.vs_baseline||{},vsPrevious=trend.vs_previous||{},filteredHistory=this.filterKpiHistoryByDateRange(history,dateRange),currentValue=data.currentValue;!currentValue&&filteredHistory.length>0&&(currentValue=filteredHistory[filteredHistory.length-1].row_count),currentValue=currentValue||"--",modalContent.find(".block-adeptus-kpi-modal-value").text(this.formatNumber(currentValue)),this.renderKpiModalTrends(modalContent,vsBaseline,vsPrevious);var stats=this.calculateKpiStats(filteredHistory);if(modalContent.find(".block-adeptus-kpi-stat-min").text(this.formatNumber(stats.min)),modalContent.find(".block-adeptus-kpi-stat-max").text(this.formatNumber(stats.max)),modalContent.find(".block-adeptus-kpi-stat-avg").text(this.formatNumber(stats.avg)),modalContent.find(".datapoints-count").text(filteredHistory.length),filteredHistory.length>0){var lastEntry=filteredHistory[filteredHistory.length-1],lastUpdated=lastEntry.recorded_at||lastEntry.created_at;lastUpdated&&modalContent.find(".block-adeptus-kpi-modal-last-updated").text(this.strings.lastUpdated+": "+this.formatTimestamp(lastUpdated))}this.renderKpiModalChart(modalContent,filteredHistory)},filterKpiHistoryByDateRange:function(history,dateRange){if("all"===dateRange||!history||0===history.length)return history;var cutoffDate,now=new Date,endDate=null;switch(dateRange){case"7d":cutoffDate=new Date(now.getTime()-6048e5);break;case"30d":cutoffDate=new Date(now.getTime()-2592e6);break;case"90d":cutoffDate=new Date(now.getTime()-7776e6);break;case"custom":cutoffDate=new Date(1e3*(this.dateRange.start||0)),endDate=this.dateRange.end?new Date(1e3*this.dateRange.end):null;break;default:return history}return history.filter((function(entry){var entryDate=new Date(entry.recorded_at||entry.created_at);return entryDate>=cutoffDate&&(!endDate||entryDate<=endDate)}))},renderKpiModalTrends:function(modalContent,vsBaseline,vsPrevious){var directionSigns={increase:"+",decrease:"-"},baselineHtml="--";if(vsBaseline&&vsBaseline.has_baseline){var baselinePct=this.formatPercentage(Math.abs(vsBaseline.change_percent||0)),baselineIcon=this.getTrendIcon(vsBaseline.direction);baselineHtml='<span class="'+("trend-"+(vsBaseline.direction||"neutral"))+'">'+baselineIcon+" "+(directionSigns[vsBaseline.direction]||"")+baselinePct+" overall</span>"}modalContent.find(".block-adeptus-kpi-modal-trend-baseline").html(baselineHtml);var previousHtml="--";if(vsPrevious&&vsPrevious.has_previous){var previousPct=this.formatPercentage(Math.abs(vsPrevious.change_percent||0)),previousIcon=this.getTrendIcon(vsPrevious.direction);previousHtml='<span class="'+("trend-"+(vsPrevious.direction||"neutral"))+'">'+previousIcon+" "+(directionSigns[vsPrevious.direction]||"")+previousPct+" since last</span>"}modalContent.find(".block-adeptus-kpi-modal-trend-previous").html(previousHtml)},calculateKpiStats:function(history){if(!history||0===history.length)return{min:"--",max:"--",avg:"--"};var values=history.map((function(entry){return parseFloat(entry.row_count)||0})),min=Math.min.apply(null,values),max=Math.max.apply(null,values),sum=values.reduce((function(a,b){return a+b}),0);return{min:min,max:max,avg:Math.round(sum/values.length)}},renderKpiModalChart:function(modalContent,history){var self=this,canvas=modalContent.find(".block-adeptus-kpi-modal-chart")[0];if(canvas){this.kpiModalChart&&this.kpiModalChart.destroy();var labels=[],data=[],lastValue=null;history.forEach((function(entry){var value=parseFloat(entry.row_count)||0;if(null===lastValue||value!==lastValue){var date=new Date(entry.recorded_at||entry.created_at);labels.push(self.formatChartDate(date)),data.push(value),lastValue=value}}));var ctx=canvas.getContext("2d");this.kpiModalChart=new Chart(ctx,{type:"line",data:{labels:labels,datasets:[{label:"Value",data:data,borderColor:"#0066cc",backgroundColor:"rgba(0, 102, 204, 0.1)",borderWidth:2,fill:!0,tension:.3,pointRadius:4,pointHoverRadius:6,pointBackgroundColor:"#0066cc",pointBorderColor:"#fff",pointBorderWidth:2}]},options:{responsive:!0,maintainAspectRatio:!1,interaction:{mode:"index",intersect:!1},plugins:{legend:{display:!1},tooltip:{enabled:!0,backgroundColor:"rgba(0, 0, 0, 0.8)",titleColor:"#fff",bodyColor:"#fff",padding:12,displayColors:!1,callbacks:{title:function(tooltipItems){return tooltipItems[0].label},label:function(context){return"Value: "+self.formatNumber(context.parsed.y)}}}},scales:{x:{display:!0,grid:{display:!1},ticks:{maxRotation:45,minRotation:0,autoSkip:!0,maxTicksLimit:10}},y:{display:!0,beginAtZero:!1,grid:{color:"rgba(0, 0, 0, 0.05)"},ticks:{callback:function(value){return self.formatNumber(value)}}}}}})}},formatChartDate:function(date){return["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][date.getMonth()]+" "+date.getDate()},showKpiModalError:function(modalContent){modalContent.find(".block-adeptus-kpi-modal-loading").addClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-content-area").addClass("d-none"),modalContent.find(".block-adeptus-kpi-modal-error").removeClass("d-none")},bindModalEvents:function(modal){var self=this,modalRoot=modal.getRoot();modalRoot.on("click",".block-adeptus-view-toggle-btn",(function(e){e.preventDefault();var view=$(this).data("view");self.switchModalView(view)})),modalRoot.on("change","#modal-chart-type, #modal-chart-x-axis, #modal-chart-bucket",(function(){"modal-chart-type"!==this.id&&(self.modalPivotChart=!1),self.populateAxisSelectors(self.modal.getBody()).then((function(){return"chart"===self.currentView&&self.renderModalChart(),null})).catch(Notification.exception)})),modalRoot.on("change","#modal-chart-aggregate, #modal-chart-sort, #modal-chart-top",(function(){self.modalPivotChart=!1,"chart"===self.currentView&&self.renderModalChart()})),modalRoot.on("click",".block-adeptus-pivot-chart-off",(function(e){e.preventDefault(),self.modalPivotChart=!1,self.renderModalChart()})),modalRoot.on("click",".block-adeptus-modal-retry",(function(e){e.preventDefault(),self.modalReport&&self.loadModalReport(self.modalReport.slug,self.modalReport.source)})),modalRoot.on("click",".block-adeptus-modal-export",(function(e){e.preventDefault();var format=$(this).data("format");self.exportModalData(format)}))},switchModalView:function(view){var modalBody=this.modal.getBody();modalBody.find(".block-adeptus-view-toggle-btn").removeClass("active"),modalBody.find('.block-adeptus-view-toggle-btn[data-view="'+view+'"]').addClass("active"),modalBody.find(".block-adeptus-modal-view").addClass("d-none"),modalBody.find("#modal-"+view+"-view").removeClass("d-none"),this.currentView=view,"chart"===view?this.renderModalChart():"pivot"===view&&this.renderModalPivot()},renderModalPivot:function(){var self=this;return this.modal&&this.modalDataset?this.showPivotView(this.modal.getBody().find(".block-adeptus-modal-pivot"),this.modalDataset,this.modalFilter,this.modalPivot,this.modalReport,(function(pivot){self.modalPivot=pivot}),(function(pivot){self.modalPivot=pivot,self.modalPivotChart=!0,self.switchModalView("chart")})):Promise.resolve()},loadModalReport:function(slug,source){var self=this,modalBody=this.modal.getBody(),report=this.findReport(slug,source),signal=this.beginRequest("modal");if(!report)return modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),void modalBody.find(".block-adeptus-modal-error").removeClass("d-none");var $parameters=modalBody.find(".block-adeptus-modal-parameters"),reload=function(){self.setRefreshing(modalBody,!0),self.loadModalReport(slug,source)},staleResult=null;this.dataService.load(report,{signal:signal,params:this.getReportParams(report),onStale:function(result){staleResult=result,modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),self.renderModalContent(modalBody,result.report,result.results),self.showParameterBar($parameters,report,result,reload),self.setRefreshing(modalBody,!0)}}).then((function(result){return modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),self.setRefreshing(modalBody,!1),self.renderModalContent(modalBody,result.report,result.results),self.showParameterBar($parameters,report,result,reload),result})).catch((function(error){"abort"!==error.code&&(self.setRefreshing(modalBody,!1),self.handleLoadFailure(error,staleResult)||(modalBody.find(".block-adeptus-modal-loading").addClass("d-none"),modalBody.find(".block-adeptus-modal-error").removeClass("d-none"),modalBody.find(".block-adeptus-modal-error p").text(self.getErrorMessage(error))))}))},renderModalContent:function(modalBody,report,data){var self=this;this.modalData=data||[],this.modalReport=report,this.modalDataset&&this.modalDataset.release(),this.modalDataset=DataWorker.dataset(this.modalData),this.modalFilter=this.getTableFilter(this.modalFilter,report),this.modalPivot=this.getPivot(this.modalPivot,report),this.modalPivotChart=!1,this.modalSeries=[],modalBody.find("#modal-chart-sort").val(this.config.chartSort||"none"),modalBody.find("#modal-chart-top").val(String(this.config.chartTopN||0)),modalBody.find(".block-adeptus-modal-content-area").removeClass("d-none");var category=report.category_info||{name:"General",color:"#6c757d"};modalBody.find(".block-adeptus-report-category").text(category.name).css("background-color",category.color),modalBody.find(".block-adeptus-row-count-num").text(this.modalData.length),modalBody.find(".report-date").text(report.last_executed_at?this.strings.lastRun.replace("{$a}",new Date(report.last_executed_at).toLocaleDateString()):""),this.populateAxisSelectors(modalBody).catch(Notification.exception);var tableContainer=modalBody.find(".block-adeptus-modal-table-container");this.modalTable&&(this.modalTable.destroy(),this.modalTable=null),tableContainer.toggleClass("d-none",0===this.modalData.length),this.modalData.length>0&&(this.modalTable=this.createReportTable(tableContainer,report,this.modalDataset,Object.keys(this.modalData[0]),this.modalFilter,100),this.modalTable.render().catch(Notification.exception)),this.showTableFilter(modalBody.find(".block-adeptus-modal-filter"),this.modalDataset,this.modalFilter,(function(){self.modalTable&&self.modalTable.showPage(1).catch(Notification.exception),"chart"===self.currentView?self.renderModalChart():"pivot"===self.currentView&&self.renderModalPivot()})),this.currentView="table",modalBody.find(".block-adeptus-view-toggle-btn").removeClass("active"),modalBody.find('.block-adeptus-view-toggle-btn[data-view="table"]').addClass("active"),modalBody.find(".block-adeptus-modal-view").addClass("d-none"),modalBody.find("#modal-table-view").removeClass("d-none")},populateAxisSelectors:function(modalBody){var self=this,data=this.modalData,dataset=this.modalDataset;if(!data||0===data.length)return Promise.resolve();var controls={x:modalBody.find("#modal-chart-x-axis"),aggregate:modalBody.find("#modal-chart-aggregate"),bucket:modalBody.find("#modal-chart-bucket"),sort:modalBody.find("#modal-chart-sort"),top:modalBody.find("#modal-chart-top"),series:modalBody.find(".block-adeptus-modal-chart-series")};return dataset.columns().then((function(columns){if(self.modalDataset===dataset){var axes=self.fillChartAxes(controls,columns,modalBody.find("#modal-chart-type").val(),{x:controls.x.val(),aggregate:controls.aggregate.val(),bucket:controls.bucket.val(),sort:controls.sort.val(),top:controls.top.val(),series:self.modalSeries},(function(series){self.modalSeries=series,self.modalPivotChart=!1,"chart"===self.currentView&&self.renderModalChart()}));self.modalSeries=axes.series}return columns}))},renderModalChart:function(){var self=this,modalBody=this.modal.getBody(),data=this.modalData;if(data&&0!==data.length){var canvas=modalBody.find(".block-adeptus-modal-chart")[0];if(canvas){var chartType=modalBody.find("#modal-chart-type").val()||"bar";if(modalBody.find(".block-adeptus-pivot-chart-note").toggleClass("d-none",!this.modalPivotChart),this.modalPivotChart&&this.modalPivot){var pivotDataset=this.modalDataset;this.loadPivotChart(pivotDataset,this.modalFilter,this.modalPivot).then((function(chartData){return self.modalDataset===pivotDataset&&(self.chartInstance&&self.chartInstance.destroy(),self.chartInstance=self.drawPivotChart(canvas,chartType,chartData)),chartData})).catch(Notification.exception)}else{var headers=Object.keys(data[0]),axes={x:modalBody.find("#modal-chart-x-axis").val()||headers[0],aggregate:modalBody.find("#modal-chart-aggregate").val(),bucket:modalBody.find("#modal-chart-bucket").val(),sort:modalBody.find("#modal-chart-sort").val(),top:parseInt(modalBody.find("#modal-chart-top").val(),10)||0,series:this.modalSeries.length?this.modalSeries:[{column:headers[headers.length-1]}]},dataset=this.modalDataset;this.loadChartData(dataset,this.modalFilter,chartType,axes,50).then((function(chartData){if(self.modalDataset!==dataset)return chartData;var config=ChartTypes.create(chartType,chartData,{title:self.modalReport?self.modalReport.name:"Report",axisTitles:!0,unknown:self.strings.unknown});self.chartInstance&&(self.chartInstance.destroy(),self.chartInstance=null);try{self.chartInstance=new Chart(canvas.getContext("2d"),config)}catch(_error){modalBody.find(".block-adeptus-chart-container").html('<div class="alert alert-danger"><i class="fa fa-exclamation-triangle"></i> Error rendering chart</div>')}return chartData})).catch(Notification.exception)}}}else modalBody.find(".block-adeptus-chart-container").html('<div class="alert alert-warning text-center"><i class="fa fa-info-circle"></i> No data available for chart</div>')},exportModalData:function(format){var self=this,data=this.modalData,report=this.modalReport;data&&0!==data.length?$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/check_export_eligibility.php",method:"POST",data:{format:format,sesskey:M.cfg.sesskey},dataType:"json"}).done((function(response){response.success&&response.eligible?self.performExport(format,report,data):self.showExportUpgradePrompt(format,response.message||self.strings.exportNotAvailable)})).fail((function(){Notification.addNotification({message:self.strings.exportVerifyError,type:"error"})})):Notification.addNotification({message:self.strings.exportNoData,type:"warning"})},showExportUpgradePrompt:function(format,message){var formatName={pdf:"PDF",csv:"CSV",json:"JSON"}[format]||format.toUpperCase();Notification.alert(this.strings.exportTitle.replace("{$a}",formatName),message||this.strings.exportNotOnPlan.replace("{$a}",formatName),this.strings.ok)},captureChartImage:function(){var self=this;return new Promise((function(resolve){setTimeout((function(){var canvas=null,modalChart=document.querySelector(".modal.show .block-adeptus-modal-chart");if(modalChart&&(canvas=modalChart),!canvas){var embeddedChart=self.container?self.container.find(".block-adeptus-embedded-chart")[0]:null;embeddedChart&&(canvas=embeddedChart)}if(!canvas){var tabChart=self.container?self.container.find(".tab-pane.active .block-adeptus-tab-chart")[0]:null;tabChart&&(canvas=tabChart)}if(canvas||(canvas=document.querySelector(".block-adeptus-modal-chart, .block-adeptus-embedded-chart, .block-adeptus-tab-chart")),canvas)try{var dataUrl=canvas.toDataURL("image/png",.8);dataUrl&&dataUrl.length>100&&dataUrl.length<2e6?resolve(dataUrl):resolve(null)}catch(_e){resolve(null)}else resolve(null)}),300)}))},performExport:function(format,report,data){var self=this,allHeaders=data.length>0?Object.keys(data[0]):[],headers=this.getVisibleColumns(report,allHeaders);headers!==allHeaders&&(data=data.map((function(row){var projected={};return headers.forEach((function(h){projected[h]=row[h]})),projected})));var reportData={results:data,headers:headers,report_name:report?report.name:"Report",report_category:report&&report.category||""},chartPromise=Promise.resolve(null);"pdf"===format&&"chart"===self.currentView&&(chartPromise=self.captureChartImage()),chartPromise.then((function(chartImage){var form=document.createElement("form");form.method="POST",form.action=M.cfg.wwwroot+"/report/adeptus_insights/ajax/export_report.php",form.target="_blank";var fields={reportid:report?report.slug:"block_export",format:format,sesskey:M.cfg.sesskey,view:self.currentView||"table",report_data:JSON.stringify(reportData),chart_image:chartImage&&chartImage.length>100?chartImage:""};for(var key in fields)if(fields.hasOwnProperty(key)){var input=document.createElement("input");input.type="hidden",input.name=key,input.value=fields[key],form.appendChild(input)}return document.body.appendChild(form),form.submit(),document.body.removeChild(form),$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/track_export.php",method:"POST",data:{format:format,report_name:report?report.name:"Block Export",sesskey:M.cfg.sesskey}}),!0})).catch((function(){return!1}))},openReportNewTab:function(slug){var url=M.cfg.wwwroot+"/report/adeptus_insights/generated_reports.php?slug="+encodeURIComponent(slug);window.open(url,"_blank")},exportReport:function(format){Notification.addNotification({message:"Export to "+format.toUpperCase()+" coming soon",type:"info"})},refresh:function(){var self=this,refreshBtn=this.container.find(".block-adeptus-refresh i");refreshBtn.addClass("fa-spin"),this.showLoading(),this.waitForAuth((function(){ReportRegistry.refresh({backendUrl:self.backendUrl,token:self.getApiToken()}).then((function(reports){return TabSync.isLeader(self.blockId)&&TabSync.publish(self.blockId,"catalogue",{reports:reports}),reports})).catch((function(){self.showLastKnownCatalogue()}))})),setTimeout((function(){refreshBtn.removeClass("fa-spin")}),1e3)},setupAutoRefresh:function(){var interval=this.config.autoRefresh;if(interval&&"never"!==interval){var ms;switch(interval){case"5m":ms=3e5;break;case"15m":ms=9e5;break;case"30m":ms=18e5;break;case"1h":ms=36e5;break;default:return}var self=this;this.refreshTimer=setInterval((function(){!document.hidden&&TabSync.isLeader(self.blockId)&&self.refresh()}),ms)}},shareResult:function(report,result,params){this.dataService.isPersistent()&&TabSync.isLeader(this.blockId)&&TabSync.publish(this.blockId,"result",{report:{slug:report.slug,source:report.source||"wizard"},key:this.dataService.getKey(report,params),executedAt:result.executedAt})},handleTabMessage:function(type,payload){var shared,self=this;switch(type){case"catalogue":ReportRegistry.apply(payload.reports);break;case"result":this.showSharedResult(payload.report,payload.key,payload.executedAt);break;case"snapshot":this.snapshotResponses[payload.slug]={metricValue:payload.metricValue,response:payload.response},this.container.find('.block-adeptus-kpi-card[data-slug="'+payload.slug+'"]').each((function(){self.applySnapshot($(this),payload.slug,payload.metricValue,payload.response)}));break;case"snapshot-request":(shared=this.snapshotResponses[payload.slug])&&TabSync.isLeader(this.blockId)&&TabSync.publish(this.blockId,"snapshot",{slug:payload.slug,metricValue:shared.metricValue,response:shared.response})}},showSharedResult:function(report,key,executedAt){var self=this,runtimeParams=this.getReportParams(report),cardMatch=this.dataService.getKey(report,{})===key,viewMatch=this.dataService.getKey(report,runtimeParams)===key,match=function(slug,source){return slug===report.slug&&(source||"wizard")===report.source};return cardMatch||viewMatch?this.dataService.readShared(report,viewMatch?runtimeParams:{},executedAt).then((function(result){if(!result)return null;if(cardMatch&&self.container.find(".block-adeptus-kpi-card").each((function(){var $card=$(this);match($card.data("slug"),$card.data("source"))&&self.renderKpiValue($card,result.results)})),!viewMatch)return result;"embedded"===self.config.displayMode&&match(self.selectedReportSlug,self.selectedReportSource)&&self.loadEmbeddedReport(report.slug,report.source);var $pane=self.container.find(".block-adeptus-tab-pane.active");return $pane.length&&$pane.data("loaded")&&match($pane.data("slug"),$pane.data("source"))&&self.loadTabContent($pane,report.slug,report.source),self.modalReport&&match(self.modalReport.slug,self.modalReport.source)&&self.loadModalReport(report.slug,report.source),result})).catch(Notification.exception):Promise.resolve()},showLoading:function(){this.container.find(".block-adeptus-loading").removeClass("d-none"),this.container.find(".block-adeptus-report-list, .block-adeptus-kpi-grid, .block-adeptus-tabs-container, .block-adeptus-content").addClass("d-none"),this.container.find(".block-adeptus-empty, .block-adeptus-error").addClass("d-none")},hideLoading:function(){this.container.find(".block-adeptus-loading").addClass("d-none")},showEmpty:function(){this.hideLoading(),this.container.find(".block-adeptus-empty").removeClass("d-none")},showError:function(message){this.hideLoading();var errorDiv=this.container.find(".block-adeptus-error");message&&errorDiv.find("p").text(message),errorDiv.removeClass("d-none")},handleLoadFailure:function(error,staleResult){return"connection"===error.code&&error.backend&&(this.goOffline(),staleResult&&this.showOffline(staleResult.executedAt)),!!staleResult},goOffline:function(){ReportRegistry.markOffline({backendUrl:this.backendUrl,token:this.getApiToken()})},showLastKnownCatalogue:function(){var lastKnown=ReportRegistry.getLastKnownCatalogue();this.goOffline(),lastKnown?(this.setReports(lastKnown.reports),this.showOffline(lastKnown.timestamp)):this.showError()},showOffline:function(since){this.staleSince=this.staleSince?Math.min(this.staleSince,since):since;var time=new Date(this.staleSince).toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"}),banner=this.container.find(".block-adeptus-offline");banner.find(".block-adeptus-offline-text").text(this.strings.staleSince.replace("{$a}",time)),banner.removeClass("d-none")},hideOffline:function(){this.staleSince=null,this.container.find(".block-adeptus-offline").addClass("d-none")},updateTimestamp:function(){if(this.lastUpdated){var text=this.formatTimeAgo(this.lastUpdated),kpiFooter=this.container.find(".block-adeptus-kpi-footer");if(kpiFooter.length)return kpiFooter.find(".timestamp-text").text(text),void kpiFooter.removeClass("d-none");if(this.config.showTimestamp){var timestampEl=this.container.find(".block-adeptus-timestamp");timestampEl.find(".timestamp-text").text(text),timestampEl.removeClass("d-none")}}},scrollToListTop:function(){var listContainer=this.container.find(".block-adeptus-report-list");listContainer.length&&listContainer[0].scrollIntoView({behavior:"smooth",block:"start"})},scrollToEmbeddedTableTop:function(){var tableContainer=this.container.find(".block-adeptus-embedded-table-view");tableContainer.length&&tableContainer[0].scrollIntoView({behavior:"smooth",block:"start"})},showEmbeddedLoadingOverlay:function(){var overlay=this.container.find(".block-adeptus-embedded-loading-overlay");this.container.find(".block-adeptus-content").removeClass("d-none"),overlay.removeClass("d-none").css("opacity",0).animate({opacity:1},150)},hideEmbeddedLoadingOverlay:function(){this.container.find(".block-adeptus-embedded-loading-overlay").animate({opacity:0},150,(function(){$(this).addClass("d-none")}))},setRefreshing:function(scope,refreshing){scope.find(".block-adeptus-refreshing").toggleClass("d-none",!refreshing)},toggleSearchableDropdown:function(dropdown){dropdown.hasClass("open")?this.closeSearchableDropdown(dropdown):this.openSearchableDropdown(dropdown)},openSearchableDropdown:function(dropdown){var self=this;this.container.find(".block-adeptus-searchable-dropdown.open").each((function(){$(this).is(dropdown)||self.closeSearchableDropdown($(this))})),dropdown.addClass("open"),dropdown.find(".block-adeptus-searchable-dropdown-toggle").attr("aria-expanded","true");var input=dropdown.find(".block-adeptus-searchable-dropdown-input");input.val(""),dropdown.find(".block-adeptus-searchable-dropdown-item").show().removeClass("focused"),dropdown.find(".block-adeptus-searchable-dropdown-empty").addClass("d-none"),setTimeout((function(){input.focus()}),50)},closeSearchableDropdown:function(dropdown){dropdown.removeClass("open"),dropdown.find(".block-adeptus-searchable-dropdown-toggle").attr("aria-expanded","false"),dropdown.find(".block-adeptus-searchable-dropdown-item").removeClass("focused")},filterSearchableDropdown:function(dropdown,query){var items=dropdown.find(".block-adeptus-searchable-dropdown-item"),emptyState=dropdown.find(".block-adeptus-searchable-dropdown-empty"),visibleCount=0;items.each((function(){var searchText=$(this).data("search")||"";""===query||-1!==searchText.indexOf(query)?($(this).show(),visibleCount++):$(this).hide()})),items.filter(":hidden").removeClass("focused"),0===visibleCount?emptyState.removeClass("d-none"):emptyState.addClass("d-none")},selectSearchableDropdownItem:function(dropdown,value,text){dropdown.find(".block-adeptus-searchable-dropdown-text").text(text),dropdown.find(".block-adeptus-searchable-dropdown-item").removeClass("selected"),dropdown.find('.block-adeptus-searchable-dropdown-item[data-value="'+value+'"]').addClass("selected");var select=dropdown.siblings("select");select.length&&select.val(value).trigger("change"),this.closeSearchableDropdown(dropdown)},scrollDropdownItemIntoView:function(item){var list=item.closest(".block-adeptus-searchable-dropdown-list"),listHeight=list.height(),itemTop=item.position().top,itemHeight=item.outerHeight();itemTop<0?list.scrollTop(list.scrollTop()+itemTop):itemTop+itemHeight>listHeight&&list.scrollTop(list.scrollTop()+(itemTop+itemHeight-listHeight))},escapeHtml:function(text){var div=document.createElement("div");return div.textContent=text,div.innerHTML},formatTimeAgo:function(date){var seconds=Math.floor((new Date-date)/1e3);if(seconds<60)return this.strings.justNow;var minutes=Math.floor(seconds/60);if(minutes<60)return minutes+" minute"+(1!==minutes?"s":"")+" ago";var hours=Math.floor(minutes/60);if(hours<24)return hours+" hour"+(1!==hours?"s":"")+" ago";var days=Math.floor(hours/24);return days+" day"+(1!==days?"s":"")+" ago"}},{init:function(options){return new BlockController(options)}}}));
 
 //# sourceMappingURL=block.min.js.map
\ No newline at end of file
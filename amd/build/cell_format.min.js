@@ -0,0 +1,16 @@
+/**
+ * Conditional formatting of report table cells.
+ *
+ * Rules come from the block configuration as {report, column, condition, value, style},
+ * report being the report key (slug::source) they apply to.
+ * Conditions are lt, gt, eq, contains, top and bottom (value is a percentage)
+ * and databar; styles are bg_red, bg_amber, bg_green, badge_red, badge_amber,
+ * badge_green and bold. Every matching rule of a column applies to its cells.
+ *
+ * @module     block_adeptus_insights/cell_format
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/cell_format",["jquery"],(function($){var BADGES={badge_red:"badge bg-danger",badge_amber:"badge bg-warning text-dark",badge_green:"badge bg-success"},BAR_COLOURS={red:"rgba(220, 53, 69, 0.25)",amber:"rgba(255, 193, 7, 0.35)",green:"rgba(25, 135, 84, 0.25)",blue:"rgba(13, 110, 253, 0.2)"},toNumber=function(value){if(null==value||""===value||!isFinite(value))return null;var number=parseFloat(value);return isNaN(number)?null:number};return{forColumns:function(rules,key,columns){return((rules||{})[key]||[]).filter((function(rule){return rule&&-1!==columns.indexOf(rule.column)}))},getStatsOptions:function(rules){var options={columns:[],top:[],bottom:[]},add=function(list,value){-1===list.indexOf(value)&&list.push(value)};return rules.forEach((function(rule){var percent=toNumber(rule.value);"databar"===rule.condition?add(options.columns,rule.column):"top"!==rule.condition&&"bottom"!==rule.condition||null===percent||(add(options.columns,rule.column),add(options[rule.condition],percent))})),options.columns.length>0?options:null},apply:function($cell,column,value,format){return format.rules.forEach((function(rule){if(rule.column===column){var stats=format.stats[column];if("databar"!==rule.condition)(function(rule,value,stats){var number=toNumber(value),target=toNumber(rule.value),text=null==value?"":String(value).toLowerCase(),ruleText=String(null===rule.value||void 0===rule.value?"":rule.value).toLowerCase();switch(rule.condition){case"lt":return null!==number&&null!==target&&number<target;case"gt":return null!==number&&null!==target&&number>target;case"eq":return null!==number&&null!==target?number===target:text===$.trim(ruleText);case"contains":return""!==ruleText&&-1!==text.indexOf(ruleText);case"top":return null!==number&&!!stats&&null!==stats.top[target]&&void 0!==stats.top[target]&&number>=stats.top[target];case"bottom":return null!==number&&!!stats&&null!==stats.bottom[target]&&void 0!==stats.bottom[target]&&number<=stats.bottom[target];default:return!1}})(rule,value,stats)&&(BADGES[rule.style]?$cell.children(".badge").length||$cell.wrapInner($("<span>").addClass(BADGES[rule.style])):"bold"===rule.style?$cell.addClass("fw-bold"):rule.style&&$cell.addClass("block-adeptus-cell-"+rule.style.replace("_","-")));else{var number=toNumber(value);null!==number&&function($cell,number,rule,stats){if(stats&&null!==stats.max){var low=Math.min(0,stats.min),high=Math.max(0,stats.max),width=high===low?0:Math.round((number-low)/(high-low)*100),colour=BAR_COLOURS[String(rule.style||"").split("_").pop()]||BAR_COLOURS.blue;$cell.addClass("block-adeptus-cell-databar").css("background-image","linear-gradient(90deg, "+colour+" "+width+"%, transparent "+width+"%)")}}($cell,number,rule,stats)}}})),$cell}}}));
+
+//# sourceMappingURL=cell_format.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * Typed rendering of report table cells.
+ *
+ * Each column gets a display type: text, number, date, user, course, url,
+ * boolean or percent. It comes from the block's overrides for the report's columns, or is
+ * detected from the column name and the types and hints inferred by
+ * block_adeptus_insights/data_worker. Long text is cut, and the cut cells
+ * expand when clicked.
+ *
+ * @module     block_adeptus_insights/cell_renderer
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/cell_renderer",["jquery","core/str"],(function($,Str){var TYPES=["text","number","date","user","course","url","boolean","percent"],USER_COLUMN=/^(user_?id|id_?user)$/i,COURSE_COLUMN=/^(course_?id|id_?course)$/i,TIME_COLUMN=/time|date|access|login|created|modified|updated|started|completed|due|expir/i,stringsPromise=null,expandBound=!1,setText=function($parent,text,limit,strings,plain){if(!limit||text.length<=limit)$parent.text(text);else{var short=text.substring(0,limit)+"...";plain?$parent.text(short):$parent.append($("<button>").attr("type","button").attr("aria-expanded","false").attr("title",strings.expand).addClass("block-adeptus-cell-expand").data("short",short).data("full",text).text(short))}},Renderer=function(types,strings){this.types=types,this.strings=strings};return Renderer.prototype={render:function(column,value,limit){var $cell=$("<td>"),strings=this.strings,type=this.types[column]||"text",empty=null==value||""===value,text=empty?"":String(value);if($cell.attr("title",text),empty)return $cell;switch(type){case"date":$cell.text(function(value){var date,text=String(value);if(/^\d{4}-\d{2}-\d{2}$/.test(text)){var parts=text.split("-");return date=new Date(parts[0],parts[1]-1,parts[2]),isNaN(date.getTime())?text:date.toLocaleDateString(void 0,{dateStyle:"medium"})}if(isFinite(value)){var seconds=parseFloat(value);if(!seconds)return"";date=new Date(1e3*seconds)}else date=new Date(Date.parse(text.replace(" ","T")));return isNaN(date.getTime())?text:date.toLocaleString(void 0,{dateStyle:"medium",timeStyle:"short"})}(value));break;case"user":case"course":if(/^\d+$/.test(text)&&"0"!==text){var path="user"===type?"/user/profile.php?id=":"/course/view.php?id=";$cell.append($("<a>").attr("href",M.cfg.wwwroot+path+text).text(text))}else $cell.text(text);break;case"url":if(/^https?:\/\//i.test(text)){var $link=$("<a>").attr("href",text).attr("target","_blank").attr("rel","noopener noreferrer");setText($link,text,limit,strings,!0),$cell.append($link)}else setText($cell,text,limit,strings,!1);break;case"boolean":var yes=function(value){return!0===value||1===value||-1!==["1","true","yes","y"].indexOf(String(value).toLowerCase())}(value);$cell.attr("title",yes?strings.yes:strings.no).append($("<i>").addClass("fa "+(yes?"fa-check text-success":"fa-times text-muted")).attr("aria-hidden","true")).append($("<span>").addClass("sr-only visually-hidden").text(yes?strings.yes:strings.no));break;case"percent":var number=parseFloat(value);if(isNaN(number))$cell.text(text);else{var percent=Math.abs(number)<=1?100*number:number;$cell.text(Math.round(10*percent)/10+"%")}break;default:setText($cell,text,limit,strings,!1)}return $cell}},{forReport:function(columnTypes,key){return(columnTypes||{})[key]||{}},create:function(columns,overrides){var types={};return expandBound||(expandBound=!0,$(document).on("click",".block-adeptus-cell-expand",(function(e){var $button=$(this),expanded="true"===$button.attr("aria-expanded");e.preventDefault(),$button.attr("aria-expanded",expanded?"false":"true").text(expanded?$button.data("short"):$button.data("full"))}))),columns.forEach((function(column){types[column.name]=function(column,override){return override&&-1!==TYPES.indexOf(override)?override:USER_COLUMN.test(column.name)?"user":COURSE_COLUMN.test(column.name)?"course":"date"===column.type||"timestamp"===column.hint&&TIME_COLUMN.test(column.name)?"date":"boolean"===column.type?"boolean":"fraction"===column.hint?"percent":"url"===column.hint?"url":"number"===column.type?"number":"text"}(column,(overrides||{})[column.name])})),(stringsPromise||(stringsPromise=Str.get_strings([{key:"yes",component:"core"},{key:"no",component:"core"},{key:"cell_expand",component:"block_adeptus_insights"}]).then((function(strings){return{yes:strings[0],no:strings[1],expand:strings[2]}})).catch((function(){return{yes:"Yes",no:"No",expand:"Show the full value"}})))).then((function(strings){return new Renderer(types,strings)}))}}}));
+
+//# sourceMappingURL=cell_renderer.min.js.map
\ No newline at end of file
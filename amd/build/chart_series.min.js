@@ -0,0 +1,15 @@
+/**
+ * Series menu for report charts.
+ *
+ * Lists the value columns a chart can plot with a checkbox to plot each one,
+ * its colour and the value axis it is measured on, so that e.g. enrolments
+ * and completions per course are compared on one chart. The series are
+ * {column, color, axis} in column order (see chart_types).
+ *
+ * @module     block_adeptus_insights/chart_series
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/chart_series",["jquery","core/str","block_adeptus_insights/chart_types"],(function($,Str,ChartTypes){var stringsPromise=null,menuCount=0,protectLastSeries=function($list){var $checked=$list.find('input[type="checkbox"]:checked');$list.find('input[type="checkbox"]').prop("disabled",!1),1===$checked.length&&$checked.prop("disabled",!0)},getSummary=function(series){return series.map((function(item){return ChartTypes.formatName(item.column)})).join(", ")};return{render:function($container,options){return(stringsPromise||(stringsPromise=Str.get_strings([{key:"chart_series",component:"block_adeptus_insights"},{key:"chart_series_color",component:"block_adeptus_insights"},{key:"chart_series_axis",component:"block_adeptus_insights"},{key:"chart_series_axis_y",component:"block_adeptus_insights"},{key:"chart_series_axis_y2",component:"block_adeptus_insights"}]).then((function(strings){return{series:strings[0],color:strings[1],axis:strings[2],y:strings[3],y2:strings[4]}})).catch((function(){return{series:"Series",color:"Colour of {$a}",axis:"Axis of {$a}",y:"Main axis",y2:"Second axis"}})))).then((function(strings){var menuId="block-adeptus-chart-series-"+ ++menuCount,$list=$("<ul>").addClass("block-adeptus-series-list list-unstyled mb-0");options.columns.forEach((function(name,index){var series=options.series.filter((function(item){return item.column===name}))[0]||null;$list.append(function(name,series,color,menuId,index,strings){var label=ChartTypes.formatName(name),checkboxId=menuId+"-"+index,$axis=$("<select>").addClass("form-select form-select-sm block-adeptus-series-axis").attr("aria-label",strings.axis.replace("{$a}",label)).append($("<option>").val("y").text(strings.y)).append($("<option>").val("y2").text(strings.y2)).val(series?series.axis:"y");return $("<li>").addClass("block-adeptus-series-item").attr("data-column",name).append($("<input>").attr("type","checkbox").attr("id",checkboxId).addClass("form-check-input").prop("checked",!!series)).append($("<label>").attr("for",checkboxId).addClass("block-adeptus-series-label").text(label)).append($("<input>").attr("type","color").attr("aria-label",strings.color.replace("{$a}",label)).addClass("block-adeptus-series-color").val(series?series.color:color)).append($axis)}(name,series,ChartTypes.getColor(index),menuId,index,strings))})),protectLastSeries($list);var $menu=$("<div>").attr("id",menuId).addClass("block-adeptus-series-menu d-none").append($list),$summary=$("<span>").addClass("block-adeptus-series-summary").text(getSummary(options.series));return $container.empty().append($("<button>").attr("type","button").attr("aria-expanded","false").attr("aria-controls",menuId).attr("title",strings.series).addClass("btn btn-sm btn-outline-secondary block-adeptus-series-toggle").append($("<i>").addClass("fa fa-line-chart").attr("aria-hidden","true")).append(" ",$summary),$menu),$container.off(".chartseries"),$container.on("click.chartseries",".block-adeptus-series-toggle",(function(){var expanded="true"===$(this).attr("aria-expanded");$(this).attr("aria-expanded",expanded?"false":"true"),$menu.toggleClass("d-none",expanded)})),$container.on("change.chartseries","input, select",(function(){var series=function($list){var series=[];return $list.children(".block-adeptus-series-item").each((function(){$(this).find('input[type="checkbox"]').prop("checked")&&series.push({column:$(this).attr("data-column"),color:$(this).find(".block-adeptus-series-color").val(),axis:$(this).find(".block-adeptus-series-axis").val()})})),series}($list);protectLastSeries($list),$summary.text(getSummary(series)),options.onChange(series)})),$container.on("keydown.chartseries",(function(e){"Escape"!==e.key||$menu.hasClass("d-none")||($menu.addClass("d-none"),$container.find(".block-adeptus-series-toggle").attr("aria-expanded","false").trigger("focus"))})),$container}))}}}));
+
+//# sourceMappingURL=chart_series.min.js.map
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Chart types for report charts.
+ *
+ * Builds the Chart.js configuration of every chart type offered in the
+ * embedded, tab and modal views, and works out which columns each type can
+ * plot: scatter charts need two numeric columns. A chart plots one or more
+ * series, {column, color, axis}: a value column, its colour and the value
+ * axis it is measured on, y (the main one) or y2 (a second one for values in
+ * other units). Combined bar and line charts draw the first series as bars
+ * and the others as lines. Rows that share an X value are grouped by the
+ * chart's aggregate, and bar and line charts of a date or timestamp column
+ * group rows into date buckets (day, week, month, quarter or year) on a
+ * regular time scale (see data_worker chart). Other charts can sort their
+ * labels by value and keep the top ones, the rest making up one more label.
+ *
+ * @module     block_adeptus_insights/chart_types
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/chart_types",[],(function(){var TYPES=["bar","horizontalBar","stackedBar","line","area","scatter","pie","doughnut","radar","polarArea","mixed"],AGGREGATES=["auto","none","count","sum","avg","min","max","distinct"],BUCKETS=["auto","none","day","week","month","quarter","year"],SORTS=["none","desc","asc"],TOPS=[0,5,10,15,20,25],TIME_TYPES=["bar","horizontalBar","stackedBar","line","area","mixed"],ROUND=["pie","doughnut","polarArea"],CHARTJS_TYPES={horizontalBar:"bar",stackedBar:"bar",area:"line",mixed:"bar"},PALETTE=["#2563eb","#10b981","#f59e0b","#ef4444","#8b5cf6","#06b6d4","#ec4899","#84cc16","#f97316","#6366f1"],COLOR_PATTERN=/^#[0-9a-f]{6}$/i,getType=function(type){return-1!==TYPES.indexOf(type)?type:TYPES[0]},isRound=function(type){return-1!==ROUND.indexOf(type)},getColor=function(index){return PALETTE[index%PALETTE.length]},formatName=function(name){return String(name).replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}))},withAlpha=function(color,alpha){var hex=COLOR_PATTERN.test(color)?color:PALETTE[0];return"rgba("+[1,3,5].map((function(start){return parseInt(hex.substring(start,start+2),16)})).join(", ")+", "+alpha+")"},getLabel=function(item){return void 0!==item.label?item.label:formatName(item.column)},buildScales=function(type,titles,showLabels,second){var scales,stacked="stackedBar"===type,axisTitle=function(text){return{display:!!text,text:text||""}},valueAxis=function(title,position){var axis={beginAtZero:"scatter"!==type,stacked:stacked,title:axisTitle(title)};return position&&(axis.position=position,axis.grid={drawOnChartArea:!1}),axis};switch(type){case"pie":case"doughnut":return{};case"polarArea":case"radar":return{r:{beginAtZero:!0}};case"scatter":scales={x:{type:"linear",position:"bottom",title:axisTitle(titles.x)},y:valueAxis(titles.y)};break;case"horizontalBar":return scales={x:valueAxis(titles.y),y:{display:showLabels,title:axisTitle(titles.x)}},second&&(scales.x2=valueAxis(titles.y2,"top")),scales;default:scales={x:{display:showLabels,stacked:stacked,title:axisTitle(titles.x)},y:valueAxis(titles.y)}}return second&&(scales.y2=valueAxis(titles.y2,"right")),scales};return{getType:getType,isRound:isRound,getColor:getColor,plotsPoints:function(type){return"scatter"===type},plotsTime:function(type){return-1!==TIME_TYPES.indexOf(type)},getLimit:function(type,limit){return"scatter"===type?1e3:limit},getAxes:function(type,columns,axes){var names=columns.map((function(column){return column.name})),numeric=columns.filter((function(column){return"number"===column.type})).map((function(column){return column.name})),values=numeric.length>0?numeric:names,choices={x:"scatter"===type&&numeric.length>0?numeric:names,y:values};axes=axes||{};var x=-1!==choices.x.indexOf(axes.x)?axes.x:choices.x[0];choices.bucket=-1!==TIME_TYPES.indexOf(type)&&columns.some((function(column){return column.name===x&&("date"===column.type||"timestamp"===column.hint)}));var bucket=-1!==BUCKETS.indexOf(axes.bucket)?axes.bucket:BUCKETS[0],top=parseInt(axes.top,10);choices.sort="scatter"!==type&&!(choices.bucket&&"none"!==bucket);var series=(axes.series||[]).filter((function(item){return-1!==values.indexOf(item.column)}));return 0===series.length&&(series=[{column:values[values.length-1]}]),{choices:choices,axes:{x:x,aggregate:-1!==AGGREGATES.indexOf(axes.aggregate)?axes.aggregate:AGGREGATES[0],bucket:bucket,sort:-1!==SORTS.indexOf(axes.sort)?axes.sort:SORTS[0],top:-1!==TOPS.indexOf(top)?top:TOPS[0],series:series.map((function(item){return{column:item.column,color:COLOR_PATTERN.test(item.color)?item.color:getColor(values.indexOf(item.column)),axis:"y2"===item.axis?"y2":"y"}}))}}},create:function(type,data,options){type=getType(type);var round=isRound(type),series=round?data.series.slice(0,1):data.series,datasets=series.map((function(item,index){return round?{label:getLabel(item),data:item.values,backgroundColor:item.values.map((function(value,slice){return data.other&&slice===item.values.length-1?withAlpha("#9ca3af",.7):function(index,alpha){return index<PALETTE.length?withAlpha(PALETTE[index],alpha):"hsla("+Math.round(137.508*index)%360+", 65%, 55%, "+alpha+")"}(slice,.7)})),borderColor:"#fff",borderWidth:2}:function(type,item,index){var line="line"===type||"area"===type||"radar"===type||"mixed"===type&&index>0,filled="area"===type||"radar"===type,color=COLOR_PATTERN.test(item.color)?item.color:getColor(index),dataset={label:getLabel(item),data:"scatter"===type?item.points:item.values,backgroundColor:withAlpha(color,filled?.3:.7),borderColor:withAlpha(color,1),borderWidth:line?2:1};return line&&(dataset.fill=filled,dataset.tension=.1),"mixed"===type&&(dataset.type=line?"line":"bar",dataset.order=line?0:1),"scatter"===type&&(dataset.pointRadius=4),"y2"===item.axis&&"radar"!==type&&(dataset["horizontalBar"===type?"xAxisID":"yAxisID"]="horizontalBar"===type?"x2":"y2"),dataset}(type,item,index)})),second=!round&&"radar"!==type&&series.some((function(item){return"y2"===item.axis})),titled=options.axisTitles||second||"scatter"===type,titleOf=function(axis){return series.filter((function(item){return("y2"===item.axis?"y2":"y")===axis})).map(getLabel).join(", ")},titles={x:"scatter"===type&&data.x?formatName(data.x):"",y:titled?titleOf("y"):"",y2:titled?titleOf("y2"):""},config={type:CHARTJS_TYPES[type]||type,data:{datasets:datasets},options:{responsive:!0,maintainAspectRatio:!1,plugins:{legend:{display:round||datasets.length>1,position:round?"right":"bottom"}},scales:buildScales(type,titles,!1!==options.showLabels,second)}};return"scatter"!==type&&(config.data.labels=(data.labels||[]).map((function(label){return data.bucket?function(time,bucket){var date=new Date(time);switch(bucket){case"year":return String(date.getFullYear());case"quarter":return"Q"+(Math.floor(date.getMonth()/3)+1)+" "+date.getFullYear();case"month":return date.toLocaleDateString(void 0,{year:"numeric",month:"short"});default:return date.toLocaleDateString(void 0,{year:"numeric",month:"short",day:"numeric"})}}(label,data.bucket):function(label,options){if(null==label)return options.unknown||"";var text=String(label),length=options.labelLength||30;return text.length>length?text.substring(0,length)+"...":text}(label,options)}))),"horizontalBar"===type&&(config.options.indexAxis="y"),options.title&&(config.options.plugins.title={display:!0,text:options.title,font:{size:14,weight:"bold"},padding:{top:10,bottom:20}}),config},formatName:formatName}}));
+
+//# sourceMappingURL=chart_types.min.js.map
\ No newline at end of file
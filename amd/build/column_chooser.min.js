@@ -0,0 +1,15 @@
+/**
+ * Column menu for report tables.
+ *
+ * Lists the table's columns with a checkbox to show or hide each one. Columns
+ * are reordered by dragging, or with the move up/down buttons from the
+ * keyboard. The layout is {order, hidden}: every column name in display order
+ * and the names of the hidden ones.
+ *
+ * @module     block_adeptus_insights/column_chooser
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/column_chooser",["jquery","core/str"],(function($,Str){var stringsPromise=null,menuCount=0,protectLastColumn=function($list){var $checked=$list.find('input[type="checkbox"]:checked');$list.find('input[type="checkbox"]').prop("disabled",!1),1===$checked.length&&$checked.prop("disabled",!0)};return{render:function($container,options){return(stringsPromise||(stringsPromise=Str.get_strings([{key:"column_chooser",component:"block_adeptus_insights"},{key:"column_moveup",component:"block_adeptus_insights"},{key:"column_movedown",component:"block_adeptus_insights"},{key:"column_reset",component:"block_adeptus_insights"}]).then((function(strings){return{columns:strings[0],moveUp:strings[1],moveDown:strings[2],reset:strings[3]}})).catch((function(){return{columns:"Columns",moveUp:"Move {$a} up",moveDown:"Move {$a} down",reset:"Reset columns"}})))).then((function(strings){var menuId="block-adeptus-column-chooser-"+ ++menuCount,$list=$("<ul>").addClass("block-adeptus-column-list list-unstyled mb-0"),$dragged=null;options.columns.forEach((function(name,index){$list.append(function(name,visible,menuId,index,strings){var label=function(name){return name.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}))}(name),checkboxId=menuId+"-"+index,moveButton=function(className,icon,text){return $("<button>").attr("type","button").attr("aria-label",text.replace("{$a}",label)).attr("title",text.replace("{$a}",label)).addClass("btn btn-sm btn-link "+className).append($("<i>").addClass("fa "+icon).attr("aria-hidden","true"))};return $("<li>").addClass("block-adeptus-column-item").attr("draggable","true").attr("data-column",name).append($("<i>").addClass("fa fa-bars block-adeptus-column-handle").attr("aria-hidden","true")).append($("<input>").attr("type","checkbox").attr("id",checkboxId).addClass("form-check-input").prop("checked",visible)).append($("<label>").attr("for",checkboxId).addClass("block-adeptus-column-label").text(label)).append(moveButton("block-adeptus-column-up","fa-arrow-up",strings.moveUp)).append(moveButton("block-adeptus-column-down","fa-arrow-down",strings.moveDown))}(name,-1===options.hidden.indexOf(name),menuId,index,strings))})),protectLastColumn($list);var $menu=$("<div>").attr("id",menuId).addClass("block-adeptus-column-menu d-none").append($list).append($("<button>").attr("type","button").addClass("btn btn-sm btn-link block-adeptus-column-reset").text(strings.reset));$container.empty().append($("<button>").attr("type","button").attr("aria-expanded","false").attr("aria-controls",menuId).addClass("btn btn-sm btn-outline-secondary block-adeptus-column-toggle").append($("<i>").addClass("fa fa-columns").attr("aria-hidden","true")).append(" "+strings.columns),$menu);var changed=function(){protectLastColumn($list),options.onChange(function($list){var layout={order:[],hidden:[]};return $list.children(".block-adeptus-column-item").each((function(){var name=$(this).attr("data-column");layout.order.push(name),$(this).find('input[type="checkbox"]').prop("checked")||layout.hidden.push(name)})),layout}($list))};return $container.off(".columnchooser"),$container.on("click.columnchooser",".block-adeptus-column-toggle",(function(){var expanded="true"===$(this).attr("aria-expanded");$(this).attr("aria-expanded",expanded?"false":"true"),$menu.toggleClass("d-none",expanded)})),$container.on("change.columnchooser",'input[type="checkbox"]',changed),$container.on("click.columnchooser",".block-adeptus-column-up, .block-adeptus-column-down",(function(){var $button=$(this),$item=$button.closest(".block-adeptus-column-item"),up=$button.hasClass("block-adeptus-column-up"),$sibling=up?$item.prev():$item.next();$sibling.length&&(up?$item.insertBefore($sibling):$item.insertAfter($sibling),$button.trigger("focus"),changed())})),$container.on("click.columnchooser",".block-adeptus-column-reset",(function(){options.onChange(null)})),$container.on("dragstart.columnchooser",".block-adeptus-column-item",(function(e){$dragged=$(this).addClass("block-adeptus-column-dragging"),e.originalEvent.dataTransfer.effectAllowed="move",e.originalEvent.dataTransfer.setData("text/plain",$dragged.attr("data-column"))})),$container.on("dragover.columnchooser",".block-adeptus-column-item",(function(e){if($dragged&&this!==$dragged[0]){e.preventDefault();var rect=this.getBoundingClientRect();e.originalEvent.clientY<rect.top+rect.height/2?$dragged.insertBefore(this):$dragged.insertAfter(this)}})),$container.on("drop.columnchooser",".block-adeptus-column-item",(function(e){e.preventDefault()})),$container.on("dragend.columnchooser",".block-adeptus-column-item",(function(){$dragged&&($dragged.removeClass("block-adeptus-column-dragging"),$dragged=null,changed())})),$container.removeClass("d-none"),$container}))}}}));
+
+//# sourceMappingURL=column_chooser.min.js.map
\ No newline at end of file
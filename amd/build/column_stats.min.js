@@ -0,0 +1,16 @@
+/**
+ * Column aggregates and statistics for report tables.
+ *
+ * The footer row shows an aggregate (sum, average, min, max or count) under
+ * each numeric column, chosen per column. The statistics popover opened from
+ * a column header shows its distinct and empty values and, for numeric
+ * columns, its range and a small histogram. Both take the statistics from
+ * block_adeptus_insights/data_worker stats.
+ *
+ * @module     block_adeptus_insights/column_stats
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/column_stats",["jquery","core/str"],(function($,Str){var AGGREGATES=["sum","avg","min","max","count"],stringsPromise=null,$popover=null,loadStrings=function(){if(stringsPromise)return stringsPromise;return stringsPromise=Str.get_strings([{key:"aggregate_sum",component:"block_adeptus_insights"},{key:"aggregate_avg",component:"block_adeptus_insights"},{key:"aggregate_min",component:"block_adeptus_insights"},{key:"aggregate_max",component:"block_adeptus_insights"},{key:"aggregate_count",component:"block_adeptus_insights"},{key:"column_aggregate",component:"block_adeptus_insights"},{key:"column_stats_distinct",component:"block_adeptus_insights"},{key:"column_stats_empty",component:"block_adeptus_insights"},{key:"column_stats_range",component:"block_adeptus_insights"},{key:"column_stats_histogram",component:"block_adeptus_insights"},{key:"closebuttontitle",component:"core"}]).then((function(strings){return{sum:strings[0],avg:strings[1],min:strings[2],max:strings[3],count:strings[4],aggregate:strings[5],distinct:strings[6],empty:strings[7],range:strings[8],histogram:strings[9],close:strings[10]}})).catch((function(){return{sum:"Sum",avg:"Average",min:"Min",max:"Max",count:"Count",aggregate:"Total for {$a}",distinct:"Distinct values",empty:"Empty values",range:"Range",histogram:"Distribution",close:"Close"}}))},formatNumber=function(value){return null==value?"-":(Math.round(100*value)/100).toLocaleString()},formatName=function(name){return name.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}))},closePopover=function(){if($popover){var $button=$popover.data("button");$popover.remove(),$popover=null,$(document).off(".columnstats"),$button&&$button.attr("aria-expanded","false")}};return{getAggregate:function(aggregates,column){var aggregate=(aggregates||{})[column];return-1!==AGGREGATES.indexOf(aggregate)?aggregate:AGGREGATES[0]},getPopoverOptions:function(column){return{columns:[column],bins:10}},renderFooter:function($tfoot,options){var self=this;return loadStrings().then((function(strings){var $row=$("<tr>").addClass("block-adeptus-table-footer");return options.headers.forEach((function(column){var $cell=$("<td>"),stats=options.stats[column];if(-1!==options.numeric.indexOf(column)&&stats){var aggregate=self.getAggregate(options.aggregates,column),$select=$("<select>").addClass("form-select form-select-sm block-adeptus-footer-aggregate").attr("data-column",column).attr("aria-label",strings.aggregate.replace("{$a}",formatName(column)));AGGREGATES.forEach((function(key){$select.append($("<option>").val(key).text(strings[key]))})),$select.val(aggregate),$row.append($cell.append($select,$("<span>").addClass("block-adeptus-footer-value").text(formatNumber(stats[aggregate]))))}else $row.append($cell)})),$tfoot.empty().append($row),$tfoot.off(".columnstats").on("change.columnstats",".block-adeptus-footer-aggregate",(function(){var column=$(this).attr("data-column"),aggregate=$(this).val(),stats=options.stats[column];$(this).siblings(".block-adeptus-footer-value").text(formatNumber(stats?stats[aggregate]:null)),options.onChange(column,aggregate)})),$tfoot}))},showPopover:function($button,options){var reopen=!$popover||$popover.data("button")[0]!==$button[0];return closePopover(),reopen?loadStrings().then((function(strings){var stats=options.stats,$list=$("<dl>").addClass("block-adeptus-column-stats-list mb-2"),add=function(label,value){$list.append($("<dt>").text(label),$("<dd>").text(value))};add(strings.distinct,formatNumber(stats.distinct)),add(strings.empty,formatNumber(stats.nulls)),options.numeric&&stats.count&&(add(strings.range,formatNumber(stats.min)+" - "+formatNumber(stats.max)),add(strings.avg,formatNumber(stats.avg))),$popover=$("<div>").addClass("block-adeptus-column-stats popover bs-popover-bottom").attr("role","dialog").attr("aria-label",formatName(options.column)).data("button",$button).append($("<div>").addClass("popover-header d-flex justify-content-between align-items-center").append($("<span>").text(formatName(options.column))).append($("<button>").attr("type","button").addClass("btn btn-sm btn-link p-0 block-adeptus-column-stats-close").attr("aria-label",strings.close).append($("<i>").addClass("fa fa-times").attr("aria-hidden","true")))).append($("<div>").addClass("popover-body").append($list).append(options.numeric&&stats.histogram.length?function(stats,strings){var highest=Math.max.apply(null,stats.histogram),width=(stats.max-stats.min)/stats.histogram.length,$bars=$("<div>").addClass("block-adeptus-column-histogram").attr("role","list");return stats.histogram.forEach((function(count,index){var from=stats.min+width*index,label=formatNumber(from)+" - "+formatNumber(from+width)+": "+count;$bars.append($("<span>").addClass("block-adeptus-column-histogram-bar").attr("role","listitem").attr("title",label).attr("aria-label",label).css("height",(highest?Math.max(2,Math.round(count/highest*100)):0)+"%"))})),$("<div>").append($("<div>").addClass("small text-muted mb-1").text(strings.histogram)).append($bars)}(stats,strings):null));var offset=$button.offset();return $popover.css({top:offset.top+$button.outerHeight()+4,left:offset.left}).appendTo(document.body),$button.attr("aria-expanded","true"),$(document).on("click.columnstats",(function(e){($(e.target).closest(".block-adeptus-column-stats-close").length||!$(e.target).closest(".block-adeptus-column-stats").length&&!$(e.target).closest($button).length)&&closePopover()})),$(document).on("keydown.columnstats",(function(e){"Escape"===e.key&&(closePopover(),$button.trigger("focus"))})),$popover})):Promise.resolve()},closePopover:closePopover}}));
+
+//# sourceMappingURL=column_stats.min.js.map
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * Background processing of report results.
+ *
+ * Column type inference, chart and KPI aggregation, sorting, filtering and
+ * page slicing run in a dedicated Web Worker so that large results do not
+ * block the page. Results are sent to the worker once, as a dataset, and each
+ * operation is a message that resolves a promise.
+ *
+ * The worker is built from this module's own source, so it needs no extra
+ * file. Small results, and browsers where a worker cannot be started (e.g.
+ * a Content Security Policy without blob: workers), are processed on the
+ * main thread with the same code.
+ *
+ * @module     block_adeptus_insights/data_worker
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/data_worker",[],(function(){var createOperations=function(){var DATE_PATTERN=/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,URL_PATTERN=/^https?:\/\/\S+$/i,isEmpty=function(value){return null==value||""===value},isNumber=function(value){return!isNaN(parseFloat(value))&&isFinite(value)},parseDate=function(value){return"string"==typeof value&&DATE_PATTERN.test(value)?Date.parse(value.replace(" ","T")):NaN},columns=function(dataset){if(dataset.columns)return dataset.columns;var rows=dataset.rows,names=rows.length?Object.keys(rows[0]):[];return dataset.columns=names.map((function(name){for(var number=!0,date=!0,bool=!0,url=!0,timestamp=!0,fraction=!0,whole=!0,present=!1,i=0;i<rows.length&&(number||date||bool||url);i++){var value=rows[i][name];if(!isEmpty(value)&&(present=!0,number=number&&isNumber(value),date=date&&!isNaN(parseDate(value)),bool=bool&&"boolean"==typeof value,url=url&&"string"==typeof value&&URL_PATTERN.test(value),number)){var parsed=parseFloat(value),integer=Math.floor(parsed)===parsed;timestamp=timestamp&&integer&&(0===parsed||parsed>=1e8&&parsed<=4102444800),fraction=fraction&&parsed>=0&&parsed<=1,whole=whole&&integer}}var type="string",hint=null;return present&&number?(type="number",fraction&&!whole?hint="fraction":timestamp&&!fraction&&(hint="timestamp")):present&&date?type="date":present&&bool?type="boolean":present&&url&&(hint="url"),{name:name,type:type,hint:hint}})),dataset.columns},comparable=function(value,type){if(isEmpty(value))return null;switch(type){case"number":return parseFloat(value);case"date":return parseDate(value);case"boolean":return value?1:0;default:return String(value).toLowerCase()}},order=function(dataset,options){var rows=dataset.rows,search=String(options.search||"").toLowerCase(),filters=(options.filters||[]).filter((function(filter){return"between"===filter.operator?!isEmpty(filter.value)||!isEmpty(filter.to):!isEmpty(filter.value)})),sort=options.sort&&options.sort.column&&options.sort.direction?options.sort:null,key=JSON.stringify([search,filters,sort]);if(dataset.view&&dataset.view.key===key)return dataset.view.order;var types={};columns(dataset).forEach((function(column){types[column.name]=column.type}));var indexes=[];if(rows.forEach((function(row,index){var keep=filters.every((function(filter){return function(row,filter,type){var value=row[filter.column];switch(filter.operator){case"between":var number=comparable(value,"date"===type?"date":"number");return null!==number&&!isNaN(number)&&(isEmpty(filter.value)||number>=filter.value)&&(isEmpty(filter.to)||number<=filter.to);case"equals":return"number"===type?!isEmpty(value)&&parseFloat(value)===parseFloat(filter.value):String(isEmpty(value)?"":value).toLowerCase()===String(filter.value).toLowerCase();default:return-1!==String(isEmpty(value)?"":value).toLowerCase().indexOf(String(filter.value).toLowerCase())}}(row,filter,types[filter.column])}));keep&&search&&(keep=Object.keys(row).some((function(name){return!isEmpty(row[name])&&-1!==String(row[name]).toLowerCase().indexOf(search)}))),keep&&indexes.push(index)})),sort){var type=types[sort.column]||"string",direction="desc"===sort.direction?-1:1,values={};indexes.forEach((function(index){values[index]=comparable(rows[index][sort.column],type)})),indexes.sort((function(a,b){var left=values[a],right=values[b];return left===right?a-b:null===left?1:null===right?-1:(left<right?-1:1)*direction}))}return dataset.view={key:key,order:indexes},indexes},bucketStart=function(time,bucket,step){var date=new Date(time),year=date.getFullYear(),month=date.getMonth(),day=date.getDate();switch(bucket){case"year":return new Date(year+step,0,1).getTime();case"quarter":return new Date(year,month-month%3+3*step,1).getTime();case"month":return new Date(year,month+step,1).getTime();case"week":return new Date(year,month,day-(date.getDay()+6)%7+7*step).getTime();default:return new Date(year,month,day+step).getTime()}},createGroup=function(label){return{label:label,sum:0,count:0,numbers:0,min:null,max:null,distinct:{},distinctCount:0}},addToGroup=function(group,raw){var value=parseFloat(raw);group.count++,isEmpty(raw)||group.distinct[String(raw)]||(group.distinct[String(raw)]=!0,group.distinctCount++),isNaN(value)||(group.numbers++,group.sum+=value,group.min=null===group.min?value:Math.min(group.min,value),group.max=null===group.max?value:Math.max(group.max,value))},groupValue=function(group,aggregate){switch(aggregate){case"count":return group.count;case"distinct":return group.distinctCount;case"avg":return group.numbers?group.sum/group.numbers:0;case"min":return group.min||0;case"max":return group.max||0;default:return group.sum}},timeChart=function(dataset,options,indexes,column,numeric){var rows=dataset.rows,aggregate=options.aggregate&&"auto"!==options.aggregate&&"none"!==options.aggregate?options.aggregate:numeric?"sum":"count",times=[],first=1/0,last=-1/0;if(indexes.forEach((function(index){var time=function(value,column){if(isEmpty(value))return NaN;if("number"===column.type)return 1e3*parseFloat(value);var text=String(value);return parseDate(10===text.length?text+" 00:00:00":text)}(rows[index][options.x],column);isNaN(time)||(times.push({time:time,index:index}),first=Math.min(first,time),last=Math.max(last,time))})),0===times.length)return{labels:[],values:[],total:0,aggregate:aggregate,bucket:options.bucket,other:!1};var bucket=options.bucket;if("auto"===bucket){var days=(last-first)/864e5;bucket=days<=31?"day":days<=183?"week":days<=1096?"month":days<=3653?"quarter":"year"}var groups={};times.forEach((function(item){var start=bucketStart(item.time,bucket,0);groups[start]=groups[start]||createGroup(start),addToGroup(groups[start],rows[item.index][options.y])}));for(var labels=[],end=bucketStart(last,bucket,0),start=bucketStart(first,bucket,0);start<=end;start=bucketStart(start,bucket,1))labels.push(start);var total=labels.length;return{labels:labels=labels.slice(Math.max(0,total-(options.limit||total))),values:labels.map((function(start){return groups[start]?groupValue(groups[start],aggregate):0})),total:total,aggregate:aggregate,bucket:bucket,other:!1}};return{columns:columns,query:function(dataset,options){var indexes=order(dataset,options),offset=Math.max(0,options.offset||0),limit=options.limit||indexes.length;return{rows:indexes.slice(offset,offset+limit).map((function(index){return dataset.rows[index]})),total:indexes.length,offset:offset}},chart:function(dataset,options){var rows=dataset.rows,indexes=order(dataset,options),limit=options.limit||indexes.length,labels=[],values=[];if(options.points){var points=[];return indexes.forEach((function(index){var x=rows[index][options.x],y=rows[index][options.y];!isEmpty(x)&&!isEmpty(y)&&isNumber(x)&&isNumber(y)&&points.push({x:parseFloat(x),y:parseFloat(y)})})),{points:points.slice(0,limit),total:points.length}}var types={};columns(dataset).forEach((function(column){types[column.name]=column}));var xColumn=types[options.x]||{type:"string",hint:null},numeric=!!types[options.y]&&"number"===types[options.y].type;if(options.bucket&&"none"!==options.bucket&&("date"===xColumn.type||"timestamp"===xColumn.hint))return timeChart(dataset,options,indexes,xColumn,numeric);var aggregate=options.aggregate||"none";if("auto"===aggregate){var seen={};aggregate=indexes.some((function(index){var label=rows[index][options.x],labelKey=isEmpty(label)?"":String(label);return!!seen[labelKey]||(seen[labelKey]=!0,!1)}))?numeric?"sum":"count":"none"}var grouped="none"!==aggregate,valueAggregate=grouped?aggregate:"sum",sorted="asc"===options.sort||"desc"===options.sort,top=options.top>0?options.top:0,chartIndexes=grouped||sorted||top?indexes:indexes.slice(0,limit),groupBy=function(column,keys){var groups={};return chartIndexes.forEach((function(index){var label=rows[index][options.x],groupKey=grouped?isEmpty(label)?"":String(label):String(index);groups[groupKey]||(groups[groupKey]=createGroup(label),keys.push(groupKey)),addToGroup(groups[groupKey],rows[index][column])})),groups},keys=[],groups=groupBy(options.y,keys),total=grouped?keys.length:indexes.length,other=null;if(sorted||top){var rankGroups=options.sortBy&&options.sortBy!==options.y?groupBy(options.sortBy,[]):groups,rank={};if(keys.forEach((function(groupKey){rank[groupKey]=groupValue(rankGroups[groupKey],valueAggregate)})),top&&keys.length>top){var kept={};keys.slice().sort((function(a,b){return rank[b]-rank[a]})).slice(0,top).forEach((function(groupKey){kept[groupKey]=!0})),other=createGroup(options.other),keys=keys.filter((function(groupKey){return kept[groupKey]||function(group,rows){group.count+=rows.count,group.numbers+=rows.numbers,group.sum+=rows.sum,null!==rows.min&&(group.min=null===group.min?rows.min:Math.min(group.min,rows.min),group.max=null===group.max?rows.max:Math.max(group.max,rows.max)),Object.keys(rows.distinct).forEach((function(value){group.distinct[value]||(group.distinct[value]=!0,group.distinctCount++)}))}(other,groups[groupKey]),kept[groupKey]}))}sorted&&keys.sort((function(a,b){return"asc"===options.sort?rank[a]-rank[b]:rank[b]-rank[a]}))}return labels=keys.slice(0,top||limit).map((function(groupKey){return values.push(groupValue(groups[groupKey],valueAggregate)),groups[groupKey].label})),other&&(labels.push(other.label),values.push(groupValue(other,valueAggregate))),{labels:labels,values:values,total:total,aggregate:aggregate,bucket:null,other:!!other}},kpi:function(dataset){var rows=dataset.rows,numeric=columns(dataset).filter((function(column){return"number"===column.type})),value=rows.length;if(numeric.length>0){var name=numeric[numeric.length-1].name,lower=name.toLowerCase();-1===lower.indexOf("count")&&-1===lower.indexOf("total")&&1!==rows.length||(value=rows.reduce((function(sum,row){return sum+(parseFloat(row[name])||0)}),0))}return{value:value,rows:rows.length}},stats:function(dataset,options){var rows=dataset.rows,indexes=order(dataset,options),result={};return(options.columns||[]).forEach((function(name){var numbers=[],seen=Object.create(null),distinct=0,nulls=0;indexes.forEach((function(index){var value=rows[index][name];isEmpty(value)?nulls++:(seen[value]||(seen[value]=!0,distinct++),isNumber(value)&&numbers.push(parseFloat(value)))})),numbers.sort((function(a,b){return a-b}));var count=numbers.length,sum=numbers.reduce((function(total,value){return total+value}),0),rank=function(percent){return Math.min(count,Math.max(1,Math.ceil(count*percent/100)))},summary={count:count,sum:sum,avg:count?sum/count:null,min:count?numbers[0]:null,max:count?numbers[count-1]:null,distinct:distinct,nulls:nulls,top:{},bottom:{},histogram:[]};if((options.top||[]).forEach((function(percent){summary.top[percent]=count?numbers[count-rank(percent)]:null})),(options.bottom||[]).forEach((function(percent){summary.bottom[percent]=count?numbers[rank(percent)-1]:null})),options.bins&&count){for(var bins=summary.max===summary.min?1:options.bins,width=(summary.max-summary.min)/bins,bin=0;bin<bins;bin++)summary.histogram.push(0);numbers.forEach((function(value){var slot=width?Math.floor((value-summary.min)/width):0;summary.histogram[Math.min(bins-1,slot)]++}))}result[name]=summary})),result},pivot:function(dataset,options){var rows=dataset.rows,indexes=order(dataset,{search:options.search,filters:options.filters}),types={};columns(dataset).forEach((function(column){types[column.name]=column.type}));var add=function(group,value){if(group.rows++,!isEmpty(value)&&isNumber(value)){var number=parseFloat(value);group.numbers++,group.sum+=number,group.min=null===group.min?number:Math.min(group.min,number),group.max=null===group.max?number:Math.max(group.max,number)}},result=function(group){if(!group)return null;switch(options.aggregate){case"count":return group.rows;case"avg":return group.numbers?group.sum/group.numbers:null;case"min":return group.min;case"max":return group.max;default:return group.numbers?group.sum:null}},keysOf=function(groups,name,limit){var type=types[name]||"string",keys=Object.keys(groups).sort((function(a,b){var left=comparable(groups[a].value,type),right=comparable(groups[b].value,type);return left===right?0:null===left?1:null===right||left<right?-1:1}));return limit?keys.slice(0,limit):keys},rowGroups={},columnGroups={},cells={},total={rows:0,sum:0,numbers:0,min:null,max:null};indexes.forEach((function(index){var row=rows[index],measure=options.measure?row[options.measure]:null,rowValue=row[options.rows],rowKey=isEmpty(rowValue)?"":String(rowValue);if(rowGroups[rowKey]=rowGroups[rowKey]||{value:rowValue,totals:{rows:0,sum:0,numbers:0,min:null,max:null}},add(rowGroups[rowKey].totals,measure),add(total,measure),options.columns){var columnValue=row[options.columns],columnKey=isEmpty(columnValue)?"":String(columnValue);columnGroups[columnKey]=columnGroups[columnKey]||{value:columnValue,totals:{rows:0,sum:0,numbers:0,min:null,max:null}},add(columnGroups[columnKey].totals,measure);var cellKey=JSON.stringify([rowKey,columnKey]);cells[cellKey]=cells[cellKey]||{rows:0,sum:0,numbers:0,min:null,max:null},add(cells[cellKey],measure)}}));var rowKeys=keysOf(rowGroups,options.rows,options.limit),columnKeys=options.columns?keysOf(columnGroups,options.columns,options.columnLimit):[];return{rows:rowKeys.map((function(key){return rowGroups[key].value})),columns:columnKeys.map((function(key){return columnGroups[key].value})),cells:rowKeys.map((function(rowKey){return columnKeys.map((function(columnKey){return result(cells[JSON.stringify([rowKey,columnKey])])}))})),rowTotals:rowKeys.map((function(key){return result(rowGroups[key].totals)})),columnTotals:columnKeys.map((function(key){return result(columnGroups[key].totals)})),total:result(total),rowCount:Object.keys(rowGroups).length,columnCount:Object.keys(columnGroups).length}}}},listen=function(scope,operations){var datasets={};scope.onmessage=function(e){var message=e.data;if("load"!==message.action)if("release"!==message.action){var response={requestId:message.requestId};try{response.result=operations[message.action](datasets[message.id],message.options||{})}catch(error){response.error=error.message}scope.postMessage(response)}else delete datasets[message.id];else datasets[message.id]={rows:message.rows}}},operations=createOperations(),worker=null,workerFailed=!1,nextId=1,pending={},runLocal=function(dataset,action,options){return new Promise((function(resolve){dataset.state||(dataset.state={rows:dataset.rows}),resolve(operations[action](dataset.state,options||{}))}))},abandonWorker=function(){workerFailed=!0,worker&&(worker.terminate(),worker=null);var requests=pending;pending={},Object.keys(requests).forEach((function(requestId){var request=requests[requestId];request.dataset.remote=!1,runLocal(request.dataset,request.action,request.options).then(request.resolve).catch(request.reject)}))},receive=function(e){var request=pending[e.data.requestId];request&&(delete pending[e.data.requestId],e.data.error?request.reject(new Error(e.data.error)):request.resolve(e.data.result))},Dataset=function(rows){this.id=nextId++,this.rows=rows||[],this.state=null,this.remote=this.rows.length>2e3&&!!function(){if(worker||workerFailed)return worker;try{var source="'use strict';\nvar operations = ("+createOperations.toString()+")();\n("+listen.toString()+")(self, operations);\n",url=URL.createObjectURL(new Blob([source],{type:"application/javascript"}));(worker=new Worker(url)).onmessage=receive,worker.onerror=abandonWorker}catch(_e){abandonWorker()}return worker}(),this.remote&&worker.postMessage({action:"load",id:this.id,rows:this.rows})};return Dataset.prototype={run:function(action,options){var self=this;return this.remote&&worker?new Promise((function(resolve,reject){var requestId=nextId++;pending[requestId]={dataset:self,action:action,options:options,resolve:resolve,reject:reject},worker.postMessage({action:action,id:self.id,options:options,requestId:requestId})})):runLocal(this,action,options)},columns:function(){return this.run("columns")},query:function(options){return this.run("query",options)},chart:function(options){return this.run("chart",options)},kpi:function(){return this.run("kpi")},stats:function(options){return this.run("stats",options)},pivot:function(options){return this.run("pivot",options)},release:function(){this.remote&&worker&&worker.postMessage({action:"release",id:this.id}),this.remote=!1,this.state=null}},{dataset:function(rows){return new Dataset(rows)}}}));
+
+//# sourceMappingURL=data_worker.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * Runtime parameter bar for reports that declare parameters.
+ *
+ * A report declares parameters either with a parameters list (e.g.
+ * ['date_range', 'course'] or [{type: 'role'}]) or through the names in its
+ * default params. Each parameter type maps to fixed execution parameter names:
+ * date_range to startdate/enddate (Unix timestamps), course to courseid,
+ * cohort to cohortid and role to roleid.
+ *
+ * @module     block_adeptus_insights/parameter_bar
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/parameter_bar",["jquery","core/ajax","core/str"],(function($,Ajax,Str){var TYPES={date_range:["startdate","enddate"],course:["courseid"],cohort:["cohortid"],role:["roleid"]},optionPromises={},stringsPromise=null,readValues=function($bar){var values={};return $bar.find("[data-param]").each((function(){var $field=$(this),name=$field.data("param"),value=$field.is("input")?function(value,endOfDay){var parts=(value||"").split("-");if(3!==parts.length)return null;var date=endOfDay?new Date(parts[0],parts[1]-1,parts[2],23,59,59):new Date(parts[0],parts[1]-1,parts[2]);return isNaN(date.getTime())?null:Math.floor(date.getTime()/1e3)}($field.val(),"enddate"===name):parseInt($field.val(),10)||null;null!==value&&(values[name]=value)})),values},buildSelect=function(blockId,type,value,strings){var name=TYPES[type][0],$select=$("<select>").addClass("form-select form-select-sm").attr("data-param",name).append($("<option>").val("").text(strings.all));return function(blockId,type){var key=blockId+"_"+type;return optionPromises[key]||(optionPromises[key]=Ajax.call([{methodname:"block_adeptus_insights_get_parameter_options",args:{blockinstanceid:blockId,type:type}}])[0].then((function(response){return response.options})).catch((function(){return delete optionPromises[key],[]}))),optionPromises[key]}(blockId,type).then((function(options){return options.forEach((function(option){$select.append($("<option>").val(option.value).text(option.label))})),value&&!$select.find('option[value="'+value+'"]').length&&$select.append($("<option>").val(value).text(value)),$select.val(value?String(value):""),options})).catch((function(){return[]})),$("<label>").addClass("block-adeptus-parameter").append($("<span>").text(strings[type])).append($select)},buildDate=function(name,label,value){return $("<label>").addClass("block-adeptus-parameter").append($("<span>").text(label)).append($("<input>").attr("type","date").addClass("form-control form-control-sm").attr("data-param",name).val(function(timestamp){if(!timestamp)return"";var date=new Date(1e3*timestamp),pad=function(number){return(number<10?"0":"")+number};return date.getFullYear()+"-"+pad(date.getMonth()+1)+"-"+pad(date.getDate())}(value)))};return{getTypes:function(report){var types=[],add=function(type){TYPES[type]&&-1===types.indexOf(type)&&types.push(type)};return Array.isArray(report.parameters)&&report.parameters.forEach((function(parameter){add("string"==typeof parameter?parameter:parameter.type)})),Object.keys(report.params||{}).forEach((function(name){Object.keys(TYPES).forEach((function(type){-1!==TYPES[type].indexOf(name)&&add(type)}))})),types},render:function($bar,options){var values=options.values||{};return(stringsPromise||(stringsPromise=Str.get_strings([{key:"parameters",component:"block_adeptus_insights"},{key:"param_from",component:"block_adeptus_insights"},{key:"param_to",component:"block_adeptus_insights"},{key:"param_course",component:"block_adeptus_insights"},{key:"param_cohort",component:"block_adeptus_insights"},{key:"param_role",component:"block_adeptus_insights"},{key:"param_all",component:"block_adeptus_insights"},{key:"param_reset",component:"block_adeptus_insights"}]).then((function(strings){return{parameters:strings[0],from:strings[1],to:strings[2],course:strings[3],cohort:strings[4],role:strings[5],all:strings[6],reset:strings[7]}})).catch((function(){return{parameters:"Report parameters",from:"From",to:"To",course:"Course",cohort:"Cohort",role:"Role",all:"All",reset:"Reset"}})))).then((function(strings){return $bar.empty().attr("role","group").attr("aria-label",strings.parameters),options.types.forEach((function(type){"date_range"===type?($bar.append(buildDate("startdate",strings.from,values.startdate)),$bar.append(buildDate("enddate",strings.to,values.enddate))):$bar.append(buildSelect(options.blockId,type,values[TYPES[type][0]],strings))})),$bar.append($("<button>").attr("type","button").addClass("btn btn-sm btn-link block-adeptus-parameter-reset").text(strings.reset)),$bar.off(".parameterbar"),$bar.on("change.parameterbar","[data-param]",(function(){options.onChange(readValues($bar))})),$bar.on("click.parameterbar",".block-adeptus-parameter-reset",(function(){$bar.find("[data-param]").val(""),options.onChange({})})),$bar.removeClass("d-none"),$bar}))}}}));
+
+//# sourceMappingURL=parameter_bar.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * Pivot view of report results.
+ *
+ * The user groups the rows by one or two columns and picks a measure column
+ * and an aggregate. The first grouping gives the rows of the pivot table and
+ * the second its columns, with totals for every row and column. The pivot is
+ * {rows, columns, measure, aggregate}; it is computed by the pivot operation
+ * of block_adeptus_insights/data_worker.
+ *
+ * @module     block_adeptus_insights/pivot_view
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/pivot_view",["jquery","core/str","core/notification"],(function($,Str,Notification){var AGGREGATES=["sum","avg","min","max","count"],stringsPromise=null,viewCount=0,loadStrings=function(){if(stringsPromise)return stringsPromise;return stringsPromise=Str.get_strings([{key:"pivot_rows",component:"block_adeptus_insights"},{key:"pivot_columns",component:"block_adeptus_insights"},{key:"pivot_measure",component:"block_adeptus_insights"},{key:"pivot_aggregate",component:"block_adeptus_insights"},{key:"pivot_none",component:"block_adeptus_insights"},{key:"pivot_total",component:"block_adeptus_insights"},{key:"pivot_value",component:"block_adeptus_insights"},{key:"pivot_empty",component:"block_adeptus_insights"},{key:"pivot_limited",component:"block_adeptus_insights"},{key:"pivot_chart",component:"block_adeptus_insights"},{key:"aggregate_sum",component:"block_adeptus_insights"},{key:"aggregate_avg",component:"block_adeptus_insights"},{key:"aggregate_min",component:"block_adeptus_insights"},{key:"aggregate_max",component:"block_adeptus_insights"},{key:"aggregate_count",component:"block_adeptus_insights"}]).then((function(strings){return{rows:strings[0],columns:strings[1],measure:strings[2],aggregate:strings[3],none:strings[4],total:strings[5],value:strings[6],empty:strings[7],limited:strings[8],chart:strings[9],sum:strings[10],avg:strings[11],min:strings[12],max:strings[13],count:strings[14]}})).catch((function(){return{rows:"Group by",columns:"Then by",measure:"Measure",aggregate:"Aggregate",none:"None",total:"Total",value:"{$a->aggregate} of {$a->measure}",empty:"(Empty)",limited:"Showing the first {$a->shown} of {$a->total} groups.",chart:"Chart this pivot",sum:"Sum",avg:"Average",min:"Min",max:"Max",count:"Count"}}))},formatName=function(name){return name.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}))},formatValue=function(value){return null==value?"":(Math.round(100*value)/100).toLocaleString()},formatGroup=function(value,strings){return null==value||""===value?strings.empty:String(value)},getValueLabel=function(pivot,strings){return"count"!==pivot.aggregate&&pivot.measure?strings.value.replace("{$a->aggregate}",strings[pivot.aggregate]).replace("{$a->measure}",formatName(pivot.measure)):strings.count},buildSelect=function(id,label,name,options,value){var $select=$("<select>").attr("id",id).attr("data-pivot",name).addClass("form-select form-select-sm");return options.forEach((function(option){$select.append($("<option>").val(option.value).text(option.text))})),$select.val(value),$("<div>").addClass("block-adeptus-control-group").append($("<label>").attr("for",id).addClass("form-label small mb-1").text(label)).append($select)},getOptions=function(pivot){return $.extend({},pivot,{aggregate:pivot.measure?pivot.aggregate:"count",limit:200,columnLimit:20})},showResult=function(view){var pivot=view.pivot,strings=view.strings;return view.options.fetch(getOptions(pivot)).then((function(result){if(view.pivot!==pivot)return result;var $note=$(),limitedRows=result.rowCount>result.rows.length;return(limitedRows||result.columnCount>result.columns.length)&&($note=$("<p>").addClass("small text-muted mb-1").text(strings.limited.replace("{$a->shown}",limitedRows?result.rows.length:result.columns.length).replace("{$a->total}",limitedRows?result.rowCount:result.columnCount))),view.$result.empty().append($note,$("<div>").addClass("table-responsive").append(function(result,pivot,strings){var crossed=!!pivot.columns,$headRow=$("<tr>").append($("<th>").attr("scope","col").text(formatName(pivot.rows))),$tbody=$("<tbody>"),$footRow=$("<tr>").append($("<th>").attr("scope","row").text(strings.total));return crossed&&result.columns.forEach((function(value,index){$headRow.append($("<th>").attr("scope","col").addClass("text-end").text(formatGroup(value,strings))),$footRow.append($("<td>").addClass("text-end").text(formatValue(result.columnTotals[index])))})),$headRow.append($("<th>").attr("scope","col").addClass("text-end").text(crossed?strings.total:getValueLabel(pivot,strings))),$footRow.append($("<td>").addClass("text-end").text(formatValue(result.total))),result.rows.forEach((function(value,index){var $row=$("<tr>").append($("<th>").attr("scope","row").text(formatGroup(value,strings)));result.cells[index].forEach((function(cell){$row.append($("<td>").addClass("text-end").text(formatValue(cell)))})),$tbody.append($row.append($("<td>").addClass("text-end block-adeptus-pivot-total").text(formatValue(result.rowTotals[index]))))})),$("<table>").addClass("table table-sm table-bordered table-hover block-adeptus-pivot-table").append($("<thead>").addClass("table-light").append($headRow)).append($tbody).append($("<tfoot>").append($footRow))}(result,pivot,strings))),result}))};return{getDefault:function(columns){var text=columns.filter((function(column){return"number"!==column.type})),numeric=columns.filter((function(column){return"number"===column.type})),rows=(text[0]||columns[0]||{name:""}).name,measure=numeric.length?numeric[numeric.length-1].name:"";return{rows:rows,columns:"",measure:measure===rows?"":measure,aggregate:measure?"sum":"count"}},getOptions:getOptions,getChartData:function(result,pivot){return loadStrings().then((function(strings){var labels=result.rows.map((function(value){return formatGroup(value,strings)})),totals={label:getValueLabel(pivot,strings),values:result.rowTotals};return pivot.columns?{labels:labels,totals:totals,series:result.columns.map((function(value,index){return{label:formatGroup(value,strings),values:result.cells.map((function(cells){return cells[index]}))}}))}:{labels:labels,series:[totals],totals:totals}}))},render:function($container,options){return loadStrings().then((function(strings){var view={$result:$("<div>").addClass("block-adeptus-pivot-result"),pivot:$.extend({},options.pivot),options:options,strings:strings};return $container.empty().append(function(columns,pivot,strings){var prefix="block-adeptus-pivot-"+ ++viewCount,toOption=function(column){return{value:column.name,text:formatName(column.name)}},names=columns.map(toOption),numeric=columns.filter((function(column){return"number"===column.type})).map(toOption);return $("<div>").addClass("block-adeptus-chart-controls d-flex flex-wrap align-items-end gap-2 mb-2").append(buildSelect(prefix+"-rows",strings.rows,"rows",names,pivot.rows)).append(buildSelect(prefix+"-columns",strings.columns,"columns",[{value:"",text:strings.none}].concat(names),pivot.columns||"")).append(buildSelect(prefix+"-measure",strings.measure,"measure",[{value:"",text:strings.none}].concat(numeric),pivot.measure||"")).append(buildSelect(prefix+"-aggregate",strings.aggregate,"aggregate",AGGREGATES.map((function(key){return{value:key,text:strings[key]}})),pivot.aggregate)).append($("<button>").attr("type","button").addClass("btn btn-sm btn-outline-secondary block-adeptus-pivot-chart").append($("<i>").addClass("fa fa-bar-chart").attr("aria-hidden","true")).append(" "+strings.chart))}(options.columns,view.pivot,strings),view.$result),$container.find('[data-pivot="aggregate"]').prop("disabled",!view.pivot.measure),function($container,view){$container.off(".pivotview"),$container.on("change.pivotview","select[data-pivot]",(function(){view.pivot=$.extend({},view.pivot),view.pivot[$(this).attr("data-pivot")]=$(this).val(),$container.find('[data-pivot="aggregate"]').prop("disabled",!view.pivot.measure),view.options.onChange(view.pivot),showResult(view).catch(Notification.exception)})),$container.on("click.pivotview",".block-adeptus-pivot-chart",(function(){view.options.onChart(view.pivot)}))}($container,view),$container.removeClass("d-none"),showResult(view)}))}}}));
+
+//# sourceMappingURL=pivot_view.min.js.map
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Report data service for the Adeptus Insights block.
+ *
+ * Executes wizard and AI reports and normalises the response into a single
+ * result shape. Concurrent requests for the same report share one in-flight
+ * request, and completed results are kept in memory until cleared. Callers
+ * pass an AbortSignal to cancel their interest in a request; the underlying
+ * HTTP request is aborted once no caller is waiting for it.
+ *
+ * One service is shared by every block on the page (see
+ * block_adeptus_insights/report_registry). Each block talks to it through a
+ * BlockDataClient, which adds the block's execution parameters (such as its
+ * course or category context) and its persistent, stale-while-revalidate cache.
+ * Parameters are sent with every execution and are part of every cache key.
+ *
+ * @module     block_adeptus_insights/report_data_service
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/report_data_service",["jquery"],(function($){var createError=function(code,message,jqXHR,textStatus,backend){var error=new Error(message||code);return error.code=code,error.serverMessage=message||"",error.status=jqXHR?jqXHR.status:0,error.textStatus=textStatus||"",error.backend=!!backend,error},serialiseParams=function(params){return Object.keys(params||{}).sort().map((function(name){return name+"="+params[name]})).join("&")},ReportDataService=function(options){this.backendUrl=options.backendUrl,this.getToken=options.getToken,this.store=options.store||null,this.freshAfter=0,this.results={},this.pending={}};ReportDataService.prototype={getKey:function(report,params){return report.slug+"_"+(report.source||"wizard")+"_"+serialiseParams(params)},forBlock:function(options){return new BlockDataClient(this,options)},request:function(report,params,signal){var key=this.getKey(report,params),request=this.pending[key]||this.startRequest(report,key,params);return request.consumers++,this.follow(request.promise,signal,request)},startRequest:function(report,key,params){var self=this,request={key:key,params:params||{},xhr:null,aborted:!1,consumers:0};return request.promise=this.execute(report,request).then((function(result){return self.finishRequest(request),self.results[key]=result,result}),(function(error){throw self.finishRequest(request),error})),this.pending[key]=request,request},finishRequest:function(request){this.pending[request.key]===request&&delete this.pending[request.key]},follow:function(promise,signal,request){var self=this;return signal?new Promise((function(resolve,reject){var settled=!1,onAbort=function(){settled||(settled=!0,request&&self.release(request),reject(createError("abort")))};signal.aborted?onAbort():(signal.addEventListener("abort",onAbort),promise.then((function(result){return signal.removeEventListener("abort",onAbort),settled||signal.aborted||(settled=!0,resolve(result)),result})).catch((function(error){signal.removeEventListener("abort",onAbort),settled||(settled=!0,reject(signal.aborted?createError("abort"):error))})))})):promise},release:function(request){request.consumers--,request.consumers>0||this.pending[request.key]!==request||(request.aborted=!0,this.finishRequest(request),request.xhr&&request.xhr.abort())},clear:function(){this.results={},this.freshAfter=Date.now()},execute:function(report,request){return"wizard"===report.source?this.executeWizardReport(report,request):this.executeAiReport(report,request)},executeWizardReport:function(report,request){var self=this;return new Promise((function(resolve,reject){request.xhr=$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/generate_report.php",method:"POST",data:$.extend({},request.params,{reportid:report.name||report.report_template_id||report.id||report.slug,sesskey:M.cfg.sesskey}),dataType:"json",timeout:3e4}).done((function(response){response.success?resolve(self.normalise(report,response.results||[],null,response.chart_data)):reject(createError("failed",response.message))})).fail((function(jqXHR,textStatus){reject(createError("abort"===textStatus?"abort":"connection",null,jqXHR,textStatus))}))}))},executeAiReport:function(report,request){var self=this,token=this.getToken();return token?new Promise((function(resolve,reject){request.xhr=$.ajax({url:self.backendUrl+"/ai-reports/"+report.slug,method:"GET",headers:{Authorization:"Bearer "+token,Accept:"application/json"},timeout:15e3}).done((function(response){if(response.success){var reportData=response.report?$.extend({slug:report.slug,source:report.source},response.report):report,data=response.data||[],sqlQuery=response.sql||reportData.sql_query||reportData.sql;if((response.execution_required||0===data.length&&sqlQuery)&&sqlQuery){if(request.aborted)return void reject(createError("abort"));var params=$.extend({},reportData.params,request.params);self.executeLocally(sqlQuery,params,request).then((function(execution){return resolve(self.normalise(reportData,execution.data,execution.headers,null)),execution})).catch(reject)}else resolve(self.normalise(reportData,data,null,null))}else reject(createError("failed",response.message))})).fail((function(jqXHR,textStatus){reject(createError("abort"===textStatus?"abort":"connection",null,jqXHR,textStatus,!0))}))})):Promise.reject(createError("notoken"))},executeLocally:function(sql,params,request){return new Promise((function(resolve,reject){request.xhr=$.ajax({url:M.cfg.wwwroot+"/report/adeptus_insights/ajax/execute_ai_report.php",method:"POST",contentType:"application/json",data:JSON.stringify({sql:sql,params:params||{},sesskey:M.cfg.sesskey}),timeout:6e4}).done((function(response){response.success?resolve({data:response.data||[],headers:response.headers||[]}):reject(createError("execution",response.message))})).fail((function(jqXHR,textStatus){reject(createError("abort"===textStatus?"abort":"execution",null,jqXHR,textStatus))}))}))},normalise:function(report,rows,headers,chartData){return{report:report,results:rows=rows||[],headers:rows.length?Object.keys(rows[0]):headers||[],chartData:chartData||null,executedAt:Date.now()}}};var BlockDataClient=function(service,options){this.service=service,this.userId=options.userId||0,this.blockId=options.blockId||0,this.params=options.params||{},this.ttl=options.ttl||0,this.onResult=options.onResult||null};return BlockDataClient.prototype={getParams:function(params){return $.extend({},this.params,params)},setParams:function(params){this.params=params||{}},getKey:function(report,params){return this.service.getKey(report,this.getParams(params))},getStoreKey:function(report,params){return[this.userId,this.blockId,report.slug,report.source||"wizard",serialiseParams(this.getParams(params))].join("|")},isPersistent:function(){return null!==this.service.store&&this.ttl>0&&this.userId>0},lookup:function(report,params){var self=this,service=this.service,key=this.getKey(report,params);return service.results[key]?Promise.resolve({result:service.results[key],stale:!1}):this.isPersistent()?service.store.get(this.getStoreKey(report,params)).then((function(entry){if(!entry||!entry.data)return null;var result=entry.data,stale=Date.now()-result.executedAt>=self.ttl||result.executedAt<service.freshAfter;return stale||(service.results[key]=result),{result:result,stale:stale}})):Promise.resolve(null)},load:function(report,options){var self=this;return(options=options||{}).force?this.request(report,options.signal,options.params):this.lookup(report,options.params).then((function(cached){if(options.signal&&options.signal.aborted)throw createError("abort");return cached&&!cached.stale?cached.result:(cached&&options.onStale&&options.onStale(cached.result),self.request(report,options.signal,options.params))}))},request:function(report,signal,params){var self=this;return this.service.request(report,this.getParams(params),signal).then((function(result){return self.publish(report,result,params||{}),result}))},peek:function(report,params){return this.service.results[this.getKey(report,params)]||null},prime:function(report,rows){var result=this.service.normalise(report,rows,null,null);return this.service.results[this.getKey(report)]=result,this.publish(report,result,{}),result},readShared:function(report,params,executedAt){var service=this.service,key=this.getKey(report,params);return this.isPersistent()?service.store.get(this.getStoreKey(report,params)).then((function(entry){return!entry||!entry.data||entry.data.executedAt<executedAt?null:(service.results[key]=entry.data,entry.data)})):Promise.resolve(null)},publish:function(report,result,params){var self=this;this.persist(report,result,params).then((function(){return self.onResult&&self.onResult(report,result,params),result})).catch((function(){return null}))},persist:function(report,result,params){return this.isPersistent()?this.service.store.set(this.getStoreKey(report,params),this.blockId,result):Promise.resolve(null)}},{create:function(options){return new ReportDataService(options)}}}));
+
+//# sourceMappingURL=report_data_service.min.js.map
\ No newline at end of file
@@ -0,0 +1,19 @@
+/**
+ * Page-level registry shared by every Adeptus Insights block on the page.
+ *
+ * The report catalogue (/wizard-reports and /ai-reports) is fetched once and
+ * handed to every block, and report executions go through a single shared
+ * report data service. Blocks subscribe to be told when the catalogue is
+ * refreshed so they can re-render.
+ *
+ * When the backend cannot be reached the registry keeps retrying with backoff
+ * and offers the last catalogue that was fetched successfully, if it is
+ * recent enough. Stored catalogues are kept per user.
+ *
+ * @module     block_adeptus_insights/report_registry
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/report_registry",["jquery","block_adeptus_insights/report_data_service","block_adeptus_insights/result_cache"],(function($,ReportDataService,ResultCache){var CACHE_KEY="adeptus_block_reports_",userId=0,reports=null,cataloguePromise=null,refreshPromise=null,dataService=null,listeners=[],offline=!1,retryTimer=null,retryDelay=15e3,reconnectListeners=[],writeCache=function(list){if(userId){var data=JSON.stringify({timestamp:Date.now(),reports:list});try{sessionStorage.setItem(CACHE_KEY+userId,data),localStorage.setItem("adeptus_block_reports_last_"+userId,data)}catch(_e){}}},fetchEndpoint=function(backendUrl,endpoint,token,source){return new Promise((function(resolve,reject){$.ajax({url:backendUrl+endpoint,method:"GET",headers:{Authorization:"Bearer "+token,"Content-Type":"application/json",Accept:"application/json"},timeout:15e3}).done((function(response){var list=response.reports||response.data||[];list.forEach((function(report){report.source=report.source||source})),resolve(list)})).fail((function(jqXHR,textStatus){reject(new Error("Catalogue request failed: "+(textStatus||jqXHR.status)))}))}))},fetchCatalogue=function(backendUrl,token){return cataloguePromise||(cataloguePromise=Promise.all([fetchEndpoint(backendUrl,"/wizard-reports",token,"wizard"),fetchEndpoint(backendUrl,"/ai-reports",token,"ai")]).then((function(lists){return cataloguePromise=null,reports=lists[0].concat(lists[1]),writeCache(reports),offline&&(offline=!1,retryDelay=15e3,clearTimeout(retryTimer),retryTimer=null,reconnectListeners.slice().forEach((function(callback){callback()}))),reports}),(function(error){throw cataloguePromise=null,error})))},notify=function(list){listeners.slice().forEach((function(callback){callback(list)}))};return{setUser:function(id){!userId&&id&&(userId=id,ResultCache.setUser(id))},peekCatalogue:function(){return reports||(reports=function(){if(!userId)return null;try{var cached=sessionStorage.getItem(CACHE_KEY+userId);if(cached){var data=JSON.parse(cached);if(data.timestamp&&Date.now()-data.timestamp<3e5)return data.reports;sessionStorage.removeItem(CACHE_KEY+userId)}}catch(_e){}return null}()),reports},getCatalogue:function(options){var cached=this.peekCatalogue();return cached?Promise.resolve(cached):fetchCatalogue(options.backendUrl,options.token)},refresh:function(options){return refreshPromise||(refreshPromise=fetchCatalogue(options.backendUrl,options.token).then((function(list){return refreshPromise=null,dataService&&dataService.clear(),notify(list),list}),(function(error){throw refreshPromise=null,error})))},apply:function(list){reports&&JSON.stringify(reports)===JSON.stringify(list)||(reports=list,writeCache(list),notify(list))},subscribe:function(callback){return listeners.push(callback),function(){listeners=listeners.filter((function(listener){return listener!==callback}))}},getLastKnownCatalogue:function(){if(!userId)return null;try{var data=JSON.parse(localStorage.getItem("adeptus_block_reports_last_"+userId));if(data&&data.reports&&data.timestamp&&Date.now()-data.timestamp<6048e5)return data;localStorage.removeItem("adeptus_block_reports_last_"+userId)}catch(_e){}return null},markOffline:function(options){var self=this;offline=!0,retryTimer||(retryTimer=setTimeout((function(){retryTimer=null,fetchCatalogue(options.backendUrl,options.token).then((function(list){return notify(list),list})).catch((function(){self.markOffline(options)}))}),retryDelay),retryDelay=Math.min(2*retryDelay,3e5))},isOffline:function(){return offline},onReconnect:function(callback){return reconnectListeners.push(callback),function(){reconnectListeners=reconnectListeners.filter((function(listener){return listener!==callback}))}},getDataService:function(options){return dataService||(dataService=ReportDataService.create({backendUrl:options.backendUrl,getToken:options.getToken,store:ResultCache})),dataService}}}));
+
+//# sourceMappingURL=report_registry.min.js.map
\ No newline at end of file
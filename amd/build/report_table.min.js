@@ -0,0 +1,20 @@
+/**
+ * Report table used by the embedded, tab and modal views.
+ *
+ * A table is created for a table view element holding the column menu
+ * (.block-adeptus-column-chooser), the table, the row count
+ * (.block-adeptus-row-count) and the pagination
+ * (.block-adeptus-table-pagination with .block-adeptus-table-page-prev,
+ * -next and -info). It renders the sortable header, the rows of the current
+ * page or a virtual scrolling body, the cell formatting, the aggregate footer
+ * and the column statistics, and handles the events inside the view. The
+ * caller keeps the user's preferences; the table reports changes to them
+ * through its callbacks.
+ *
+ * @module     block_adeptus_insights/report_table
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/report_table",["jquery","core/str","core/notification","block_adeptus_insights/column_chooser","block_adeptus_insights/cell_format","block_adeptus_insights/cell_renderer","block_adeptus_insights/virtual_table","block_adeptus_insights/column_stats","block_adeptus_insights/row_drilldown"],(function($,Str,Notification,ColumnChooser,CellFormat,CellRenderer,VirtualTable,ColumnStats,RowDrilldown){var stringsPromise=null,noop=function(){return null},getNumericColumns=function(columns){return columns.filter((function(column){return"number"===column.type})).map((function(column){return column.name}))},getColumnOrder=function(headers,layout){if(!layout)return headers;var ordered=layout.order.filter((function(column){return-1!==headers.indexOf(column)}));return ordered.concat(headers.filter((function(column){return-1===ordered.indexOf(column)})))},getVisibleColumns=function(headers,layout){if(!layout)return headers;var visible=getColumnOrder(headers,layout).filter((function(column){return-1===layout.hidden.indexOf(column)}));return visible.length>0?visible:headers},ReportTable=function($root,options){this.root=$root,this.table=$root.find("table").first(),this.dataset=options.dataset,this.headers=options.headers,this.key=options.key||"",this.filter=options.filter||{search:"",filters:[]},this.sort=options.sort||null,this.layout=options.layout||null,this.virtual="virtual"===options.mode,this.rowsPerPage=options.rowsPerPage||25,this.textLimit=options.textLimit||50,this.formatRules=options.formatRules||{},this.columnTypes=options.columnTypes||{},this.footer=!!options.footer,this.aggregates=options.aggregates||{},this.drilldown=!!options.drilldown,this.onSort=options.onSort||noop,this.onLayoutChange=options.onLayoutChange||noop,this.onAggregateChange=options.onAggregateChange||noop,this.onDrilldown=options.onDrilldown||noop,this.onPageChange=options.onPageChange||noop,this.page=1,this.total=0,this.request=0,this.virtualTable=null,this.destroyed=!1,this.bindEvents()};return ReportTable.prototype={bindEvents:function(){var self=this;this.root.off(".reporttable"),this.root.on("click.reporttable",".block-adeptus-sort-button",(function(e){e.preventDefault(),self.sortBy($(this).attr("data-column"))})),this.root.on("click.reporttable",".block-adeptus-column-stats-button",(function(e){e.preventDefault(),self.showColumnStats($(this))})),this.root.on("click.reporttable",".block-adeptus-table-page-prev",(function(e){e.preventDefault(),self.page>1&&(self.showPage(self.page-1).catch(Notification.exception),self.onPageChange(self.page))})),this.root.on("click.reporttable",".block-adeptus-table-page-next",(function(e){e.preventDefault(),self.page<self.getPageCount()&&(self.showPage(self.page+1).catch(Notification.exception),self.onPageChange(self.page))})),this.root.on("click.reporttable keydown.reporttable",".block-adeptus-drilldown-row",(function(e){RowDrilldown.isActivation(e)&&(e.preventDefault(),self.onDrilldown($(this).data("row")))}))},getColumns:function(){return getVisibleColumns(this.headers,this.layout)},getQuery:function(){return{search:this.filter.search,filters:this.filter.filters,sort:this.sort}},getPageCount:function(){return Math.max(1,Math.ceil(this.total/this.rowsPerPage))},showPage:function(page){return this.page=page,this.render()},render:function(){var self=this,request=++this.request,headers=this.getColumns(),query=this.getQuery(),formatPromise=this.loadFormat(query,headers);return ColumnStats.closePopover(),this.renderColumnChooser(),this.renderFooter(query,headers).catch(Notification.exception),this.virtualTable&&(this.virtualTable.destroy(),this.virtualTable=null),(stringsPromise||(stringsPromise=Str.get_strings([{key:"js_sort_by",component:"block_adeptus_insights"},{key:"js_column_stats",component:"block_adeptus_insights"},{key:"showingxofy",component:"block_adeptus_insights"},{key:"page",component:"block_adeptus_insights"},{key:"of",component:"block_adeptus_insights"}]).then((function(strings){return{sortBy:strings[0],columnStats:strings[1],showing:strings[2],page:strings[3],of:strings[4]}})).catch((function(){return{sortBy:"Sort by {$a}",columnStats:"Statistics for {$a}",showing:"Showing {$a->start}-{$a->end} of {$a->total}",page:"Page",of:"of"}})))).then((function(strings){return request!==self.request||self.destroyed?null:(self.table.find("thead").empty().append(self.buildHeader(headers,strings)),self.virtual?self.renderVirtual(query,headers,formatPromise,strings):self.renderPage(request,query,headers,formatPromise,strings))}))},renderPage:function(request,query,headers,formatPromise,strings){var self=this,start=(this.page-1)*this.rowsPerPage;return Promise.all([this.dataset.query($.extend({offset:start,limit:this.rowsPerPage},query)),formatPromise]).then((function(results){var page=results[0],format=results[1],tbody=self.table.find("tbody");if(request!==self.request||self.destroyed)return page;self.total=page.total,tbody.empty(),page.rows.forEach((function(row){tbody.append(self.buildRow(row,headers,format))}));var pages=self.getPageCount();return self.showRange(Math.min(start+1,page.total),start+page.rows.length,page.total,strings),self.root.find(".block-adeptus-table-page-info").text(strings.page+" "+self.page+" "+strings.of+" "+pages),self.root.find(".block-adeptus-table-page-prev").prop("disabled",self.page<=1),self.root.find(".block-adeptus-table-page-next").prop("disabled",self.page>=pages),self.root.find(".block-adeptus-table-pagination").toggleClass("d-none",pages<=1),page}))},renderVirtual:function(query,headers,formatPromise,strings){var self=this;return this.root.find(".block-adeptus-table-pagination").addClass("d-none"),this.virtualTable=VirtualTable.create({scroller:this.table.closest(".table-responsive"),tbody:this.table.find("tbody"),columns:headers.length,fetch:function(offset,count){return Promise.all([self.dataset.query($.extend({offset:offset,limit:count},query)),formatPromise]).then((function(results){return{total:results[0].total,rows:results[0].rows.map((function(row){return self.buildRow(row,headers,results[1])}))}}))},onRange:function(first,last,total){self.total=total,self.showRange(first,last,total,strings)}}),this.virtualTable.load()},showRange:function(first,last,total,strings){this.root.find(".block-adeptus-row-count").text(strings.showing.replace("{$a->start}",first).replace("{$a->end}",last).replace("{$a->total}",total))},buildHeader:function(headers,strings){var sort=this.sort,headerRow=$("<tr>");return headers.forEach((function(h){var formatted=h.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()})),direction=sort&&sort.column===h?sort.direction:null,ariaSort={asc:"ascending",desc:"descending"}[direction]||"none";headerRow.append($("<th>").attr("aria-sort",ariaSort).append($("<button>").attr("type","button").attr("data-column",h).attr("title",strings.sortBy.replace("{$a}",formatted)).addClass("block-adeptus-sort-button").text(formatted+" ").append($("<i>").addClass("fa "+(direction?"fa-sort-"+direction:"fa-sort text-muted")).attr("aria-hidden","true")),$("<button>").attr("type","button").attr("data-column",h).attr("aria-expanded","false").attr("aria-label",strings.columnStats.replace("{$a}",formatted)).attr("title",strings.columnStats.replace("{$a}",formatted)).addClass("block-adeptus-column-stats-button").append($("<i>").addClass("fa fa-bar-chart text-muted").attr("aria-hidden","true"))))})),headerRow},buildRow:function(row,headers,format){var limit=this.textLimit,tr=$("<tr>");return headers.forEach((function(h){tr.append(CellFormat.apply(format.cells.render(h,row[h],limit),h,row[h],format))})),this.drilldown&&tr.addClass("block-adeptus-drilldown-row").attr("tabindex","0").data("row",row),tr},loadFormat:function(query,headers){var self=this,rules=CellFormat.forColumns(this.formatRules,this.key,headers),statsOptions=CellFormat.getStatsOptions(rules);return Promise.all([this.dataset.columns().then((function(columns){return CellRenderer.create(columns,CellRenderer.forReport(self.columnTypes,self.key))})),statsOptions?this.dataset.stats($.extend({},query,statsOptions)):{}]).then((function(results){return{cells:results[0],rules:rules,stats:results[1]}}))},renderFooter:function(query,headers){var self=this,tfoot=this.table.find("tfoot"),request=(tfoot.data("request")||0)+1;return tfoot.data("request",request),this.footer?this.dataset.columns().then((function(columns){var numeric=getNumericColumns(columns).filter((function(column){return-1!==headers.indexOf(column)}));return Promise.all([numeric,self.dataset.stats($.extend({},query,{columns:numeric}))])})).then((function(results){return tfoot.data("request")!==request?null:0===results[0].length?(tfoot.empty(),null):ColumnStats.renderFooter(tfoot,{headers:headers,numeric:results[0],aggregates:self.aggregates,stats:results[1],onChange:function(column,aggregate){self.aggregates=$.extend({},self.aggregates),self.aggregates[column]=aggregate,self.onAggregateChange(column,aggregate)}})})):(tfoot.empty(),Promise.resolve())},renderColumnChooser:function(){var self=this,$container=this.root.find(".block-adeptus-column-chooser"),signature=this.key+"|"+this.headers.join(",");$container.length&&$container.data("signature")!==signature&&($container.data("signature",signature),ColumnChooser.render($container,{columns:getColumnOrder(this.headers,this.layout),hidden:this.layout?this.layout.hidden:[],onChange:function(layout){self.layout=layout,self.onLayoutChange(layout),layout||$container.removeData("signature"),self.render()}}).catch(Notification.exception))},sortBy:function(column){var self=this;return this.sort=function(sort,column){return sort&&sort.column===column?"asc"===sort.direction?{column:column,direction:"desc"}:null:{column:column,direction:"asc"}}(this.sort,column),this.page=1,this.onSort(this.sort),this.render().then((function(){return self.table.find(".block-adeptus-sort-button").filter((function(){return $(this).attr("data-column")===column})).trigger("focus"),null})).catch(Notification.exception)},showColumnStats:function(button){var column=button.attr("data-column");return Promise.all([this.dataset.columns(),this.dataset.stats($.extend(this.getQuery(),ColumnStats.getPopoverOptions(column)))]).then((function(results){return ColumnStats.showPopover(button,{column:column,numeric:-1!==getNumericColumns(results[0]).indexOf(column),stats:results[1][column]})})).catch(Notification.exception)},destroy:function(){this.destroyed=!0,this.root.off(".reporttable"),ColumnStats.closePopover(),this.virtualTable&&(this.virtualTable.destroy(),this.virtualTable=null)}},{create:function($root,options){return new ReportTable($root,options)},getVisibleColumns:getVisibleColumns}}));
+
+//# sourceMappingURL=report_table.min.js.map
\ No newline at end of file
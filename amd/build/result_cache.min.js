@@ -0,0 +1,19 @@
+/**
+ * Persistent IndexedDB store for executed report results.
+ *
+ * Every method resolves (never rejects) so callers can treat the store as
+ * optional: when IndexedDB is unavailable, reads resolve with null and writes
+ * are ignored.
+ *
+ * Entries belong to the user set with setUser and are only returned to that
+ * user. The whole store is cleared when another user, or the same user in a
+ * new session, opens it, so report rows never outlive the session that
+ * fetched them. Until a user is set the store is unavailable.
+ *
+ * @module     block_adeptus_insights/result_cache
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/result_cache",[],(function(){var STORE="results",dbPromise=null,userId=null,checkSession=function(db){var hash=function(){for(var text=userId+":"+M.cfg.sesskey,hash=5381,i=0;i<text.length;i++)hash=(hash<<5)+hash+text.charCodeAt(i)|0;return userId+":"+(hash>>>0).toString(36)}(),previous=null;try{previous=localStorage.getItem("adeptus_block_results_session"),localStorage.setItem("adeptus_block_results_session",hash)}catch(_e){}if(previous!==hash)try{db.transaction(STORE,"readwrite").objectStore(STORE).clear()}catch(_e){}},openDatabase=function(){return dbPromise||(null===userId?Promise.resolve(null):dbPromise=new Promise((function(resolve){var request;try{request=window.indexedDB.open("block_adeptus_insights",1)}catch(_e){return void resolve(null)}request.onupgradeneeded=function(){var db=request.result;if(!db.objectStoreNames.contains(STORE)){var store=db.createObjectStore(STORE,{keyPath:"key"});store.createIndex("userBlock",["userId","blockId"],{unique:!1}),store.createIndex("storedAt","storedAt",{unique:!1})}},request.onsuccess=function(){checkSession(request.result),function(db){try{var store=db.transaction(STORE,"readwrite").objectStore(STORE),range=IDBKeyRange.upperBound(Date.now()-6048e5);store.index("storedAt").openCursor(range).onsuccess=function(e){var cursor=e.target.result;cursor&&(cursor.delete(),cursor.continue())}}catch(_e){}}(request.result),resolve(request.result)},request.onerror=function(){resolve(null)},request.onblocked=function(){resolve(null)}})))},withStore=function(mode,callback){return openDatabase().then((function(db){return db?new Promise((function(resolve){try{var request=callback(db.transaction(STORE,mode).objectStore(STORE));request.onsuccess=function(){resolve(void 0===request.result?null:request.result)},request.onerror=function(){resolve(null)}}catch(_e){resolve(null)}})):null}))};return{setUser:function(id){null===userId&&id&&(userId=id)},get:function(key){return withStore("readonly",(function(store){return store.get(key)})).then((function(entry){return entry&&entry.userId===userId?entry:null}))},set:function(key,blockId,data){return withStore("readwrite",(function(store){return store.put({key:key,userId:userId,blockId:blockId,storedAt:Date.now(),data:data})}))},clearBlock:function(blockId){return withStore("readwrite",(function(store){var request=store.index("userBlock").openCursor(IDBKeyRange.only([userId,blockId]));return request.addEventListener("success",(function(e){var cursor=e.target.result;cursor&&(cursor.delete(),cursor.continue())})),request}))}}}));
+
+//# sourceMappingURL=result_cache.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * Row drill-down for report tables.
+ *
+ * Block editors give a report a drill-down action: detail (a panel listing
+ * every field of the row), url (a Moodle URL such as
+ * /user/view.php?id={userid}&course={courseid}) or report (another report,
+ * run with parameters such as courseid={courseid}). Placeholders in braces
+ * are replaced with the row's values.
+ *
+ * @module     block_adeptus_insights/row_drilldown
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/row_drilldown",["jquery","core/str","core/modal_factory","core/modal_events"],(function($,Str,ModalFactory,ModalEvents){var ACTIONS=["detail","url","report"],PLACEHOLDER=/\{([^{}]+)\}/g,stringsPromise=null,loadStrings=function(){if(stringsPromise)return stringsPromise;return stringsPromise=Str.get_strings([{key:"drilldown_field",component:"block_adeptus_insights"},{key:"drilldown_value",component:"block_adeptus_insights"}]).then((function(strings){return{field:strings[0],value:strings[1]}})).catch((function(){return{field:"Field",value:"Value"}}))},loadDetailTitle=function(name){var text,div,escaped=(text=name||"",(div=document.createElement("div")).textContent=text,div.innerHTML);return Str.get_string("drilldown_detail_title","block_adeptus_insights",escaped).catch((function(){return"Row details: "+escaped}))},fill=function(template,row,encode){return String(template||"").replace(PLACEHOLDER,(function(match,column){var value=row[$.trim(column)];return null==value?"":encode(String(value))}))};return{forReport:function(drilldowns,key){var drilldown=(drilldowns||{})[key];return drilldown?$.extend({},drilldown,{action:-1!==ACTIONS.indexOf(drilldown.action)?drilldown.action:ACTIONS[0]}):null},isActivation:function(e){return"keydown"===e.type?("Enter"===e.key||" "===e.key)&&e.target===e.currentTarget:!$(e.target).closest("a, button, input, select, textarea").length},buildUrl:function(template,row){var url=fill($.trim(template),row,encodeURIComponent);return/^\/(?!\/)/.test(url)?M.cfg.wwwroot+url:0===url.indexOf(M.cfg.wwwroot+"/")?url:null},getParams:function(template,row){var params={};return String(template||"").split(/[&\n]/).forEach((function(pair){var index=pair.indexOf("="),name=$.trim(-1===index?"":pair.substring(0,index)),value=-1===index?"":$.trim(fill(pair.substring(index+1),row,(function(text){return text})));name&&""!==value&&(params[name]=value)})),params},showDetail:function(options){return Promise.all([loadStrings(),loadDetailTitle(options.title)]).then((function(results){var strings=results[0],$tbody=$("<tbody>");return Object.keys(options.row).forEach((function(column){var name;$tbody.append($("<tr>").append($("<th>").attr("scope","row").text((name=column,name.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()}))))).append(options.cells.render(column,options.row[column],0)))})),ModalFactory.create({type:ModalFactory.types.DEFAULT,title:results[1],body:$("<table>").addClass("table table-sm table-striped block-adeptus-row-detail mb-0").append($("<thead>").append($("<tr>").append($("<th>").attr("scope","col").text(strings.field)).append($("<th>").attr("scope","col").text(strings.value)))).append($tbody)})})).then((function(modal){return modal.getRoot().on(ModalEvents.hidden,(function(){modal.destroy()})),modal.show(),modal}))}}}));
+
+//# sourceMappingURL=row_drilldown.min.js.map
\ No newline at end of file
@@ -0,0 +1,18 @@
+/**
+ * Coordination between browser tabs showing the same Adeptus Insights block.
+ *
+ * For every block instance one tab holds a leader lease in localStorage. The
+ * leader runs auto-refresh and posts KPI snapshots, and shares what it fetched
+ * with the other tabs over a BroadcastChannel (or localStorage events where
+ * BroadcastChannel is not supported). The most recently focused tab takes over
+ * the lease, and the lease expires when its tab is closed or stops renewing it.
+ *
+ * When localStorage is unavailable every tab acts as its own leader.
+ *
+ * @module     block_adeptus_insights/tab_sync
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/tab_sync",[],(function(){var LEADER_KEY="adeptus_block_leader_",MESSAGE_KEY="adeptus_block_message",tabId=Date.now().toString(36)+Math.random().toString(36).slice(2),handlers={},channel=null,storage=null,started=!1,readLease=function(blockId){try{return JSON.parse(storage.getItem(LEADER_KEY+blockId))}catch(_e){return null}},heartbeat=function(takeOver){Object.keys(handlers).forEach((function(blockId){var lease=readLease(blockId);(takeOver||!lease||lease.tab===tabId||lease.expires<Date.now())&&function(blockId){try{storage.setItem(LEADER_KEY+blockId,JSON.stringify({tab:tabId,expires:Date.now()+15e3}))}catch(_e){}}(blockId)}))},release=function(){Object.keys(handlers).forEach((function(blockId){var lease=readLease(blockId);lease&&lease.tab===tabId&&storage.removeItem(LEADER_KEY+blockId)}))},dispatch=function(message){message&&message.tab!==tabId&&handlers[message.blockId]&&handlers[message.blockId](message.type,message.payload)},start=function(){started=!0,storage=function(){try{return window.localStorage.setItem(MESSAGE_KEY,""),window.localStorage.removeItem(MESSAGE_KEY),window.localStorage}catch(_e){return null}}(),"function"==typeof window.BroadcastChannel&&((channel=new window.BroadcastChannel("block_adeptus_insights")).onmessage=function(e){dispatch(e.data)}),storage&&(window.addEventListener("storage",(function(e){if(!channel&&e.key===MESSAGE_KEY&&e.newValue)try{dispatch(JSON.parse(e.newValue))}catch(_e){}})),document.addEventListener("visibilitychange",(function(){document.hidden||heartbeat(!0)})),window.addEventListener("pagehide",release),setInterval((function(){heartbeat(!1)}),5e3))};return{join:function(blockId,callback){started||start(),handlers[blockId]=callback,storage&&heartbeat(!document.hidden)},isLeader:function(blockId){if(!storage)return!0;var lease=readLease(blockId);return!!lease&&lease.tab===tabId&&lease.expires>=Date.now()},publish:function(blockId,type,payload){var message={blockId:blockId,type:type,payload:payload,tab:tabId};if(channel)try{channel.postMessage(message)}catch(_e){}else if(storage)try{message.nonce=Math.random(),storage.setItem(MESSAGE_KEY,JSON.stringify(message)),storage.removeItem(MESSAGE_KEY)}catch(_e){}}}}));
+
+//# sourceMappingURL=tab_sync.min.js.map
\ No newline at end of file
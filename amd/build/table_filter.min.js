@@ -0,0 +1,15 @@
+/**
+ * Quick filter and per-column filters for report tables.
+ *
+ * The bar holds a quick-filter box that matches any cell, and a collapsible
+ * panel with one control per column: contains/equals for text, a range for
+ * numbers and a date range for dates. Its value is {search, filters} in the
+ * format block_adeptus_insights/data_worker queries accept.
+ *
+ * @module     block_adeptus_insights/table_filter
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/table_filter",["jquery","core/str"],(function($,Str){var stringsPromise=null,panelCount=0,toDateInput=function(time){if(null==time||""===time)return"";var date=new Date(time),pad=function(number){return(number<10?"0":"")+number};return date.getFullYear()+"-"+pad(date.getMonth()+1)+"-"+pad(date.getDate())},fromDateInput=function(value,endOfDay){var parts=(value||"").split("-");if(3!==parts.length)return null;var date=endOfDay?new Date(parts[0],parts[1]-1,parts[2],23,59,59,999):new Date(parts[0],parts[1]-1,parts[2]);return isNaN(date.getTime())?null:date.getTime()},fromNumberInput=function(value){var number=parseFloat(value);return isNaN(number)?null:number},showCount=function($container,value){var count=value.filters.length;$container.find(".block-adeptus-table-filter-count").text(count||"").toggleClass("d-none",!count),$container.find(".block-adeptus-table-filter-clear").toggleClass("d-none",!count&&!value.search)};return{empty:function(){return{search:"",filters:[]}},isActive:function(value){return!!value&&(!!value.search||value.filters.length>0)},render:function($container,options){var value=options.value||this.empty();return(stringsPromise||(stringsPromise=Str.get_strings([{key:"filter_search",component:"block_adeptus_insights"},{key:"filter_columns",component:"block_adeptus_insights"},{key:"filter_clear",component:"block_adeptus_insights"},{key:"filter_contains",component:"block_adeptus_insights"},{key:"filter_equals",component:"block_adeptus_insights"},{key:"filter_min",component:"block_adeptus_insights"},{key:"filter_max",component:"block_adeptus_insights"},{key:"param_from",component:"block_adeptus_insights"},{key:"param_to",component:"block_adeptus_insights"}]).then((function(strings){return{search:strings[0],columns:strings[1],clear:strings[2],contains:strings[3],equals:strings[4],min:strings[5],max:strings[6],from:strings[7],to:strings[8]}})).catch((function(){return{search:"Filter rows...",columns:"Column filters",clear:"Clear filters",contains:"Contains",equals:"Equals",min:"Min",max:"Max",from:"From",to:"To"}})))).then((function(strings){var panelId="block-adeptus-table-filter-"+ ++panelCount,byColumn={},timer=null;value.filters.forEach((function(filter){byColumn[filter.column]=filter}));var $panel=$("<div>").attr("id",panelId).addClass("block-adeptus-table-filter-columns d-none");options.columns.forEach((function(column){$panel.append(function(column,filter,strings){var label=column.name.replace(/_/g," ").replace(/\b\w/g,(function(letter){return letter.toUpperCase()})),$row=$("<div>").addClass("block-adeptus-table-filter-column").attr("data-column",column.name).attr("data-type",column.type).append($("<span>").addClass("block-adeptus-table-filter-label").text(label)),input=function(type,className,ariaLabel,value){return $("<input>").attr("type",type).attr("aria-label",label+": "+ariaLabel).addClass("form-control form-control-sm "+className).val(null==value?"":value)};return filter=filter||{},"number"===column.type?($row.append(input("number","block-adeptus-filter-from",strings.min,filter.value).attr("placeholder",strings.min).attr("step","any")),$row.append(input("number","block-adeptus-filter-to",strings.max,filter.to).attr("placeholder",strings.max).attr("step","any"))):"date"===column.type?($row.append(input("date","block-adeptus-filter-from",strings.from,toDateInput(filter.value))),$row.append(input("date","block-adeptus-filter-to",strings.to,toDateInput(filter.to)))):($row.append($("<select>").addClass("form-select form-select-sm block-adeptus-filter-operator").attr("aria-label",label).append($("<option>").val("contains").text(strings.contains)).append($("<option>").val("equals").text(strings.equals)).val("equals"===filter.operator?"equals":"contains")),$row.append(input("text","block-adeptus-filter-value",strings.contains,filter.value))),$row}(column,byColumn[column.name],strings))})),$container.empty().append($("<div>").addClass("block-adeptus-table-filter-bar").append($("<input>").attr("type","search").attr("placeholder",strings.search).attr("aria-label",strings.search).addClass("form-control form-control-sm block-adeptus-table-search").val(value.search)).append($("<button>").attr("type","button").attr("aria-expanded","false").attr("aria-controls",panelId).addClass("btn btn-sm btn-outline-secondary block-adeptus-table-filter-toggle").append($("<i>").addClass("fa fa-filter").attr("aria-hidden","true")).append(" "+strings.columns+" ").append($("<span>").addClass("badge bg-primary block-adeptus-table-filter-count d-none"))).append($("<button>").attr("type","button").addClass("btn btn-sm btn-link block-adeptus-table-filter-clear d-none").text(strings.clear)),$panel),showCount($container,value);var apply=function(){clearTimeout(timer);var newValue=function($container){var filters=[];return $container.find(".block-adeptus-table-filter-column").each((function(){var $row=$(this),column=$row.attr("data-column"),type=$row.attr("data-type"),from=$row.find(".block-adeptus-filter-from").val(),to=$row.find(".block-adeptus-filter-to").val();if("number"!==type&&"date"!==type){var value=$.trim($row.find(".block-adeptus-filter-value").val());""!==value&&filters.push({column:column,operator:$row.find(".block-adeptus-filter-operator").val(),value:value})}else{var range="date"===type?{value:fromDateInput(from,!1),to:fromDateInput(to,!0)}:{value:fromNumberInput(from),to:fromNumberInput(to)};null===range.value&&null===range.to||filters.push({column:column,operator:"between",value:range.value,to:range.to})}})),{search:$.trim($container.find(".block-adeptus-table-search").val()),filters:filters}}($container);showCount($container,newValue),options.onChange(newValue)};return $container.off(".tablefilter"),$container.on("input.tablefilter",'input[type="search"], input[type="text"], input[type="number"]',(function(){clearTimeout(timer),timer=setTimeout(apply,300)})),$container.on("change.tablefilter",'select, input[type="date"]',apply),$container.on("click.tablefilter",".block-adeptus-table-filter-toggle",(function(){var expanded="true"===$(this).attr("aria-expanded");$(this).attr("aria-expanded",expanded?"false":"true"),$panel.toggleClass("d-none",expanded)})),$container.on("click.tablefilter",".block-adeptus-table-filter-clear",(function(){$container.find("input").val(""),$container.find("select").val("contains"),apply()})),$container.removeClass("d-none"),$container}))}}}));
+
+//# sourceMappingURL=table_filter.min.js.map
\ No newline at end of file
@@ -0,0 +1,14 @@
+/**
+ * Virtual scrolling for report tables.
+ *
+ * Only the rows in and around the visible part of the scroll area are in the
+ * page. Spacer rows above and below them keep the scrollbar the height of the
+ * whole result, and rows are fetched again as the user scrolls.
+ *
+ * @module     block_adeptus_insights/virtual_table
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+define("block_adeptus_insights/virtual_table",["jquery"],(function($){var VirtualTable=function(options){this.scroller=options.scroller,this.tbody=options.tbody,this.columns=options.columns,this.fetch=options.fetch,this.onRange=options.onRange||function(){return null},this.rowHeight=33,this.measured=!1,this.total=0,this.offset=0,this.count=0,this.request=0,this.frame=null,this.destroyed=!1,this.scroller.addClass("block-adeptus-virtual-scroll").scrollTop(0),this.scroller.off(".virtualtable").on("scroll.virtualtable",this.schedule.bind(this))};return VirtualTable.prototype={load:function(){var self=this,view=this.getView();return this.show(0,view.visible+20).then((function(){return self.update(),self.total}))},getView:function(){var height=Math.max(this.scroller.innerHeight()||0,parseFloat(this.scroller.css("max-height"))||0)||400;return{first:Math.floor(this.scroller.scrollTop()/this.rowHeight),visible:Math.ceil(height/this.rowHeight)}},schedule:function(){var self=this;null!==this.frame||this.destroyed||(this.frame=window.requestAnimationFrame((function(){self.frame=null,self.update()})))},update:function(){var view=this.getView(),start=Math.max(0,view.first-20);start-=start%2;var end=Math.min(this.total,view.first+view.visible+20);this.reportRange(view),start>=this.offset&&end<=this.offset+this.count||this.show(start,end-start)},show:function(offset,limit){var self=this,request=++this.request;return this.fetch(offset,limit).then((function(result){return self.destroyed||request!==self.request||(self.total=result.total,self.render(offset,result.rows),self.reportRange(self.getView())),result}))},render:function(offset,rows){var tbody=this.tbody.empty();rows.forEach((function(row){tbody.append(row)})),!this.measured&&rows.length>0&&rows[0][0].offsetHeight>0&&(this.rowHeight=rows[0][0].offsetHeight,this.measured=!0),tbody.prepend(this.buildSpacer(offset*this.rowHeight)),offset+rows.length<this.total&&tbody.append(this.buildSpacer((this.total-offset-rows.length)*this.rowHeight)),this.offset=offset,this.count=rows.length},buildSpacer:function(height){return $("<tr>").addClass("block-adeptus-virtual-spacer").attr("aria-hidden","true").append($("<td>").attr("colspan",this.columns).css("height",height+"px"))},reportRange:function(view){var first=Math.min(view.first+1,this.total),last=Math.min(view.first+view.visible,this.total);this.onRange(first,last,this.total)},destroy:function(){this.destroyed=!0,this.scroller.off(".virtualtable"),null!==this.frame&&(window.cancelAnimationFrame(this.frame),this.frame=null)}},{create:function(options){return new VirtualTable(options)}}}));
+
+//# sourceMappingURL=virtual_table.min.js.map
\ No newline at end of file
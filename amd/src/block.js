@@ -29,10 +29,27 @@ define([
     'core/modal_factory',
     'core/modal_events',
     'core/templates',
-    'core/chartjs'
-], function($, Ajax, Notification, Str, ModalFactory, ModalEvents, Templates, Chart) {
+    'core/chartjs',
+    'block_adeptus_insights/report_registry',
+    'block_adeptus_insights/result_cache',
+    'block_adeptus_insights/tab_sync',
+    'block_adeptus_insights/parameter_bar',
+    'block_adeptus_insights/data_worker',
+    'block_adeptus_insights/table_filter',
+    'block_adeptus_insights/cell_renderer',
+    'block_adeptus_insights/pivot_view',
+    'block_adeptus_insights/row_drilldown',
+    'block_adeptus_insights/report_table',
+    'block_adeptus_insights/chart_types',
+    'block_adeptus_insights/chart_series'
+], function($, Ajax, Notification, Str, ModalFactory, ModalEvents, Templates, Chart, ReportRegistry, ResultCache, TabSync,
+        ParameterBar, DataWorker, TableFilter, CellRenderer, PivotView, RowDrilldown, ReportTable,
+        ChartTypes, ChartSeries) {
     'use strict';
 
+    // Snapshots queued while offline are dropped rather than posted once older than this (1 day).
+    var SNAPSHOT_QUEUE_MAX_AGE = 24 * 60 * 60 * 1000;
+
     /**
      * Block controller class.
      *
@@ -50,6 +67,12 @@ define([
         this.refreshTimer = null;
         this.modal = null;
         this.modalData = null; // Current modal report data.
+        this.modalDataset = null; // Modal report data prepared for processing (see data_worker).
+        this.modalTable = null; // Modal report table (see report_table).
+        this.modalFilter = null; // Modal table quick and column filters ({report, search, filters}).
+        this.modalPivot = null; // Modal pivot ({report, rows, columns, measure, aggregate}, see pivot_view).
+        this.modalPivotChart = false; // Whether the modal chart plots the pivot instead of the rows.
+        this.modalSeries = []; // Modal chart series ({column, color, axis}, see chart_types).
         this.modalReport = null; // Current modal report metadata.
         this.chartInstance = null; // Current Chart.js instance.
         this.currentView = 'table'; // Current view mode.
@@ -59,10 +82,9 @@ define([
         this.listItemsPerPage = this.config.maxLinkItems || 10;
         this.listTotalPages = 1;
 
-        // Pagination state for modal table
-        this.tableCurrentPage = 1;
-        this.tableRowsPerPage = 25;
-        this.tableTotalPages = 1;
+        // Table layout from the block configuration: paginated or virtual scrolling, and rows per page
+        this.tableMode = this.config.tableMode === 'virtual' ? 'virtual' : 'paginated';
+        this.rowsPerPage = parseInt(this.config.tableRowsPerPage, 10) || 25;
 
         // Category filter state
         this.selectedCategory = '';
@@ -74,21 +96,74 @@ define([
 
         // Embedded mode state (mirrors modal functionality)
         this.embeddedCurrentView = 'table';
-        this.embeddedTablePage = 1;
-        this.embeddedTableRowsPerPage = 25;
         this.embeddedChartType = 'bar';
         this.embeddedXAxis = '';
-        this.embeddedYAxis = '';
+        this.embeddedAggregate = 'auto'; // Aggregate of rows sharing an X value (see data_worker chart).
+        this.embeddedBucket = 'auto'; // Date bucket of a date X column (see data_worker chart).
+        this.embeddedSort = this.config.chartSort || 'none'; // Chart label order, from the block configuration.
+        this.embeddedTop = this.config.chartTopN || 0; // Top chart labels kept, from the block configuration.
+        this.embeddedSeries = []; // Embedded chart series ({column, color, axis}, see chart_types).
+        this.embeddedDataset = null; // Embedded report data prepared for processing (see data_worker).
+        this.embeddedTable = null; // Embedded report table (see report_table).
+        this.embeddedFilter = null; // Embedded table quick and column filters ({report, search, filters}).
+        this.embeddedPivot = null; // Embedded pivot ({report, rows, columns, measure, aggregate}, see pivot_view).
+        this.embeddedPivotChart = false; // Whether the embedded chart plots the pivot instead of the rows.
 
         // Backend API URL - use config value or fall back to default
         this.backendUrl = this.config.backendUrl || 'https://backend.adeptus360.com/api/v1';
 
-        // Cache settings
-        this.cacheKey = 'adeptus_block_reports_' + this.blockId;
-        this.cacheTTL = 5 * 60 * 1000; // 5 minutes
-        this.reportDataCache = {}; // In-memory cache for executed report data
+        // Hover preload timer
         this.preloadTimeout = null;
-        this.preloadingSlug = null;
+
+        // Block-wide date range applied to every report execution
+        this.dateRange = {preset: 'all', start: null, end: null};
+
+        // Loader for executed report data, shared with the other blocks on the page
+        ReportRegistry.setUser(this.config.userId);
+        this.dataService = ReportRegistry.getDataService({
+            backendUrl: this.backendUrl,
+            getToken: this.getApiToken.bind(this)
+        }).forBlock({
+            userId: this.config.userId,
+            blockId: this.blockId,
+            params: this.getBlockParams(),
+            ttl: (parseInt(this.config.cacheTtl, 10) || 0) * 1000,
+            onResult: this.shareResult.bind(this)
+        });
+        if (!this.dataService.isPersistent()) {
+            // Caching is disabled for this block, drop anything persisted earlier.
+            ResultCache.clearBlock(this.blockId);
+        }
+
+        // Abort controllers for the latest data request of each view (embedded, tab, modal)
+        this.requestControllers = {};
+
+        // Runtime parameter values chosen by the user, keyed by report (slug::source)
+        this.reportParams = (this.config.reportPreferences || {}).params || {};
+
+        // Table sort order chosen by the user ({column, direction}), keyed by report (slug::source)
+        this.reportSorts = (this.config.reportPreferences || {}).sort || {};
+
+        // Table column layout chosen by the user ({order, hidden}), keyed by report (slug::source)
+        this.reportColumns = (this.config.reportPreferences || {}).columns || {};
+
+        // Footer aggregate chosen by the user for each numeric column, keyed by report (slug::source)
+        this.reportAggregates = (this.config.reportPreferences || {}).aggregates || {};
+
+        // Whether tables show a footer row of column aggregates, from the block configuration
+        this.showTableFooter = !!this.config.tableFooter;
+
+        // Conditional formatting rules for table cells, from the block configuration, keyed by report key (slug::source)
+        this.formatRules = this.config.formatRules || {};
+
+        // Display type chosen for table columns (e.g. date, user, percent), keyed by report key, then column name
+        this.columnTypes = this.config.columnTypes || {};
+
+        // Action taken when a table row is clicked, keyed by report key (slug::source)
+        this.drilldowns = this.config.drilldowns || {};
+
+        // Fetch time of the oldest data shown while the backend is unreachable
+        this.staleSince = null;
 
         // Tabs mode state (per-pane state for view toggle, pagination, chart)
         this.tabPaneStates = {};
@@ -99,10 +174,14 @@ define([
         this.kpiModalChart = null;
         this.kpiModalData = null;
         this.kpiModalDateRange = '30d';
+        this.kpiModalRequest = null; // Pending snapshot history request (jqXHR)
 
         // KPI Snapshot data cache (stores responses from postSnapshotToBackend)
         this.kpiSnapshotCache = {};
 
+        // Latest snapshot responses by slug, posted here or received from the leading tab
+        this.snapshotResponses = {};
+
         // Snapshot schedule registration tracking
         this.registeredSnapshots = {};
 
@@ -144,9 +223,26 @@ define([
                 // Bind event handlers.
                 self.bindEvents();
 
+                // Re-render whenever any block on the page refreshes the catalogue.
+                ReportRegistry.subscribe(function(reports) {
+                    self.setReports(reports);
+                });
+
+                // Share refreshes and KPI snapshots with this block in other browser tabs.
+                TabSync.join(self.blockId, self.handleTabMessage.bind(self));
+
+                // Leave offline mode and post queued snapshots once the backend is reachable again.
+                ReportRegistry.onReconnect(function() {
+                    self.hideOffline();
+                    self.replaySnapshots();
+                });
+
                 // Load initial data.
                 self.loadReports();
 
+                // Post snapshots queued while offline during an earlier visit.
+                self.replaySnapshots();
+
                 // Setup auto-refresh if configured.
                 self.setupAutoRefresh();
                 return true;
@@ -194,7 +290,9 @@ define([
                 {key: 'js_last_run', component: 'block_adeptus_insights'},
                 {key: 'js_export_title', component: 'block_adeptus_insights'},
                 {key: 'js_export_not_on_plan', component: 'block_adeptus_insights'},
-                {key: 'js_ok', component: 'block_adeptus_insights'}
+                {key: 'js_ok', component: 'block_adeptus_insights'},
+                {key: 'js_stale_since', component: 'block_adeptus_insights'},
+                {key: 'chart_other', component: 'block_adeptus_insights'}
             ];
 
             return Str.get_strings(stringKeys).then(function(strings) {
@@ -229,7 +327,9 @@ define([
                     lastRun: strings[27],
                     exportTitle: strings[28],
                     exportNotOnPlan: strings[29],
-                    ok: strings[30]
+                    ok: strings[30],
+                    staleSince: strings[31],
+                    other: strings[32]
                 };
                 return self.strings;
             }).catch(function() {
@@ -265,7 +365,9 @@ define([
                     lastRun: 'Last run: {$a}',
                     exportTitle: '{$a} Export',
                     exportNotOnPlan: '{$a} export is not available on your current plan.',
-                    ok: 'OK'
+                    ok: 'OK',
+                    staleSince: 'Stale since {$a}. Adeptus Insights cannot be reached, retrying automatically.',
+                    other: 'Other'
                 };
                 return self.strings;
             });
@@ -319,6 +421,11 @@ define([
                 }
             });
 
+            // Date range filter.
+            this.container.on('change', '.block-adeptus-date-range select, .block-adeptus-date-range input', function() {
+                self.applyDateRange();
+            });
+
             // Export buttons.
             this.container.on('click', '.block-adeptus-export', function(e) {
                 e.preventDefault();
@@ -368,7 +475,6 @@ define([
                     self.selectedReportSlug = slug;
                     self.selectedReportSource = source;
                     // Reset embedded state
-                    self.embeddedTablePage = 1;
                     self.embeddedCurrentView = 'table';
                     self.loadEmbeddedReport(slug, source);
                 }
@@ -448,51 +554,72 @@ define([
                 }
             });
 
-            // Embedded mode - View toggle (Table/Chart).
+            // Embedded mode - View toggle (Table/Chart/Pivot).
             this.container.on('click', '.block-adeptus-embedded-view-toggle-btn', function(e) {
                 e.preventDefault();
                 var view = $(this).data('view');
                 self.switchEmbeddedView(view);
             });
 
-            // Embedded mode - Table pagination.
-            this.container.on('click', '.block-adeptus-embedded-pagination-prev', function(e) {
-                e.preventDefault();
-                if (self.embeddedTablePage > 1) {
-                    self.embeddedTablePage--;
-                    self.renderEmbeddedTablePage();
-                    self.scrollToEmbeddedTableTop();
-                }
-            });
-
-            this.container.on('click', '.block-adeptus-embedded-pagination-next', function(e) {
-                e.preventDefault();
-                var totalPages = Math.ceil((self.embeddedData || []).length / self.embeddedTableRowsPerPage);
-                if (self.embeddedTablePage < totalPages) {
-                    self.embeddedTablePage++;
-                    self.renderEmbeddedTablePage();
-                    self.scrollToEmbeddedTableTop();
-                }
-            });
-
             // Embedded mode - Chart type change.
             this.container.on('change', '.block-adeptus-embedded-chart-type', function() {
                 self.embeddedChartType = $(this).val();
-                self.renderEmbeddedChart();
+                self.updateEmbeddedChartAxes().then(function() {
+                    self.renderEmbeddedChart();
+                    return null;
+                }).catch(Notification.exception);
             });
 
-            // Embedded mode - X-Axis change.
+            // Embedded mode - X-Axis change, which offers date buckets for date columns.
             this.container.on('change', '.block-adeptus-embedded-chart-x-axis', function() {
                 self.embeddedXAxis = $(this).val();
+                self.embeddedPivotChart = false;
+                self.updateEmbeddedChartAxes().then(function() {
+                    self.renderEmbeddedChart();
+                    return null;
+                }).catch(Notification.exception);
+            });
+
+            // Embedded mode - Date bucket change, which offers sorting for charts that are not by date.
+            this.container.on('change', '.block-adeptus-embedded-chart-bucket', function() {
+                self.embeddedBucket = $(this).val();
+                self.embeddedPivotChart = false;
+                self.updateEmbeddedChartAxes().then(function() {
+                    self.renderEmbeddedChart();
+                    return null;
+                }).catch(Notification.exception);
+            });
+
+            // Embedded mode - Label order and top labels change, saved as the block's chart options.
+            this.container.on('change', '.block-adeptus-embedded-chart-sort, .block-adeptus-embedded-chart-top', function() {
+                self.embeddedSort = self.container.find('.block-adeptus-embedded-chart-sort').val();
+                self.embeddedTop = parseInt(self.container.find('.block-adeptus-embedded-chart-top').val(), 10) || 0;
+                self.embeddedPivotChart = false;
+                self.saveChartOptions(self.embeddedSort, self.embeddedTop);
                 self.renderEmbeddedChart();
             });
 
-            // Embedded mode - Y-Axis change.
-            this.container.on('change', '.block-adeptus-embedded-chart-y-axis', function() {
-                self.embeddedYAxis = $(this).val();
+            // Embedded mode - Aggregate change.
+            this.container.on('change', '.block-adeptus-embedded-chart-aggregate', function() {
+                self.embeddedAggregate = $(this).val();
+                self.embeddedPivotChart = false;
                 self.renderEmbeddedChart();
             });
 
+            // Chart the report rows again instead of the pivot, in embedded and tab charts.
+            this.container.on('click', '.block-adeptus-pivot-chart-off', function(e) {
+                e.preventDefault();
+                var pane = $(this).closest('.block-adeptus-tab-pane');
+                var state = pane.length ? self.tabPaneStates[pane.attr('id')] : null;
+                if (state) {
+                    state.pivotChart = false;
+                    self.renderTabChart(pane, state);
+                } else if (!pane.length) {
+                    self.embeddedPivotChart = false;
+                    self.renderEmbeddedChart();
+                }
+            });
+
             // Embedded mode - Export.
             this.container.on('click', '.block-adeptus-embedded-export', function(e) {
                 e.preventDefault();
@@ -500,7 +627,7 @@ define([
                 self.exportEmbeddedReport(format);
             });
 
-            // Tabs mode - View toggle (Table/Chart).
+            // Tabs mode - View toggle (Table/Chart/Pivot).
             this.container.on('click', '.block-adeptus-tab-view-toggle-btn', function(e) {
                 e.preventDefault();
                 var pane = $(this).closest('.block-adeptus-tab-pane');
@@ -508,61 +635,69 @@ define([
                 self.switchTabView(pane, view);
             });
 
-            // Tabs mode - Table pagination.
-            this.container.on('click', '.block-adeptus-tab-pagination-prev', function(e) {
-                e.preventDefault();
+            // Tabs mode - Chart type change.
+            this.container.on('change', '.block-adeptus-tab-chart-type', function() {
                 var pane = $(this).closest('.block-adeptus-tab-pane');
                 var tabId = pane.attr('id');
                 var state = self.tabPaneStates[tabId];
-                if (state && state.tablePage > 1) {
-                    state.tablePage--;
-                    self.renderTabTablePage(pane, state);
+                if (state) {
+                    state.chartType = $(this).val();
+                    self.populateTabChartControls(pane, state).then(function() {
+                        self.renderTabChart(pane, state);
+                        return null;
+                    }).catch(Notification.exception);
                 }
             });
 
-            this.container.on('click', '.block-adeptus-tab-pagination-next', function(e) {
-                e.preventDefault();
+            // Tabs mode - X-Axis change, which offers date buckets for date columns.
+            this.container.on('change', '.block-adeptus-tab-chart-x-axis', function() {
                 var pane = $(this).closest('.block-adeptus-tab-pane');
                 var tabId = pane.attr('id');
                 var state = self.tabPaneStates[tabId];
                 if (state) {
-                    var totalPages = Math.ceil(state.data.length / state.rowsPerPage);
-                    if (state.tablePage < totalPages) {
-                        state.tablePage++;
-                        self.renderTabTablePage(pane, state);
-                    }
+                    state.xAxis = $(this).val();
+                    state.pivotChart = false;
+                    self.populateTabChartControls(pane, state).then(function() {
+                        self.renderTabChart(pane, state);
+                        return null;
+                    }).catch(Notification.exception);
                 }
             });
 
-            // Tabs mode - Chart type change.
-            this.container.on('change', '.block-adeptus-tab-chart-type', function() {
+            // Tabs mode - Date bucket change, which offers sorting for charts that are not by date.
+            this.container.on('change', '.block-adeptus-tab-chart-bucket', function() {
                 var pane = $(this).closest('.block-adeptus-tab-pane');
-                var tabId = pane.attr('id');
-                var state = self.tabPaneStates[tabId];
+                var state = self.tabPaneStates[pane.attr('id')];
                 if (state) {
-                    state.chartType = $(this).val();
-                    self.renderTabChart(pane, state);
+                    state.bucket = $(this).val();
+                    state.pivotChart = false;
+                    self.populateTabChartControls(pane, state).then(function() {
+                        self.renderTabChart(pane, state);
+                        return null;
+                    }).catch(Notification.exception);
                 }
             });
 
-            // Tabs mode - X-Axis change.
-            this.container.on('change', '.block-adeptus-tab-chart-x-axis', function() {
+            // Tabs mode - Label order and top labels change, saved as the block's chart options.
+            this.container.on('change', '.block-adeptus-tab-chart-sort, .block-adeptus-tab-chart-top', function() {
                 var pane = $(this).closest('.block-adeptus-tab-pane');
-                var tabId = pane.attr('id');
-                var state = self.tabPaneStates[tabId];
+                var state = self.tabPaneStates[pane.attr('id')];
                 if (state) {
-                    state.xAxis = $(this).val();
+                    state.sort = pane.find('.block-adeptus-tab-chart-sort').val();
+                    state.top = parseInt(pane.find('.block-adeptus-tab-chart-top').val(), 10) || 0;
+                    state.pivotChart = false;
+                    self.saveChartOptions(state.sort, state.top);
                     self.renderTabChart(pane, state);
                 }
             });
 
-            // Tabs mode - Y-Axis change.
-            this.container.on('change', '.block-adeptus-tab-chart-y-axis', function() {
+            // Tabs mode - Aggregate change.
+            this.container.on('change', '.block-adeptus-tab-chart-aggregate', function() {
                 var pane = $(this).closest('.block-adeptus-tab-pane');
-                var tabId = pane.attr('id');
-                var state = self.tabPaneStates[tabId];
+                var state = self.tabPaneStates[pane.attr('id')];
                 if (state) {
-                    state.yAxis = $(this).val();
+                    state.aggregate = $(this).val();
+                    state.pivotChart = false;
                     self.renderTabChart(pane, state);
                 }
             });
@@ -605,19 +740,17 @@ define([
         },
 
         /**
-         * Load reports from the server or cache.
+         * Load reports from the shared catalogue (cached for the whole page).
          */
         loadReports: function() {
             var self = this;
 
             this.showLoading();
 
-            // Try to load from cache first
-            var cachedData = this.getFromCache();
-            if (cachedData) {
-                this.reports = cachedData;
-                this.lastUpdated = new Date();
-                this.renderReports();
+            // Try the page-level catalogue first
+            var cached = ReportRegistry.peekCatalogue();
+            if (cached) {
+                this.setReports(cached);
                 return;
             }
 
@@ -628,41 +761,18 @@ define([
         },
 
         /**
-         * Get reports from sessionStorage cache.
+         * Use a catalogue for this block and render it.
          *
-         * @return {Array|null}
+         * @param {Array} reports All reports from the shared catalogue
          */
-        getFromCache: function() {
-            try {
-                var cached = sessionStorage.getItem(this.cacheKey);
-                if (cached) {
-                    var data = JSON.parse(cached);
-                    if (data.timestamp && (Date.now() - data.timestamp) < this.cacheTTL) {
-                        return data.reports;
-                    }
-                    // Cache expired, remove it
-                    sessionStorage.removeItem(this.cacheKey);
-                }
-            } catch (_e) {
-                // Ignore storage errors
-            }
-            return null;
-        },
+        setReports: function(reports) {
+            var source = this.config.reportSource || 'all';
 
-        /**
-         * Save reports to sessionStorage cache.
-         *
-         * @param {Array} reports
-         */
-        saveToCache: function(reports) {
-            try {
-                sessionStorage.setItem(this.cacheKey, JSON.stringify({
-                    timestamp: Date.now(),
-                    reports: reports
-                }));
-            } catch (_e) {
-                // Ignore storage errors (quota exceeded, etc.)
-            }
+            this.reports = reports.filter(function(report) {
+                return (source !== 'wizard' && source !== 'ai') || report.source === source;
+            });
+            this.lastUpdated = new Date();
+            this.renderReports();
         },
 
         /**
@@ -672,108 +782,16 @@ define([
          * @param {string} source
          */
         preloadReportData: function(slug, source) {
-            var self = this;
-            var cacheKey = slug + '_' + source;
-
-            // Already cached or currently preloading
-            if (this.reportDataCache[cacheKey] || this.preloadingSlug === slug) {
-                return;
-            }
-
-            this.preloadingSlug = slug;
-
-            // Find the report from our cached list
-            var report = this.reports.find(function(r) {
-                return r.slug === slug;
-            });
+            var report = this.findReport(slug, source);
 
             if (!report) {
                 return;
             }
 
-            if (source === 'wizard') {
-                // Preload wizard report
-                $.ajax({
-                    url: M.cfg.wwwroot + '/report/adeptus_insights/ajax/generate_report.php',
-                    method: 'POST',
-                    data: {
-                        reportid: report.name || report.report_template_id,
-                        sesskey: M.cfg.sesskey
-                    },
-                    dataType: 'json',
-                    timeout: 30000
-                }).done(function(response) {
-                    if (response.success) {
-                        self.reportDataCache[cacheKey] = {
-                            report: report,
-                            results: response.results || [],
-                            chartData: response.chart_data,
-                            chartType: response.chart_type
-                        };
-                    }
-                    self.preloadingSlug = null;
-                    return response;
-                }).fail(function() {
-                    self.preloadingSlug = null;
-                    return null;
-                });
-            } else {
-                // Preload AI report
-                var token = this.apiKey || (window.adeptusAuthData ? window.adeptusAuthData.api_key : null);
-                if (!token) {
-                    return;
-                }
-
-                $.ajax({
-                    url: '' + this.backendUrl + '/ai-reports/' + slug,
-                    method: 'GET',
-                    headers: {
-                        'Authorization': 'Bearer ' + token,
-                        'Accept': 'application/json'
-                    },
-                    timeout: 15000
-                }).done(function(response) {
-                    if (response.success && response.report) {
-                        var reportData = response.report;
-                        var data = response.data || [];
-
-                        // Check if local execution is required (SaaS model)
-                        var sqlQuery = response.sql || (reportData && reportData.sql_query) || (reportData && reportData.sql);
-                        var needsLocalExecution = response.execution_required || ((!data || data.length === 0) && sqlQuery);
-
-                        if (needsLocalExecution && sqlQuery) {
-                            // Execute SQL locally against Moodle database
-                            self.executeReportLocally(sqlQuery, reportData.params || {})
-                                .then(function(executionResult) {
-                                    var localData = executionResult.data || [];
-                                    self.reportDataCache[cacheKey] = {
-                                        report: reportData,
-                                        results: localData,
-                                        chartData: null,
-                                        chartType: null
-                                    };
-                                    self.preloadingSlug = null;
-                                    return localData;
-                                })
-                                .catch(function() {
-                                    self.preloadingSlug = null;
-                                    return null;
-                                });
-                            return;
-                        }
-
-                        self.reportDataCache[cacheKey] = {
-                            report: reportData,
-                            results: data,
-                            chartData: null,
-                            chartType: null
-                        };
-                    }
-                    self.preloadingSlug = null;
-                }).fail(function() {
-                    self.preloadingSlug = null;
-                });
-            }
+            this.dataService.load(report).catch(function() {
+                // Preloading is best effort, errors are reported when the report is opened.
+                return null;
+            });
         },
 
         /**
@@ -821,182 +839,829 @@ define([
         },
 
         /**
-         * Fetch reports from the backend API.
+         * Fetch reports from the backend API through the shared registry.
          */
         fetchReports: function() {
             var self = this;
-            var token = this.apiKey || (window.adeptusAuthData ? window.adeptusAuthData.api_key : null);
+            var token = this.getApiToken();
 
             if (!token) {
                 this.showError(this.strings.errorNoAuthToken);
                 return;
             }
 
-            var promises = [];
-            var source = this.config.reportSource || 'all';
-
-            // For 'manual' and 'category' sources, we need to fetch all reports first,
-            // then filter them in filterReports(). Same for 'all'.
-            if (source === 'all' || source === 'wizard' || source === 'manual' || source === 'category') {
-                promises.push(this.fetchFromApi('/wizard-reports', token));
-            }
+            ReportRegistry.getCatalogue({backendUrl: this.backendUrl, token: token}).then(function(reports) {
+                self.setReports(reports);
+                return reports;
+            }).catch(function() {
+                self.showLastKnownCatalogue();
+            });
+        },
 
-            if (source === 'all' || source === 'ai' || source === 'manual' || source === 'category') {
-                promises.push(this.fetchFromApi('/ai-reports', token));
-            }
+        /**
+         * Get the API token for backend requests.
+         *
+         * @return {string|null}
+         */
+        getApiToken: function() {
+            return this.apiKey || (window.adeptusAuthData ? window.adeptusAuthData.api_key : null);
+        },
 
-            $.when.apply($, promises).then(function() {
-                var allReports = [];
+        /**
+         * Get the report parameters for the block's resolved course or category context.
+         *
+         * Site-level blocks (and the "none" context filter) add no parameters.
+         *
+         * @return {Object}
+         */
+        getContextParams: function() {
+            var id = parseInt(this.config.contextId, 10) || 0;
 
-                for (var i = 0; i < promises.length; i++) {
-                    var result;
-                    if (promises.length === 1) {
-                        result = arguments[0];
-                    } else {
-                        result = arguments[i][0];
-                    }
+            if (!id) {
+                return {};
+            }
+            if (this.config.contextType === 'course') {
+                return {courseid: id};
+            }
+            if (this.config.contextType === 'category') {
+                return {categoryid: id};
+            }
+            return {};
+        },
 
-                    var reports = result.reports || result.data || [];
-                    if (reports && reports.length) {
-                        // Determine report source: for sources that fetch both APIs (all, manual, category),
-                        // the second promise (i === 1) is AI reports.
-                        var fetchesBoth = (source === 'all' || source === 'manual' || source === 'category');
-                        var currentSource = (source === 'ai' || (i === 1 && fetchesBoth)) ? 'ai' : 'wizard';
-                        // Use IIFE with bound variables to avoid loop-func issue.
-                        (function(reportSource, reportsArr) {
-                            reportsArr.forEach(function(report) {
-                                report.source = report.source || reportSource;
-                                allReports.push(report);
-                            });
-                        }(currentSource, reports));
-                    }
+        /**
+         * Get the date range chosen in the block header as report parameters.
+         *
+         * Presets start at midnight the given number of days ago and leave the
+         * end open; a custom range covers whole days.
+         *
+         * @return {Object} {startdate, enddate} as Unix timestamps, without unset values
+         */
+        getDateRangeParams: function() {
+            var range = this.dateRange;
+            var days = {'7d': 7, '30d': 30, '90d': 90}[range.preset];
+            var params = {};
+
+            if (days) {
+                var start = new Date();
+                start.setHours(0, 0, 0, 0);
+                start.setDate(start.getDate() - days);
+                params.startdate = Math.floor(start.getTime() / 1000);
+            } else if (range.preset === 'custom') {
+                if (range.start) {
+                    params.startdate = range.start;
                 }
+                if (range.end) {
+                    params.enddate = range.end;
+                }
+            }
 
-                self.reports = allReports;
-                self.lastUpdated = new Date();
-                self.saveToCache(allReports);
-                self.renderReports();
-                return allReports;
-            }).fail(function() {
-                self.showError();
-                return null;
-            });
+            return params;
         },
 
         /**
-         * Fetch data from the backend API.
+         * Get the parameters the block adds to every report execution.
          *
-         * @param {string} endpoint API endpoint
-         * @param {string} token Auth token
-         * @return {Promise}
+         * @return {Object} Context and date range parameters
          */
-        fetchFromApi: function(endpoint, token) {
-            var baseUrl = '' + this.backendUrl + '';
-
-            return $.ajax({
-                url: baseUrl + endpoint,
-                method: 'GET',
-                headers: {
-                    'Authorization': 'Bearer ' + token,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                timeout: 15000
-            });
+        getBlockParams: function() {
+            return $.extend(this.getContextParams(), this.getDateRangeParams());
         },
 
         /**
-         * Render reports based on display mode.
+         * Read the date range filter and run the block's reports again for the new range.
          */
-        renderReports: function() {
-            var mode = this.config.displayMode || 'links';
+        applyDateRange: function() {
+            var $filter = this.container.find('.block-adeptus-date-range');
+            var preset = $filter.find('.block-adeptus-date-range-preset').val();
+            var toTimestamp = function(value, endOfDay) {
+                var parts = (value || '').split('-');
+                if (parts.length !== 3) {
+                    return null;
+                }
+                var date = endOfDay ?
+                    new Date(parts[0], parts[1] - 1, parts[2], 23, 59, 59) :
+                    new Date(parts[0], parts[1] - 1, parts[2]);
+                return isNaN(date.getTime()) ? null : Math.floor(date.getTime() / 1000);
+            };
 
-            if (this.reports.length === 0) {
-                this.showEmpty();
+            $filter.find('.block-adeptus-date-range-custom').toggleClass('d-none', preset !== 'custom');
+
+            this.dateRange = {
+                preset: preset,
+                start: toTimestamp($filter.find('.block-adeptus-date-range-start').val(), false),
+                end: toTimestamp($filter.find('.block-adeptus-date-range-end').val(), true)
+            };
+
+            var params = this.getBlockParams();
+            if (JSON.stringify(params) === JSON.stringify(this.dataService.getParams())) {
                 return;
             }
+            this.dataService.setParams(params);
 
-            // Extract and populate category filter (only for modes that use it)
-            if (mode === 'embedded' || mode === 'links') {
-                this.populateCategoryFilter();
+            if (!this.reports || this.reports.length === 0) {
+                return;
             }
 
-            // Filter reports based on selected category (for links/embedded modes)
-            var filteredReports = this.filterReports();
-
-            switch (mode) {
-                case 'embedded':
-                    this.renderEmbedded();
-                    break;
-                case 'kpi':
-                    // For KPI mode, use ALL reports for matching since user explicitly selected them
-                    // (category filter doesn't apply - user chose specific reports)
-                    var kpiReports = this.getSelectedReportsForMode('kpi', this.reports);
-                    this.renderKpi(kpiReports);
-                    break;
-                case 'tabs':
-                    // For Tabs mode, use ALL reports for matching since user explicitly selected them
-                    // (category filter doesn't apply - user chose specific reports)
-                    var tabsReports = this.getSelectedReportsForMode('tabs', this.reports);
-                    this.renderTabs(tabsReports);
-                    break;
-                case 'links':
-                default:
-                    this.renderLinks(filteredReports);
-                    break;
+            var mode = this.config.displayMode || 'links';
+            if (mode === 'tabs') {
+                // Keep the selected tab; the others load for the new range when opened.
+                var $panes = this.container.find('.block-adeptus-tab-pane');
+                $panes.data('loaded', false);
+                var $active = $panes.filter('.active').first();
+                if ($active.length) {
+                    this.loadTabContent($active, $active.data('slug'), $active.data('source'));
+                }
+            } else if (mode !== 'links') {
+                // Links mode runs reports when their modal opens, so there is nothing to reload.
+                this.renderReports();
             }
+        },
 
-            this.hideLoading();
-            this.updateTimestamp();
+        /**
+         * Get the key used to remember per-report choices.
+         *
+         * @param {Object} report Report metadata
+         * @return {string} slug::source
+         */
+        getReportKey: function(report) {
+            return report.slug + '::' + (report.source || 'wizard');
         },
 
         /**
-         * Get reports filtered by the selected reports configuration for a specific mode.
+         * Get the runtime parameter values the user chose for a report.
          *
-         * @param {string} mode - 'kpi' or 'tabs'
-         * @param {Array} allReports - All available reports
-         * @return {Array} Filtered reports in configured order
+         * @param {Object} report Report metadata
+         * @return {Object}
          */
-        getSelectedReportsForMode: function(mode, allReports) {
-            var selectedConfig = [];
+        getReportParams: function(report) {
+            return this.reportParams[this.getReportKey(report)] || {};
+        },
 
-            if (mode === 'kpi' && this.config.kpiSelectedReports && this.config.kpiSelectedReports.length > 0) {
-                selectedConfig = this.config.kpiSelectedReports;
-            } else if (mode === 'tabs' && this.config.tabsSelectedReports && this.config.tabsSelectedReports.length > 0) {
-                selectedConfig = this.config.tabsSelectedReports;
-            }
+        /**
+         * Remember the runtime parameter values for a report and save them as a user preference.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} values Execution parameters
+         */
+        setReportParams: function(report, values) {
+            var key = this.getReportKey(report);
+            var empty = Object.keys(values).length === 0;
 
-            // If no specific reports configured, return all reports
-            if (selectedConfig.length === 0) {
-                return allReports;
+            if (empty) {
+                delete this.reportParams[key];
+            } else {
+                this.reportParams[key] = values;
             }
 
-            // Filter and order reports according to selection
-            var result = [];
-            selectedConfig.forEach(function(item) {
-                var slug = item.slug || item;
-                var source = item.source || 'wizard';
-                var report = allReports.find(function(r) {
-                    return r.slug === slug && (r.source === source || !item.source);
-                });
-                if (report) {
-                    // Clone report and add custom icon if configured
-                    var enrichedReport = Object.assign({}, report);
-                    if (item.icon) {
-                        enrichedReport.customIcon = item.icon;
-                    }
-                    result.push(enrichedReport);
-                }
-            });
-
-            return result;
+            this.saveReportPreference('params', key, empty ? null : values);
         },
 
         /**
-         * Extract categories from reports and populate the filter dropdown.
+         * Save a per-report choice as a user preference.
+         *
+         * @param {string} type Preference type (see \block_adeptus_insights\report_preferences::TYPES)
+         * @param {string} key Report key (slug::source)
+         * @param {Object|null} value Value to save, null to remove it
          */
-        populateCategoryFilter: function() {
-            var self = this;
+        saveReportPreference: function(type, key, value) {
+            Ajax.call([{
+                methodname: 'block_adeptus_insights_set_report_preference',
+                args: {
+                    blockinstanceid: this.blockId,
+                    type: type,
+                    reportkey: key,
+                    value: value === null ? '' : JSON.stringify(value)
+                }
+            }])[0].catch(function() {
+                // The choice still applies for this page view.
+                return null;
+            });
+        },
+
+        /**
+         * Make a chart label order and number of top labels the block's chart options.
+         *
+         * They are saved in the block configuration when the user can edit the block;
+         * for other users they only apply to charts opened during this page view.
+         *
+         * @param {string} sort none, desc or asc
+         * @param {number} top Number of top labels, 0 for all
+         */
+        saveChartOptions: function(sort, top) {
+            this.config.chartSort = sort;
+            this.config.chartTopN = top;
+            if (!this.config.canEditCharts) {
+                return;
+            }
+
+            Ajax.call([{
+                methodname: 'block_adeptus_insights_set_chart_options',
+                args: {
+                    blockinstanceid: this.blockId,
+                    sort: sort,
+                    topn: top
+                }
+            }])[0].catch(Notification.exception);
+        },
+
+        /**
+         * Get the table sort order the user chose for a report.
+         *
+         * @param {Object} report Report metadata
+         * @return {Object|null} {column, direction}
+         */
+        getReportSort: function(report) {
+            return this.reportSorts[this.getReportKey(report)] || null;
+        },
+
+        /**
+         * Remember the table sort order for a report and save it as a user preference.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object|null} sort {column, direction}, null for the report's own order
+         */
+        setReportSort: function(report, sort) {
+            var key = this.getReportKey(report);
+
+            if (sort) {
+                this.reportSorts[key] = sort;
+            } else {
+                delete this.reportSorts[key];
+            }
+
+            this.saveReportPreference('sort', key, sort);
+        },
+
+        /**
+         * Get the columns a report's tables show, in the order the user chose.
+         *
+         * Columns missing from the saved layout (e.g. added to the report later)
+         * are shown after the others.
+         *
+         * @param {Object|null} report Report metadata
+         * @param {Array} headers Column names in the report's own order
+         * @return {Array} Visible column names
+         */
+        getVisibleColumns: function(report, headers) {
+            return ReportTable.getVisibleColumns(headers, report ? this.reportColumns[this.getReportKey(report)] || null : null);
+        },
+
+        /**
+         * Remember the column layout for a report and save it as a user preference.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object|null} layout {order, hidden}, null for the report's own columns
+         */
+        setReportColumns: function(report, layout) {
+            var key = this.getReportKey(report);
+
+            if (layout) {
+                this.reportColumns[key] = layout;
+            } else {
+                delete this.reportColumns[key];
+            }
+
+            this.saveReportPreference('columns', key, layout);
+        },
+
+        /**
+         * Get the footer aggregates the user chose for a report.
+         *
+         * @param {Object|null} report Report metadata
+         * @return {Object} Aggregate (sum, avg, min, max or count) keyed by column name
+         */
+        getReportAggregates: function(report) {
+            return (report ? this.reportAggregates[this.getReportKey(report)] : null) || {};
+        },
+
+        /**
+         * Remember the footer aggregate of a column and save the report's aggregates as a user preference.
+         *
+         * @param {Object} report Report metadata
+         * @param {string} column
+         * @param {string} aggregate
+         */
+        setReportAggregate: function(report, column, aggregate) {
+            var key = this.getReportKey(report);
+            var aggregates = $.extend({}, this.reportAggregates[key]);
+
+            aggregates[column] = aggregate;
+            this.reportAggregates[key] = aggregates;
+            this.saveReportPreference('aggregates', key, aggregates);
+        },
+
+        /**
+         * Get the filter for a table view, keeping the current one while the same report is shown.
+         *
+         * @param {Object|null} current Current filter
+         * @param {Object} report Report metadata
+         * @return {Object} {report, search, filters}
+         */
+        getTableFilter: function(current, report) {
+            var key = this.getReportKey(report);
+            if (current && current.report === key) {
+                return current;
+            }
+            return $.extend(TableFilter.empty(), {report: key});
+        },
+
+        /**
+         * Get the pivot for a view, keeping the current one while the same report is shown.
+         *
+         * @param {Object|null} current Current pivot
+         * @param {Object} report Report metadata
+         * @return {Object|null} {report, rows, columns, measure, aggregate}, null until the pivot view is opened
+         */
+        getPivot: function(current, report) {
+            return current && current.report === this.getReportKey(report) ? current : null;
+        },
+
+        /**
+         * Show the pivot view of a report.
+         *
+         * @param {jQuery} container
+         * @param {Object} dataset The view's data_worker dataset
+         * @param {Object} filter The view's filter {search, filters}
+         * @param {Object|null} pivot Current pivot, null for the default one
+         * @param {Object} report Report metadata
+         * @param {Function} onChange Receives the pivot when the user changes it
+         * @param {Function} onChart Receives the pivot when the user asks for a chart of it
+         * @return {Promise}
+         */
+        showPivotView: function(container, dataset, filter, pivot, report, onChange, onChart) {
+            var key = this.getReportKey(report);
+
+            return dataset.columns().then(function(columns) {
+                if (!pivot) {
+                    pivot = $.extend(PivotView.getDefault(columns), {report: key});
+                    onChange(pivot);
+                }
+                return PivotView.render(container, {
+                    columns: columns,
+                    pivot: pivot,
+                    fetch: function(options) {
+                        return dataset.pivot($.extend({search: filter.search, filters: filter.filters}, options));
+                    },
+                    onChange: onChange,
+                    onChart: onChart
+                });
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Load the chart series of a pivot.
+         *
+         * @param {Object} dataset The view's data_worker dataset
+         * @param {Object} filter The view's filter {search, filters}
+         * @param {Object} pivot
+         * @return {Promise} Resolves with {labels, series, totals} (see pivot_view getChartData)
+         */
+        loadPivotChart: function(dataset, filter, pivot) {
+            return dataset.pivot($.extend({search: filter.search, filters: filter.filters}, PivotView.getOptions(pivot)))
+                .then(function(result) {
+                    return PivotView.getChartData(result, pivot);
+                });
+        },
+
+        /**
+         * Draw the chart of a pivot: one series per pivot column, or the row totals for pie charts.
+         *
+         * @param {HTMLCanvasElement} canvas
+         * @param {string} chartType
+         * @param {Object} chartData See loadPivotChart
+         * @return {Object|null} The Chart.js instance, null when the chart could not be drawn
+         */
+        drawPivotChart: function(canvas, chartType, chartData) {
+            // A pivot has no numeric X values to plot, so scatter charts show it as bars.
+            var type = ChartTypes.plotsPoints(chartType) ? 'bar' : chartType;
+            var config = ChartTypes.create(type, {
+                labels: chartData.labels,
+                series: ChartTypes.isRound(type) ? [chartData.totals] : chartData.series
+            }, {
+                unknown: this.strings.unknown
+            });
+
+            try {
+                return new Chart(canvas.getContext('2d'), config);
+            } catch (_error) {
+                return null;
+            }
+        },
+
+        /**
+         * Load the data of a report chart, one series per value column over the same labels.
+         *
+         * @param {Object} dataset The view's data_worker dataset
+         * @param {Object} filter The view's filter (see getTableFilter)
+         * @param {string} chartType
+         * @param {Object} axes Columns to chart {x, aggregate, bucket, sort, top, series} (see chart_types getAxes)
+         * @param {number} limit Most labels to chart
+         * @return {Promise} Resolves with the chart data for chart_types create
+         */
+        loadChartData: function(dataset, filter, chartType, axes, limit) {
+            var query = {
+                x: axes.x,
+                aggregate: axes.aggregate,
+                bucket: ChartTypes.plotsTime(chartType) ? axes.bucket : 'none',
+                sort: axes.sort,
+                top: axes.top,
+                // Labels are ranked by the first series, so that the others keep the same labels.
+                sortBy: axes.series[0].column,
+                other: this.strings.other,
+                limit: ChartTypes.getLimit(chartType, limit),
+                points: ChartTypes.plotsPoints(chartType),
+                search: filter.search,
+                filters: filter.filters
+            };
+
+            return Promise.all(axes.series.map(function(item) {
+                return dataset.chart($.extend({y: item.column}, query));
+            })).then(function(results) {
+                return {
+                    x: axes.x,
+                    labels: results[0].labels,
+                    bucket: results[0].bucket,
+                    other: results[0].other,
+                    series: results.map(function(result, index) {
+                        return $.extend({values: result.values, points: result.points}, axes.series[index]);
+                    })
+                };
+            });
+        },
+
+        /**
+         * Fill the axis controls of a chart with the columns its type can plot.
+         *
+         * Scatter charts plot every row, so their aggregate selector is disabled,
+         * the date bucket selector is only enabled for date X columns, and the
+         * sort and top label selectors for charts that are not by date.
+         *
+         * @param {Object} controls {x, aggregate, bucket, sort, top, series}: the X axis, aggregate, date
+         *     bucket, sort and top label selectors and the series menu container (jQuery)
+         * @param {Array} columns [{name, type, hint}] from a data_worker dataset
+         * @param {string} chartType
+         * @param {Object} axes Chosen {x, aggregate, bucket, sort, top, series}, kept where the type allows them
+         * @param {Function} onSeriesChange Called with the new series when they are changed in the menu
+         * @return {Object} The columns to chart {x, aggregate, bucket, sort, top, series}
+         */
+        fillChartAxes: function(controls, columns, chartType, axes, onSeriesChange) {
+            var result = ChartTypes.getAxes(chartType, columns, axes);
+
+            controls.x.empty();
+            result.choices.x.forEach(function(name) {
+                controls.x.append($('<option>').val(name).text(ChartTypes.formatName(name)));
+            });
+            controls.x.val(result.axes.x);
+            controls.aggregate.val(result.axes.aggregate).prop('disabled', ChartTypes.plotsPoints(chartType));
+            controls.bucket.val(result.axes.bucket).prop('disabled', !result.choices.bucket);
+            controls.sort.val(result.axes.sort).prop('disabled', !result.choices.sort);
+            controls.top.val(String(result.axes.top)).prop('disabled', !result.choices.sort);
+
+            ChartSeries.render(controls.series, {
+                columns: result.choices.y,
+                series: result.axes.series,
+                onChange: onSeriesChange
+            }).catch(Notification.exception);
+
+            return result.axes;
+        },
+
+        /**
+         * Show the quick and column filters for a table view.
+         *
+         * The controls are only rebuilt when the report or its columns change, so
+         * a refresh does not take the focus away from them.
+         *
+         * @param {jQuery} $container Filter container
+         * @param {Object} dataset The view's data_worker dataset
+         * @param {Object} filter The view's filter (see getTableFilter), updated in place
+         * @param {Function} apply Called after the filter changed
+         */
+        showTableFilter: function($container, dataset, filter, apply) {
+            dataset.columns().then(function(columns) {
+                var signature = filter.report + '|' + columns.map(function(column) {
+                    return column.name + ':' + column.type;
+                }).join(',');
+
+                if ($container.data('signature') === signature) {
+                    return columns;
+                }
+                $container.data('signature', signature);
+
+                return TableFilter.render($container, {
+                    columns: columns,
+                    value: filter,
+                    onChange: function(value) {
+                        filter.search = value.search;
+                        filter.filters = value.filters;
+                        apply();
+                    }
+                });
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Create the table of a view, with the block's table settings and the user's choices for the report.
+         *
+         * @param {jQuery} $root Table view element (see report_table)
+         * @param {Object} report Report metadata
+         * @param {Object} dataset The view's data_worker dataset
+         * @param {Array} headers Column names in the report's own order
+         * @param {Object} filter The view's filter (see getTableFilter)
+         * @param {number} textLimit Maximum text length before a cell is cut
+         * @param {Function} onPageChange Called after the user moved to another page (optional)
+         * @return {Object} The table (see report_table), to be rendered
+         */
+        createReportTable: function($root, report, dataset, headers, filter, textLimit, onPageChange) {
+            var self = this;
+            var key = this.getReportKey(report);
+
+            return ReportTable.create($root, {
+                dataset: dataset,
+                headers: headers,
+                key: key,
+                filter: filter,
+                sort: this.getReportSort(report),
+                layout: this.reportColumns[key] || null,
+                mode: this.tableMode,
+                rowsPerPage: this.rowsPerPage,
+                textLimit: textLimit,
+                formatRules: this.formatRules,
+                columnTypes: this.columnTypes,
+                footer: this.showTableFooter,
+                aggregates: this.getReportAggregates(report),
+                drilldown: !!RowDrilldown.forReport(this.drilldowns, key),
+                onSort: function(sort) {
+                    self.setReportSort(report, sort);
+                },
+                onLayoutChange: function(layout) {
+                    self.setReportColumns(report, layout);
+                },
+                onAggregateChange: function(column, aggregate) {
+                    self.setReportAggregate(report, column, aggregate);
+                },
+                onDrilldown: function(row) {
+                    self.drillDown(row, report, dataset);
+                },
+                onPageChange: onPageChange
+            });
+        },
+
+        /**
+         * Carry out the drill-down configured for a report on one of its table rows.
+         *
+         * @param {Object} row Result row, with every column
+         * @param {Object} report Report metadata
+         * @param {Object} dataset The view's data_worker dataset
+         * @return {Promise}
+         */
+        drillDown: function(row, report, dataset) {
+            var self = this;
+            var drilldown = report ? RowDrilldown.forReport(this.drilldowns, this.getReportKey(report)) : null;
+
+            if (!drilldown || !row) {
+                return Promise.resolve();
+            }
+
+            if (drilldown.action === 'url') {
+                var url = RowDrilldown.buildUrl(drilldown.url, row);
+                if (url) {
+                    window.location.href = url;
+                }
+                return Promise.resolve();
+            }
+
+            if (drilldown.action === 'report') {
+                var target = String(drilldown.target || '').split('::');
+                var targetReport = this.findReport(target[0], target[1]);
+                if (targetReport) {
+                    this.openDrilldownReport(targetReport, RowDrilldown.getParams(drilldown.params, row));
+                }
+                return Promise.resolve();
+            }
+
+            return dataset.columns().then(function(columns) {
+                return CellRenderer.create(columns, CellRenderer.forReport(self.columnTypes, self.getReportKey(report)));
+            }).then(function(cells) {
+                return RowDrilldown.showDetail({title: report.name, row: row, cells: cells});
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Open a report in the modal with parameters from a drill-down, replacing the report shown there.
+         *
+         * The parameters apply for this page view; they are not saved as the user's preference.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} params Execution parameters from the row
+         */
+        openDrilldownReport: function(report, params) {
+            this.reportParams[this.getReportKey(report)] = $.extend({}, this.getReportParams(report), params);
+
+            if (!this.modal) {
+                this.openReportModal(report.slug, report.source);
+                return;
+            }
+
+            var modalBody = this.modal.getBody();
+            this.cancelRequest('modal');
+            if (this.modalTable) {
+                this.modalTable.destroy();
+                this.modalTable = null;
+            }
+            if (this.chartInstance) {
+                this.chartInstance.destroy();
+                this.chartInstance = null;
+            }
+            this.modal.setTitle(report.name);
+            modalBody.find('.block-adeptus-modal-content-area, .block-adeptus-modal-error').addClass('d-none');
+            modalBody.find('.block-adeptus-modal-loading').removeClass('d-none');
+            this.loadModalReport(report.slug, report.source);
+        },
+
+        /**
+         * Show the runtime parameter bar for a report, if it declares parameters.
+         *
+         * @param {jQuery} $bar Parameter bar container
+         * @param {Object} report Report metadata from the catalogue
+         * @param {Object} result Loaded result (its report metadata may declare more parameters)
+         * @param {Function} reload Called to execute the report again after a change
+         */
+        showParameterBar: function($bar, report, result, reload) {
+            var self = this;
+            var types = ParameterBar.getTypes($.extend({}, report, result.report));
+            var signature = this.getReportKey(report) + '|' + types.join(',');
+
+            if (!types.length) {
+                $bar.addClass('d-none').empty().removeData('signature');
+                return;
+            }
+            if ($bar.data('signature') === signature) {
+                // Already showing this report's parameters; keep the user's focus.
+                return;
+            }
+
+            $bar.data('signature', signature);
+            ParameterBar.render($bar, {
+                blockId: this.blockId,
+                types: types,
+                values: this.getReportParams(report),
+                onChange: function(values) {
+                    self.setReportParams(report, values);
+                    reload();
+                }
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Find a report in the loaded catalogue.
+         *
+         * @param {string} slug
+         * @param {string} source Report source (optional)
+         * @return {Object|null}
+         */
+        findReport: function(slug, source) {
+            return this.reports.find(function(r) {
+                return r.slug === slug && (!source || r.source === source);
+            }) || null;
+        },
+
+        /**
+         * Get a user facing message for a report data service error.
+         *
+         * @param {Error} error
+         * @return {string}
+         */
+        getErrorMessage: function(error) {
+            switch (error && error.code) {
+                case 'notoken':
+                    return this.strings.errorNoAuthToken;
+                case 'connection':
+                    return this.strings.errorConnection;
+                case 'execution':
+                    return this.strings.errorFailedExecuteReport;
+                default:
+                    return (error && error.serverMessage) || this.strings.errorFailedLoadReport;
+            }
+        },
+
+        /**
+         * Start a new data request for a view, cancelling the view's previous request.
+         *
+         * @param {string} name View name (embedded, tab or modal)
+         * @return {AbortSignal} Signal to pass to the data service
+         */
+        beginRequest: function(name) {
+            this.cancelRequest(name);
+            this.requestControllers[name] = new AbortController();
+            return this.requestControllers[name].signal;
+        },
+
+        /**
+         * Cancel the outstanding data request for a view.
+         *
+         * @param {string} name View name
+         */
+        cancelRequest: function(name) {
+            if (this.requestControllers[name]) {
+                this.requestControllers[name].abort();
+                delete this.requestControllers[name];
+            }
+        },
+
+        /**
+         * Render reports based on display mode.
+         */
+        renderReports: function() {
+            var mode = this.config.displayMode || 'links';
+
+            if (this.reports.length === 0) {
+                this.showEmpty();
+                return;
+            }
+
+            // Extract and populate category filter (only for modes that use it)
+            if (mode === 'embedded' || mode === 'links') {
+                this.populateCategoryFilter();
+            }
+
+            // Filter reports based on selected category (for links/embedded modes)
+            var filteredReports = this.filterReports();
+
+            switch (mode) {
+                case 'embedded':
+                    this.renderEmbedded();
+                    break;
+                case 'kpi':
+                    // For KPI mode, use ALL reports for matching since user explicitly selected them
+                    // (category filter doesn't apply - user chose specific reports)
+                    var kpiReports = this.getSelectedReportsForMode('kpi', this.reports);
+                    this.renderKpi(kpiReports);
+                    break;
+                case 'tabs':
+                    // For Tabs mode, use ALL reports for matching since user explicitly selected them
+                    // (category filter doesn't apply - user chose specific reports)
+                    var tabsReports = this.getSelectedReportsForMode('tabs', this.reports);
+                    this.renderTabs(tabsReports);
+                    break;
+                case 'links':
+                default:
+                    this.renderLinks(filteredReports);
+                    break;
+            }
+
+            this.hideLoading();
+            this.updateTimestamp();
+        },
+
+        /**
+         * Get reports filtered by the selected reports configuration for a specific mode.
+         *
+         * @param {string} mode - 'kpi' or 'tabs'
+         * @param {Array} allReports - All available reports
+         * @return {Array} Filtered reports in configured order
+         */
+        getSelectedReportsForMode: function(mode, allReports) {
+            var selectedConfig = [];
+
+            if (mode === 'kpi' && this.config.kpiSelectedReports && this.config.kpiSelectedReports.length > 0) {
+                selectedConfig = this.config.kpiSelectedReports;
+            } else if (mode === 'tabs' && this.config.tabsSelectedReports && this.config.tabsSelectedReports.length > 0) {
+                selectedConfig = this.config.tabsSelectedReports;
+            }
+
+            // If no specific reports configured, return all reports
+            if (selectedConfig.length === 0) {
+                return allReports;
+            }
+
+            // Filter and order reports according to selection
+            var result = [];
+            selectedConfig.forEach(function(item) {
+                var slug = item.slug || item;
+                var source = item.source || 'wizard';
+                var report = allReports.find(function(r) {
+                    return r.slug === slug && (r.source === source || !item.source);
+                });
+                if (report) {
+                    // Clone report and add custom icon if configured
+                    var enrichedReport = Object.assign({}, report);
+                    if (item.icon) {
+                        enrichedReport.customIcon = item.icon;
+                    }
+                    result.push(enrichedReport);
+                }
+            });
+
+            return result;
+        },
+
+        /**
+         * Extract categories from reports and populate the filter dropdown.
+         */
+        populateCategoryFilter: function() {
+            var self = this;
             var categoryMap = {};
             var config = this.config;
 
@@ -1333,130 +1998,56 @@ define([
          */
         loadEmbeddedReport: function(slug, source) {
             var self = this;
-            var cacheKey = slug + '_' + source;
+            var report = this.findReport(slug, source);
+            var signal = this.beginRequest('embedded');
 
-            // Check cache first for instant loading (no overlay needed)
-            if (this.reportDataCache[cacheKey]) {
-                var cached = this.reportDataCache[cacheKey];
-                this.embeddedData = cached.results;
-                this.renderEmbeddedContent(cached.report, cached.results);
+            if (!report) {
+                this.showError(this.strings.errorReportNotFound);
                 return;
             }
 
-            // Show loading overlay for non-cached requests
-            this.showEmbeddedLoadingOverlay();
-
-            // Find the report from our cached list
-            var report = this.reports.find(function(r) {
-                return r.slug === slug;
-            });
+            var params = this.getReportParams(report);
+            var $parameters = this.container.find('.block-adeptus-embedded-parameters');
+            var reload = function() {
+                self.loadEmbeddedReport(slug, source);
+            };
 
-            if (!report) {
-                this.hideEmbeddedLoadingOverlay();
-                this.showError(this.strings.errorReportNotFound);
-                return;
+            // Cached results render instantly, so only show the overlay for new requests
+            if (!this.dataService.peek(report, params)) {
+                this.showEmbeddedLoadingOverlay();
             }
 
-            // For wizard reports, execute locally via generate_report.php
-            if (source === 'wizard') {
-                $.ajax({
-                    url: M.cfg.wwwroot + '/report/adeptus_insights/ajax/generate_report.php',
-                    method: 'POST',
-                    data: {
-                        reportid: report.name || report.report_template_id,
-                        sesskey: M.cfg.sesskey
-                    },
-                    dataType: 'json',
-                    timeout: 30000
-                }).done(function(response) {
+            var staleResult = null;
+            this.dataService.load(report, {
+                signal: signal,
+                params: params,
+                onStale: function(result) {
+                    // Show the cached copy straight away while the report runs again
+                    staleResult = result;
                     self.hideEmbeddedLoadingOverlay();
-                    if (response.success) {
-                        // Cache the result
-                        self.reportDataCache[cacheKey] = {
-                            report: report,
-                            results: response.results || [],
-                            chartData: response.chart_data,
-                            chartType: response.chart_type
-                        };
-                        self.embeddedData = response.results || [];
-                        self.renderEmbeddedContent(report, response.results || []);
-                    } else {
-                        self.showError(response.message || self.strings.errorFailedLoadReport);
-                    }
-                }).fail(function() {
-                    self.hideEmbeddedLoadingOverlay();
-                    self.showError(self.strings.errorConnection);
-                });
-            } else {
-                // AI reports - fetch from backend API
-                var token = this.apiKey || (window.adeptusAuthData ? window.adeptusAuthData.api_key : null);
-
-                if (!token) {
-                    this.hideEmbeddedLoadingOverlay();
-                    this.showError(this.strings.errorNoAuthToken);
+                    self.embeddedData = result.results;
+                    self.renderEmbeddedContent(result.report, result.results);
+                    self.showParameterBar($parameters, report, result, reload);
+                    self.setRefreshing(self.container, true);
+                }
+            }).then(function(result) {
+                self.hideEmbeddedLoadingOverlay();
+                self.setRefreshing(self.container, false);
+                self.embeddedData = result.results;
+                self.renderEmbeddedContent(result.report, result.results);
+                self.showParameterBar($parameters, report, result, reload);
+                return result;
+            }).catch(function(error) {
+                if (error.code === 'abort') {
+                    // A newer report was selected, it owns the loading overlay now.
                     return;
                 }
-
-                $.ajax({
-                    url: '' + this.backendUrl + '/ai-reports/' + slug,
-                    method: 'GET',
-                    headers: {
-                        'Authorization': 'Bearer ' + token,
-                        'Accept': 'application/json'
-                    },
-                    timeout: 15000
-                }).done(function(response) {
-                    if (response.success && response.report) {
-                        var reportData = response.report;
-                        var data = response.data || [];
-
-                        // Check if local execution is required (SaaS model)
-                        var sqlQuery = response.sql || (reportData && reportData.sql_query) || (reportData && reportData.sql);
-                        var needsLocalExecution = response.execution_required || ((!data || data.length === 0) && sqlQuery);
-
-                        if (needsLocalExecution && sqlQuery) {
-                            // Execute SQL locally against Moodle database
-                            self.executeReportLocally(sqlQuery, reportData.params || {})
-                                .then(function(executionResult) {
-                                    self.hideEmbeddedLoadingOverlay();
-                                    var localData = executionResult.data || [];
-                                    self.reportDataCache[cacheKey] = {
-                                        report: reportData,
-                                        results: localData,
-                                        chartData: null,
-                                        chartType: null
-                                    };
-                                    self.embeddedData = localData;
-                                    self.renderEmbeddedContent(reportData, localData);
-                                    return localData;
-                                })
-                                .catch(function() {
-                                    self.hideEmbeddedLoadingOverlay();
-                                    self.showError(self.strings.errorFailedExecuteReport);
-                                    return null;
-                                });
-                            return;
-                        }
-
-                        self.hideEmbeddedLoadingOverlay();
-                        // Cache the result
-                        self.reportDataCache[cacheKey] = {
-                            report: reportData,
-                            results: data,
-                            chartData: null,
-                            chartType: null
-                        };
-                        self.embeddedData = data;
-                        self.renderEmbeddedContent(reportData, data);
-                    } else {
-                        self.hideEmbeddedLoadingOverlay();
-                        self.showError(self.strings.errorFailedLoadReport);
-                    }
-                }).fail(function() {
-                    self.hideEmbeddedLoadingOverlay();
-                    self.showError(self.strings.errorConnection);
-                });
-            }
+                self.hideEmbeddedLoadingOverlay();
+                self.setRefreshing(self.container, false);
+                if (!self.handleLoadFailure(error, staleResult)) {
+                    self.showError(self.getErrorMessage(error));
+                }
+            });
         },
 
         /**
@@ -1466,6 +2057,7 @@ define([
          * @param {Array} data
          */
         renderEmbeddedContent: function(report, data) {
+            var self = this;
             var contentArea = this.container.find('.block-adeptus-content');
 
             if (!data || data.length === 0) {
@@ -1476,6 +2068,13 @@ define([
             // Store data for later use
             this.embeddedReport = report;
             this.embeddedData = data;
+            if (this.embeddedDataset) {
+                this.embeddedDataset.release();
+            }
+            this.embeddedDataset = DataWorker.dataset(data);
+            this.embeddedFilter = this.getTableFilter(this.embeddedFilter, report);
+            this.embeddedPivot = this.getPivot(this.embeddedPivot, report);
+            this.embeddedPivotChart = false;
 
             // Update meta bar
             var category = report.category_info || {name: 'General', color: '#6c757d'};
@@ -1491,14 +2090,31 @@ define([
 
             // Reset to table view
             this.embeddedCurrentView = 'table';
-            this.embeddedTablePage = 1;
             this.container.find('.block-adeptus-embedded-view-toggle-btn').removeClass('active');
             this.container.find('.block-adeptus-embedded-view-toggle-btn[data-view="table"]').addClass('active');
+            this.container.find('.block-adeptus-embedded-view').addClass('d-none');
             this.container.find('.block-adeptus-embedded-table-view').removeClass('d-none');
-            this.container.find('.block-adeptus-embedded-chart-view').addClass('d-none');
 
             // Render table with pagination
-            this.renderEmbeddedTablePage();
+            if (this.embeddedTable) {
+                this.embeddedTable.destroy();
+            }
+            this.embeddedTable = this.createReportTable(this.container.find('.block-adeptus-embedded-table-container'), report,
+                this.embeddedDataset, Object.keys(data[0]), this.embeddedFilter, 50, function() {
+                    self.scrollToEmbeddedTableTop();
+                });
+            this.embeddedTable.render().catch(Notification.exception);
+
+            // Filters apply to both the table and the chart
+            this.showTableFilter(this.container.find('.block-adeptus-embedded-filter'), this.embeddedDataset,
+                this.embeddedFilter, function() {
+                    self.embeddedTable.showPage(1).catch(Notification.exception);
+                    if (self.embeddedCurrentView === 'chart') {
+                        self.renderEmbeddedChart();
+                    } else if (self.embeddedCurrentView === 'pivot') {
+                        self.renderEmbeddedPivot();
+                    }
+                });
 
             contentArea.removeClass('d-none');
             this.hideLoading();
@@ -1506,9 +2122,9 @@ define([
         },
 
         /**
-         * Switch between table and chart views in embedded mode.
+         * Switch between table, chart and pivot views in embedded mode.
          *
-         * @param {string} view - 'table' or 'chart'
+         * @param {string} view - 'table', 'chart' or 'pivot'
          */
         switchEmbeddedView: function(view) {
             this.embeddedCurrentView = view;
@@ -1518,17 +2134,38 @@ define([
             this.container.find('.block-adeptus-embedded-view-toggle-btn[data-view="' + view + '"]').addClass('active');
 
             // Show/hide views
-            if (view === 'table') {
-                this.container.find('.block-adeptus-embedded-table-view').removeClass('d-none');
-                this.container.find('.block-adeptus-embedded-chart-view').addClass('d-none');
-            } else {
-                this.container.find('.block-adeptus-embedded-table-view').addClass('d-none');
-                this.container.find('.block-adeptus-embedded-chart-view').removeClass('d-none');
-                // Render chart when switching to chart view
+            this.container.find('.block-adeptus-embedded-view').addClass('d-none');
+            this.container.find('.block-adeptus-embedded-' + view + '-view').removeClass('d-none');
+            if (view === 'chart') {
                 this.renderEmbeddedChart();
+            } else if (view === 'pivot') {
+                this.renderEmbeddedPivot();
             }
         },
 
+        /**
+         * Render the pivot view in embedded mode.
+         *
+         * @return {Promise}
+         */
+        renderEmbeddedPivot: function() {
+            var self = this;
+            var dataset = this.embeddedDataset;
+
+            if (!dataset) {
+                return Promise.resolve();
+            }
+
+            return this.showPivotView(this.container.find('.block-adeptus-embedded-pivot'), dataset, this.embeddedFilter,
+                this.embeddedPivot, this.embeddedReport, function(pivot) {
+                    self.embeddedPivot = pivot;
+                }, function(pivot) {
+                    self.embeddedPivot = pivot;
+                    self.embeddedPivotChart = true;
+                    self.switchEmbeddedView('chart');
+                });
+        },
+
         /**
          * Populate chart control dropdowns for embedded mode.
          *
@@ -1539,182 +2176,121 @@ define([
                 return;
             }
 
-            var headers = Object.keys(data[0]);
-            var numericCols = this.detectNumericColumns(data, headers);
-
-            var xAxisSelect = this.container.find('.block-adeptus-embedded-chart-x-axis');
-            var yAxisSelect = this.container.find('.block-adeptus-embedded-chart-y-axis');
-
-            xAxisSelect.empty();
-            yAxisSelect.empty();
-
-            // Populate X-axis (all columns)
-            headers.forEach(function(h) {
-                var formatted = h.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
-                xAxisSelect.append('<option value="' + h + '">' + formatted + '</option>');
-            });
-
-            // Populate Y-axis (prefer numeric columns)
-            var yOptions = numericCols.length > 0 ? numericCols : headers;
-            yOptions.forEach(function(h) {
-                var formatted = h.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
-                yAxisSelect.append('<option value="' + h + '">' + formatted + '</option>');
-            });
-
-            // Set defaults
-            this.embeddedXAxis = headers[0];
-            this.embeddedYAxis = numericCols.length > 0 ? numericCols[numericCols.length - 1] : headers[headers.length - 1];
-
-            xAxisSelect.val(this.embeddedXAxis);
-            yAxisSelect.val(this.embeddedYAxis);
+            // Charts fall back to the first and last columns until the column types are known.
+            this.embeddedXAxis = '';
+            this.embeddedAggregate = 'auto';
+            this.embeddedBucket = 'auto';
+            this.embeddedSeries = [];
+            this.updateEmbeddedChartAxes().catch(Notification.exception);
         },
 
         /**
-         * Render current page of table in embedded mode.
+         * Fill the embedded mode axis selectors for the chart type.
+         *
+         * @return {Promise}
          */
-        renderEmbeddedTablePage: function() {
-            var data = this.embeddedData || [];
-            var table = this.container.find('.block-adeptus-embedded-table');
-            var thead = table.find('thead');
-            var tbody = table.find('tbody');
-
-            thead.empty();
-            tbody.empty();
-
-            if (data.length === 0) {
-                return;
-            }
+        updateEmbeddedChartAxes: function() {
+            var self = this;
+            var dataset = this.embeddedDataset;
 
-            // Build headers
-            var headers = Object.keys(data[0]);
-            var headerRow = $('<tr>');
-            headers.forEach(function(h) {
-                var formatted = h.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
-                headerRow.append($('<th>').text(formatted));
-            });
-            thead.append(headerRow);
+            return dataset.columns().then(function(columns) {
+                if (self.embeddedDataset !== dataset) {
+                    return columns;
+                }
 
-            // Calculate pagination
-            var totalPages = Math.ceil(data.length / this.embeddedTableRowsPerPage);
-            var startIndex = (this.embeddedTablePage - 1) * this.embeddedTableRowsPerPage;
-            var endIndex = Math.min(startIndex + this.embeddedTableRowsPerPage, data.length);
-            var pageData = data.slice(startIndex, endIndex);
-
-            // Build rows
-            pageData.forEach(function(row) {
-                var tr = $('<tr>');
-                headers.forEach(function(h) {
-                    var val = row[h];
-                    if (val === null || val === undefined) {
-                        val = '';
-                    }
-                    var displayVal = String(val);
-                    if (displayVal.length > 50) {
-                        displayVal = displayVal.substring(0, 50) + '...';
-                    }
-                    tr.append($('<td>').attr('title', val).text(displayVal));
+                var axes = self.fillChartAxes({
+                    x: self.container.find('.block-adeptus-embedded-chart-x-axis'),
+                    aggregate: self.container.find('.block-adeptus-embedded-chart-aggregate'),
+                    bucket: self.container.find('.block-adeptus-embedded-chart-bucket'),
+                    sort: self.container.find('.block-adeptus-embedded-chart-sort'),
+                    top: self.container.find('.block-adeptus-embedded-chart-top'),
+                    series: self.container.find('.block-adeptus-embedded-chart-series')
+                }, columns, self.embeddedChartType, {
+                    x: self.embeddedXAxis,
+                    aggregate: self.embeddedAggregate,
+                    bucket: self.embeddedBucket,
+                    sort: self.embeddedSort,
+                    top: self.embeddedTop,
+                    series: self.embeddedSeries
+                }, function(series) {
+                    self.embeddedSeries = series;
+                    self.embeddedPivotChart = false;
+                    self.renderEmbeddedChart();
                 });
-                tbody.append(tr);
+                self.embeddedXAxis = axes.x;
+                self.embeddedAggregate = axes.aggregate;
+                self.embeddedBucket = axes.bucket;
+                self.embeddedSort = axes.sort;
+                self.embeddedTop = axes.top;
+                self.embeddedSeries = axes.series;
+                return columns;
             });
-
-            // Update pagination info
-            var showingText = this.formatShowingText(startIndex + 1, endIndex, data.length);
-            this.container.find('.block-adeptus-row-count').text(showingText);
-            var pageText = this.formatPageText(this.embeddedTablePage, totalPages);
-            this.container.find('.block-adeptus-embedded-pagination-info').text(pageText);
-
-            // Update button states
-            this.container.find('.block-adeptus-embedded-pagination-prev').prop('disabled', this.embeddedTablePage <= 1);
-            this.container.find('.block-adeptus-embedded-pagination-next').prop('disabled', this.embeddedTablePage >= totalPages);
         },
 
         /**
          * Render chart in embedded mode with current settings.
          */
         renderEmbeddedChart: function() {
+            var self = this;
             var data = this.embeddedData || [];
+            var dataset = this.embeddedDataset;
             var canvas = this.container.find('.block-adeptus-embedded-chart')[0];
 
             if (!canvas || data.length === 0) {
                 return;
             }
 
-            // Destroy existing chart
-            if (this.embeddedChartInstance) {
-                this.embeddedChartInstance.destroy();
-                this.embeddedChartInstance = null;
+            this.container.find('.block-adeptus-embedded-chart-view .block-adeptus-pivot-chart-note')
+                .toggleClass('d-none', !this.embeddedPivotChart);
+            if (this.embeddedPivotChart && this.embeddedPivot) {
+                this.loadPivotChart(dataset, this.embeddedFilter, this.embeddedPivot).then(function(chartData) {
+                    if (self.embeddedDataset === dataset) {
+                        if (self.embeddedChartInstance) {
+                            self.embeddedChartInstance.destroy();
+                        }
+                        self.embeddedChartInstance = self.drawPivotChart(canvas, self.embeddedChartType || 'bar', chartData);
+                    }
+                    return chartData;
+                }).catch(Notification.exception);
+                return;
             }
 
-            var chartType = this.embeddedChartType || 'bar';
-            var xAxis = this.embeddedXAxis || Object.keys(data[0])[0];
-            var yAxis = this.embeddedYAxis || Object.keys(data[0])[1];
+            var axes = {
+                x: this.embeddedXAxis || Object.keys(data[0])[0],
+                aggregate: this.embeddedAggregate,
+                bucket: this.embeddedBucket,
+                sort: this.embeddedSort,
+                top: this.embeddedTop,
+                series: this.embeddedSeries.length ? this.embeddedSeries : [{column: Object.keys(data[0])[1]}]
+            };
 
             // Prepare chart data (limit to 30 items)
-            var chartData = data.slice(0, 30);
-            var labels = chartData.map(function(row) {
-                var label = row[xAxis];
-                if (label === null || label === undefined) {
-                    return this.strings.unknown;
+            this.loadChartData(dataset, this.embeddedFilter, this.embeddedChartType, axes, 30).then(function(chartData) {
+                if (self.embeddedDataset === dataset) {
+                    self.drawEmbeddedChart(canvas, chartData);
                 }
-                var labelStr = String(label);
-                return labelStr.length > 20 ? labelStr.substring(0, 20) + '...' : labelStr;
-            });
-            var values = chartData.map(function(row) {
-                return parseFloat(row[yAxis]) || 0;
-            });
-
-            // Generate colors
-            var colors = this.generateChartColors(values.length);
-
-            // Build dataset config
-            var datasetConfig = {
-                label: yAxis.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                }),
-                data: values
-            };
+                return chartData;
+            }).catch(Notification.exception);
+        },
 
-            if (chartType === 'pie' || chartType === 'doughnut') {
-                datasetConfig.backgroundColor = colors;
-                datasetConfig.borderWidth = 1;
-            } else {
-                datasetConfig.backgroundColor = colors[0];
-                datasetConfig.borderColor = colors[0].replace('0.7', '1');
-                datasetConfig.borderWidth = 1;
+        /**
+         * Draw the embedded mode chart.
+         *
+         * @param {HTMLCanvasElement} canvas
+         * @param {Object} chartData See loadChartData
+         */
+        drawEmbeddedChart: function(canvas, chartData) {
+            // Destroy existing chart
+            if (this.embeddedChartInstance) {
+                this.embeddedChartInstance.destroy();
+                this.embeddedChartInstance = null;
             }
 
-            // Chart config
-            var config = {
-                type: chartType,
-                data: {
-                    labels: labels,
-                    datasets: [datasetConfig]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            display: chartType === 'pie' || chartType === 'doughnut',
-                            position: 'right'
-                        }
-                    }
-                }
-            };
-
-            // Add scales for bar/line charts
-            if (chartType === 'bar' || chartType === 'line') {
-                config.options.scales = {
-                    y: {beginAtZero: true},
-                    x: {display: data.length <= 15}
-                };
-            }
+            var config = ChartTypes.create(this.embeddedChartType, chartData, {
+                showLabels: (chartData.labels || []).length <= 15,
+                labelLength: 20,
+                unknown: this.strings.unknown
+            });
 
             try {
                 this.embeddedChartInstance = new Chart(canvas.getContext('2d'), config);
@@ -1840,13 +2416,44 @@ define([
         },
 
         /**
-         * Load multiple KPI cards in a single batch request.
+         * Load multiple KPI cards, rendering cached values first and batching the rest.
          *
          * @param {Array} reports Wizard reports to load
          * @param {Object} cardMap Map of slug to card info
          */
         loadKpiBatch: function(reports, cardMap) {
             var self = this;
+            var lookups = reports.map(function(report) {
+                return self.dataService.lookup(report);
+            });
+
+            Promise.all(lookups).then(function(cached) {
+                var toFetch = reports.filter(function(report, index) {
+                    var cardInfo = cardMap[report.slug];
+                    if (!cached[index] || !cardInfo) {
+                        return true;
+                    }
+                    self.renderKpiValue(cardInfo.$card, cached[index].result.results, cached[index].stale);
+                    return cached[index].stale;
+                });
+
+                if (toFetch.length > 0) {
+                    self.fetchKpiBatch(toFetch, cardMap);
+                }
+                return toFetch;
+            }).catch(function() {
+                self.fetchKpiBatch(reports, cardMap);
+            });
+        },
+
+        /**
+         * Fetch multiple KPI cards in a single batch request.
+         *
+         * @param {Array} reports Wizard reports to load
+         * @param {Object} cardMap Map of slug to card info
+         */
+        fetchKpiBatch: function(reports, cardMap) {
+            var self = this;
 
             // Get report IDs (names) for batch request
             var reportIds = reports.map(function(r) {
@@ -1856,10 +2463,10 @@ define([
             $.ajax({
                 url: M.cfg.wwwroot + '/report/adeptus_insights/ajax/batch_kpi_data.php',
                 method: 'POST',
-                data: {
+                data: $.extend({}, this.dataService.getParams(), {
                     reportids: JSON.stringify(reportIds),
                     sesskey: M.cfg.sesskey
-                },
+                }),
                 dataType: 'json',
                 timeout: 30000
             }).done(function(response) {
@@ -1875,20 +2482,15 @@ define([
                         }
 
                         var $card = cardInfo.$card;
-                        var cacheKey = report.slug + '_' + report.source;
 
                         if (reportData && reportData.success) {
                             // Cache the results
-                            self.reportDataCache[cacheKey] = {
-                                report: report,
-                                results: reportData.results || []
-                            };
+                            self.dataService.prime(report, reportData.results || []);
 
                             // Render the KPI value
                             self.renderKpiValue($card, reportData.results || []);
                         } else {
-                            $card.find('.block-adeptus-kpi-card-value').text('--');
-                            $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
+                            self.showKpiUnavailable($card);
                         }
                     });
                 } else {
@@ -1921,125 +2523,29 @@ define([
          */
         loadKpiData: function(report, $card, cardIndex, retryCount) {
             var self = this;
-            var cacheKey = report.slug + '_' + report.source;
             retryCount = retryCount || 0;
             var maxRetries = 2;
+            var staleResult = null;
 
-            // Check cache first
-            if (this.reportDataCache[cacheKey]) {
-                var cached = this.reportDataCache[cacheKey];
-                this.renderKpiValue($card, cached.results);
-                return;
-            }
-
-            // Get the report ID - try multiple possible fields
-            var reportId = report.report_template_id || report.id || report.name || report.slug;
-
-            // Load data based on source
-            if (report.source === 'wizard') {
-                $.ajax({
-                    url: M.cfg.wwwroot + '/report/adeptus_insights/ajax/generate_report.php',
-                    method: 'POST',
-                    data: {
-                        reportid: reportId,
-                        sesskey: M.cfg.sesskey
-                    },
-                    dataType: 'json',
-                    timeout: 30000
-                }).done(function(response) {
-                    if (response.success) {
-                        self.reportDataCache[cacheKey] = {
-                            report: report,
-                            results: response.results || []
-                        };
-                        self.renderKpiValue($card, response.results || []);
-                    } else {
-                        $card.find('.block-adeptus-kpi-card-value').text('--');
-                        $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
-                    }
-                }).fail(function(jqXHR, textStatus) {
-                    // Retry on timeout or server error
-                    if (retryCount < maxRetries && (textStatus === 'timeout' || jqXHR.status >= 500)) {
-                        setTimeout(function() {
-                            self.loadKpiData(report, $card, cardIndex, retryCount + 1);
-                        }, 1000 * (retryCount + 1));
-                    } else {
-                        $card.find('.block-adeptus-kpi-card-value').text('--');
-                        $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
-                    }
-                });
-            } else {
-                // AI reports
-                var token = this.apiKey || (window.adeptusAuthData ? window.adeptusAuthData.api_key : null);
-                if (!token) {
-                    $card.find('.block-adeptus-kpi-card-value').text('--');
-                    $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
-                    return;
+            this.dataService.load(report, {
+                onStale: function(result) {
+                    staleResult = result;
+                    self.renderKpiValue($card, result.results, true);
                 }
-
-                $.ajax({
-                    url: '' + this.backendUrl + '/ai-reports/' + report.slug,
-                    method: 'GET',
-                    headers: {
-                        'Authorization': 'Bearer ' + token,
-                        'Accept': 'application/json'
-                    },
-                    timeout: 30000
-                }).done(function(response) {
-                    if (response.success) {
-                        var reportData = response.report || report;
-                        var data = response.data || [];
-
-                        // Check if local execution is required (SaaS model)
-                        var sqlQuery = response.sql || (reportData && reportData.sql_query) || (reportData && reportData.sql);
-                        var needsLocalExecution = response.execution_required || ((!data || data.length === 0) && sqlQuery);
-
-                        if (needsLocalExecution && sqlQuery) {
-                            // Execute SQL locally against Moodle database
-                            self.executeReportLocally(sqlQuery, reportData.params || {})
-                                .then(function(executionResult) {
-                                    var localData = executionResult.data || [];
-                                    self.reportDataCache[cacheKey] = {
-                                        report: reportData,
-                                        results: localData
-                                    };
-                                    self.renderKpiValue($card, localData);
-                                    return localData;
-                                })
-                                .catch(function() {
-                                    $card.find('.block-adeptus-kpi-card-value').text('--');
-                                    $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
-                                    return null;
-                                });
-                            return;
-                        }
-
-                        if (data && data.length > 0) {
-                            self.reportDataCache[cacheKey] = {
-                                report: reportData,
-                                results: data
-                            };
-                            self.renderKpiValue($card, data);
-                        } else {
-                            $card.find('.block-adeptus-kpi-card-value').text('--');
-                            $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
-                        }
-                    } else {
-                        $card.find('.block-adeptus-kpi-card-value').text('--');
-                        $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
-                    }
-                }).fail(function(jqXHR, textStatus) {
-                    // Retry on timeout or server error
-                    if (retryCount < maxRetries && (textStatus === 'timeout' || jqXHR.status >= 500)) {
-                        setTimeout(function() {
-                            self.loadKpiData(report, $card, cardIndex, retryCount + 1);
-                        }, 1000 * (retryCount + 1));
-                    } else {
-                        $card.find('.block-adeptus-kpi-card-value').text('--');
-                        $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
-                    }
-                });
-            }
+            }).then(function(result) {
+                self.renderKpiValue($card, result.results);
+                return result;
+            }).catch(function(error) {
+                // Retry on timeout or server error
+                if (retryCount < maxRetries && (error.textStatus === 'timeout' || error.status >= 500)) {
+                    setTimeout(function() {
+                        self.loadKpiData(report, $card, cardIndex, retryCount + 1);
+                    }, 1000 * (retryCount + 1));
+                } else {
+                    self.handleLoadFailure(error, staleResult);
+                    self.showKpiUnavailable($card);
+                }
+            });
         },
 
         /**
@@ -2047,53 +2553,60 @@ define([
          *
          * @param {jQuery} $card
          * @param {Array} data
+         * @param {boolean} stale Whether the data is a cached copy that is being refreshed
          */
-        renderKpiValue: function($card, data) {
+        renderKpiValue: function($card, data, stale) {
             var slug = $card.data('slug');
             var source = $card.data('source') || 'wizard';
             var label = $card.find('.block-adeptus-kpi-card-label').text() || '';
 
+            $card.toggleClass('block-adeptus-kpi-card-refreshing', !!stale);
+
             if (!data || data.length === 0) {
+                $card.removeData('kpiDataset');
                 $card.find('.block-adeptus-kpi-card-value').text('0');
                 // Save zero value and update trend from server
-                this.saveKpiHistoryToServer($card, slug, 0, source, label, 0);
+                if (!stale) {
+                    this.saveKpiHistoryToServer($card, slug, 0, source, label, 0);
+                }
                 return;
             }
 
-            // Find numeric column for KPI value
-            var headers = Object.keys(data[0]);
-            var numericCols = this.detectNumericColumns(data, headers);
-
-            var value;
-            var formattedValue;
-
-            if (numericCols.length > 0) {
-                // Use sum or count of the last numeric column
-                var valueCol = numericCols[numericCols.length - 1];
-
-                // If it's a count/total column, sum all values
-                if (valueCol.toLowerCase().includes('count') ||
-                    valueCol.toLowerCase().includes('total') ||
-                    data.length === 1) {
-                    value = data.reduce(function(sum, row) {
-                        return sum + (parseFloat(row[valueCol]) || 0);
-                    }, 0);
-                } else {
-                    // Otherwise show row count
-                    value = data.length;
+            // Sum of a count/total column, otherwise the row count (worked out off the main thread)
+            var self = this;
+            var dataset = DataWorker.dataset(data);
+            $card.data('kpiDataset', dataset);
+
+            dataset.kpi().then(function(kpi) {
+                dataset.release();
+                if ($card.data('kpiDataset') !== dataset) {
+                    // A newer result is being shown.
+                    return kpi;
                 }
-            } else {
-                // No numeric columns, show row count
-                value = data.length;
-            }
 
-            // Format the value nicely
-            formattedValue = this.formatKpiValue(value);
+                // Format the value nicely
+                $card.find('.block-adeptus-kpi-card-value').text(self.formatKpiValue(kpi.value));
 
-            $card.find('.block-adeptus-kpi-card-value').text(formattedValue);
+                // Save to server and update trend/sparkline from response (fresh values only)
+                if (!stale) {
+                    self.saveKpiHistoryToServer($card, slug, kpi.value, source, label, kpi.rows);
+                }
+                return kpi;
+            }).catch(Notification.exception);
+        },
 
-            // Save to server and update trend/sparkline from response
-            this.saveKpiHistoryToServer($card, slug, value, source, label, data.length);
+        /**
+         * Mark a KPI card as unavailable, keeping a cached value if one is shown.
+         *
+         * @param {jQuery} $card
+         */
+        showKpiUnavailable: function($card) {
+            if ($card.hasClass('block-adeptus-kpi-card-refreshing')) {
+                $card.removeClass('block-adeptus-kpi-card-refreshing');
+                return;
+            }
+            $card.find('.block-adeptus-kpi-card-value').text('--');
+            $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
         },
 
         /**
@@ -2135,6 +2648,12 @@ define([
                 return;
             }
 
+            // Only the leading tab posts snapshots, so alerts are evaluated once
+            if (!TabSync.isLeader(this.blockId)) {
+                this.useSharedSnapshot($card, slug);
+                return;
+            }
+
             // For AI reports, use the backend snapshots API
             if (source === 'ai') {
                 this.postSnapshotToBackend($card, slug, value, executionTimeMs || 0);
@@ -2152,11 +2671,13 @@ define([
          * @param {string} slug Report slug
          * @param {number} metricValue The actual metric value (e.g., 122 users)
          * @param {number} executionTimeMs Execution time in milliseconds
+         * @param {string} source Report source (optional, read from the card by default)
+         * @param {number} capturedAt Time (ms) a queued snapshot was taken, when replaying it (optional)
          */
-        postSnapshotToBackend: function($card, slug, metricValue, executionTimeMs) {
+        postSnapshotToBackend: function($card, slug, metricValue, executionTimeMs, source, capturedAt) {
             var self = this;
             var token = this.apiKey;
-            var source = $card.data('source') || 'wizard';
+            source = source || $card.data('source') || 'wizard';
 
             if (!token) {
                 $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
@@ -2186,45 +2707,157 @@ define([
                 data: JSON.stringify({
                     row_count: metricValue,
                     execution_time_ms: executionTimeMs,
-                    evaluate_alerts: true,
+                    captured_at: new Date(capturedAt || Date.now()).toISOString(),
+                    evaluate_alerts: !capturedAt, // A replayed value is history, not the current state
                     baseline_period: baselinePeriod
                 }),
                 /* eslint-enable camelcase */
                 timeout: 15000
             }).done(function(response) {
-                if (response.success) {
-                    // Cache the snapshot response for KPI modal use
-                    self.kpiSnapshotCache[slug] = {
-                        history: response.history || [],
-                        trend: response.trend || {},
-                        currentValue: metricValue,
-                        timestamp: Date.now()
-                    };
+                // The card already shows a newer value than a replayed one.
+                if (response.success && !capturedAt) {
+                    self.applySnapshot($card, slug, metricValue, response);
+
+                    // Let the other tabs show the same trend without posting their own snapshot
+                    TabSync.publish(self.blockId, 'snapshot', {slug: slug, metricValue: metricValue, response: response});
 
                     // Register snapshot schedule for cron-based execution on first run
                     self.registerSnapshotSchedule(slug, source, metricValue);
 
-                    // Update trend from response - now supports dual trends (vs_previous and vs_baseline)
-                    self.updateKpiTrendFromBackend($card, response.trend);
-
-
-                    // Update sparkline from history
-                    if (response.history && response.history.length >= 2) {
-                        self.renderKpiSparklineFromBackend($card, slug, response.history);
-                    } else {
-                        $card.find('.block-adeptus-kpi-card-sparkline').addClass('d-none');
-                    }
-
                     // Handle any triggered alerts - pass context we have here.
                     if (response.alerts && response.alerts.triggered_count > 0) {
                         var reportName = $card.find('.block-adeptus-kpi-card-label').text() || slug;
                         self.handleTriggeredAlerts(response.alerts.triggered, slug, metricValue, response.trend, reportName);
                     }
                 }
-            }).fail(function() {
+            }).fail(function(jqXHR, textStatus) {
                 // Silent fail - trend won't update but KPI value is still shown
-                $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
+                if (!capturedAt) {
+                    $card.find('.block-adeptus-kpi-card-trend').addClass('d-none');
+                    $card.find('.block-adeptus-kpi-card-sparkline').addClass('d-none');
+                }
+
+                // Keep the snapshot for when the backend is reachable again
+                if (textStatus === 'timeout' || jqXHR.status === 0 || jqXHR.status >= 500) {
+                    self.queueSnapshot(slug, source, metricValue, executionTimeMs, capturedAt);
+                    self.goOffline();
+                }
+            });
+        },
+
+        /**
+         * Update a KPI card's trend and sparkline from a snapshot response.
+         *
+         * @param {jQuery} $card
+         * @param {string} slug Report slug
+         * @param {number} metricValue The metric value the snapshot was taken for
+         * @param {Object} response Snapshot API response
+         */
+        applySnapshot: function($card, slug, metricValue, response) {
+            this.snapshotResponses[slug] = {metricValue: metricValue, response: response};
+
+            // Cache the snapshot response for KPI modal use
+            this.kpiSnapshotCache[slug] = {
+                history: response.history || [],
+                trend: response.trend || {},
+                currentValue: metricValue,
+                timestamp: Date.now()
+            };
+
+            // Update trend from response - now supports dual trends (vs_previous and vs_baseline)
+            this.updateKpiTrendFromBackend($card, response.trend);
+
+            // Update sparkline from history
+            if (response.history && response.history.length >= 2) {
+                this.renderKpiSparklineFromBackend($card, slug, response.history);
+            } else {
                 $card.find('.block-adeptus-kpi-card-sparkline').addClass('d-none');
+            }
+        },
+
+        /**
+         * Show the leading tab's snapshot on a KPI card, asking for it if none was received yet.
+         *
+         * @param {jQuery} $card
+         * @param {string} slug Report slug
+         */
+        useSharedSnapshot: function($card, slug) {
+            var shared = this.snapshotResponses[slug];
+            if (shared) {
+                this.applySnapshot($card, slug, shared.metricValue, shared.response);
+                return;
+            }
+            TabSync.publish(this.blockId, 'snapshot-request', {slug: slug});
+        },
+
+        /**
+         * Get the localStorage key of the snapshots the current user queued for this block.
+         *
+         * @return {string}
+         */
+        getSnapshotQueueKey: function() {
+            return 'adeptus_block_snapshot_queue_' + this.config.userId + '_' + this.blockId;
+        },
+
+        /**
+         * Queue a snapshot that could not be posted. Only the latest snapshot per report is kept.
+         *
+         * @param {string} slug Report slug
+         * @param {string} source Report source (wizard or ai)
+         * @param {number} metricValue Metric value
+         * @param {number} executionTimeMs Execution time in milliseconds
+         * @param {number} capturedAt Time (ms) the snapshot was taken (optional, now by default)
+         */
+        queueSnapshot: function(slug, source, metricValue, executionTimeMs, capturedAt) {
+            var key = this.getSnapshotQueueKey();
+            try {
+                var queue = JSON.parse(localStorage.getItem(key)) || {};
+                capturedAt = capturedAt || Date.now();
+                if (queue[slug] && queue[slug].capturedAt > capturedAt) {
+                    return;
+                }
+                queue[slug] = {
+                    source: source,
+                    metricValue: metricValue,
+                    executionTimeMs: executionTimeMs,
+                    capturedAt: capturedAt
+                };
+                localStorage.setItem(key, JSON.stringify(queue));
+            } catch (_e) {
+                // Ignore storage errors
+            }
+        },
+
+        /**
+         * Post the snapshots queued while offline with the time they were taken (leading tab only).
+         *
+         * Alerts are not evaluated for them, and snapshots that are too old are dropped.
+         */
+        replaySnapshots: function() {
+            var self = this;
+            var key = this.getSnapshotQueueKey();
+            var queue;
+
+            if (!this.config.snapshotsEnabled || !TabSync.isLeader(this.blockId)) {
+                return;
+            }
+
+            try {
+                queue = JSON.parse(localStorage.getItem(key));
+                localStorage.removeItem(key);
+            } catch (_e) {
+                return;
+            }
+
+            // Failed posts are queued again.
+            Object.keys(queue || {}).forEach(function(slug) {
+                var entry = queue[slug];
+                if (!entry.capturedAt || Date.now() - entry.capturedAt > SNAPSHOT_QUEUE_MAX_AGE) {
+                    return;
+                }
+                var $card = self.container.find('.block-adeptus-kpi-card[data-slug="' + slug + '"]');
+                self.postSnapshotToBackend($card, slug, entry.metricValue, entry.executionTimeMs, entry.source,
+                    entry.capturedAt);
             });
         },
 
@@ -2923,142 +3556,62 @@ define([
          */
         loadTabContent: function(pane, slug, source) {
             var self = this;
-            var cacheKey = slug + '_' + source;
+            var report = this.findReport(slug, source);
+            var signal = this.beginRequest('tab');
             pane.data('loaded', true);
 
-            // Check cache first
-            if (this.reportDataCache[cacheKey]) {
-                var cached = this.reportDataCache[cacheKey];
-                this.renderTabContent(pane, cached.report, cached.results);
-                return;
-            }
-
-            // Find the report from our cached list
-            var report = this.reports.find(function(r) {
-                return r.slug === slug;
-            });
-
             if (!report) {
-                pane.find('.block-adeptus-tab-pane-loading').addClass('d-none');
-                pane.find('.block-adeptus-tab-pane-content')
-                    .removeClass('d-none')
-                    .html('<div class="text-center text-muted py-4">' +
-                        '<i class="fa fa-exclamation-circle"></i>' +
-                        '<p class="mt-2">Report not found</p></div>');
+                this.showTabError(pane, this.strings.errorReportNotFound);
                 return;
             }
-
-            // Load data based on source
-            if (source === 'wizard') {
-                $.ajax({
-                    url: M.cfg.wwwroot + '/report/adeptus_insights/ajax/generate_report.php',
-                    method: 'POST',
-                    data: {
-                        reportid: report.name || report.report_template_id,
-                        sesskey: M.cfg.sesskey
-                    },
-                    dataType: 'json',
-                    timeout: 30000
-                }).done(function(response) {
-                    if (response.success) {
-                        self.reportDataCache[cacheKey] = {
-                            report: report,
-                            results: response.results || []
-                        };
-                        self.renderTabContent(pane, report, response.results || []);
-                    } else {
-                        pane.find('.block-adeptus-tab-pane-loading').addClass('d-none');
-                        pane.find('.block-adeptus-tab-pane-content')
-                            .removeClass('d-none')
-                            .html('<div class="text-center text-muted py-4">' +
-                                '<i class="fa fa-exclamation-circle"></i>' +
-                                '<p class="mt-2">' + (response.message || 'Failed to load') +
-                                '</p></div>');
-                    }
-                }).fail(function() {
-                    pane.find('.block-adeptus-tab-pane-loading').addClass('d-none');
-                    pane.find('.block-adeptus-tab-pane-content')
-                        .removeClass('d-none')
-                        .html('<div class="text-center text-muted py-4">' +
-                            '<i class="fa fa-exclamation-circle"></i>' +
-                            '<p class="mt-2">Connection error</p></div>');
-                });
-            } else {
-                // AI reports
-                var token = this.apiKey || (window.adeptusAuthData ? window.adeptusAuthData.api_key : null);
-                if (!token) {
-                    pane.find('.block-adeptus-tab-pane-loading').addClass('d-none');
-                    pane.find('.block-adeptus-tab-pane-content')
-                        .removeClass('d-none')
-                        .html('<div class="text-center text-muted py-4">' +
-                            '<i class="fa fa-exclamation-circle"></i>' +
-                            '<p class="mt-2">Authentication required</p></div>');
+
+            var $parameters = pane.find('.block-adeptus-tab-parameters');
+            var reload = function() {
+                self.setRefreshing(pane, true);
+                self.loadTabContent(pane, slug, source);
+            };
+
+            var staleResult = null;
+            this.dataService.load(report, {
+                signal: signal,
+                params: this.getReportParams(report),
+                onStale: function(result) {
+                    staleResult = result;
+                    self.renderTabContent(pane, result.report, result.results);
+                    self.showParameterBar($parameters, report, result, reload);
+                    self.setRefreshing(pane, true);
+                }
+            }).then(function(result) {
+                self.setRefreshing(pane, false);
+                self.renderTabContent(pane, result.report, result.results);
+                self.showParameterBar($parameters, report, result, reload);
+                return result;
+            }).catch(function(error) {
+                self.setRefreshing(pane, false);
+                if (error.code === 'abort') {
+                    // Another tab was opened first; load again when this tab is revisited.
+                    pane.data('loaded', false);
                     return;
                 }
+                if (!self.handleLoadFailure(error, staleResult)) {
+                    self.showTabError(pane, self.getErrorMessage(error));
+                }
+            });
+        },
 
-                $.ajax({
-                    url: '' + this.backendUrl + '/ai-reports/' + slug,
-                    method: 'GET',
-                    headers: {
-                        'Authorization': 'Bearer ' + token,
-                        'Accept': 'application/json'
-                    },
-                    timeout: 15000
-                }).done(function(response) {
-                    if (response.success) {
-                        var reportData = response.report || report;
-                        var data = response.data || [];
-
-                        // Check if local execution is required (SaaS model)
-                        var sqlQuery = response.sql || (reportData && reportData.sql_query) || (reportData && reportData.sql);
-                        var needsLocalExecution = response.execution_required || ((!data || data.length === 0) && sqlQuery);
-
-                        if (needsLocalExecution && sqlQuery) {
-                            // Execute SQL locally against Moodle database
-                            self.executeReportLocally(sqlQuery, reportData.params || {})
-                                .then(function(executionResult) {
-                                    var localData = executionResult.data || [];
-                                    self.reportDataCache[cacheKey] = {
-                                        report: reportData,
-                                        results: localData
-                                    };
-                                    self.renderTabContent(pane, reportData, localData);
-                                    return localData;
-                                })
-                                .catch(function() {
-                                    pane.find('.block-adeptus-tab-pane-loading').addClass('d-none');
-                                    pane.find('.block-adeptus-tab-pane-content')
-                                        .removeClass('d-none')
-                                        .html('<div class="text-center text-muted py-4">' +
-                                            '<i class="fa fa-exclamation-circle"></i>' +
-                                            '<p class="mt-2">Failed to execute report</p></div>');
-                                    return null;
-                                });
-                            return;
-                        }
-
-                        self.reportDataCache[cacheKey] = {
-                            report: reportData,
-                            results: data
-                        };
-                        self.renderTabContent(pane, reportData, data);
-                    } else {
-                        pane.find('.block-adeptus-tab-pane-loading').addClass('d-none');
-                        pane.find('.block-adeptus-tab-pane-content')
-                            .removeClass('d-none')
-                            .html('<div class="text-center text-muted py-4">' +
-                                '<i class="fa fa-exclamation-circle"></i>' +
-                                '<p class="mt-2">Failed to load report</p></div>');
-                    }
-                }).fail(function() {
-                    pane.find('.block-adeptus-tab-pane-loading').addClass('d-none');
-                    pane.find('.block-adeptus-tab-pane-content')
-                        .removeClass('d-none')
-                        .html('<div class="text-center text-muted py-4">' +
-                            '<i class="fa fa-exclamation-circle"></i>' +
-                            '<p class="mt-2">Connection error</p></div>');
-                });
-            }
+        /**
+         * Show an error message in place of a tab's content.
+         *
+         * @param {jQuery} pane
+         * @param {string} message
+         */
+        showTabError: function(pane, message) {
+            pane.find('.block-adeptus-tab-pane-loading').addClass('d-none');
+            pane.find('.block-adeptus-tab-pane-content')
+                .removeClass('d-none')
+                .html('<div class="text-center text-muted py-4">' +
+                    '<i class="fa fa-exclamation-circle"></i>' +
+                    '<p class="mt-2">' + this.escapeHtml(message) + '</p></div>');
         },
 
         /**
@@ -3069,6 +3622,7 @@ define([
          * @param {Array} data
          */
         renderTabContent: function(pane, report, data) {
+            var self = this;
             var tabId = pane.attr('id');
             pane.find('.block-adeptus-tab-pane-loading').addClass('d-none');
             var contentArea = pane.find('.block-adeptus-tab-pane-content');
@@ -3081,22 +3635,33 @@ define([
                 return;
             }
 
-            // Detect headers and numeric columns
             var headers = Object.keys(data[0]);
-            var numericCols = this.detectNumericColumns(data, headers);
+            var previous = this.tabPaneStates[tabId];
+            if (previous && previous.dataset) {
+                previous.dataset.release();
+            }
+            if (previous && previous.table) {
+                previous.table.destroy();
+            }
 
-            // Initialize state for this tab pane
+            // Initialize state for this tab pane (numeric columns are detected below)
             var state = {
                 data: data,
+                dataset: DataWorker.dataset(data),
                 report: report,
                 headers: headers,
-                numericCols: numericCols,
                 currentView: 'table',
-                tablePage: 1,
-                rowsPerPage: 25,
+                table: null,
                 chartType: 'bar',
+                filter: this.getTableFilter(previous && previous.filter, report),
+                pivot: this.getPivot(previous && previous.pivot, report),
+                pivotChart: false,
                 xAxis: headers[0],
-                yAxis: numericCols.length > 0 ? numericCols[numericCols.length - 1] : headers[headers.length - 1]
+                aggregate: 'auto',
+                bucket: 'auto',
+                sort: this.config.chartSort || 'none',
+                top: this.config.chartTopN || 0,
+                series: [{column: headers[headers.length - 1]}]
             };
             this.tabPaneStates[tabId] = state;
 
@@ -3106,17 +3671,30 @@ define([
             // Update meta bar
             this.updateTabMetaBar(pane, report, data);
 
-            // Populate chart axis selectors
-            this.populateTabChartControls(pane, state);
+            // Populate chart axis selectors; the chart defaults to the last numeric column
+            this.populateTabChartControls(pane, state).catch(Notification.exception);
 
             // Render table (default view)
-            this.renderTabTablePage(pane, state);
+            state.table = this.createReportTable(pane.find('.tab-table-container'), report, state.dataset, headers,
+                state.filter, 50);
+            state.table.render().catch(Notification.exception);
+
+            // Filters apply to both the table and the chart
+            this.showTableFilter(pane.find('.block-adeptus-tab-filter'), state.dataset, state.filter, function() {
+                var current = self.tabPaneStates[tabId];
+                current.table.showPage(1).catch(Notification.exception);
+                if (current.currentView === 'chart') {
+                    self.renderTabChart(pane, current);
+                } else if (current.currentView === 'pivot') {
+                    self.renderTabPivot(pane, current);
+                }
+            });
 
             // Reset view toggle to table
             pane.find('.block-adeptus-tab-view-toggle-btn').removeClass('active');
             pane.find('.block-adeptus-tab-view-toggle-btn[data-view="table"]').addClass('active');
+            pane.find('.block-adeptus-tab-view').addClass('d-none');
             pane.find('.tab-table-view').removeClass('d-none');
-            pane.find('.block-adeptus-tab-chart-view').addClass('d-none');
         },
 
         /**
@@ -3154,36 +3732,55 @@ define([
         },
 
         /**
-         * Populate chart control selectors for a tab.
+         * Populate chart control selectors for a tab, for its chart type.
          *
          * @param {jQuery} pane
          * @param {Object} state
+         * @return {Promise}
          */
         populateTabChartControls: function(pane, state) {
-            var xAxisSelect = pane.find('.block-adeptus-tab-chart-x-axis');
-            var yAxisSelect = pane.find('.block-adeptus-tab-chart-y-axis');
+            var self = this;
+            var tabId = pane.attr('id');
 
-            xAxisSelect.empty();
-            yAxisSelect.empty();
+            return state.dataset.columns().then(function(columns) {
+                if (self.tabPaneStates[tabId] !== state) {
+                    return columns;
+                }
 
-            state.headers.forEach(function(header) {
-                var formatted = header.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
+                var axes = self.fillChartAxes({
+                    x: pane.find('.block-adeptus-tab-chart-x-axis'),
+                    aggregate: pane.find('.block-adeptus-tab-chart-aggregate'),
+                    bucket: pane.find('.block-adeptus-tab-chart-bucket'),
+                    sort: pane.find('.block-adeptus-tab-chart-sort'),
+                    top: pane.find('.block-adeptus-tab-chart-top'),
+                    series: pane.find('.block-adeptus-tab-chart-series')
+                }, columns, state.chartType, {
+                    x: state.xAxis,
+                    aggregate: state.aggregate,
+                    bucket: state.bucket,
+                    sort: state.sort,
+                    top: state.top,
+                    series: state.series
+                }, function(series) {
+                    state.series = series;
+                    state.pivotChart = false;
+                    self.renderTabChart(pane, state);
                 });
-                xAxisSelect.append($('<option>').val(header).text(formatted));
-                yAxisSelect.append($('<option>').val(header).text(formatted));
+                state.xAxis = axes.x;
+                state.aggregate = axes.aggregate;
+                state.bucket = axes.bucket;
+                state.sort = axes.sort;
+                state.top = axes.top;
+                state.series = axes.series;
+                return columns;
             });
-
-            // Set default selections
-            xAxisSelect.val(state.xAxis);
-            yAxisSelect.val(state.yAxis);
         },
 
         /**
-         * Switch view in a tab pane (table/chart).
+         * Switch view in a tab pane (table/chart/pivot).
          *
          * @param {jQuery} pane
-         * @param {string} view - 'table' or 'chart'
+         * @param {string} view - 'table', 'chart' or 'pivot'
          */
         switchTabView: function(pane, view) {
             var tabId = pane.attr('id');
@@ -3199,82 +3796,37 @@ define([
             pane.find('.block-adeptus-tab-view-toggle-btn[data-view="' + view + '"]').addClass('active');
 
             // Show/hide views
+            pane.find('.block-adeptus-tab-view').addClass('d-none');
             if (view === 'table') {
                 pane.find('.tab-table-view').removeClass('d-none');
-                pane.find('.block-adeptus-tab-chart-view').addClass('d-none');
             } else {
-                pane.find('.tab-table-view').addClass('d-none');
-                pane.find('.block-adeptus-tab-chart-view').removeClass('d-none');
-                // Render chart if not already rendered
+                pane.find('.block-adeptus-tab-' + view + '-view').removeClass('d-none');
+            }
+            if (view === 'chart') {
                 this.renderTabChart(pane, state);
+            } else if (view === 'pivot') {
+                this.renderTabPivot(pane, state);
             }
         },
 
         /**
-         * Render table page in tab pane with pagination.
+         * Render the pivot view in a tab pane.
          *
          * @param {jQuery} pane
          * @param {Object} state
+         * @return {Promise}
          */
-        renderTabTablePage: function(pane, state) {
-            var table = pane.find('.tab-table');
-            var thead = table.find('thead');
-            var tbody = table.find('tbody');
-            var data = state.data;
-            var headers = state.headers;
-
-            thead.empty();
-            tbody.empty();
-
-            // Build header row
-            var headerRow = $('<tr>');
-            headers.forEach(function(h) {
-                var formatted = h.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
-                headerRow.append($('<th>').text(formatted));
-            });
-            thead.append(headerRow);
+        renderTabPivot: function(pane, state) {
+            var self = this;
 
-            // Calculate pagination
-            var totalRows = data.length;
-            var totalPages = Math.ceil(totalRows / state.rowsPerPage);
-            var startIndex = (state.tablePage - 1) * state.rowsPerPage;
-            var endIndex = Math.min(startIndex + state.rowsPerPage, totalRows);
-            var pageData = data.slice(startIndex, endIndex);
-
-            // Render rows
-            pageData.forEach(function(row) {
-                var tr = $('<tr>');
-                headers.forEach(function(h) {
-                    var val = row[h];
-                    if (val === null || val === undefined) {
-                        val = '';
-                    }
-                    var displayVal = String(val);
-                    if (displayVal.length > 50) {
-                        displayVal = displayVal.substring(0, 50) + '...';
-                    }
-                    tr.append($('<td>').attr('title', val).text(displayVal));
+            return this.showPivotView(pane.find('.block-adeptus-tab-pivot'), state.dataset, state.filter, state.pivot,
+                state.report, function(pivot) {
+                    state.pivot = pivot;
+                }, function(pivot) {
+                    state.pivot = pivot;
+                    state.pivotChart = true;
+                    self.switchTabView(pane, 'chart');
                 });
-                tbody.append(tr);
-            });
-
-            // Update pagination info
-            var showingText = this.formatShowingText(startIndex + 1, endIndex, totalRows);
-            pane.find('.block-adeptus-row-count').text(showingText);
-            pane.find('.block-adeptus-tab-pagination-info').text(this.formatPageText(state.tablePage, totalPages));
-
-            // Update pagination buttons
-            pane.find('.block-adeptus-tab-pagination-prev').prop('disabled', state.tablePage <= 1);
-            pane.find('.block-adeptus-tab-pagination-next').prop('disabled', state.tablePage >= totalPages);
-
-            // Show/hide pagination
-            if (totalPages > 1) {
-                pane.find('.tab-table-pagination').removeClass('d-none');
-            } else {
-                pane.find('.tab-table-pagination').addClass('d-none');
-            }
         },
 
         /**
@@ -3284,6 +3836,7 @@ define([
          * @param {Object} state
          */
         renderTabChart: function(pane, state) {
+            var self = this;
             var tabId = pane.attr('id');
             var canvas = pane.find('.block-adeptus-tab-chart')[0];
 
@@ -3291,73 +3844,59 @@ define([
                 return;
             }
 
-            // Destroy existing chart for this tab
-            if (this.tabChartInstances && this.tabChartInstances[tabId]) {
-                this.tabChartInstances[tabId].destroy();
+            pane.find('.block-adeptus-pivot-chart-note').toggleClass('d-none', !state.pivotChart);
+            if (state.pivotChart && state.pivot) {
+                this.loadPivotChart(state.dataset, state.filter, state.pivot).then(function(chartData) {
+                    if (self.tabPaneStates[tabId] === state) {
+                        self.tabChartInstances = self.tabChartInstances || {};
+                        if (self.tabChartInstances[tabId]) {
+                            self.tabChartInstances[tabId].destroy();
+                        }
+                        self.tabChartInstances[tabId] = self.drawPivotChart(canvas, state.chartType, chartData);
+                    }
+                    return chartData;
+                }).catch(Notification.exception);
+                return;
             }
 
-            var chartType = state.chartType;
-            var xAxis = state.xAxis;
-            var yAxis = state.yAxis;
-            var data = state.data;
-
             // Limit data for chart
-            var chartData = data.slice(0, 20);
-            var labels = chartData.map(function(row) {
-                var label = row[xAxis];
-                if (label === null || label === undefined) {
-                    return this.strings.unknown;
+            var axes = {
+                x: state.xAxis,
+                aggregate: state.aggregate,
+                bucket: state.bucket,
+                sort: state.sort,
+                top: state.top,
+                series: state.series
+            };
+            this.loadChartData(state.dataset, state.filter, state.chartType, axes, 20).then(function(chartData) {
+                if (self.tabPaneStates[tabId] === state) {
+                    self.drawTabChart(pane, state, canvas, chartData);
                 }
-                var labelStr = String(label);
-                return labelStr.length > 20 ? labelStr.substring(0, 20) + '...' : labelStr;
-            });
-            var values = chartData.map(function(row) {
-                return parseFloat(row[yAxis]) || 0;
-            });
+                return chartData;
+            }).catch(Notification.exception);
+        },
 
-            var colors = this.generateChartColors(values.length);
-            var yAxisFormatted = yAxis.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
+        /**
+         * Draw the chart in a tab pane.
+         *
+         * @param {jQuery} pane
+         * @param {Object} state
+         * @param {HTMLCanvasElement} canvas
+         * @param {Object} chartData See loadChartData
+         */
+        drawTabChart: function(pane, state, canvas, chartData) {
+            var tabId = pane.attr('id');
 
-            var config = {
-                type: chartType,
-                data: {
-                    labels: labels,
-                    datasets: [{
-                        label: yAxisFormatted,
-                        data: values,
-                        backgroundColor: chartType === 'pie' || chartType === 'doughnut'
-                            ? colors : colors[0],
-                        borderColor: (function() {
-                            if (chartType === 'line') {
-                                return colors[0];
-                            }
-                            if (chartType === 'pie' || chartType === 'doughnut') {
-                                return '#fff';
-                            }
-                            return colors[0];
-                        }()),
-                        borderWidth: chartType === 'pie' || chartType === 'doughnut' ? 2 : 1,
-                        fill: chartType === 'line' ? false : undefined,
-                        tension: chartType === 'line' ? 0.1 : undefined
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            display: chartType === 'pie' || chartType === 'doughnut',
-                            position: 'right'
-                        }
-                    },
-                    scales: chartType === 'pie' || chartType === 'doughnut' ? {} : {
-                        y: {beginAtZero: true},
-                        x: {display: data.length <= 10}
-                    }
-                }
-            };
+            // Destroy existing chart for this tab
+            if (this.tabChartInstances && this.tabChartInstances[tabId]) {
+                this.tabChartInstances[tabId].destroy();
+            }
+
+            var config = ChartTypes.create(state.chartType, chartData, {
+                showLabels: (chartData.labels || []).length <= 10,
+                labelLength: 20,
+                unknown: this.strings.unknown
+            });
 
             try {
                 this.tabChartInstances = this.tabChartInstances || {};
@@ -3412,52 +3951,6 @@ define([
             });
         },
 
-        /**
-         * Render table in tab pane (legacy fallback).
-         *
-         * @param {jQuery} pane
-         * @param {Array} data
-         */
-        renderTabTable: function(pane, data) {
-            var table = pane.find('table');
-            var thead = table.find('thead');
-            var tbody = table.find('tbody');
-            var maxRows = this.config.tableMaxRows || 10;
-
-            thead.empty();
-            tbody.empty();
-
-            if (!data || data.length === 0) {
-                return;
-            }
-
-            var headers = Object.keys(data[0]);
-            var headerRow = $('<tr>');
-            headers.forEach(function(h) {
-                var formatted = h.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
-                headerRow.append($('<th>').text(formatted));
-            });
-            thead.append(headerRow);
-
-            data.slice(0, maxRows).forEach(function(row) {
-                var tr = $('<tr>');
-                headers.forEach(function(h) {
-                    var val = row[h];
-                    if (val === null || val === undefined) {
-                        val = '';
-                    }
-                    var displayVal = String(val);
-                    if (displayVal.length > 40) {
-                        displayVal = displayVal.substring(0, 40) + '...';
-                    }
-                    tr.append($('<td>').attr('title', val).text(displayVal));
-                });
-                tbody.append(tr);
-            });
-        },
-
         /**
          * Handle report click.
          *
@@ -3534,6 +4027,11 @@ define([
 
                     // Cleanup on close.
                     modal.getRoot().on(ModalEvents.hidden, function() {
+                        self.cancelRequest('modal');
+                        if (self.modalTable) {
+                            self.modalTable.destroy();
+                            self.modalTable = null;
+                        }
                         if (self.chartInstance) {
                             self.chartInstance.destroy();
                             self.chartInstance = null;
@@ -3542,6 +4040,11 @@ define([
                         self.modal = null;
                         self.modalData = null;
                         self.modalReport = null;
+                        if (self.modalDataset) {
+                            self.modalDataset.release();
+                            self.modalDataset = null;
+                        }
+                        self.modalFilter = null;
                     });
 
                     modal.show();
@@ -3568,16 +4071,19 @@ define([
                 return;
             }
 
-            // Reset state
+            // Reset state, starting from the block's date range when it has one.
             this.kpiModalData = null;
-            this.kpiModalDateRange = '30d';
+            this.kpiModalDateRange = this.dateRange.preset === 'all' ? '30d' : this.dateRange.preset;
             if (this.kpiModalChart) {
                 this.kpiModalChart.destroy();
                 this.kpiModalChart = null;
             }
 
             // First render the template, then create the modal with the rendered body
-            Templates.render('block_adeptus_insights/kpi_modal', {blockid: this.blockId})
+            Templates.render('block_adeptus_insights/kpi_modal', {
+                blockid: this.blockId,
+                customrange: this.dateRange.preset === 'custom'
+            })
                 .then(function(html) {
                     return ModalFactory.create({
                         type: ModalFactory.types.DEFAULT,
@@ -3588,6 +4094,7 @@ define([
                 })
                 .then(function(modal) {
                     self.kpiModal = modal;
+                    modal.getRoot().find('.block-adeptus-kpi-date-range-select').val(self.kpiModalDateRange);
 
                     // Bind KPI modal event handlers
                     self.bindKpiModalEvents(modal, slug, source);
@@ -3599,6 +4106,10 @@ define([
 
                     // Cleanup on close.
                     modal.getRoot().on(ModalEvents.hidden, function() {
+                        if (self.kpiModalRequest) {
+                            self.kpiModalRequest.abort();
+                            self.kpiModalRequest = null;
+                        }
                         if (self.kpiModalChart) {
                             self.kpiModalChart.destroy();
                             self.kpiModalChart = null;
@@ -3643,7 +4154,7 @@ define([
          *
          * @param {string} slug
          * @param {string} source
-         * @param {string} dateRange - '7d', '30d', '90d', or 'all'
+         * @param {string} dateRange - '7d', '30d', '90d', 'all' or 'custom' (the block's range)
          */
         loadKpiModalData: function(slug, source, dateRange) {
             var self = this;
@@ -3654,6 +4165,12 @@ define([
             modalContent.find('.block-adeptus-kpi-modal-content-area').addClass('d-none');
             modalContent.find('.block-adeptus-kpi-modal-error').addClass('d-none');
 
+            // Only the latest date range request may render
+            if (this.kpiModalRequest) {
+                this.kpiModalRequest.abort();
+                this.kpiModalRequest = null;
+            }
+
             // Check cache first - use cached data if available and fresh (under 5 minutes old)
             var cached = this.kpiSnapshotCache[slug];
             var cacheMaxAge = 5 * 60 * 1000; // 5 minutes
@@ -3679,7 +4196,7 @@ define([
             // Get current value from cache or use 0 (backend will return history regardless)
             var currentValue = cached ? cached.currentValue : 0;
 
-            $.ajax({
+            this.kpiModalRequest = $.ajax({
                 url: this.backendUrl + endpoint + encodeURIComponent(slug) +
                     '/snapshots?baseline_period=' + baselinePeriod + '&history_limit=' + historyLimit,
                 method: 'POST',
@@ -3698,6 +4215,7 @@ define([
                 /* eslint-enable camelcase */
                 timeout: 15000,
                 success: function(response) {
+                    self.kpiModalRequest = null;
                     if (response && response.success && response.history) {
                         // Update cache
                         self.kpiSnapshotCache[slug] = {
@@ -3713,7 +4231,11 @@ define([
                         self.showKpiModalError(modalContent);
                     }
                 },
-                error: function() {
+                error: function(_jqXHR, textStatus) {
+                    if (textStatus === 'abort') {
+                        return;
+                    }
+                    self.kpiModalRequest = null;
                     self.showKpiModalError(modalContent);
                 }
             });
@@ -3734,6 +4256,7 @@ define([
                 case '90d':
                     return 180;
                 case 'all':
+                case 'custom':
                     return 500;
                 default:
                     return 60;
@@ -3820,6 +4343,7 @@ define([
 
             var now = new Date();
             var cutoffDate;
+            var endDate = null;
 
             switch (dateRange) {
                 case '7d':
@@ -3831,13 +4355,18 @@ define([
                 case '90d':
                     cutoffDate = new Date(now.getTime() - (90 * 24 * 60 * 60 * 1000));
                     break;
+                case 'custom':
+                    // The block's custom date range.
+                    cutoffDate = new Date((this.dateRange.start || 0) * 1000);
+                    endDate = this.dateRange.end ? new Date(this.dateRange.end * 1000) : null;
+                    break;
                 default:
                     return history;
             }
 
             return history.filter(function(entry) {
                 var entryDate = new Date(entry.recorded_at || entry.created_at);
-                return entryDate >= cutoffDate;
+                return entryDate >= cutoffDate && (!endDate || entryDate <= endDate);
             });
         },
 
@@ -4056,13 +4585,34 @@ define([
                 self.switchModalView(view);
             });
 
-            // Chart control changes
-            modalRoot.on('change', '#modal-chart-type, #modal-chart-x-axis, #modal-chart-y-axis', function() {
+            // Chart type, X axis and date bucket changes offer the columns, date buckets and sorting they allow
+            modalRoot.on('change', '#modal-chart-type, #modal-chart-x-axis, #modal-chart-bucket', function() {
+                if (this.id !== 'modal-chart-type') {
+                    self.modalPivotChart = false;
+                }
+                self.populateAxisSelectors(self.modal.getBody()).then(function() {
+                    if (self.currentView === 'chart') {
+                        self.renderModalChart();
+                    }
+                    return null;
+                }).catch(Notification.exception);
+            });
+
+            // A new aggregate, label order or number of top labels charts the report rows again instead of the pivot
+            modalRoot.on('change', '#modal-chart-aggregate, #modal-chart-sort, #modal-chart-top', function() {
+                self.modalPivotChart = false;
                 if (self.currentView === 'chart') {
                     self.renderModalChart();
                 }
             });
 
+            // Chart the report rows again instead of the pivot
+            modalRoot.on('click', '.block-adeptus-pivot-chart-off', function(e) {
+                e.preventDefault();
+                self.modalPivotChart = false;
+                self.renderModalChart();
+            });
+
             // Retry button
             modalRoot.on('click', '.block-adeptus-modal-retry', function(e) {
                 e.preventDefault();
@@ -4078,29 +4628,12 @@ define([
                 self.exportModalData(format);
             });
 
-            // Table pagination - Previous
-            modalRoot.on('click', '.table-pagination-prev', function(e) {
-                e.preventDefault();
-                if (self.tableCurrentPage > 1) {
-                    self.tableCurrentPage--;
-                    self.renderModalTablePage();
-                }
-            });
-
-            // Table pagination - Next
-            modalRoot.on('click', '.table-pagination-next', function(e) {
-                e.preventDefault();
-                if (self.tableCurrentPage < self.tableTotalPages) {
-                    self.tableCurrentPage++;
-                    self.renderModalTablePage();
-                }
-            });
         },
 
         /**
-         * Switch between table and chart views in modal.
+         * Switch between table, chart and pivot views in modal.
          *
-         * @param {string} view - 'table' or 'chart'
+         * @param {string} view - 'table', 'chart' or 'pivot'
          */
         switchModalView: function(view) {
             var modalBody = this.modal.getBody();
@@ -4110,17 +4643,36 @@ define([
             modalBody.find('.block-adeptus-view-toggle-btn[data-view="' + view + '"]').addClass('active');
 
             // Switch views
-            if (view === 'table') {
-                modalBody.find('#modal-table-view').removeClass('d-none');
-                modalBody.find('#modal-chart-view').addClass('d-none');
-            } else {
-                modalBody.find('#modal-table-view').addClass('d-none');
-                modalBody.find('#modal-chart-view').removeClass('d-none');
-                // Render chart when switching to chart view
+            modalBody.find('.block-adeptus-modal-view').addClass('d-none');
+            modalBody.find('#modal-' + view + '-view').removeClass('d-none');
+            this.currentView = view;
+            if (view === 'chart') {
                 this.renderModalChart();
+            } else if (view === 'pivot') {
+                this.renderModalPivot();
             }
+        },
 
-            this.currentView = view;
+        /**
+         * Render the pivot view in the modal.
+         *
+         * @return {Promise}
+         */
+        renderModalPivot: function() {
+            var self = this;
+
+            if (!this.modal || !this.modalDataset) {
+                return Promise.resolve();
+            }
+
+            return this.showPivotView(this.modal.getBody().find('.block-adeptus-modal-pivot'), this.modalDataset,
+                this.modalFilter, this.modalPivot, this.modalReport, function(pivot) {
+                    self.modalPivot = pivot;
+                }, function(pivot) {
+                    self.modalPivot = pivot;
+                    self.modalPivotChart = true;
+                    self.switchModalView('chart');
+                });
         },
 
         /**
@@ -4132,20 +4684,8 @@ define([
         loadModalReport: function(slug, source) {
             var self = this;
             var modalBody = this.modal.getBody();
-            var cacheKey = slug + '_' + source;
-
-            // Check cache first for instant loading
-            if (this.reportDataCache[cacheKey]) {
-                var cached = this.reportDataCache[cacheKey];
-                modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
-                this.renderModalContent(modalBody, cached.report, cached.results);
-                return;
-            }
-
-            // Find the report from our cached list
-            var report = this.reports.find(function(r) {
-                return r.slug === slug;
-            });
+            var report = this.findReport(slug, source);
+            var signal = this.beginRequest('modal');
 
             if (!report) {
                 modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
@@ -4153,107 +4693,41 @@ define([
                 return;
             }
 
-            // For wizard reports, execute locally via generate_report.php
-            // For AI reports, we need to fetch from backend
-            if (source === 'wizard') {
-                // Execute report via local Moodle AJAX endpoint
-                $.ajax({
-                    url: M.cfg.wwwroot + '/report/adeptus_insights/ajax/generate_report.php',
-                    method: 'POST',
-                    data: {
-                        reportid: report.name || report.report_template_id,
-                        sesskey: M.cfg.sesskey
-                    },
-                    dataType: 'json',
-                    timeout: 30000
-                }).done(function(response) {
-                    modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
-
-                    if (response.success) {
-                        // Cache the result for future use
-                        self.reportDataCache[cacheKey] = {
-                            report: report,
-                            results: response.results || [],
-                            chartData: response.chart_data,
-                            chartType: response.chart_type
-                        };
-                        self.renderModalContent(modalBody, report, response.results || []);
-                    } else {
-                        modalBody.find('.block-adeptus-modal-error').removeClass('d-none');
-                        modalBody.find('.block-adeptus-modal-error p').text(response.message || self.strings.errorFailedLoadReport);
-                    }
-                }).fail(function() {
-                    modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
-                    modalBody.find('.block-adeptus-modal-error').removeClass('d-none');
-                });
-            } else {
-                // AI reports - fetch from backend API
-                var token = this.apiKey || (window.adeptusAuthData ? window.adeptusAuthData.api_key : null);
+            var $parameters = modalBody.find('.block-adeptus-modal-parameters');
+            var reload = function() {
+                self.setRefreshing(modalBody, true);
+                self.loadModalReport(slug, source);
+            };
 
-                if (!token) {
+            var staleResult = null;
+            this.dataService.load(report, {
+                signal: signal,
+                params: this.getReportParams(report),
+                onStale: function(result) {
+                    staleResult = result;
                     modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
-                    modalBody.find('.block-adeptus-modal-error').removeClass('d-none');
+                    self.renderModalContent(modalBody, result.report, result.results);
+                    self.showParameterBar($parameters, report, result, reload);
+                    self.setRefreshing(modalBody, true);
+                }
+            }).then(function(result) {
+                modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
+                self.setRefreshing(modalBody, false);
+                self.renderModalContent(modalBody, result.report, result.results);
+                self.showParameterBar($parameters, report, result, reload);
+                return result;
+            }).catch(function(error) {
+                if (error.code === 'abort') {
                     return;
                 }
-
-                $.ajax({
-                    url: '' + this.backendUrl + '/ai-reports/' + slug,
-                    method: 'GET',
-                    headers: {
-                        'Authorization': 'Bearer ' + token,
-                        'Accept': 'application/json'
-                    },
-                    timeout: 15000
-                }).done(function(response) {
-                    if (response.success && response.report) {
-                        var reportData = response.report;
-                        var data = response.data || [];
-
-                        // Check if local execution is required (SaaS model)
-                        var sqlQuery = response.sql || (reportData && reportData.sql_query) || (reportData && reportData.sql);
-                        var needsLocalExecution = response.execution_required || ((!data || data.length === 0) && sqlQuery);
-
-                        if (needsLocalExecution && sqlQuery) {
-                            // Execute SQL locally against Moodle database
-                            self.executeReportLocally(sqlQuery, reportData.params || {})
-                                .then(function(executionResult) {
-                                    modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
-                                    var localData = executionResult.data || [];
-                                    self.reportDataCache[cacheKey] = {
-                                        report: reportData,
-                                        results: localData,
-                                        chartData: null,
-                                        chartType: null
-                                    };
-                                    self.renderModalContent(modalBody, reportData, localData);
-                                    return localData;
-                                })
-                                .catch(function() {
-                                    modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
-                                    modalBody.find('.block-adeptus-modal-error').removeClass('d-none');
-                                    return null;
-                                });
-                            return;
-                        }
-
-                        modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
-                        // Cache the result for future use
-                        self.reportDataCache[cacheKey] = {
-                            report: reportData,
-                            results: data,
-                            chartData: null,
-                            chartType: null
-                        };
-                        self.renderModalContent(modalBody, reportData, data);
-                    } else {
-                        modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
-                        modalBody.find('.block-adeptus-modal-error').removeClass('d-none');
-                    }
-                }).fail(function() {
-                    modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
-                    modalBody.find('.block-adeptus-modal-error').removeClass('d-none');
-                });
-            }
+                self.setRefreshing(modalBody, false);
+                if (self.handleLoadFailure(error, staleResult)) {
+                    return;
+                }
+                modalBody.find('.block-adeptus-modal-loading').addClass('d-none');
+                modalBody.find('.block-adeptus-modal-error').removeClass('d-none');
+                modalBody.find('.block-adeptus-modal-error p').text(self.getErrorMessage(error));
+            });
         },
 
         /**
@@ -4264,161 +4738,118 @@ define([
          * @param {Array} data The report data rows
          */
         renderModalContent: function(modalBody, report, data) {
+            var self = this;
             // Store data for chart re-rendering
             this.modalData = data || [];
             this.modalReport = report;
+            if (this.modalDataset) {
+                this.modalDataset.release();
+            }
+            this.modalDataset = DataWorker.dataset(this.modalData);
+            this.modalFilter = this.getTableFilter(this.modalFilter, report);
+            this.modalPivot = this.getPivot(this.modalPivot, report);
+            this.modalPivotChart = false;
+            this.modalSeries = [];
 
-            var contentArea = modalBody.find('.block-adeptus-modal-content-area');
-            contentArea.removeClass('d-none');
-
-            // Set report metadata
-            var category = report.category_info || {name: 'General', color: '#6c757d'};
-            modalBody.find('.block-adeptus-report-category')
-                .text(category.name)
-                .css('background-color', category.color);
-            modalBody.find('.block-adeptus-row-count-num').text(this.modalData.length);
-            modalBody.find('.report-date')
-                .text(report.last_executed_at ?
-                    this.strings.lastRun.replace('{$a}', new Date(report.last_executed_at).toLocaleDateString()) : '');
-
-            // Populate axis selectors
-            this.populateAxisSelectors(modalBody);
-
-            // Render table
-            this.renderModalTable(modalBody, this.modalData);
-
-            // Reset to table view
-            this.currentView = 'table';
-            modalBody.find('.block-adeptus-view-toggle-btn').removeClass('active');
-            modalBody.find('.block-adeptus-view-toggle-btn[data-view="table"]').addClass('active');
-            modalBody.find('#modal-table-view').removeClass('d-none');
-            modalBody.find('#modal-chart-view').addClass('d-none');
-        },
-
-        /**
-         * Populate X-axis and Y-axis dropdown selectors.
-         *
-         * @param {jQuery} modalBody
-         */
-        populateAxisSelectors: function(modalBody) {
-            var data = this.modalData;
-            if (!data || data.length === 0) {
-                return;
-            }
-
-            var headers = Object.keys(data[0]);
-            var xAxisSelect = modalBody.find('#modal-chart-x-axis');
-            var yAxisSelect = modalBody.find('#modal-chart-y-axis');
-
-            // Clear existing options
-            xAxisSelect.empty();
-            yAxisSelect.empty();
-
-            // Detect numeric columns for Y-axis
-            var numericCols = this.detectNumericColumns(data, headers);
-
-            // Populate X-axis with all columns
-            headers.forEach(function(header, idx) {
-                var formattedHeader = header.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
-                var selected = idx === 0 ? ' selected' : '';
-                xAxisSelect.append('<option value="' + header + '"' + selected + '>' + formattedHeader + '</option>');
-            });
-
-            // Populate Y-axis with numeric columns (or all if none detected)
-            var yAxisOptions = numericCols.length > 0 ? numericCols : headers;
-            yAxisOptions.forEach(function(col, idx) {
-                var formattedHeader = col.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
-                // Select the last numeric column by default (usually the main value)
-                var selected = idx === yAxisOptions.length - 1 ? ' selected' : '';
-                yAxisSelect.append('<option value="' + col + '"' + selected + '>' + formattedHeader + '</option>');
-            });
-        },
-
-        /**
-         * Detect numeric columns in data.
-         *
-         * @param {Array} data
-         * @param {Array} headers
-         * @return {Array}
-         */
-        detectNumericColumns: function(data, headers) {
-            var numericCols = [];
-
-            headers.forEach(function(header) {
-                var isNumeric = data.every(function(row) {
-                    var val = row[header];
-                    if (val === null || val === undefined || val === '') {
-                        return true; // Allow nulls
-                    }
-                    return !isNaN(parseFloat(val)) && isFinite(val);
-                });
+            // Charts start with the block's label order and top labels.
+            modalBody.find('#modal-chart-sort').val(this.config.chartSort || 'none');
+            modalBody.find('#modal-chart-top').val(String(this.config.chartTopN || 0));
 
-                // Also check if at least some values are actually numbers
-                var hasNumbers = data.some(function(row) {
-                    var val = row[header];
-                    return val !== null && val !== undefined && val !== '' && !isNaN(parseFloat(val));
-                });
+            var contentArea = modalBody.find('.block-adeptus-modal-content-area');
+            contentArea.removeClass('d-none');
+
+            // Set report metadata
+            var category = report.category_info || {name: 'General', color: '#6c757d'};
+            modalBody.find('.block-adeptus-report-category')
+                .text(category.name)
+                .css('background-color', category.color);
+            modalBody.find('.block-adeptus-row-count-num').text(this.modalData.length);
+            modalBody.find('.report-date')
+                .text(report.last_executed_at ?
+                    this.strings.lastRun.replace('{$a}', new Date(report.last_executed_at).toLocaleDateString()) : '');
 
-                if (isNumeric && hasNumbers) {
-                    numericCols.push(header);
+            // Populate axis selectors
+            this.populateAxisSelectors(modalBody).catch(Notification.exception);
+
+            // Render table
+            var tableContainer = modalBody.find('.block-adeptus-modal-table-container');
+            if (this.modalTable) {
+                this.modalTable.destroy();
+                this.modalTable = null;
+            }
+            tableContainer.toggleClass('d-none', this.modalData.length === 0);
+            if (this.modalData.length > 0) {
+                this.modalTable = this.createReportTable(tableContainer, report, this.modalDataset, Object.keys(this.modalData[0]),
+                    this.modalFilter, 100);
+                this.modalTable.render().catch(Notification.exception);
+            }
+
+            // Filters apply to both the table and the chart
+            this.showTableFilter(modalBody.find('.block-adeptus-modal-filter'), this.modalDataset, this.modalFilter, function() {
+                if (self.modalTable) {
+                    self.modalTable.showPage(1).catch(Notification.exception);
+                }
+                if (self.currentView === 'chart') {
+                    self.renderModalChart();
+                } else if (self.currentView === 'pivot') {
+                    self.renderModalPivot();
                 }
             });
 
-            return numericCols;
+            // Reset to table view
+            this.currentView = 'table';
+            modalBody.find('.block-adeptus-view-toggle-btn').removeClass('active');
+            modalBody.find('.block-adeptus-view-toggle-btn[data-view="table"]').addClass('active');
+            modalBody.find('.block-adeptus-modal-view').addClass('d-none');
+            modalBody.find('#modal-table-view').removeClass('d-none');
         },
 
         /**
-         * Execute AI report SQL locally against Moodle database.
-         * Used when backend returns SQL query but no data (SaaS model).
+         * Populate the axis selectors for the chart type, keeping the chosen columns where it allows them.
          *
-         * @param {string} sql - The SQL query to execute
-         * @param {Object} params - Query parameters
+         * @param {jQuery} modalBody
          * @return {Promise}
          */
-        executeReportLocally: function(sql, params) {
-            params = params || {};
+        populateAxisSelectors: function(modalBody) {
+            var self = this;
+            var data = this.modalData;
+            var dataset = this.modalDataset;
+            if (!data || data.length === 0) {
+                return Promise.resolve();
+            }
 
-            return new Promise(function(resolve, reject) {
-                $.ajax({
-                    url: M.cfg.wwwroot + '/report/adeptus_insights/ajax/execute_ai_report.php',
-                    method: 'POST',
-                    contentType: 'application/json',
-                    data: JSON.stringify({
-                        sql: sql,
-                        params: params,
-                        sesskey: M.cfg.sesskey
-                    }),
-                    timeout: 60000,
-                    success: function(response) {
-                        /* eslint-disable camelcase */
-                        if (response.success) {
-                            resolve({
-                                data: response.data || [],
-                                headers: response.headers || [],
-                                row_count: response.row_count || 0,
-                                error: null
-                            });
-                        } else {
-                            resolve({
-                                data: [],
-                                headers: [],
-                                row_count: 0,
-                                error: response.message || 'Query execution failed'
-                            });
+            var controls = {
+                x: modalBody.find('#modal-chart-x-axis'),
+                aggregate: modalBody.find('#modal-chart-aggregate'),
+                bucket: modalBody.find('#modal-chart-bucket'),
+                sort: modalBody.find('#modal-chart-sort'),
+                top: modalBody.find('#modal-chart-top'),
+                series: modalBody.find('.block-adeptus-modal-chart-series')
+            };
+
+            return dataset.columns().then(function(columns) {
+                if (self.modalDataset === dataset) {
+                    var axes = self.fillChartAxes(controls, columns, modalBody.find('#modal-chart-type').val(), {
+                        x: controls.x.val(),
+                        aggregate: controls.aggregate.val(),
+                        bucket: controls.bucket.val(),
+                        sort: controls.sort.val(),
+                        top: controls.top.val(),
+                        series: self.modalSeries
+                    }, function(series) {
+                        self.modalSeries = series;
+                        self.modalPivotChart = false;
+                        if (self.currentView === 'chart') {
+                            self.renderModalChart();
                         }
-                        /* eslint-enable camelcase */
-                    },
-                    error: function(_jqXhr, _textStatus, errorThrown) {
-                        reject(new Error('Failed to execute report: ' + errorThrown));
-                    }
-                });
+                    });
+                    self.modalSeries = axes.series;
+                }
+                return columns;
             });
         },
 
+
         /**
          * Render chart in modal using current control values.
          */
@@ -4440,164 +4871,65 @@ define([
                 return;
             }
 
-            // Destroy existing chart
-            if (this.chartInstance) {
-                this.chartInstance.destroy();
-                this.chartInstance = null;
-            }
-
             // Get control values
             var chartType = modalBody.find('#modal-chart-type').val() || 'bar';
-            var labelKey = modalBody.find('#modal-chart-x-axis').val();
-            var valueKey = modalBody.find('#modal-chart-y-axis').val();
 
-            // Fallback if not set
-            if (!labelKey || !valueKey) {
-                var headers = Object.keys(data[0]);
-                labelKey = labelKey || headers[0];
-                valueKey = valueKey || headers[headers.length - 1];
+            modalBody.find('.block-adeptus-pivot-chart-note').toggleClass('d-none', !this.modalPivotChart);
+            if (this.modalPivotChart && this.modalPivot) {
+                var pivotDataset = this.modalDataset;
+                this.loadPivotChart(pivotDataset, this.modalFilter, this.modalPivot).then(function(chartData) {
+                    if (self.modalDataset === pivotDataset) {
+                        if (self.chartInstance) {
+                            self.chartInstance.destroy();
+                        }
+                        self.chartInstance = self.drawPivotChart(canvas, chartType, chartData);
+                    }
+                    return chartData;
+                }).catch(Notification.exception);
+                return;
             }
 
-            // Format value key for display
-            var valueKeyFormatted = valueKey.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
+            var headers = Object.keys(data[0]);
+            var axes = {
+                x: modalBody.find('#modal-chart-x-axis').val() || headers[0],
+                aggregate: modalBody.find('#modal-chart-aggregate').val(),
+                bucket: modalBody.find('#modal-chart-bucket').val(),
+                sort: modalBody.find('#modal-chart-sort').val(),
+                top: parseInt(modalBody.find('#modal-chart-top').val(), 10) || 0,
+                series: this.modalSeries.length ? this.modalSeries : [{column: headers[headers.length - 1]}]
+            };
 
             // Limit data for chart readability (max 50 items)
-            var chartData = data.slice(0, 50);
-            var labels = chartData.map(function(row) {
-                var label = row[labelKey];
-                if (label === null || label === undefined) {
-                    return self.strings.unknown;
+            var dataset = this.modalDataset;
+            this.loadChartData(dataset, this.modalFilter, chartType, axes, 50).then(function(chartData) {
+                if (self.modalDataset !== dataset) {
+                    return chartData;
                 }
-                var labelStr = String(label);
-                return labelStr.length > 30 ? labelStr.substring(0, 30) + '...' : labelStr;
-            });
-            var values = chartData.map(function(row) {
-                return parseFloat(row[valueKey]) || 0;
-            });
-
-            // Generate colors
-            var colors = this.generateChartColors(values.length);
 
-            // Create chart config
-            var config = this.createChartConfig(chartType, labels, values, valueKeyFormatted, colors);
-
-            try {
-                this.chartInstance = new Chart(canvas.getContext('2d'), config);
-            } catch (_error) {
-                modalBody.find('.block-adeptus-chart-container').html(
-                    '<div class="alert alert-danger">' +
-                    '<i class="fa fa-exclamation-triangle"></i> Error rendering chart</div>'
-                );
-            }
-        },
+                var config = ChartTypes.create(chartType, chartData, {
+                    title: self.modalReport ? self.modalReport.name : 'Report',
+                    axisTitles: true,
+                    unknown: self.strings.unknown
+                });
 
-        /**
-         * Create Chart.js configuration.
-         *
-         * @param {string} chartType
-         * @param {Array} labels
-         * @param {Array} values
-         * @param {string} valueKey
-         * @param {Array} colors
-         * @return {Object}
-         */
-        createChartConfig: function(chartType, labels, values, valueKey, colors) {
-            var reportName = this.modalReport ? this.modalReport.name : 'Report';
-
-            var baseOptions = {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: reportName,
-                        font: {size: 14, weight: 'bold'},
-                        padding: {top: 10, bottom: 20}
-                    },
-                    legend: {
-                        display: chartType === 'pie' || chartType === 'doughnut',
-                        position: 'right'
-                    }
+                // Destroy existing chart
+                if (self.chartInstance) {
+                    self.chartInstance.destroy();
+                    self.chartInstance = null;
                 }
-            };
 
-            if (chartType === 'pie' || chartType === 'doughnut') {
-                return {
-                    type: chartType,
-                    data: {
-                        labels: labels,
-                        datasets: [{
-                            data: values,
-                            backgroundColor: colors,
-                            borderWidth: 2
-                        }]
-                    },
-                    options: baseOptions
-                };
-            } else {
-                // Bar or Line chart
-                baseOptions.scales = {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: valueKey
-                        }
-                    },
-                    x: {
-                        title: {
-                            display: false
-                        }
-                    }
-                };
-
-                return {
-                    type: chartType,
-                    data: {
-                        labels: labels,
-                        datasets: [{
-                            label: valueKey,
-                            data: values,
-                            backgroundColor: chartType === 'line' ? 'transparent' : colors[0],
-                            borderColor: colors[0].replace('0.7', '1'),
-                            borderWidth: 2,
-                            fill: chartType === 'line' ? false : true,
-                            tension: 0.1
-                        }]
-                    },
-                    options: baseOptions
-                };
-            }
+                try {
+                    self.chartInstance = new Chart(canvas.getContext('2d'), config);
+                } catch (_error) {
+                    modalBody.find('.block-adeptus-chart-container').html(
+                        '<div class="alert alert-danger">' +
+                        '<i class="fa fa-exclamation-triangle"></i> Error rendering chart</div>'
+                    );
+                }
+                return chartData;
+            }).catch(Notification.exception);
         },
 
-        /**
-         * Generate chart colors.
-         *
-         * @param {number} count Number of colors needed
-         * @return {Array} Array of color strings
-         */
-        generateChartColors: function(count) {
-            var baseColors = [
-                'rgba(37, 99, 235, 0.7)', // Blue.
-                'rgba(16, 185, 129, 0.7)', // Green.
-                'rgba(245, 158, 11, 0.7)', // Amber.
-                'rgba(239, 68, 68, 0.7)', // Red.
-                'rgba(139, 92, 246, 0.7)', // Purple.
-                'rgba(6, 182, 212, 0.7)', // Cyan.
-                'rgba(236, 72, 153, 0.7)', // Pink.
-                'rgba(132, 204, 22, 0.7)', // Lime.
-                'rgba(249, 115, 22, 0.7)', // Orange.
-                'rgba(99, 102, 241, 0.7)' // Indigo.
-            ];
-
-            var colors = [];
-            for (var i = 0; i < count; i++) {
-                colors.push(baseColors[i % baseColors.length]);
-            }
-            return colors;
-        },
 
         /**
          * Export modal data using the main plugin's export system.
@@ -4739,8 +5071,18 @@ define([
         performExport: function(format, report, data) {
             var self = this;
 
-            // Prepare report data for export endpoint
-            var headers = data.length > 0 ? Object.keys(data[0]) : [];
+            // Prepare report data for export endpoint, with the columns the user chose to show
+            var allHeaders = data.length > 0 ? Object.keys(data[0]) : [];
+            var headers = this.getVisibleColumns(report, allHeaders);
+            if (headers !== allHeaders) {
+                data = data.map(function(row) {
+                    var projected = {};
+                    headers.forEach(function(h) {
+                        projected[h] = row[h];
+                    });
+                    return projected;
+                });
+            }
             /* eslint-disable camelcase */
             var reportData = {
                 results: data,
@@ -4806,103 +5148,6 @@ define([
             });
         },
 
-        /**
-         * Render table in modal with pagination.
-         *
-         * @param {jQuery} modalBody
-         * @param {Array} data
-         */
-        renderModalTable: function(modalBody, data) {
-            // Reset pagination
-            this.tableCurrentPage = 1;
-            this.tableTotalPages = Math.ceil((data ? data.length : 0) / this.tableRowsPerPage);
-
-            // Build table headers once
-            var table = modalBody.find('.block-adeptus-modal-table');
-            var thead = table.find('thead');
-
-            thead.empty();
-
-            if (!data || data.length === 0) {
-                modalBody.find('.block-adeptus-modal-table-container').addClass('d-none');
-                return;
-            }
-
-            // Build headers from first row
-            var headers = Object.keys(data[0]);
-            var headerRow = $('<tr>');
-            headers.forEach(function(h) {
-                // Format header nicely
-                var formatted = h.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
-                    return letter.toUpperCase();
-                });
-                headerRow.append($('<th>').text(formatted));
-            });
-            thead.append(headerRow);
-
-            // Render first page
-            this.renderModalTablePage();
-        },
-
-        /**
-         * Render current page of table data.
-         */
-        renderModalTablePage: function() {
-            var modalBody = this.modal.getBody();
-            var data = this.modalData || [];
-            var table = modalBody.find('.block-adeptus-modal-table');
-            var tbody = table.find('tbody');
-
-            tbody.empty();
-
-            if (!data || data.length === 0) {
-                return;
-            }
-
-            var headers = Object.keys(data[0]);
-
-            // Calculate page slice
-            var startIndex = (this.tableCurrentPage - 1) * this.tableRowsPerPage;
-            var endIndex = startIndex + this.tableRowsPerPage;
-            var pageData = data.slice(startIndex, endIndex);
-
-            // Build rows
-            pageData.forEach(function(row) {
-                var tr = $('<tr>');
-                headers.forEach(function(h) {
-                    var val = row[h];
-                    if (val === null || val === undefined) {
-                        val = '';
-                    }
-                    // Truncate long values
-                    var displayVal = String(val);
-                    if (displayVal.length > 100) {
-                        displayVal = displayVal.substring(0, 100) + '...';
-                    }
-                    tr.append($('<td>').attr('title', val).text(displayVal));
-                });
-                tbody.append(tr);
-            });
-
-            // Update pagination info and controls
-            var actualEnd = Math.min(endIndex, data.length);
-            modalBody.find('.block-adeptus-row-count').text(data.length + ' total rows');
-
-            var paginationInfo = modalBody.find('.table-pagination-info');
-            paginationInfo.text((startIndex + 1) + '-' + actualEnd + ' of ' + data.length);
-
-            // Update button states
-            modalBody.find('.table-pagination-prev').prop('disabled', this.tableCurrentPage <= 1);
-            modalBody.find('.table-pagination-next').prop('disabled', this.tableCurrentPage >= this.tableTotalPages);
-
-            // Show/hide pagination based on total pages
-            if (this.tableTotalPages > 1) {
-                modalBody.find('.table-pagination').removeClass('d-none');
-            } else {
-                modalBody.find('.table-pagination').addClass('d-none');
-            }
-        },
-
         /**
          * Open report in new tab.
          *
@@ -4930,19 +5175,25 @@ define([
 
         /**
          * Refresh the block (clears cache and reloads).
+         *
+         * Every block on the page is re-rendered through its catalogue subscription.
          */
         refresh: function() {
+            var self = this;
             var refreshBtn = this.container.find('.block-adeptus-refresh i');
             refreshBtn.addClass('fa-spin');
 
-            // Clear all caches for fresh data
-            this.clearAllCaches();
-
             // Force reload from server
             this.showLoading();
-            var self = this;
             this.waitForAuth(function() {
-                self.fetchReports();
+                ReportRegistry.refresh({backendUrl: self.backendUrl, token: self.getApiToken()}).then(function(reports) {
+                    if (TabSync.isLeader(self.blockId)) {
+                        TabSync.publish(self.blockId, 'catalogue', {reports: reports});
+                    }
+                    return reports;
+                }).catch(function() {
+                    self.showLastKnownCatalogue();
+                });
             });
 
             setTimeout(function() {
@@ -4950,20 +5201,6 @@ define([
             }, 1000);
         },
 
-        /**
-         * Clear all caches.
-         */
-        clearAllCaches: function() {
-            // Clear sessionStorage cache
-            try {
-                sessionStorage.removeItem(this.cacheKey);
-            } catch (_e) {
-                // Ignore
-            }
-            // Clear in-memory report data cache
-            this.reportDataCache = {};
-        },
-
         /**
          * Setup auto-refresh timer.
          */
@@ -4993,13 +5230,127 @@ define([
 
             var self = this;
             this.refreshTimer = setInterval(function() {
-                // Only refresh if page is visible.
-                if (!document.hidden) {
+                // Only refresh if page is visible and leads this block; other tabs receive its results.
+                if (!document.hidden && TabSync.isLeader(self.blockId)) {
                     self.refresh();
                 }
             }, ms);
         },
 
+        /**
+         * Tell this block in other tabs about a freshly executed result (leading tab only).
+         *
+         * Results can be large, so only the execution key and time are sent; the other
+         * tabs read the rows from the result cache, which is why nothing is sent when
+         * this block does not persist its results.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} result Normalised result
+         * @param {Object} params Runtime parameters the report ran with
+         */
+        shareResult: function(report, result, params) {
+            if (this.dataService.isPersistent() && TabSync.isLeader(this.blockId)) {
+                TabSync.publish(this.blockId, 'result', {
+                    report: {slug: report.slug, source: report.source || 'wizard'},
+                    key: this.dataService.getKey(report, params),
+                    executedAt: result.executedAt
+                });
+            }
+        },
+
+        /**
+         * Handle a message from this block in another tab.
+         *
+         * @param {string} type Message type (catalogue, result, snapshot or snapshot-request)
+         * @param {Object} payload Message data
+         */
+        handleTabMessage: function(type, payload) {
+            var self = this;
+            var shared;
+
+            switch (type) {
+                case 'catalogue':
+                    ReportRegistry.apply(payload.reports);
+                    break;
+                case 'result':
+                    this.showSharedResult(payload.report, payload.key, payload.executedAt);
+                    break;
+                case 'snapshot':
+                    this.snapshotResponses[payload.slug] = {metricValue: payload.metricValue, response: payload.response};
+                    this.container.find('.block-adeptus-kpi-card[data-slug="' + payload.slug + '"]').each(function() {
+                        self.applySnapshot($(this), payload.slug, payload.metricValue, payload.response);
+                    });
+                    break;
+                case 'snapshot-request':
+                    shared = this.snapshotResponses[payload.slug];
+                    if (shared && TabSync.isLeader(this.blockId)) {
+                        TabSync.publish(this.blockId, 'snapshot', {
+                            slug: payload.slug,
+                            metricValue: shared.metricValue,
+                            response: shared.response
+                        });
+                    }
+                    break;
+            }
+        },
+
+        /**
+         * Read a result another tab stored in the result cache and re-render the views showing it.
+         *
+         * The result is only used when this tab runs the report with the same parameters.
+         *
+         * @param {Object} report Report slug and source
+         * @param {string} key Key of the execution that produced the result
+         * @param {number} executedAt When the result was executed
+         * @return {Promise}
+         */
+        showSharedResult: function(report, key, executedAt) {
+            var self = this;
+            var runtimeParams = this.getReportParams(report);
+            var cardMatch = this.dataService.getKey(report, {}) === key;
+            var viewMatch = this.dataService.getKey(report, runtimeParams) === key;
+            var match = function(slug, source) {
+                return slug === report.slug && (source || 'wizard') === report.source;
+            };
+
+            if (!cardMatch && !viewMatch) {
+                return Promise.resolve();
+            }
+
+            return this.dataService.readShared(report, viewMatch ? runtimeParams : {}, executedAt).then(function(result) {
+                if (!result) {
+                    return null;
+                }
+
+                if (cardMatch) {
+                    self.container.find('.block-adeptus-kpi-card').each(function() {
+                        var $card = $(this);
+                        if (match($card.data('slug'), $card.data('source'))) {
+                            self.renderKpiValue($card, result.results);
+                        }
+                    });
+                }
+
+                if (!viewMatch) {
+                    return result;
+                }
+
+                if (self.config.displayMode === 'embedded' && match(self.selectedReportSlug, self.selectedReportSource)) {
+                    self.loadEmbeddedReport(report.slug, report.source);
+                }
+
+                var $pane = self.container.find('.block-adeptus-tab-pane.active');
+                if ($pane.length && $pane.data('loaded') && match($pane.data('slug'), $pane.data('source'))) {
+                    self.loadTabContent($pane, report.slug, report.source);
+                }
+
+                if (self.modalReport && match(self.modalReport.slug, self.modalReport.source)) {
+                    self.loadModalReport(report.slug, report.source);
+                }
+                return result;
+            }).catch(Notification.exception);
+        },
+
         /**
          * Show loading state.
          */
@@ -5041,6 +5392,70 @@ define([
             errorDiv.removeClass('d-none');
         },
 
+        /**
+         * Handle a failed data load, switching to offline mode when the backend could not be reached.
+         *
+         * Wizard reports run against Moodle, so their connection failures say nothing about the backend.
+         *
+         * @param {Error} error Error from the report data service
+         * @param {Object|null} staleResult Cached result shown while the load was running
+         * @return {boolean} Whether the cached result stays on screen instead of an error
+         */
+        handleLoadFailure: function(error, staleResult) {
+            if (error.code === 'connection' && error.backend) {
+                this.goOffline();
+                if (staleResult) {
+                    this.showOffline(staleResult.executedAt);
+                }
+            }
+            return !!staleResult;
+        },
+
+        /**
+         * Tell the registry the backend is unreachable so it retries with backoff.
+         */
+        goOffline: function() {
+            ReportRegistry.markOffline({backendUrl: this.backendUrl, token: this.getApiToken()});
+        },
+
+        /**
+         * Show the last catalogue fetched successfully after the backend could not be reached.
+         */
+        showLastKnownCatalogue: function() {
+            var lastKnown = ReportRegistry.getLastKnownCatalogue();
+
+            this.goOffline();
+            if (!lastKnown) {
+                this.showError();
+                return;
+            }
+
+            this.setReports(lastKnown.reports);
+            this.showOffline(lastKnown.timestamp);
+        },
+
+        /**
+         * Show the offline banner with the age of the oldest data on display.
+         *
+         * @param {number} since Time (ms) the displayed data was fetched
+         */
+        showOffline: function(since) {
+            this.staleSince = this.staleSince ? Math.min(this.staleSince, since) : since;
+
+            var time = new Date(this.staleSince).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'});
+            var banner = this.container.find('.block-adeptus-offline');
+            banner.find('.block-adeptus-offline-text').text(this.strings.staleSince.replace('{$a}', time));
+            banner.removeClass('d-none');
+        },
+
+        /**
+         * Hide the offline banner.
+         */
+        hideOffline: function() {
+            this.staleSince = null;
+            this.container.find('.block-adeptus-offline').addClass('d-none');
+        },
+
         /**
          * Update the timestamp display.
          */
@@ -5111,6 +5526,16 @@ define([
             });
         },
 
+        /**
+         * Show or hide the "refreshing" indicator shown while cached data is revalidated.
+         *
+         * @param {jQuery} scope Element containing the indicator (block, tab pane or modal body)
+         * @param {boolean} refreshing
+         */
+        setRefreshing: function(scope, refreshing) {
+            scope.find('.block-adeptus-refreshing').toggleClass('d-none', !refreshing);
+        },
+
         /**
          * Toggle searchable dropdown open/closed.
          *
@@ -0,0 +1,202 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Conditional formatting of report table cells.
+ *
+ * Rules come from the block configuration as {report, column, condition, value, style},
+ * report being the report key (slug::source) they apply to.
+ * Conditions are lt, gt, eq, contains, top and bottom (value is a percentage)
+ * and databar; styles are bg_red, bg_amber, bg_green, badge_red, badge_amber,
+ * badge_green and bold. Every matching rule of a column applies to its cells.
+ *
+ * @module     block_adeptus_insights/cell_format
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery'], function($) {
+    'use strict';
+
+    // Badge classes for each badge style.
+    var BADGES = {
+        'badge_red': 'badge bg-danger',
+        'badge_amber': 'badge bg-warning text-dark',
+        'badge_green': 'badge bg-success'
+    };
+
+    // Data bar colours, by the colour named in the rule's style.
+    var BAR_COLOURS = {
+        red: 'rgba(220, 53, 69, 0.25)',
+        amber: 'rgba(255, 193, 7, 0.35)',
+        green: 'rgba(25, 135, 84, 0.25)',
+        blue: 'rgba(13, 110, 253, 0.2)'
+    };
+
+    /**
+     * Convert a cell value to a number.
+     *
+     * @param {*} value
+     * @return {number|null}
+     */
+    var toNumber = function(value) {
+        if (value === null || value === undefined || value === '' || !isFinite(value)) {
+            return null;
+        }
+        var number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    };
+
+    /**
+     * Whether a rule's condition holds for a cell.
+     *
+     * @param {Object} rule
+     * @param {*} value Cell value
+     * @param {Object|undefined} stats The column's statistics (see data_worker stats)
+     * @return {boolean}
+     */
+    var matches = function(rule, value, stats) {
+        var number = toNumber(value);
+        var target = toNumber(rule.value);
+        var text = value === null || value === undefined ? '' : String(value).toLowerCase();
+        var ruleText = String(rule.value === null || rule.value === undefined ? '' : rule.value).toLowerCase();
+
+        switch (rule.condition) {
+            case 'lt':
+                return number !== null && target !== null && number < target;
+            case 'gt':
+                return number !== null && target !== null && number > target;
+            case 'eq':
+                return number !== null && target !== null ? number === target : text === $.trim(ruleText);
+            case 'contains':
+                return ruleText !== '' && text.indexOf(ruleText) !== -1;
+            case 'top':
+                return number !== null && !!stats && stats.top[target] !== null && stats.top[target] !== undefined &&
+                    number >= stats.top[target];
+            case 'bottom':
+                return number !== null && !!stats && stats.bottom[target] !== null && stats.bottom[target] !== undefined &&
+                    number <= stats.bottom[target];
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * Draw a data bar behind a numeric cell.
+     *
+     * Bars start at zero unless the column has negative numbers.
+     *
+     * @param {jQuery} $cell
+     * @param {number} number Cell value
+     * @param {Object} rule
+     * @param {Object|undefined} stats The column's statistics
+     */
+    var drawBar = function($cell, number, rule, stats) {
+        if (!stats || stats.max === null) {
+            return;
+        }
+        var low = Math.min(0, stats.min);
+        var high = Math.max(0, stats.max);
+        var width = high === low ? 0 : Math.round((number - low) / (high - low) * 100);
+        var colour = BAR_COLOURS[String(rule.style || '').split('_').pop()] || BAR_COLOURS.blue;
+
+        $cell.addClass('block-adeptus-cell-databar')
+            .css('background-image', 'linear-gradient(90deg, ' + colour + ' ' + width + '%, transparent ' + width + '%)');
+    };
+
+    return /** @alias module:block_adeptus_insights/cell_format */ {
+        /**
+         * Get the rules that apply to some columns of a report.
+         *
+         * @param {Object} rules Every configured rule, in lists keyed by report key (slug::source)
+         * @param {string} key Report key
+         * @param {Array} columns Column names shown
+         * @return {Array}
+         */
+        forColumns: function(rules, key, columns) {
+            return ((rules || {})[key] || []).filter(function(rule) {
+                return rule && columns.indexOf(rule.column) !== -1;
+            });
+        },
+
+        /**
+         * Get the statistics the rules need, as data_worker stats options.
+         *
+         * @param {Array} rules
+         * @return {Object|null} {columns, top, bottom}, null when no statistics are needed
+         */
+        getStatsOptions: function(rules) {
+            var options = {columns: [], top: [], bottom: []};
+            var add = function(list, value) {
+                if (list.indexOf(value) === -1) {
+                    list.push(value);
+                }
+            };
+
+            rules.forEach(function(rule) {
+                var percent = toNumber(rule.value);
+                if (rule.condition === 'databar') {
+                    add(options.columns, rule.column);
+                } else if ((rule.condition === 'top' || rule.condition === 'bottom') && percent !== null) {
+                    add(options.columns, rule.column);
+                    add(options[rule.condition], percent);
+                }
+            });
+
+            return options.columns.length > 0 ? options : null;
+        },
+
+        /**
+         * Apply the matching rules to a table cell.
+         *
+         * @param {jQuery} $cell Cell, with its display text already set
+         * @param {string} column Column name
+         * @param {*} value Cell value
+         * @param {Object} format {rules, stats} for the table (see forColumns and getStatsOptions)
+         * @return {jQuery} The cell
+         */
+        apply: function($cell, column, value, format) {
+            format.rules.forEach(function(rule) {
+                if (rule.column !== column) {
+                    return;
+                }
+                var stats = format.stats[column];
+
+                if (rule.condition === 'databar') {
+                    var number = toNumber(value);
+                    if (number !== null) {
+                        drawBar($cell, number, rule, stats);
+                    }
+                    return;
+                }
+                if (!matches(rule, value, stats)) {
+                    return;
+                }
+
+                if (BADGES[rule.style]) {
+                    if (!$cell.children('.badge').length) {
+                        $cell.wrapInner($('<span>').addClass(BADGES[rule.style]));
+                    }
+                } else if (rule.style === 'bold') {
+                    $cell.addClass('fw-bold');
+                } else if (rule.style) {
+                    $cell.addClass('block-adeptus-cell-' + rule.style.replace('_', '-'));
+                }
+            });
+
+            return $cell;
+        }
+    };
+});
@@ -0,0 +1,314 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Typed rendering of report table cells.
+ *
+ * Each column gets a display type: text, number, date, user, course, url,
+ * boolean or percent. It comes from the block's overrides for the report's columns, or is
+ * detected from the column name and the types and hints inferred by
+ * block_adeptus_insights/data_worker. Long text is cut, and the cut cells
+ * expand when clicked.
+ *
+ * @module     block_adeptus_insights/cell_renderer
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/str'], function($, Str) {
+    'use strict';
+
+    // Display types that can be chosen as overrides.
+    var TYPES = ['text', 'number', 'date', 'user', 'course', 'url', 'boolean', 'percent'];
+
+    // Column names holding Moodle user and course IDs.
+    var USER_COLUMN = /^(user_?id|id_?user)$/i;
+    var COURSE_COLUMN = /^(course_?id|id_?course)$/i;
+
+    // Column names that may hold Unix timestamps.
+    var TIME_COLUMN = /time|date|access|login|created|modified|updated|started|completed|due|expir/i;
+
+    var stringsPromise = null;
+    var expandBound = false;
+
+    /**
+     * Load the renderer's language strings once.
+     *
+     * @return {Promise} Resolves with the strings keyed by name
+     */
+    var loadStrings = function() {
+        if (stringsPromise) {
+            return stringsPromise;
+        }
+
+        var stringKeys = [
+            {key: 'yes', component: 'core'},
+            {key: 'no', component: 'core'},
+            {key: 'cell_expand', component: 'block_adeptus_insights'}
+        ];
+
+        stringsPromise = Str.get_strings(stringKeys).then(function(strings) {
+            return {
+                yes: strings[0],
+                no: strings[1],
+                expand: strings[2]
+            };
+        }).catch(function() {
+            // Fallback to English if string loading fails.
+            return {
+                yes: 'Yes',
+                no: 'No',
+                expand: 'Show the full value'
+            };
+        });
+
+        return stringsPromise;
+    };
+
+    /**
+     * Expand and collapse cut cells, for every table on the page.
+     */
+    var bindExpand = function() {
+        if (expandBound) {
+            return;
+        }
+        expandBound = true;
+
+        $(document).on('click', '.block-adeptus-cell-expand', function(e) {
+            var $button = $(this);
+            var expanded = $button.attr('aria-expanded') === 'true';
+
+            e.preventDefault();
+            $button.attr('aria-expanded', expanded ? 'false' : 'true')
+                .text(expanded ? $button.data('short') : $button.data('full'));
+        });
+    };
+
+    /**
+     * Work out a column's display type.
+     *
+     * @param {Object} column {name, type, hint} from data_worker
+     * @param {string|undefined} override Display type chosen for the column
+     * @return {string}
+     */
+    var getType = function(column, override) {
+        if (override && TYPES.indexOf(override) !== -1) {
+            return override;
+        }
+        if (USER_COLUMN.test(column.name)) {
+            return 'user';
+        }
+        if (COURSE_COLUMN.test(column.name)) {
+            return 'course';
+        }
+        if (column.type === 'date' || (column.hint === 'timestamp' && TIME_COLUMN.test(column.name))) {
+            return 'date';
+        }
+        if (column.type === 'boolean') {
+            return 'boolean';
+        }
+        if (column.hint === 'fraction') {
+            return 'percent';
+        }
+        if (column.hint === 'url') {
+            return 'url';
+        }
+        return column.type === 'number' ? 'number' : 'text';
+    };
+
+    /**
+     * Format a date cell for the user's locale.
+     *
+     * @param {*} value Unix timestamp, or an ISO date with or without a time
+     * @return {string} Empty for 0 (never) and values that are not dates
+     */
+    var formatDate = function(value) {
+        var text = String(value);
+        var date;
+
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            // A date without a time is a day in local time, not UTC midnight.
+            var parts = text.split('-');
+            date = new Date(parts[0], parts[1] - 1, parts[2]);
+            return isNaN(date.getTime()) ? text : date.toLocaleDateString(undefined, {dateStyle: 'medium'});
+        }
+
+        if (isFinite(value)) {
+            var seconds = parseFloat(value);
+            if (!seconds) {
+                return '';
+            }
+            date = new Date(seconds * 1000);
+        } else {
+            date = new Date(Date.parse(text.replace(' ', 'T')));
+        }
+
+        return isNaN(date.getTime()) ? text : date.toLocaleString(undefined, {dateStyle: 'medium', timeStyle: 'short'});
+    };
+
+    /**
+     * Whether a cell value means yes.
+     *
+     * @param {*} value
+     * @return {boolean}
+     */
+    var isTrue = function(value) {
+        return value === true || value === 1 || ['1', 'true', 'yes', 'y'].indexOf(String(value).toLowerCase()) !== -1;
+    };
+
+    /**
+     * Put text in a cell, cut to a length; the cut text expands on click.
+     *
+     * @param {jQuery} $parent Cell or link to fill
+     * @param {string} text
+     * @param {number} limit Maximum length shown before the cell is expanded
+     * @param {Object} strings Language strings
+     * @param {boolean} plain Cut without an expand button (e.g. inside a link)
+     */
+    var setText = function($parent, text, limit, strings, plain) {
+        if (!limit || text.length <= limit) {
+            $parent.text(text);
+            return;
+        }
+
+        var short = text.substring(0, limit) + '...';
+        if (plain) {
+            $parent.text(short);
+            return;
+        }
+
+        $parent.append($('<button>')
+            .attr('type', 'button')
+            .attr('aria-expanded', 'false')
+            .attr('title', strings.expand)
+            .addClass('block-adeptus-cell-expand')
+            .data('short', short)
+            .data('full', text)
+            .text(short));
+    };
+
+    /**
+     * Renderer for the cells of one table.
+     *
+     * @param {Object} types Display type keyed by column name
+     * @param {Object} strings Language strings
+     */
+    var Renderer = function(types, strings) {
+        this.types = types;
+        this.strings = strings;
+    };
+
+    Renderer.prototype = {
+        /**
+         * Build the cell for a value.
+         *
+         * @param {string} column Column name
+         * @param {*} value Cell value
+         * @param {number} limit Maximum text length before the cell is cut
+         * @return {jQuery} The td element
+         */
+        render: function(column, value, limit) {
+            var $cell = $('<td>');
+            var strings = this.strings;
+            var type = this.types[column] || 'text';
+            var empty = value === null || value === undefined || value === '';
+            var text = empty ? '' : String(value);
+
+            $cell.attr('title', text);
+            if (empty) {
+                return $cell;
+            }
+
+            switch (type) {
+                case 'date':
+                    $cell.text(formatDate(value));
+                    break;
+                case 'user':
+                case 'course':
+                    if (/^\d+$/.test(text) && text !== '0') {
+                        var path = type === 'user' ? '/user/profile.php?id=' : '/course/view.php?id=';
+                        $cell.append($('<a>').attr('href', M.cfg.wwwroot + path + text).text(text));
+                    } else {
+                        $cell.text(text);
+                    }
+                    break;
+                case 'url':
+                    if (/^https?:\/\//i.test(text)) {
+                        var $link = $('<a>').attr('href', text).attr('target', '_blank').attr('rel', 'noopener noreferrer');
+                        setText($link, text, limit, strings, true);
+                        $cell.append($link);
+                    } else {
+                        setText($cell, text, limit, strings, false);
+                    }
+                    break;
+                case 'boolean':
+                    var yes = isTrue(value);
+                    $cell.attr('title', yes ? strings.yes : strings.no)
+                        .append($('<i>')
+                            .addClass('fa ' + (yes ? 'fa-check text-success' : 'fa-times text-muted'))
+                            .attr('aria-hidden', 'true'))
+                        .append($('<span>').addClass('sr-only visually-hidden').text(yes ? strings.yes : strings.no));
+                    break;
+                case 'percent':
+                    var number = parseFloat(value);
+                    if (isNaN(number)) {
+                        $cell.text(text);
+                    } else {
+                        // Fractions are scaled; larger numbers are taken to be percentages already.
+                        var percent = Math.abs(number) <= 1 ? number * 100 : number;
+                        $cell.text((Math.round(percent * 10) / 10) + '%');
+                    }
+                    break;
+                default:
+                    setText($cell, text, limit, strings, false);
+            }
+
+            return $cell;
+        }
+    };
+
+    return /** @alias module:block_adeptus_insights/cell_renderer */ {
+        /**
+         * Get the display type overrides configured for a report's columns.
+         *
+         * @param {Object} columnTypes Overrides keyed by report key (slug::source), then by column name
+         * @param {string} key Report key
+         * @return {Object} Display type keyed by column name
+         */
+        forReport: function(columnTypes, key) {
+            return (columnTypes || {})[key] || {};
+        },
+
+        /**
+         * Create the cell renderer for a table.
+         *
+         * @param {Array} columns [{name, type, hint}] from data_worker
+         * @param {Object} overrides Display type keyed by column name (optional)
+         * @return {Promise} Resolves with a renderer whose render(column, value, limit) builds a td
+         */
+        create: function(columns, overrides) {
+            var types = {};
+
+            bindExpand();
+            columns.forEach(function(column) {
+                types[column.name] = getType(column, (overrides || {})[column.name]);
+            });
+
+            return loadStrings().then(function(strings) {
+                return new Renderer(types, strings);
+            });
+        }
+    };
+});
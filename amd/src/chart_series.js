@@ -0,0 +1,225 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Series menu for report charts.
+ *
+ * Lists the value columns a chart can plot with a checkbox to plot each one,
+ * its colour and the value axis it is measured on, so that e.g. enrolments
+ * and completions per course are compared on one chart. The series are
+ * {column, color, axis} in column order (see chart_types).
+ *
+ * @module     block_adeptus_insights/chart_series
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/str', 'block_adeptus_insights/chart_types'], function($, Str, ChartTypes) {
+    'use strict';
+
+    var stringsPromise = null;
+    var menuCount = 0;
+
+    /**
+     * Load the menu's language strings once.
+     *
+     * @return {Promise} Resolves with the strings keyed by name
+     */
+    var loadStrings = function() {
+        if (stringsPromise) {
+            return stringsPromise;
+        }
+
+        var stringKeys = [
+            {key: 'chart_series', component: 'block_adeptus_insights'},
+            {key: 'chart_series_color', component: 'block_adeptus_insights'},
+            {key: 'chart_series_axis', component: 'block_adeptus_insights'},
+            {key: 'chart_series_axis_y', component: 'block_adeptus_insights'},
+            {key: 'chart_series_axis_y2', component: 'block_adeptus_insights'}
+        ];
+
+        stringsPromise = Str.get_strings(stringKeys).then(function(strings) {
+            return {
+                series: strings[0],
+                color: strings[1],
+                axis: strings[2],
+                y: strings[3],
+                y2: strings[4]
+            };
+        }).catch(function() {
+            // Fallback to English if string loading fails.
+            return {
+                series: 'Series',
+                color: 'Colour of {$a}',
+                axis: 'Axis of {$a}',
+                y: 'Main axis',
+                y2: 'Second axis'
+            };
+        });
+
+        return stringsPromise;
+    };
+
+    /**
+     * Build the list item for one column.
+     *
+     * @param {string} name Column name
+     * @param {Object|null} series The column's series, null when it is not plotted
+     * @param {string} color Colour shown until the column is plotted
+     * @param {string} menuId Menu element ID, used for unique checkbox IDs
+     * @param {number} index Column position
+     * @param {Object} strings Language strings
+     * @return {jQuery}
+     */
+    var buildItem = function(name, series, color, menuId, index, strings) {
+        var label = ChartTypes.formatName(name);
+        var checkboxId = menuId + '-' + index;
+        var $axis = $('<select>')
+            .addClass('form-select form-select-sm block-adeptus-series-axis')
+            .attr('aria-label', strings.axis.replace('{$a}', label))
+            .append($('<option>').val('y').text(strings.y))
+            .append($('<option>').val('y2').text(strings.y2))
+            .val(series ? series.axis : 'y');
+
+        return $('<li>')
+            .addClass('block-adeptus-series-item')
+            .attr('data-column', name)
+            .append($('<input>')
+                .attr('type', 'checkbox')
+                .attr('id', checkboxId)
+                .addClass('form-check-input')
+                .prop('checked', !!series))
+            .append($('<label>').attr('for', checkboxId).addClass('block-adeptus-series-label').text(label))
+            .append($('<input>')
+                .attr('type', 'color')
+                .attr('aria-label', strings.color.replace('{$a}', label))
+                .addClass('block-adeptus-series-color')
+                .val(series ? series.color : color))
+            .append($axis);
+    };
+
+    /**
+     * Read the series from the list.
+     *
+     * @param {jQuery} $list
+     * @return {Array} [{column, color, axis}]
+     */
+    var readSeries = function($list) {
+        var series = [];
+
+        $list.children('.block-adeptus-series-item').each(function() {
+            if ($(this).find('input[type="checkbox"]').prop('checked')) {
+                series.push({
+                    column: $(this).attr('data-column'),
+                    color: $(this).find('.block-adeptus-series-color').val(),
+                    axis: $(this).find('.block-adeptus-series-axis').val()
+                });
+            }
+        });
+
+        return series;
+    };
+
+    /**
+     * Stop the last plotted column from being unchecked.
+     *
+     * @param {jQuery} $list
+     */
+    var protectLastSeries = function($list) {
+        var $checked = $list.find('input[type="checkbox"]:checked');
+        $list.find('input[type="checkbox"]').prop('disabled', false);
+        if ($checked.length === 1) {
+            $checked.prop('disabled', true);
+        }
+    };
+
+    /**
+     * Get the text of the menu button: the names of the plotted columns.
+     *
+     * @param {Array} series
+     * @return {string}
+     */
+    var getSummary = function(series) {
+        return series.map(function(item) {
+            return ChartTypes.formatName(item.column);
+        }).join(', ');
+    };
+
+    return /** @alias module:block_adeptus_insights/chart_series */ {
+        /**
+         * Render the series menu, replacing any previous content.
+         *
+         * @param {jQuery} $container Container element
+         * @param {Object} options
+         * @param {Array} options.columns Names of the columns that can be plotted
+         * @param {Array} options.series The plotted series {column, color, axis}, at least one
+         * @param {Function} options.onChange Receives the new series
+         * @return {Promise}
+         */
+        render: function($container, options) {
+            return loadStrings().then(function(strings) {
+                var menuId = 'block-adeptus-chart-series-' + (++menuCount);
+                var $list = $('<ul>').addClass('block-adeptus-series-list list-unstyled mb-0');
+
+                options.columns.forEach(function(name, index) {
+                    var series = options.series.filter(function(item) {
+                        return item.column === name;
+                    })[0] || null;
+                    $list.append(buildItem(name, series, ChartTypes.getColor(index), menuId, index, strings));
+                });
+                protectLastSeries($list);
+
+                var $menu = $('<div>')
+                    .attr('id', menuId)
+                    .addClass('block-adeptus-series-menu d-none')
+                    .append($list);
+                var $summary = $('<span>').addClass('block-adeptus-series-summary').text(getSummary(options.series));
+
+                $container.empty().append(
+                    $('<button>')
+                        .attr('type', 'button')
+                        .attr('aria-expanded', 'false')
+                        .attr('aria-controls', menuId)
+                        .attr('title', strings.series)
+                        .addClass('btn btn-sm btn-outline-secondary block-adeptus-series-toggle')
+                        .append($('<i>').addClass('fa fa-line-chart').attr('aria-hidden', 'true'))
+                        .append(' ', $summary),
+                    $menu
+                );
+
+                $container.off('.chartseries');
+                $container.on('click.chartseries', '.block-adeptus-series-toggle', function() {
+                    var expanded = $(this).attr('aria-expanded') === 'true';
+                    $(this).attr('aria-expanded', expanded ? 'false' : 'true');
+                    $menu.toggleClass('d-none', expanded);
+                });
+                $container.on('change.chartseries', 'input, select', function() {
+                    var series = readSeries($list);
+                    protectLastSeries($list);
+                    $summary.text(getSummary(series));
+                    options.onChange(series);
+                });
+                $container.on('keydown.chartseries', function(e) {
+                    if (e.key === 'Escape' && !$menu.hasClass('d-none')) {
+                        $menu.addClass('d-none');
+                        $container.find('.block-adeptus-series-toggle').attr('aria-expanded', 'false').trigger('focus');
+                    }
+                });
+
+                return $container;
+            });
+        }
+    };
+});
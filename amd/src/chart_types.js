@@ -0,0 +1,514 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Chart types for report charts.
+ *
+ * Builds the Chart.js configuration of every chart type offered in the
+ * embedded, tab and modal views, and works out which columns each type can
+ * plot: scatter charts need two numeric columns. A chart plots one or more
+ * series, {column, color, axis}: a value column, its colour and the value
+ * axis it is measured on, y (the main one) or y2 (a second one for values in
+ * other units). Combined bar and line charts draw the first series as bars
+ * and the others as lines. Rows that share an X value are grouped by the
+ * chart's aggregate, and bar and line charts of a date or timestamp column
+ * group rows into date buckets (day, week, month, quarter or year) on a
+ * regular time scale (see data_worker chart). Other charts can sort their
+ * labels by value and keep the top ones, the rest making up one more label.
+ *
+ * @module     block_adeptus_insights/chart_types
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function() {
+    'use strict';
+
+    // Chart types, the first being the default.
+    var TYPES = ['bar', 'horizontalBar', 'stackedBar', 'line', 'area', 'scatter', 'pie', 'doughnut', 'radar', 'polarArea',
+        'mixed'];
+
+    // Aggregates of rows that share an X value, the first being the default.
+    var AGGREGATES = ['auto', 'none', 'count', 'sum', 'avg', 'min', 'max', 'distinct'];
+
+    // Date buckets, the first being the default.
+    var BUCKETS = ['auto', 'none', 'day', 'week', 'month', 'quarter', 'year'];
+
+    // Label orders: the report's, largest value first and smallest value first.
+    var SORTS = ['none', 'desc', 'asc'];
+
+    // Numbers of top labels that can be kept, 0 keeping all of them.
+    var TOPS = [0, 5, 10, 15, 20, 25];
+
+    // Types that can chart date buckets along their label axis.
+    var TIME_TYPES = ['bar', 'horizontalBar', 'stackedBar', 'line', 'area', 'mixed'];
+
+    // Types with one slice per label, coloured one by one.
+    var ROUND = ['pie', 'doughnut', 'polarArea'];
+
+    // Chart.js types of the types that are variants of another.
+    var CHARTJS_TYPES = {horizontalBar: 'bar', stackedBar: 'bar', area: 'line', mixed: 'bar'};
+
+    // Colours of series and slices, in the order they are given out.
+    var PALETTE = [
+        '#2563eb', // Blue.
+        '#10b981', // Green.
+        '#f59e0b', // Amber.
+        '#ef4444', // Red.
+        '#8b5cf6', // Purple.
+        '#06b6d4', // Cyan.
+        '#ec4899', // Pink.
+        '#84cc16', // Lime.
+        '#f97316', // Orange.
+        '#6366f1' // Indigo.
+    ];
+
+    // Colour of the label holding the rest of the labels.
+    var OTHER_COLOR = '#9ca3af';
+
+    // Colours as chosen in a colour input.
+    var COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+    // Most points plotted on a scatter chart.
+    var POINT_LIMIT = 1000;
+
+    /**
+     * Get a known chart type.
+     *
+     * @param {string} type
+     * @return {string} The type, or the default one
+     */
+    var getType = function(type) {
+        return TYPES.indexOf(type) !== -1 ? type : TYPES[0];
+    };
+
+    /**
+     * Whether a chart type has one slice per label instead of axes.
+     *
+     * @param {string} type
+     * @return {boolean}
+     */
+    var isRound = function(type) {
+        return ROUND.indexOf(type) !== -1;
+    };
+
+    /**
+     * Get a palette colour.
+     *
+     * @param {number} index Position of the series or slice
+     * @return {string} Hex colour
+     */
+    var getColor = function(index) {
+        return PALETTE[index % PALETTE.length];
+    };
+
+    /**
+     * Get the colour of a slice of a round chart.
+     *
+     * Slices after the palette's colours get hues spread around the colour
+     * wheel, so that large charts do not repeat colours.
+     *
+     * @param {number} index Position of the slice
+     * @param {number} alpha
+     * @return {string} rgba() or hsla() colour
+     */
+    var getSliceColor = function(index, alpha) {
+        if (index < PALETTE.length) {
+            return withAlpha(PALETTE[index], alpha);
+        }
+        return 'hsla(' + Math.round(index * 137.508) % 360 + ', 65%, 55%, ' + alpha + ')';
+    };
+
+    /**
+     * Format a column name for display.
+     *
+     * @param {string} name
+     * @return {string}
+     */
+    var formatName = function(name) {
+        return String(name).replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
+            return letter.toUpperCase();
+        });
+    };
+
+    /**
+     * Get a colour with some opacity.
+     *
+     * @param {string} color Hex colour
+     * @param {number} alpha
+     * @return {string} rgba() colour
+     */
+    var withAlpha = function(color, alpha) {
+        var hex = COLOR_PATTERN.test(color) ? color : PALETTE[0];
+        return 'rgba(' + [1, 3, 5].map(function(start) {
+            return parseInt(hex.substring(start, start + 2), 16);
+        }).join(', ') + ', ' + alpha + ')';
+    };
+
+    /**
+     * Shorten a label for display.
+     *
+     * @param {*} label
+     * @param {Object} options See create
+     * @return {string}
+     */
+    var formatLabel = function(label, options) {
+        if (label === null || label === undefined) {
+            return options.unknown || '';
+        }
+        var text = String(label);
+        var length = options.labelLength || 30;
+        return text.length > length ? text.substring(0, length) + '...' : text;
+    };
+
+    /**
+     * Format the start of a date bucket as a label.
+     *
+     * @param {number} time Milliseconds
+     * @param {string} bucket day, week, month, quarter or year
+     * @return {string}
+     */
+    var formatBucket = function(time, bucket) {
+        var date = new Date(time);
+        switch (bucket) {
+            case 'year':
+                return String(date.getFullYear());
+            case 'quarter':
+                return 'Q' + (Math.floor(date.getMonth() / 3) + 1) + ' ' + date.getFullYear();
+            case 'month':
+                return date.toLocaleDateString(undefined, {year: 'numeric', month: 'short'});
+            default:
+                // Weeks are labelled with their first day.
+                return date.toLocaleDateString(undefined, {year: 'numeric', month: 'short', day: 'numeric'});
+        }
+    };
+
+    /**
+     * Get the display name of a series.
+     *
+     * @param {Object} item Series
+     * @return {string}
+     */
+    var getLabel = function(item) {
+        return item.label !== undefined ? item.label : formatName(item.column);
+    };
+
+    /**
+     * Build the dataset of one series.
+     *
+     * @param {string} type Chart type
+     * @param {Object} item Series {label, column, color, axis, values} or, for scatter charts, with points
+     * @param {number} index Position of the series
+     * @return {Object} Chart.js dataset
+     */
+    var buildSeries = function(type, item, index) {
+        // Combined charts draw the first series as bars and the others as lines in front of them.
+        var line = type === 'line' || type === 'area' || type === 'radar' || (type === 'mixed' && index > 0);
+        var filled = type === 'area' || type === 'radar';
+        var color = COLOR_PATTERN.test(item.color) ? item.color : getColor(index);
+        var dataset = {
+            label: getLabel(item),
+            data: type === 'scatter' ? item.points : item.values,
+            backgroundColor: withAlpha(color, filled ? 0.3 : 0.7),
+            borderColor: withAlpha(color, 1),
+            borderWidth: line ? 2 : 1
+        };
+
+        if (line) {
+            dataset.fill = filled;
+            dataset.tension = 0.1;
+        }
+        if (type === 'mixed') {
+            dataset.type = line ? 'line' : 'bar';
+            dataset.order = line ? 0 : 1;
+        }
+        if (type === 'scatter') {
+            dataset.pointRadius = 4;
+        }
+        if (item.axis === 'y2' && type !== 'radar') {
+            // Horizontal bars measure their values along the X axis.
+            dataset[type === 'horizontalBar' ? 'xAxisID' : 'yAxisID'] = type === 'horizontalBar' ? 'x2' : 'y2';
+        }
+        return dataset;
+    };
+
+    /**
+     * Build the scales of a chart type.
+     *
+     * @param {string} type
+     * @param {Object} titles Axis titles {x, y, y2}, empty for none
+     * @param {boolean} showLabels Whether to show the labels along the axis
+     * @param {boolean} second Whether a series is on the second value axis
+     * @return {Object} Chart.js scales
+     */
+    var buildScales = function(type, titles, showLabels, second) {
+        var stacked = type === 'stackedBar';
+        var axisTitle = function(text) {
+            return {display: !!text, text: text || ''};
+        };
+        var valueAxis = function(title, position) {
+            var axis = {beginAtZero: type !== 'scatter', stacked: stacked, title: axisTitle(title)};
+            if (position) {
+                // The second axis keeps its own ticks but draws no grid lines across the chart.
+                axis.position = position;
+                axis.grid = {drawOnChartArea: false};
+            }
+            return axis;
+        };
+        var scales;
+
+        switch (type) {
+            case 'pie':
+            case 'doughnut':
+                return {};
+            case 'polarArea':
+            case 'radar':
+                return {r: {beginAtZero: true}};
+            case 'scatter':
+                scales = {x: {type: 'linear', position: 'bottom', title: axisTitle(titles.x)}, y: valueAxis(titles.y)};
+                break;
+            case 'horizontalBar':
+                scales = {x: valueAxis(titles.y), y: {display: showLabels, title: axisTitle(titles.x)}};
+                if (second) {
+                    scales.x2 = valueAxis(titles.y2, 'top');
+                }
+                return scales;
+            default:
+                scales = {x: {display: showLabels, stacked: stacked, title: axisTitle(titles.x)}, y: valueAxis(titles.y)};
+        }
+
+        if (second) {
+            scales.y2 = valueAxis(titles.y2, 'right');
+        }
+        return scales;
+    };
+
+    return /** @alias module:block_adeptus_insights/chart_types */ {
+        /**
+         * Get a known chart type, e.g. from a saved setting.
+         */
+        getType: getType,
+
+        /**
+         * Whether a chart type has one slice per label instead of axes.
+         */
+        isRound: isRound,
+
+        /**
+         * Get the palette colour of a series, e.g. for a colour input.
+         */
+        getColor: getColor,
+
+        /**
+         * Whether a chart type plots x/y points (see data_worker chart) instead of labelled values.
+         *
+         * @param {string} type
+         * @return {boolean}
+         */
+        plotsPoints: function(type) {
+            return type === 'scatter';
+        },
+
+        /**
+         * Whether a chart type can group a date X column into date buckets.
+         *
+         * @param {string} type
+         * @return {boolean}
+         */
+        plotsTime: function(type) {
+            return TIME_TYPES.indexOf(type) !== -1;
+        },
+
+        /**
+         * Get the number of labels or points to chart.
+         *
+         * @param {string} type
+         * @param {number} limit Number of labels the view charts
+         * @return {number}
+         */
+        getLimit: function(type, limit) {
+            return type === 'scatter' ? POINT_LIMIT : limit;
+        },
+
+        /**
+         * Work out the columns a chart type can plot and which ones to chart.
+         *
+         * Chosen columns are kept when the type offers them; otherwise the X
+         * axis defaults to the first column offered and the series to the last
+         * numeric column, usually the report's main value. Series without a
+         * colour get the palette colour of their column, the aggregate and date
+         * bucket default to auto, and charts keep the report's order and every
+         * label. Date buckets are offered when the type can chart them and the
+         * X column holds dates or timestamps; sorting and top labels when the
+         * chart has labels that are not date buckets.
+         *
+         * @param {string} type
+         * @param {Array} columns [{name, type, hint}] from a data_worker dataset
+         * @param {Object} axes Chosen {x, aggregate, bucket, sort, top, series}; any may be left out
+         * @return {Object} {choices, axes}: the columns offered for x and the series and whether date
+         *     buckets and sorting are offered, and the columns to chart {x, aggregate, bucket, sort, top, series}
+         */
+        getAxes: function(type, columns, axes) {
+            var names = columns.map(function(column) {
+                return column.name;
+            });
+            var numeric = columns.filter(function(column) {
+                return column.type === 'number';
+            }).map(function(column) {
+                return column.name;
+            });
+            var values = numeric.length > 0 ? numeric : names;
+            var choices = {
+                x: type === 'scatter' && numeric.length > 0 ? numeric : names,
+                y: values
+            };
+
+            axes = axes || {};
+            var x = choices.x.indexOf(axes.x) !== -1 ? axes.x : choices.x[0];
+            choices.bucket = TIME_TYPES.indexOf(type) !== -1 && columns.some(function(column) {
+                return column.name === x && (column.type === 'date' || column.hint === 'timestamp');
+            });
+
+            var bucket = BUCKETS.indexOf(axes.bucket) !== -1 ? axes.bucket : BUCKETS[0];
+            var top = parseInt(axes.top, 10);
+            choices.sort = type !== 'scatter' && !(choices.bucket && bucket !== 'none');
+
+            var series = (axes.series || []).filter(function(item) {
+                return values.indexOf(item.column) !== -1;
+            });
+            if (series.length === 0) {
+                series = [{column: values[values.length - 1]}];
+            }
+
+            return {
+                choices: choices,
+                axes: {
+                    x: x,
+                    aggregate: AGGREGATES.indexOf(axes.aggregate) !== -1 ? axes.aggregate : AGGREGATES[0],
+                    bucket: bucket,
+                    sort: SORTS.indexOf(axes.sort) !== -1 ? axes.sort : SORTS[0],
+                    top: TOPS.indexOf(top) !== -1 ? top : TOPS[0],
+                    series: series.map(function(item) {
+                        return {
+                            column: item.column,
+                            color: COLOR_PATTERN.test(item.color) ? item.color : getColor(values.indexOf(item.column)),
+                            axis: item.axis === 'y2' ? 'y2' : 'y'
+                        };
+                    })
+                }
+            };
+        },
+
+        /**
+         * Build the Chart.js configuration of a chart.
+         *
+         * Round types chart the first series, one colour per label, the label
+         * holding the rest of the labels being grey. Scatter
+         * charts take points instead of labels and values. Scatter charts and
+         * charts with a second value axis title their axes with the columns
+         * plotted.
+         *
+         * @param {string} type Chart type
+         * @param {Object} data {x, labels, bucket, other, series}: the label column, the labels (date
+         *     bucket starts in milliseconds when bucket is set), whether the last label holds the rest
+         *     and each series as {label, column, color, axis, values}, or with points for scatter charts;
+         *     label defaults to the column name and color to the palette
+         * @param {Object} options
+         * @param {string} options.title Chart title (optional)
+         * @param {boolean} options.axisTitles Whether to title the value axes (optional)
+         * @param {boolean} options.showLabels Whether to show the labels along the axis (default true)
+         * @param {number} options.labelLength Maximum label length before it is cut (default 30)
+         * @param {string} options.unknown Label for empty values
+         * @return {Object}
+         */
+        create: function(type, data, options) {
+            type = getType(type);
+            var round = isRound(type);
+            var series = round ? data.series.slice(0, 1) : data.series;
+            var datasets = series.map(function(item, index) {
+                if (round) {
+                    return {
+                        label: getLabel(item),
+                        data: item.values,
+                        backgroundColor: item.values.map(function(value, slice) {
+                            return data.other && slice === item.values.length - 1 ?
+                                withAlpha(OTHER_COLOR, 0.7) : getSliceColor(slice, 0.7);
+                        }),
+                        borderColor: '#fff',
+                        borderWidth: 2
+                    };
+                }
+                return buildSeries(type, item, index);
+            });
+
+            var second = !round && type !== 'radar' && series.some(function(item) {
+                return item.axis === 'y2';
+            });
+            var titled = options.axisTitles || second || type === 'scatter';
+            var titleOf = function(axis) {
+                return series.filter(function(item) {
+                    return (item.axis === 'y2' ? 'y2' : 'y') === axis;
+                }).map(getLabel).join(', ');
+            };
+            var titles = {
+                x: type === 'scatter' && data.x ? formatName(data.x) : '',
+                y: titled ? titleOf('y') : '',
+                y2: titled ? titleOf('y2') : ''
+            };
+
+            var config = {
+                type: CHARTJS_TYPES[type] || type,
+                data: {datasets: datasets},
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            display: round || datasets.length > 1,
+                            position: round ? 'right' : 'bottom'
+                        }
+                    },
+                    scales: buildScales(type, titles, options.showLabels !== false, second)
+                }
+            };
+
+            if (type !== 'scatter') {
+                config.data.labels = (data.labels || []).map(function(label) {
+                    return data.bucket ? formatBucket(label, data.bucket) : formatLabel(label, options);
+                });
+            }
+            if (type === 'horizontalBar') {
+                config.options.indexAxis = 'y';
+            }
+            if (options.title) {
+                config.options.plugins.title = {
+                    display: true,
+                    text: options.title,
+                    font: {size: 14, weight: 'bold'},
+                    padding: {top: 10, bottom: 20}
+                };
+            }
+            return config;
+        },
+
+        /**
+         * Format a column name for display, e.g. as an axis title.
+         *
+         * @param {string} name
+         * @return {string}
+         */
+        formatName: formatName
+    };
+});
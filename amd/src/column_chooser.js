@@ -0,0 +1,263 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Column menu for report tables.
+ *
+ * Lists the table's columns with a checkbox to show or hide each one. Columns
+ * are reordered by dragging, or with the move up/down buttons from the
+ * keyboard. The layout is {order, hidden}: every column name in display order
+ * and the names of the hidden ones.
+ *
+ * @module     block_adeptus_insights/column_chooser
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/str'], function($, Str) {
+    'use strict';
+
+    var stringsPromise = null;
+    var menuCount = 0;
+
+    /**
+     * Load the menu's language strings once.
+     *
+     * @return {Promise} Resolves with the strings keyed by name
+     */
+    var loadStrings = function() {
+        if (stringsPromise) {
+            return stringsPromise;
+        }
+
+        var stringKeys = [
+            {key: 'column_chooser', component: 'block_adeptus_insights'},
+            {key: 'column_moveup', component: 'block_adeptus_insights'},
+            {key: 'column_movedown', component: 'block_adeptus_insights'},
+            {key: 'column_reset', component: 'block_adeptus_insights'}
+        ];
+
+        stringsPromise = Str.get_strings(stringKeys).then(function(strings) {
+            return {
+                columns: strings[0],
+                moveUp: strings[1],
+                moveDown: strings[2],
+                reset: strings[3]
+            };
+        }).catch(function() {
+            // Fallback to English if string loading fails.
+            return {
+                columns: 'Columns',
+                moveUp: 'Move {$a} up',
+                moveDown: 'Move {$a} down',
+                reset: 'Reset columns'
+            };
+        });
+
+        return stringsPromise;
+    };
+
+    /**
+     * Format a column name for display.
+     *
+     * @param {string} name
+     * @return {string}
+     */
+    var formatName = function(name) {
+        return name.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
+            return letter.toUpperCase();
+        });
+    };
+
+    /**
+     * Build the list item for one column.
+     *
+     * @param {string} name Column name
+     * @param {boolean} visible
+     * @param {string} menuId Menu element ID, used for unique checkbox IDs
+     * @param {number} index Column position
+     * @param {Object} strings Language strings
+     * @return {jQuery}
+     */
+    var buildItem = function(name, visible, menuId, index, strings) {
+        var label = formatName(name);
+        var checkboxId = menuId + '-' + index;
+        var moveButton = function(className, icon, text) {
+            return $('<button>')
+                .attr('type', 'button')
+                .attr('aria-label', text.replace('{$a}', label))
+                .attr('title', text.replace('{$a}', label))
+                .addClass('btn btn-sm btn-link ' + className)
+                .append($('<i>').addClass('fa ' + icon).attr('aria-hidden', 'true'));
+        };
+
+        return $('<li>')
+            .addClass('block-adeptus-column-item')
+            .attr('draggable', 'true')
+            .attr('data-column', name)
+            .append($('<i>').addClass('fa fa-bars block-adeptus-column-handle').attr('aria-hidden', 'true'))
+            .append($('<input>')
+                .attr('type', 'checkbox')
+                .attr('id', checkboxId)
+                .addClass('form-check-input')
+                .prop('checked', visible))
+            .append($('<label>').attr('for', checkboxId).addClass('block-adeptus-column-label').text(label))
+            .append(moveButton('block-adeptus-column-up', 'fa-arrow-up', strings.moveUp))
+            .append(moveButton('block-adeptus-column-down', 'fa-arrow-down', strings.moveDown));
+    };
+
+    /**
+     * Read the layout from the list.
+     *
+     * @param {jQuery} $list
+     * @return {Object} {order, hidden}
+     */
+    var readLayout = function($list) {
+        var layout = {order: [], hidden: []};
+
+        $list.children('.block-adeptus-column-item').each(function() {
+            var name = $(this).attr('data-column');
+            layout.order.push(name);
+            if (!$(this).find('input[type="checkbox"]').prop('checked')) {
+                layout.hidden.push(name);
+            }
+        });
+
+        return layout;
+    };
+
+    /**
+     * Stop the last visible column from being hidden.
+     *
+     * @param {jQuery} $list
+     */
+    var protectLastColumn = function($list) {
+        var $checked = $list.find('input[type="checkbox"]:checked');
+        $list.find('input[type="checkbox"]').prop('disabled', false);
+        if ($checked.length === 1) {
+            $checked.prop('disabled', true);
+        }
+    };
+
+    return /** @alias module:block_adeptus_insights/column_chooser */ {
+        /**
+         * Render the column menu, replacing any previous content.
+         *
+         * @param {jQuery} $container Container element
+         * @param {Object} options
+         * @param {Array} options.columns Every column name, in the current display order
+         * @param {Array} options.hidden Names of the hidden columns
+         * @param {Function} options.onChange Receives the new layout {order, hidden}, or null after a reset
+         * @return {Promise}
+         */
+        render: function($container, options) {
+            return loadStrings().then(function(strings) {
+                var menuId = 'block-adeptus-column-chooser-' + (++menuCount);
+                var $list = $('<ul>').addClass('block-adeptus-column-list list-unstyled mb-0');
+                var $dragged = null;
+
+                options.columns.forEach(function(name, index) {
+                    $list.append(buildItem(name, options.hidden.indexOf(name) === -1, menuId, index, strings));
+                });
+                protectLastColumn($list);
+
+                var $menu = $('<div>')
+                    .attr('id', menuId)
+                    .addClass('block-adeptus-column-menu d-none')
+                    .append($list)
+                    .append($('<button>')
+                        .attr('type', 'button')
+                        .addClass('btn btn-sm btn-link block-adeptus-column-reset')
+                        .text(strings.reset));
+
+                $container.empty().append(
+                    $('<button>')
+                        .attr('type', 'button')
+                        .attr('aria-expanded', 'false')
+                        .attr('aria-controls', menuId)
+                        .addClass('btn btn-sm btn-outline-secondary block-adeptus-column-toggle')
+                        .append($('<i>').addClass('fa fa-columns').attr('aria-hidden', 'true'))
+                        .append(' ' + strings.columns),
+                    $menu
+                );
+
+                var changed = function() {
+                    protectLastColumn($list);
+                    options.onChange(readLayout($list));
+                };
+
+                $container.off('.columnchooser');
+                $container.on('click.columnchooser', '.block-adeptus-column-toggle', function() {
+                    var expanded = $(this).attr('aria-expanded') === 'true';
+                    $(this).attr('aria-expanded', expanded ? 'false' : 'true');
+                    $menu.toggleClass('d-none', expanded);
+                });
+                $container.on('change.columnchooser', 'input[type="checkbox"]', changed);
+                $container.on('click.columnchooser', '.block-adeptus-column-up, .block-adeptus-column-down', function() {
+                    var $button = $(this);
+                    var $item = $button.closest('.block-adeptus-column-item');
+                    var up = $button.hasClass('block-adeptus-column-up');
+                    var $sibling = up ? $item.prev() : $item.next();
+                    if (!$sibling.length) {
+                        return;
+                    }
+                    if (up) {
+                        $item.insertBefore($sibling);
+                    } else {
+                        $item.insertAfter($sibling);
+                    }
+                    // Keep the focus on the moved column so it can be moved again.
+                    $button.trigger('focus');
+                    changed();
+                });
+                $container.on('click.columnchooser', '.block-adeptus-column-reset', function() {
+                    options.onChange(null);
+                });
+
+                // Drag and drop reordering.
+                $container.on('dragstart.columnchooser', '.block-adeptus-column-item', function(e) {
+                    $dragged = $(this).addClass('block-adeptus-column-dragging');
+                    e.originalEvent.dataTransfer.effectAllowed = 'move';
+                    e.originalEvent.dataTransfer.setData('text/plain', $dragged.attr('data-column'));
+                });
+                $container.on('dragover.columnchooser', '.block-adeptus-column-item', function(e) {
+                    if (!$dragged || this === $dragged[0]) {
+                        return;
+                    }
+                    e.preventDefault();
+                    var rect = this.getBoundingClientRect();
+                    if (e.originalEvent.clientY < rect.top + rect.height / 2) {
+                        $dragged.insertBefore(this);
+                    } else {
+                        $dragged.insertAfter(this);
+                    }
+                });
+                $container.on('drop.columnchooser', '.block-adeptus-column-item', function(e) {
+                    e.preventDefault();
+                });
+                $container.on('dragend.columnchooser', '.block-adeptus-column-item', function() {
+                    if ($dragged) {
+                        $dragged.removeClass('block-adeptus-column-dragging');
+                        $dragged = null;
+                        changed();
+                    }
+                });
+
+                $container.removeClass('d-none');
+                return $container;
+            });
+        }
+    };
+});
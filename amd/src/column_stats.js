@@ -0,0 +1,322 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Column aggregates and statistics for report tables.
+ *
+ * The footer row shows an aggregate (sum, average, min, max or count) under
+ * each numeric column, chosen per column. The statistics popover opened from
+ * a column header shows its distinct and empty values and, for numeric
+ * columns, its range and a small histogram. Both take the statistics from
+ * block_adeptus_insights/data_worker stats.
+ *
+ * @module     block_adeptus_insights/column_stats
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/str'], function($, Str) {
+    'use strict';
+
+    // Aggregates offered in the footer, the first being the default.
+    var AGGREGATES = ['sum', 'avg', 'min', 'max', 'count'];
+
+    // Number of histogram bars in the popover.
+    var BINS = 10;
+
+    var stringsPromise = null;
+    var $popover = null;
+
+    /**
+     * Load the language strings once.
+     *
+     * @return {Promise} Resolves with the strings keyed by name
+     */
+    var loadStrings = function() {
+        if (stringsPromise) {
+            return stringsPromise;
+        }
+
+        var stringKeys = [
+            {key: 'aggregate_sum', component: 'block_adeptus_insights'},
+            {key: 'aggregate_avg', component: 'block_adeptus_insights'},
+            {key: 'aggregate_min', component: 'block_adeptus_insights'},
+            {key: 'aggregate_max', component: 'block_adeptus_insights'},
+            {key: 'aggregate_count', component: 'block_adeptus_insights'},
+            {key: 'column_aggregate', component: 'block_adeptus_insights'},
+            {key: 'column_stats_distinct', component: 'block_adeptus_insights'},
+            {key: 'column_stats_empty', component: 'block_adeptus_insights'},
+            {key: 'column_stats_range', component: 'block_adeptus_insights'},
+            {key: 'column_stats_histogram', component: 'block_adeptus_insights'},
+            {key: 'closebuttontitle', component: 'core'}
+        ];
+
+        stringsPromise = Str.get_strings(stringKeys).then(function(strings) {
+            return {
+                sum: strings[0],
+                avg: strings[1],
+                min: strings[2],
+                max: strings[3],
+                count: strings[4],
+                aggregate: strings[5],
+                distinct: strings[6],
+                empty: strings[7],
+                range: strings[8],
+                histogram: strings[9],
+                close: strings[10]
+            };
+        }).catch(function() {
+            // Fallback to English if string loading fails.
+            return {
+                sum: 'Sum',
+                avg: 'Average',
+                min: 'Min',
+                max: 'Max',
+                count: 'Count',
+                aggregate: 'Total for {$a}',
+                distinct: 'Distinct values',
+                empty: 'Empty values',
+                range: 'Range',
+                histogram: 'Distribution',
+                close: 'Close'
+            };
+        });
+
+        return stringsPromise;
+    };
+
+    /**
+     * Format a statistic for display.
+     *
+     * @param {number|null} value
+     * @return {string}
+     */
+    var formatNumber = function(value) {
+        if (value === null || value === undefined) {
+            return '-';
+        }
+        return (Math.round(value * 100) / 100).toLocaleString();
+    };
+
+    /**
+     * Format a column name for display.
+     *
+     * @param {string} name
+     * @return {string}
+     */
+    var formatName = function(name) {
+        return name.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
+            return letter.toUpperCase();
+        });
+    };
+
+    /**
+     * Close the open statistics popover.
+     */
+    var closePopover = function() {
+        if (!$popover) {
+            return;
+        }
+        var $button = $popover.data('button');
+        $popover.remove();
+        $popover = null;
+        $(document).off('.columnstats');
+        if ($button) {
+            $button.attr('aria-expanded', 'false');
+        }
+    };
+
+    /**
+     * Build the histogram of a numeric column.
+     *
+     * @param {Object} stats The column's statistics
+     * @param {Object} strings Language strings
+     * @return {jQuery}
+     */
+    var buildHistogram = function(stats, strings) {
+        var highest = Math.max.apply(null, stats.histogram);
+        var width = (stats.max - stats.min) / stats.histogram.length;
+        var $bars = $('<div>').addClass('block-adeptus-column-histogram').attr('role', 'list');
+
+        stats.histogram.forEach(function(count, index) {
+            var from = stats.min + width * index;
+            var label = formatNumber(from) + ' - ' + formatNumber(from + width) + ': ' + count;
+            $bars.append($('<span>')
+                .addClass('block-adeptus-column-histogram-bar')
+                .attr('role', 'listitem')
+                .attr('title', label)
+                .attr('aria-label', label)
+                .css('height', (highest ? Math.max(2, Math.round(count / highest * 100)) : 0) + '%'));
+        });
+
+        return $('<div>')
+            .append($('<div>').addClass('small text-muted mb-1').text(strings.histogram))
+            .append($bars);
+    };
+
+    return /** @alias module:block_adeptus_insights/column_stats */ {
+        /**
+         * Get the aggregate shown under a column.
+         *
+         * @param {Object} aggregates Aggregate keyed by column name
+         * @param {string} column
+         * @return {string}
+         */
+        getAggregate: function(aggregates, column) {
+            var aggregate = (aggregates || {})[column];
+            return AGGREGATES.indexOf(aggregate) !== -1 ? aggregate : AGGREGATES[0];
+        },
+
+        /**
+         * Get the stats options for the popover.
+         *
+         * @param {string} column
+         * @return {Object} {columns, bins}
+         */
+        getPopoverOptions: function(column) {
+            return {columns: [column], bins: BINS};
+        },
+
+        /**
+         * Render the aggregate footer row, replacing any previous content.
+         *
+         * @param {jQuery} $tfoot Table footer
+         * @param {Object} options
+         * @param {Array} options.headers Columns shown
+         * @param {Array} options.numeric Names of the numeric columns
+         * @param {Object} options.aggregates Aggregate chosen per column
+         * @param {Object} options.stats Statistics of the numeric columns, keyed by name
+         * @param {Function} options.onChange Called with (column, aggregate) when an aggregate is chosen
+         * @return {Promise}
+         */
+        renderFooter: function($tfoot, options) {
+            var self = this;
+
+            return loadStrings().then(function(strings) {
+                var $row = $('<tr>').addClass('block-adeptus-table-footer');
+
+                options.headers.forEach(function(column) {
+                    var $cell = $('<td>');
+                    var stats = options.stats[column];
+                    if (options.numeric.indexOf(column) === -1 || !stats) {
+                        $row.append($cell);
+                        return;
+                    }
+
+                    var aggregate = self.getAggregate(options.aggregates, column);
+                    var $select = $('<select>')
+                        .addClass('form-select form-select-sm block-adeptus-footer-aggregate')
+                        .attr('data-column', column)
+                        .attr('aria-label', strings.aggregate.replace('{$a}', formatName(column)));
+                    AGGREGATES.forEach(function(key) {
+                        $select.append($('<option>').val(key).text(strings[key]));
+                    });
+                    $select.val(aggregate);
+
+                    $row.append($cell.append(
+                        $select,
+                        $('<span>').addClass('block-adeptus-footer-value').text(formatNumber(stats[aggregate]))
+                    ));
+                });
+
+                $tfoot.empty().append($row);
+                $tfoot.off('.columnstats').on('change.columnstats', '.block-adeptus-footer-aggregate', function() {
+                    var column = $(this).attr('data-column');
+                    var aggregate = $(this).val();
+                    var stats = options.stats[column];
+                    $(this).siblings('.block-adeptus-footer-value').text(formatNumber(stats ? stats[aggregate] : null));
+                    options.onChange(column, aggregate);
+                });
+
+                return $tfoot;
+            });
+        },
+
+        /**
+         * Open the statistics popover for a column, or close it when it is already open.
+         *
+         * @param {jQuery} $button Header button the popover belongs to
+         * @param {Object} options
+         * @param {string} options.column Column name
+         * @param {boolean} options.numeric Whether the column is numeric
+         * @param {Object} options.stats The column's statistics (see getPopoverOptions)
+         * @return {Promise}
+         */
+        showPopover: function($button, options) {
+            var reopen = !$popover || $popover.data('button')[0] !== $button[0];
+
+            closePopover();
+            if (!reopen) {
+                return Promise.resolve();
+            }
+
+            return loadStrings().then(function(strings) {
+                var stats = options.stats;
+                var $list = $('<dl>').addClass('block-adeptus-column-stats-list mb-2');
+                var add = function(label, value) {
+                    $list.append($('<dt>').text(label), $('<dd>').text(value));
+                };
+
+                add(strings.distinct, formatNumber(stats.distinct));
+                add(strings.empty, formatNumber(stats.nulls));
+                if (options.numeric && stats.count) {
+                    add(strings.range, formatNumber(stats.min) + ' - ' + formatNumber(stats.max));
+                    add(strings.avg, formatNumber(stats.avg));
+                }
+
+                $popover = $('<div>')
+                    .addClass('block-adeptus-column-stats popover bs-popover-bottom')
+                    .attr('role', 'dialog')
+                    .attr('aria-label', formatName(options.column))
+                    .data('button', $button)
+                    .append($('<div>').addClass('popover-header d-flex justify-content-between align-items-center')
+                        .append($('<span>').text(formatName(options.column)))
+                        .append($('<button>')
+                            .attr('type', 'button')
+                            .addClass('btn btn-sm btn-link p-0 block-adeptus-column-stats-close')
+                            .attr('aria-label', strings.close)
+                            .append($('<i>').addClass('fa fa-times').attr('aria-hidden', 'true'))))
+                    .append($('<div>').addClass('popover-body')
+                        .append($list)
+                        .append(options.numeric && stats.histogram.length ? buildHistogram(stats, strings) : null));
+
+                var offset = $button.offset();
+                $popover.css({top: offset.top + $button.outerHeight() + 4, left: offset.left}).appendTo(document.body);
+                $button.attr('aria-expanded', 'true');
+
+                $(document).on('click.columnstats', function(e) {
+                    if ($(e.target).closest('.block-adeptus-column-stats-close').length ||
+                            (!$(e.target).closest('.block-adeptus-column-stats').length &&
+                            !$(e.target).closest($button).length)) {
+                        closePopover();
+                    }
+                });
+                $(document).on('keydown.columnstats', function(e) {
+                    if (e.key === 'Escape') {
+                        closePopover();
+                        $button.trigger('focus');
+                    }
+                });
+
+                return $popover;
+            });
+        },
+
+        /**
+         * Close the statistics popover, e.g. when its table is rendered again.
+         */
+        closePopover: closePopover
+    };
+});
@@ -0,0 +1,1142 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Background processing of report results.
+ *
+ * Column type inference, chart and KPI aggregation, sorting, filtering and
+ * page slicing run in a dedicated Web Worker so that large results do not
+ * block the page. Results are sent to the worker once, as a dataset, and each
+ * operation is a message that resolves a promise.
+ *
+ * The worker is built from this module's own source, so it needs no extra
+ * file. Small results, and browsers where a worker cannot be started (e.g.
+ * a Content Security Policy without blob: workers), are processed on the
+ * main thread with the same code.
+ *
+ * @module     block_adeptus_insights/data_worker
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function() {
+    'use strict';
+
+    // Results up to this many rows are processed on the main thread.
+    var INLINE_LIMIT = 2000;
+
+    /**
+     * Create the data operations.
+     *
+     * This function is also serialised into the worker, so it must not use
+     * anything from the surrounding module.
+     *
+     * Every operation receives a dataset ({rows}) that it may use to keep
+     * derived data between calls, and an options object.
+     *
+     * @return {Object} Operations keyed by name
+     */
+    var createOperations = function() {
+        var DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+        var URL_PATTERN = /^https?:\/\/\S+$/i;
+
+        // Range of Unix timestamps (1973 to 2100) for the timestamp hint.
+        var TIMESTAMP_MIN = 100000000;
+        var TIMESTAMP_MAX = 4102444800;
+
+        var isEmpty = function(value) {
+            return value === null || value === undefined || value === '';
+        };
+
+        var isNumber = function(value) {
+            return !isNaN(parseFloat(value)) && isFinite(value);
+        };
+
+        var parseDate = function(value) {
+            if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+                return NaN;
+            }
+            return Date.parse(value.replace(' ', 'T'));
+        };
+
+        /**
+         * Infer the type of every column (number, date, boolean or string).
+         *
+         * A column has a type when all its non-empty values have it; columns
+         * with no values at all are strings. Some columns also get a hint about
+         * what their values look like: timestamp (whole numbers in the range of
+         * Unix timestamps, or 0), fraction (numbers from 0 to 1, not all whole)
+         * or url (http and https addresses).
+         *
+         * @param {Object} dataset
+         * @return {Array} [{name, type, hint}] in column order, hint being null when there is none
+         */
+        var columns = function(dataset) {
+            if (dataset.columns) {
+                return dataset.columns;
+            }
+
+            var rows = dataset.rows;
+            var names = rows.length ? Object.keys(rows[0]) : [];
+
+            dataset.columns = names.map(function(name) {
+                var number = true;
+                var date = true;
+                var bool = true;
+                var url = true;
+                var timestamp = true;
+                var fraction = true;
+                var whole = true;
+                var present = false;
+
+                for (var i = 0; i < rows.length && (number || date || bool || url); i++) {
+                    var value = rows[i][name];
+                    if (isEmpty(value)) {
+                        continue;
+                    }
+                    present = true;
+                    number = number && isNumber(value);
+                    date = date && !isNaN(parseDate(value));
+                    bool = bool && typeof value === 'boolean';
+                    url = url && typeof value === 'string' && URL_PATTERN.test(value);
+                    if (number) {
+                        var parsed = parseFloat(value);
+                        var integer = Math.floor(parsed) === parsed;
+                        timestamp = timestamp && integer && (parsed === 0 || (parsed >= TIMESTAMP_MIN && parsed <= TIMESTAMP_MAX));
+                        fraction = fraction && parsed >= 0 && parsed <= 1;
+                        whole = whole && integer;
+                    }
+                }
+
+                var type = 'string';
+                var hint = null;
+                if (present && number) {
+                    type = 'number';
+                    if (fraction && !whole) {
+                        hint = 'fraction';
+                    } else if (timestamp && !fraction) {
+                        hint = 'timestamp';
+                    }
+                } else if (present && date) {
+                    type = 'date';
+                } else if (present && bool) {
+                    type = 'boolean';
+                } else if (present && url) {
+                    hint = 'url';
+                }
+                return {name: name, type: type, hint: hint};
+            });
+
+            return dataset.columns;
+        };
+
+        /**
+         * Convert a cell to a value that compares correctly for its column type.
+         *
+         * @param {*} value Cell value
+         * @param {string} type Column type
+         * @return {number|string|null} Null for empty cells
+         */
+        var comparable = function(value, type) {
+            if (isEmpty(value)) {
+                return null;
+            }
+            switch (type) {
+                case 'number':
+                    return parseFloat(value);
+                case 'date':
+                    return parseDate(value);
+                case 'boolean':
+                    return value ? 1 : 0;
+                default:
+                    return String(value).toLowerCase();
+            }
+        };
+
+        /**
+         * Whether a row passes a column filter.
+         *
+         * Filters are {column, operator, value, to}: contains and equals compare
+         * text (equals compares numbers for numeric columns), between keeps
+         * values from value to to inclusive (numbers, or Unix timestamps in
+         * milliseconds for date columns); either bound may be left out.
+         *
+         * @param {Object} row
+         * @param {Object} filter
+         * @param {string} type Column type
+         * @return {boolean}
+         */
+        var matches = function(row, filter, type) {
+            var value = row[filter.column];
+
+            switch (filter.operator) {
+                case 'between':
+                    var number = comparable(value, type === 'date' ? 'date' : 'number');
+                    if (number === null || isNaN(number)) {
+                        return false;
+                    }
+                    return (isEmpty(filter.value) || number >= filter.value) &&
+                        (isEmpty(filter.to) || number <= filter.to);
+                case 'equals':
+                    if (type === 'number') {
+                        return !isEmpty(value) && parseFloat(value) === parseFloat(filter.value);
+                    }
+                    return String(isEmpty(value) ? '' : value).toLowerCase() === String(filter.value).toLowerCase();
+                default:
+                    return String(isEmpty(value) ? '' : value).toLowerCase()
+                        .indexOf(String(filter.value).toLowerCase()) !== -1;
+            }
+        };
+
+        /**
+         * Get the row order for a search, filters and sort, reusing the last one when unchanged.
+         *
+         * @param {Object} dataset
+         * @param {Object} options
+         * @param {string} options.search Text any cell must contain (optional)
+         * @param {Array} options.filters Column filters (optional, see matches)
+         * @param {Object} options.sort {column, direction} with direction asc or desc (optional)
+         * @return {Array} Row indexes
+         */
+        var order = function(dataset, options) {
+            var rows = dataset.rows;
+            var search = String(options.search || '').toLowerCase();
+            var filters = (options.filters || []).filter(function(filter) {
+                return filter.operator === 'between' ?
+                    !isEmpty(filter.value) || !isEmpty(filter.to) :
+                    !isEmpty(filter.value);
+            });
+            var sort = options.sort && options.sort.column && options.sort.direction ? options.sort : null;
+            var key = JSON.stringify([search, filters, sort]);
+
+            if (dataset.view && dataset.view.key === key) {
+                return dataset.view.order;
+            }
+
+            var types = {};
+            columns(dataset).forEach(function(column) {
+                types[column.name] = column.type;
+            });
+
+            var indexes = [];
+            rows.forEach(function(row, index) {
+                var keep = filters.every(function(filter) {
+                    return matches(row, filter, types[filter.column]);
+                });
+                if (keep && search) {
+                    keep = Object.keys(row).some(function(name) {
+                        return !isEmpty(row[name]) && String(row[name]).toLowerCase().indexOf(search) !== -1;
+                    });
+                }
+                if (keep) {
+                    indexes.push(index);
+                }
+            });
+
+            if (sort) {
+                var type = types[sort.column] || 'string';
+                var direction = sort.direction === 'desc' ? -1 : 1;
+                var values = {};
+                indexes.forEach(function(index) {
+                    values[index] = comparable(rows[index][sort.column], type);
+                });
+                indexes.sort(function(a, b) {
+                    var left = values[a];
+                    var right = values[b];
+                    // Ties keep the original order and empty cells go last in either direction.
+                    if (left === right) {
+                        return a - b;
+                    }
+                    if (left === null) {
+                        return 1;
+                    }
+                    if (right === null) {
+                        return -1;
+                    }
+                    return (left < right ? -1 : 1) * direction;
+                });
+            }
+
+            dataset.view = {key: key, order: indexes};
+            return indexes;
+        };
+
+        /**
+         * Get a page of rows after searching, filtering and sorting.
+         *
+         * @param {Object} dataset
+         * @param {Object} options See order, plus offset and limit
+         * @return {Object} {rows, total, offset}
+         */
+        var query = function(dataset, options) {
+            var indexes = order(dataset, options);
+            var offset = Math.max(0, options.offset || 0);
+            var limit = options.limit || indexes.length;
+
+            return {
+                rows: indexes.slice(offset, offset + limit).map(function(index) {
+                    return dataset.rows[index];
+                }),
+                total: indexes.length,
+                offset: offset
+            };
+        };
+
+        /**
+         * Get the time of a date or Unix timestamp cell, for grouping dates.
+         *
+         * Dates without a time are taken as local midnight rather than UTC, so
+         * that they stay on their own day.
+         *
+         * @param {*} value Cell value
+         * @param {Object} column {type, hint} of its column
+         * @return {number} Milliseconds, NaN when the cell is not a date
+         */
+        var toTime = function(value, column) {
+            if (isEmpty(value)) {
+                return NaN;
+            }
+            if (column.type === 'number') {
+                return parseFloat(value) * 1000;
+            }
+            var text = String(value);
+            return parseDate(text.length === 10 ? text + ' 00:00:00' : text);
+        };
+
+        /**
+         * Get the start of the date bucket (day, week, month, quarter or year) a time is in.
+         *
+         * Weeks start on Monday. Buckets are in local time.
+         *
+         * @param {number} time Milliseconds
+         * @param {string} bucket
+         * @param {number} step Buckets to move on from there, e.g. 1 for the next one
+         * @return {number} Milliseconds
+         */
+        var bucketStart = function(time, bucket, step) {
+            var date = new Date(time);
+            var year = date.getFullYear();
+            var month = date.getMonth();
+            var day = date.getDate();
+
+            switch (bucket) {
+                case 'year':
+                    return new Date(year + step, 0, 1).getTime();
+                case 'quarter':
+                    return new Date(year, month - month % 3 + step * 3, 1).getTime();
+                case 'month':
+                    return new Date(year, month + step, 1).getTime();
+                case 'week':
+                    return new Date(year, month, day - (date.getDay() + 6) % 7 + step * 7).getTime();
+                default:
+                    return new Date(year, month, day + step).getTime();
+            }
+        };
+
+        /**
+         * Start a group of chart rows.
+         *
+         * @param {*} label
+         * @return {Object}
+         */
+        var createGroup = function(label) {
+            return {label: label, sum: 0, count: 0, numbers: 0, min: null, max: null, distinct: {}, distinctCount: 0};
+        };
+
+        /**
+         * Add a row's value to a group of chart rows.
+         *
+         * @param {Object} group
+         * @param {*} raw Cell value
+         */
+        var addToGroup = function(group, raw) {
+            var value = parseFloat(raw);
+
+            group.count++;
+            if (!isEmpty(raw) && !group.distinct[String(raw)]) {
+                group.distinct[String(raw)] = true;
+                group.distinctCount++;
+            }
+            if (!isNaN(value)) {
+                group.numbers++;
+                group.sum += value;
+                group.min = group.min === null ? value : Math.min(group.min, value);
+                group.max = group.max === null ? value : Math.max(group.max, value);
+            }
+        };
+
+        /**
+         * Add the rows of one group of chart rows to another.
+         *
+         * @param {Object} group
+         * @param {Object} rows Group to add
+         */
+        var mergeGroup = function(group, rows) {
+            group.count += rows.count;
+            group.numbers += rows.numbers;
+            group.sum += rows.sum;
+            if (rows.min !== null) {
+                group.min = group.min === null ? rows.min : Math.min(group.min, rows.min);
+                group.max = group.max === null ? rows.max : Math.max(group.max, rows.max);
+            }
+            Object.keys(rows.distinct).forEach(function(value) {
+                if (!group.distinct[value]) {
+                    group.distinct[value] = true;
+                    group.distinctCount++;
+                }
+            });
+        };
+
+        /**
+         * Get the aggregated value of a group of chart rows.
+         *
+         * @param {Object} group
+         * @param {string} aggregate
+         * @return {number}
+         */
+        var groupValue = function(group, aggregate) {
+            switch (aggregate) {
+                case 'count':
+                    return group.count;
+                case 'distinct':
+                    return group.distinctCount;
+                case 'avg':
+                    return group.numbers ? group.sum / group.numbers : 0;
+                case 'min':
+                    return group.min || 0;
+                case 'max':
+                    return group.max || 0;
+                default:
+                    return group.sum;
+            }
+        };
+
+        /**
+         * Chart rows grouped into date buckets, in time order.
+         *
+         * Buckets without rows are filled in with zero so that the chart keeps
+         * a regular time scale. The auto bucket is picked from the range of
+         * dates: days up to a month, weeks up to half a year, months up to
+         * three years, quarters up to ten years and years beyond that. The
+         * most recent buckets are kept when there are more than the limit.
+         *
+         * @param {Object} dataset
+         * @param {Object} options See chart
+         * @param {Array} indexes Rows to chart
+         * @param {Object} column {type, hint} of the X column
+         * @param {boolean} numeric Whether the Y column is numeric
+         * @return {Object} {labels, values, total, aggregate, bucket, other}, the labels being bucket starts in
+         *     milliseconds and other false
+         */
+        var timeChart = function(dataset, options, indexes, column, numeric) {
+            var rows = dataset.rows;
+            var aggregate = options.aggregate && options.aggregate !== 'auto' && options.aggregate !== 'none' ?
+                options.aggregate : (numeric ? 'sum' : 'count');
+            var times = [];
+            var first = Infinity;
+            var last = -Infinity;
+
+            indexes.forEach(function(index) {
+                var time = toTime(rows[index][options.x], column);
+                if (!isNaN(time)) {
+                    times.push({time: time, index: index});
+                    first = Math.min(first, time);
+                    last = Math.max(last, time);
+                }
+            });
+            if (times.length === 0) {
+                return {labels: [], values: [], total: 0, aggregate: aggregate, bucket: options.bucket, other: false};
+            }
+
+            var bucket = options.bucket;
+            if (bucket === 'auto') {
+                var days = (last - first) / 86400000;
+                bucket = days <= 31 ? 'day' : days <= 183 ? 'week' : days <= 1096 ? 'month' : days <= 3653 ? 'quarter' : 'year';
+            }
+
+            var groups = {};
+            times.forEach(function(item) {
+                var start = bucketStart(item.time, bucket, 0);
+                groups[start] = groups[start] || createGroup(start);
+                addToGroup(groups[start], rows[item.index][options.y]);
+            });
+
+            var labels = [];
+            var end = bucketStart(last, bucket, 0);
+            for (var start = bucketStart(first, bucket, 0); start <= end; start = bucketStart(start, bucket, 1)) {
+                labels.push(start);
+            }
+            var total = labels.length;
+            labels = labels.slice(Math.max(0, total - (options.limit || total)));
+
+            return {
+                labels: labels,
+                values: labels.map(function(start) {
+                    return groups[start] ? groupValue(groups[start], aggregate) : 0;
+                }),
+                total: total,
+                aggregate: aggregate,
+                bucket: bucket,
+                other: false
+            };
+        };
+
+        /**
+         * Get chart labels and values.
+         *
+         * Without an aggregate the first rows are charted as they are. With one
+         * (sum, avg, count, min, max or distinct) rows are grouped by their label
+         * first. The auto aggregate groups rows only when a label repeats: it sums
+         * numeric values and counts rows otherwise. With a bucket (auto, day,
+         * week, month, quarter or year) and a date or timestamp X column, rows
+         * are grouped by date instead (see timeChart). With the points option the
+         * rows are x/y pairs for a scatter chart instead, leaving out rows where
+         * either value is not a number.
+         *
+         * Other labels can be sorted by value (asc or desc) and cut to the top
+         * ones, which then replace the limit; the rest are grouped into one more
+         * label, named by the other option. Both rank labels by the values of
+         * sortBy (default y). Date buckets are never sorted or cut.
+         *
+         * @param {Object} dataset
+         * @param {Object} options See order, plus x, y, limit, aggregate, bucket, sort, top, sortBy, other and points
+         * @return {Object} {labels, values, total, aggregate, bucket, other} where total counts every label
+         *     before the limit, aggregate and bucket are the ones applied (bucket null for none) and other
+         *     is whether the last label holds the rest, or {points, total} with the points option
+         */
+        var chart = function(dataset, options) {
+            var rows = dataset.rows;
+            var indexes = order(dataset, options);
+            var limit = options.limit || indexes.length;
+            var labels = [];
+            var values = [];
+
+            if (options.points) {
+                var points = [];
+                indexes.forEach(function(index) {
+                    var x = rows[index][options.x];
+                    var y = rows[index][options.y];
+                    if (!isEmpty(x) && !isEmpty(y) && isNumber(x) && isNumber(y)) {
+                        points.push({x: parseFloat(x), y: parseFloat(y)});
+                    }
+                });
+                return {points: points.slice(0, limit), total: points.length};
+            }
+
+            var types = {};
+            columns(dataset).forEach(function(column) {
+                types[column.name] = column;
+            });
+            var xColumn = types[options.x] || {type: 'string', hint: null};
+            var numeric = !!types[options.y] && types[options.y].type === 'number';
+
+            if (options.bucket && options.bucket !== 'none' && (xColumn.type === 'date' || xColumn.hint === 'timestamp')) {
+                return timeChart(dataset, options, indexes, xColumn, numeric);
+            }
+
+            var aggregate = options.aggregate || 'none';
+            if (aggregate === 'auto') {
+                var seen = {};
+                var repeated = indexes.some(function(index) {
+                    var label = rows[index][options.x];
+                    var labelKey = isEmpty(label) ? '' : String(label);
+                    if (seen[labelKey]) {
+                        return true;
+                    }
+                    seen[labelKey] = true;
+                    return false;
+                });
+                aggregate = !repeated ? 'none' : (numeric ? 'sum' : 'count');
+            }
+
+            // Without an aggregate every row is a group of its own, valued as it is.
+            var grouped = aggregate !== 'none';
+            var valueAggregate = grouped ? aggregate : 'sum';
+            var sorted = options.sort === 'asc' || options.sort === 'desc';
+            var top = options.top > 0 ? options.top : 0;
+            var chartIndexes = grouped || sorted || top ? indexes : indexes.slice(0, limit);
+
+            var groupBy = function(column, keys) {
+                var groups = {};
+                chartIndexes.forEach(function(index) {
+                    var label = rows[index][options.x];
+                    var groupKey = grouped ? (isEmpty(label) ? '' : String(label)) : String(index);
+                    if (!groups[groupKey]) {
+                        groups[groupKey] = createGroup(label);
+                        keys.push(groupKey);
+                    }
+                    addToGroup(groups[groupKey], rows[index][column]);
+                });
+                return groups;
+            };
+
+            var keys = [];
+            var groups = groupBy(options.y, keys);
+            var total = grouped ? keys.length : indexes.length;
+            var other = null;
+
+            if (sorted || top) {
+                // Labels are ranked by the sortBy column, e.g. a chart's first series, so that every series keeps the same labels.
+                var rankGroups = options.sortBy && options.sortBy !== options.y ? groupBy(options.sortBy, []) : groups;
+                var rank = {};
+                keys.forEach(function(groupKey) {
+                    rank[groupKey] = groupValue(rankGroups[groupKey], valueAggregate);
+                });
+
+                if (top && keys.length > top) {
+                    var kept = {};
+                    keys.slice().sort(function(a, b) {
+                        return rank[b] - rank[a];
+                    }).slice(0, top).forEach(function(groupKey) {
+                        kept[groupKey] = true;
+                    });
+                    other = createGroup(options.other);
+                    keys = keys.filter(function(groupKey) {
+                        if (!kept[groupKey]) {
+                            mergeGroup(other, groups[groupKey]);
+                        }
+                        return kept[groupKey];
+                    });
+                }
+                if (sorted) {
+                    keys.sort(function(a, b) {
+                        return options.sort === 'asc' ? rank[a] - rank[b] : rank[b] - rank[a];
+                    });
+                }
+            }
+
+            // The top labels replace the view's limit.
+            labels = keys.slice(0, top || limit).map(function(groupKey) {
+                values.push(groupValue(groups[groupKey], valueAggregate));
+                return groups[groupKey].label;
+            });
+            if (other) {
+                labels.push(other.label);
+                values.push(groupValue(other, valueAggregate));
+            }
+
+            return {
+                labels: labels,
+                values: values,
+                total: total,
+                aggregate: aggregate,
+                bucket: null,
+                other: !!other
+            };
+        };
+
+        /**
+         * Work out the headline value of a KPI card.
+         *
+         * Count and total columns (or single-row results) are summed; anything
+         * else shows the number of rows.
+         *
+         * @param {Object} dataset
+         * @return {Object} {value, rows}
+         */
+        var kpi = function(dataset) {
+            var rows = dataset.rows;
+            var numeric = columns(dataset).filter(function(column) {
+                return column.type === 'number';
+            });
+            var value = rows.length;
+
+            if (numeric.length > 0) {
+                var name = numeric[numeric.length - 1].name;
+                var lower = name.toLowerCase();
+                if (lower.indexOf('count') !== -1 || lower.indexOf('total') !== -1 || rows.length === 1) {
+                    value = rows.reduce(function(sum, row) {
+                        return sum + (parseFloat(row[name]) || 0);
+                    }, 0);
+                }
+            }
+
+            return {value: value, rows: rows.length};
+        };
+
+        /**
+         * Summarise the numbers in some columns after searching and filtering.
+         *
+         * The top and bottom options ask for thresholds: the lowest number in
+         * the top p% of a column and the highest number in its bottom p%. The
+         * bins option asks for a histogram: how many numbers fall in each of
+         * that many equal ranges from min to max.
+         *
+         * Count is the number of numeric values; distinct and nulls count the
+         * different and the empty values of any type.
+         *
+         * @param {Object} dataset
+         * @param {Object} options See order, plus columns (names), top and bottom (percentages) and bins
+         * @return {Object} {count, sum, avg, min, max, distinct, nulls, top, bottom, histogram} keyed by column name
+         */
+        var stats = function(dataset, options) {
+            var rows = dataset.rows;
+            var indexes = order(dataset, options);
+            var result = {};
+
+            (options.columns || []).forEach(function(name) {
+                var numbers = [];
+                var seen = Object.create(null);
+                var distinct = 0;
+                var nulls = 0;
+                indexes.forEach(function(index) {
+                    var value = rows[index][name];
+                    if (isEmpty(value)) {
+                        nulls++;
+                        return;
+                    }
+                    if (!seen[value]) {
+                        seen[value] = true;
+                        distinct++;
+                    }
+                    if (isNumber(value)) {
+                        numbers.push(parseFloat(value));
+                    }
+                });
+                numbers.sort(function(a, b) {
+                    return a - b;
+                });
+
+                var count = numbers.length;
+                var sum = numbers.reduce(function(total, value) {
+                    return total + value;
+                }, 0);
+                var rank = function(percent) {
+                    return Math.min(count, Math.max(1, Math.ceil(count * percent / 100)));
+                };
+                var summary = {
+                    count: count,
+                    sum: sum,
+                    avg: count ? sum / count : null,
+                    min: count ? numbers[0] : null,
+                    max: count ? numbers[count - 1] : null,
+                    distinct: distinct,
+                    nulls: nulls,
+                    top: {},
+                    bottom: {},
+                    histogram: []
+                };
+
+                (options.top || []).forEach(function(percent) {
+                    summary.top[percent] = count ? numbers[count - rank(percent)] : null;
+                });
+                (options.bottom || []).forEach(function(percent) {
+                    summary.bottom[percent] = count ? numbers[rank(percent) - 1] : null;
+                });
+
+                if (options.bins && count) {
+                    var bins = summary.max === summary.min ? 1 : options.bins;
+                    var width = (summary.max - summary.min) / bins;
+                    for (var bin = 0; bin < bins; bin++) {
+                        summary.histogram.push(0);
+                    }
+                    numbers.forEach(function(value) {
+                        var slot = width ? Math.floor((value - summary.min) / width) : 0;
+                        summary.histogram[Math.min(bins - 1, slot)]++;
+                    });
+                }
+
+                result[name] = summary;
+            });
+
+            return result;
+        };
+
+        /**
+         * Group rows by one or two columns and aggregate a measure column.
+         *
+         * The first grouping column gives the pivot rows and the optional second
+         * one its columns. Totals aggregate the rows of each group again rather
+         * than the cells, so that averages, minimums and maximums stay exact.
+         * Group values are in the order of their column type, empty last.
+         *
+         * @param {Object} dataset
+         * @param {Object} options See order, plus rows and columns (grouping column names), measure,
+         *     aggregate (sum, avg, min, max or count) and limit and columnLimit (numbers of groups kept)
+         * @return {Object} {rows, columns, cells, rowTotals, columnTotals, total, rowCount, columnCount}:
+         *     group values, cells[row][column], totals and the numbers of groups before the limits
+         */
+        var pivot = function(dataset, options) {
+            var rows = dataset.rows;
+            var indexes = order(dataset, {search: options.search, filters: options.filters});
+            var types = {};
+            columns(dataset).forEach(function(column) {
+                types[column.name] = column.type;
+            });
+
+            var create = function() {
+                return {rows: 0, sum: 0, numbers: 0, min: null, max: null};
+            };
+            var add = function(group, value) {
+                group.rows++;
+                if (!isEmpty(value) && isNumber(value)) {
+                    var number = parseFloat(value);
+                    group.numbers++;
+                    group.sum += number;
+                    group.min = group.min === null ? number : Math.min(group.min, number);
+                    group.max = group.max === null ? number : Math.max(group.max, number);
+                }
+            };
+            var result = function(group) {
+                if (!group) {
+                    return null;
+                }
+                switch (options.aggregate) {
+                    case 'count':
+                        return group.rows;
+                    case 'avg':
+                        return group.numbers ? group.sum / group.numbers : null;
+                    case 'min':
+                        return group.min;
+                    case 'max':
+                        return group.max;
+                    default:
+                        return group.numbers ? group.sum : null;
+                }
+            };
+            var keysOf = function(groups, name, limit) {
+                var type = types[name] || 'string';
+                var keys = Object.keys(groups).sort(function(a, b) {
+                    var left = comparable(groups[a].value, type);
+                    var right = comparable(groups[b].value, type);
+                    if (left === right) {
+                        return 0;
+                    }
+                    if (left === null) {
+                        return 1;
+                    }
+                    if (right === null) {
+                        return -1;
+                    }
+                    return left < right ? -1 : 1;
+                });
+                return limit ? keys.slice(0, limit) : keys;
+            };
+
+            var rowGroups = {};
+            var columnGroups = {};
+            var cells = {};
+            var total = create();
+
+            indexes.forEach(function(index) {
+                var row = rows[index];
+                var measure = options.measure ? row[options.measure] : null;
+                var rowValue = row[options.rows];
+                var rowKey = isEmpty(rowValue) ? '' : String(rowValue);
+
+                rowGroups[rowKey] = rowGroups[rowKey] || {value: rowValue, totals: create()};
+                add(rowGroups[rowKey].totals, measure);
+                add(total, measure);
+
+                if (options.columns) {
+                    var columnValue = row[options.columns];
+                    var columnKey = isEmpty(columnValue) ? '' : String(columnValue);
+                    columnGroups[columnKey] = columnGroups[columnKey] || {value: columnValue, totals: create()};
+                    add(columnGroups[columnKey].totals, measure);
+
+                    var cellKey = JSON.stringify([rowKey, columnKey]);
+                    cells[cellKey] = cells[cellKey] || create();
+                    add(cells[cellKey], measure);
+                }
+            });
+
+            var rowKeys = keysOf(rowGroups, options.rows, options.limit);
+            var columnKeys = options.columns ? keysOf(columnGroups, options.columns, options.columnLimit) : [];
+
+            return {
+                rows: rowKeys.map(function(key) {
+                    return rowGroups[key].value;
+                }),
+                columns: columnKeys.map(function(key) {
+                    return columnGroups[key].value;
+                }),
+                cells: rowKeys.map(function(rowKey) {
+                    return columnKeys.map(function(columnKey) {
+                        return result(cells[JSON.stringify([rowKey, columnKey])]);
+                    });
+                }),
+                rowTotals: rowKeys.map(function(key) {
+                    return result(rowGroups[key].totals);
+                }),
+                columnTotals: columnKeys.map(function(key) {
+                    return result(columnGroups[key].totals);
+                }),
+                total: result(total),
+                rowCount: Object.keys(rowGroups).length,
+                columnCount: Object.keys(columnGroups).length
+            };
+        };
+
+        return {
+            columns: columns,
+            query: query,
+            chart: chart,
+            kpi: kpi,
+            stats: stats,
+            pivot: pivot
+        };
+    };
+
+    /**
+     * Handle messages inside the worker.
+     *
+     * Serialised into the worker together with createOperations.
+     *
+     * @param {Object} scope The worker's global scope
+     * @param {Object} operations See createOperations
+     */
+    var listen = function(scope, operations) {
+        var datasets = {};
+
+        scope.onmessage = function(e) {
+            var message = e.data;
+
+            if (message.action === 'load') {
+                datasets[message.id] = {rows: message.rows};
+                return;
+            }
+            if (message.action === 'release') {
+                delete datasets[message.id];
+                return;
+            }
+
+            var response = {requestId: message.requestId};
+            try {
+                response.result = operations[message.action](datasets[message.id], message.options || {});
+            } catch (error) {
+                response.error = error.message;
+            }
+            scope.postMessage(response);
+        };
+    };
+
+    var operations = createOperations(); // Main-thread copy of the operations.
+    var worker = null;
+    var workerFailed = false;
+    var nextId = 1;
+    var pending = {}; // Requests waiting for the worker, keyed by request ID.
+
+    /**
+     * Run an operation on the main thread.
+     *
+     * @param {Dataset} dataset
+     * @param {string} action Operation name
+     * @param {Object} options
+     * @return {Promise}
+     */
+    var runLocal = function(dataset, action, options) {
+        return new Promise(function(resolve) {
+            if (!dataset.state) {
+                dataset.state = {rows: dataset.rows};
+            }
+            resolve(operations[action](dataset.state, options || {}));
+        });
+    };
+
+    /**
+     * Stop using the worker and finish its pending requests on the main thread.
+     */
+    var abandonWorker = function() {
+        workerFailed = true;
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+
+        var requests = pending;
+        pending = {};
+        Object.keys(requests).forEach(function(requestId) {
+            var request = requests[requestId];
+            request.dataset.remote = false;
+            runLocal(request.dataset, request.action, request.options).then(request.resolve).catch(request.reject);
+        });
+    };
+
+    /**
+     * Settle the request a worker response belongs to.
+     *
+     * @param {MessageEvent} e
+     */
+    var receive = function(e) {
+        var request = pending[e.data.requestId];
+        if (!request) {
+            return;
+        }
+        delete pending[e.data.requestId];
+
+        if (e.data.error) {
+            request.reject(new Error(e.data.error));
+        } else {
+            request.resolve(e.data.result);
+        }
+    };
+
+    /**
+     * Get the worker, starting it on first use.
+     *
+     * @return {Worker|null} Null when workers are unavailable
+     */
+    var getWorker = function() {
+        if (worker || workerFailed) {
+            return worker;
+        }
+
+        try {
+            var source = "'use strict';\n" +
+                'var operations = (' + createOperations.toString() + ')();\n' +
+                '(' + listen.toString() + ')(self, operations);\n';
+            var url = URL.createObjectURL(new Blob([source], {type: 'application/javascript'}));
+            worker = new Worker(url);
+            worker.onmessage = receive;
+            worker.onerror = abandonWorker;
+        } catch (_e) {
+            abandonWorker();
+        }
+
+        return worker;
+    };
+
+    /**
+     * A report result that operations run against.
+     *
+     * @class
+     * @param {Array} rows Result rows (not modified)
+     */
+    var Dataset = function(rows) {
+        this.id = nextId++;
+        this.rows = rows || [];
+        this.state = null; // Derived data when processed on the main thread.
+        this.remote = this.rows.length > INLINE_LIMIT && !!getWorker();
+
+        if (this.remote) {
+            worker.postMessage({action: 'load', id: this.id, rows: this.rows});
+        }
+    };
+
+    Dataset.prototype = {
+        /**
+         * Run an operation on the dataset.
+         *
+         * @param {string} action Operation name
+         * @param {Object} options
+         * @return {Promise}
+         */
+        run: function(action, options) {
+            var self = this;
+
+            if (!this.remote || !worker) {
+                return runLocal(this, action, options);
+            }
+
+            return new Promise(function(resolve, reject) {
+                var requestId = nextId++;
+                pending[requestId] = {dataset: self, action: action, options: options, resolve: resolve, reject: reject};
+                worker.postMessage({action: action, id: self.id, options: options, requestId: requestId});
+            });
+        },
+
+        /**
+         * Infer column types.
+         *
+         * @return {Promise} Resolves with [{name, type, hint}], type being number, date, boolean or string
+         *     and hint timestamp, fraction, url or null
+         */
+        columns: function() {
+            return this.run('columns');
+        },
+
+        /**
+         * Get a page of rows.
+         *
+         * @param {Object} options
+         * @param {string} options.search Text any cell must contain (optional)
+         * @param {Array} options.filters Column filters {column, operator, value, to} (optional)
+         * @param {Object} options.sort {column, direction} (optional)
+         * @param {number} options.offset First row (after filtering and sorting)
+         * @param {number} options.limit Number of rows
+         * @return {Promise} Resolves with {rows, total, offset}
+         */
+        query: function(options) {
+            return this.run('query', options);
+        },
+
+        /**
+         * Get chart labels and values.
+         *
+         * @param {Object} options Query options plus x, y, limit, aggregate (none, auto, sum, avg, count,
+         *     min, max or distinct), bucket (none, auto, day, week, month, quarter or year, for date
+         *     X columns), sort (none, asc or desc), top (number of labels kept, 0 for all), sortBy (column
+         *     ranking the labels), other (name of the label holding the rest) and points (x/y pairs for a
+         *     scatter chart)
+         * @return {Promise} Resolves with {labels, values, total}, or {points, total} with the points option
+         */
+        chart: function(options) {
+            return this.run('chart', options);
+        },
+
+        /**
+         * Work out the headline value of a KPI card.
+         *
+         * @return {Promise} Resolves with {value, rows}
+         */
+        kpi: function() {
+            return this.run('kpi');
+        },
+
+        /**
+         * Summarise the values in some columns.
+         *
+         * @param {Object} options Query options plus columns, top and bottom (percentages) and bins
+         * @return {Promise} Resolves with {count, sum, avg, min, max, distinct, nulls, top, bottom, histogram}
+         *     keyed by column name
+         */
+        stats: function(options) {
+            return this.run('stats', options);
+        },
+
+        /**
+         * Group rows and aggregate a measure column into a pivot table.
+         *
+         * @param {Object} options Search and filters plus rows, columns, measure, aggregate, limit and columnLimit
+         * @return {Promise} Resolves with {rows, columns, cells, rowTotals, columnTotals, total, rowCount, columnCount}
+         */
+        pivot: function(options) {
+            return this.run('pivot', options);
+        },
+
+        /**
+         * Free the dataset's memory in the worker.
+         */
+        release: function() {
+            if (this.remote && worker) {
+                worker.postMessage({action: 'release', id: this.id});
+            }
+            this.remote = false;
+            this.state = null;
+        }
+    };
+
+    return /** @alias module:block_adeptus_insights/data_worker */ {
+        /**
+         * Prepare a report result for processing.
+         *
+         * @param {Array} rows Result rows
+         * @return {Dataset}
+         */
+        dataset: function(rows) {
+            return new Dataset(rows);
+        }
+    };
+});
@@ -72,6 +72,98 @@ define(['jquery', 'core/str', 'core/notification'], function($, Str, Notificatio
     // Default icons for KPI cards (fallback when no icon selected).
     var DEFAULT_KPI_ICONS = ['fa-users', 'fa-graduation-cap', 'fa-clock-o', 'fa-check-circle'];
 
+    // Catalogue request shared by the report choices of the form.
+    var catalogueRequest = null;
+
+    /**
+     * Fetch the wizard and AI report catalogue from the backend, once for the form.
+     *
+     * @param {string} apiKey
+     * @return {jQuery.Promise} Resolves with the reports sorted by name, each with source, displayName and categoryName
+     */
+    var fetchCatalogue = function(apiKey) {
+        if (catalogueRequest) {
+            return catalogueRequest;
+        }
+
+        var baseUrl = 'https://backend.adeptus360.com/api/v1';
+        var request = function(path) {
+            return $.ajax({
+                url: baseUrl + path,
+                method: 'GET',
+                headers: {
+                    'Authorization': 'Bearer ' + apiKey,
+                    'Accept': 'application/json'
+                },
+                timeout: 15000
+            });
+        };
+
+        // Fetch both wizard and AI reports
+        catalogueRequest = $.when(request('/wizard-reports'), request('/ai-reports')).then(function(wizardResult, aiResult) {
+            var allReports = [];
+
+            // Process wizard reports
+            var wizardReports = wizardResult[0].reports || wizardResult[0].data || [];
+            wizardReports.forEach(function(r) {
+                r.source = 'wizard';
+                r.displayName = r.name || r.title || r.display_name || r.slug;
+                r.categoryName = r.category_info ? r.category_info.name : 'General';
+                allReports.push(r);
+            });
+
+            // Process AI reports
+            var aiReports = aiResult[0].reports || aiResult[0].data || [];
+            aiReports.forEach(function(r) {
+                r.source = 'ai';
+                r.displayName = r.name || r.title || r.display_name || r.slug;
+                r.categoryName = r.category_info ? r.category_info.name : 'AI Generated';
+                allReports.push(r);
+            });
+
+            // Sort alphabetically by name
+            allReports.sort(function(a, b) {
+                return a.displayName.localeCompare(b.displayName);
+            });
+
+            return allReports;
+        });
+
+        // Try again next time if the request failed.
+        catalogueRequest.fail(function() {
+            catalogueRequest = null;
+        });
+
+        return catalogueRequest;
+    };
+
+    /**
+     * Build a report select; a saved report missing from the catalogue is still offered, by its key.
+     *
+     * @param {Array} reports The catalogue (see fetchCatalogue)
+     * @param {string} selected Selected report key (slug::source)
+     * @param {string} className
+     * @param {string} label Accessible label
+     * @param {string} choose Label of the empty choice
+     * @return {jQuery}
+     */
+    var buildReportSelect = function(reports, selected, className, label, choose) {
+        var select = $('<select>').addClass('form-control form-control-sm ' + className).attr('aria-label', label)
+            .append($('<option>').val('').text(choose));
+        var found = false;
+
+        reports.forEach(function(report) {
+            var key = report.slug + '::' + report.source;
+            found = found || key === selected;
+            select.append($('<option>').val(key).text(report.displayName));
+        });
+        if (selected && !found) {
+            select.append($('<option>').val(selected).text(selected));
+        }
+
+        return select.val(selected || '');
+    };
+
     /**
      * Report Selector component for picking KPI/Tab reports.
      * @param {Object} options Configuration options
@@ -255,60 +347,13 @@ define(['jquery', 'core/str', 'core/notification'], function($, Str, Notificatio
 
             this.container.find('.report-search-loading').show();
 
-            var baseUrl = 'https://backend.adeptus360.com/api/v1';
-
-            // Fetch both wizard and AI reports
-            $.when(
-                $.ajax({
-                    url: baseUrl + '/wizard-reports',
-                    method: 'GET',
-                    headers: {
-                        'Authorization': 'Bearer ' + this.apiKey,
-                        'Accept': 'application/json'
-                    },
-                    timeout: 15000
-                }),
-                $.ajax({
-                    url: baseUrl + '/ai-reports',
-                    method: 'GET',
-                    headers: {
-                        'Authorization': 'Bearer ' + this.apiKey,
-                        'Accept': 'application/json'
-                    },
-                    timeout: 15000
-                })
-            ).then(function(wizardResult, aiResult) {
-                var allReports = [];
-
-                // Process wizard reports
-                var wizardReports = wizardResult[0].reports || wizardResult[0].data || [];
-                wizardReports.forEach(function(r) {
-                    r.source = 'wizard';
-                    r.displayName = r.name || r.title || r.display_name || r.slug;
-                    r.categoryName = r.category_info ? r.category_info.name : 'General';
-                    allReports.push(r);
-                });
-
-                // Process AI reports
-                var aiReports = aiResult[0].reports || aiResult[0].data || [];
-                aiReports.forEach(function(r) {
-                    r.source = 'ai';
-                    r.displayName = r.name || r.title || r.display_name || r.slug;
-                    r.categoryName = r.category_info ? r.category_info.name : 'AI Generated';
-                    allReports.push(r);
-                });
-
-                // Sort alphabetically by name
-                allReports.sort(function(a, b) {
-                    return a.displayName.localeCompare(b.displayName);
-                });
-
+            fetchCatalogue(this.apiKey).then(function(allReports) {
                 self.reports = allReports;
                 self.filteredReports = self.getAvailableReports();
                 self.container.find('.report-search-loading').hide();
                 self.renderSelectedList();
                 return allReports;
-            }).fail(function() {
+            }).catch(function() {
                 self.container.find('.report-search-loading').hide();
                 Notification.addNotification({
                     message: self.strings.failedLoadReports,
@@ -2348,6 +2393,707 @@ define(['jquery', 'core/str', 'core/notification'], function($, Str, Notificatio
         }
     };
 
+    /**
+     * FormatRulesManager class for editing the table formatting rules.
+     *
+     * @param {Object} options Configuration options
+     */
+    var FormatRulesManager = function(options) {
+        this.apiKey = options.apiKey || '';
+        this.containerId = options.containerId;
+        this.textareaName = options.textareaName;
+        this.container = null;
+        this.textarea = null;
+        this.rules = [];
+        this.reports = [];
+        this.conditions = {};
+        this.styles = {};
+        this.strings = {};
+
+        this.init();
+    };
+
+    FormatRulesManager.prototype = {
+        /**
+         * Initialize the formatting rules editor.
+         */
+        init: function() {
+            var self = this;
+
+            this.container = $('#' + this.containerId);
+            this.textarea = $('[name="' + this.textareaName + '"]');
+
+            if (!this.container.length || !this.textarea.length) {
+                return;
+            }
+
+            this.conditions = this.container.data('conditions') || {};
+            this.styles = this.container.data('styles') || {};
+
+            try {
+                var value = JSON.parse(this.textarea.val() || '[]');
+                this.rules = Array.isArray(value) ? value : [];
+            } catch (_e) {
+                this.rules = [];
+            }
+
+            this.loadStrings().then(function() {
+                self.render();
+                self.bindEvents();
+                self.fetchReports();
+                self.container.show();
+                return true;
+            }).catch(function() {
+                // String loading failed, continue anyway.
+                return false;
+            });
+        },
+
+        /**
+         * Load language strings.
+         *
+         * @return {Promise}
+         */
+        loadStrings: function() {
+            var self = this;
+            return Str.get_strings([
+                {key: 'formatrule_add', component: 'block_adeptus_insights'},
+                {key: 'formatrule_remove', component: 'block_adeptus_insights'},
+                {key: 'formatrule_column', component: 'block_adeptus_insights'},
+                {key: 'formatrule_condition', component: 'block_adeptus_insights'},
+                {key: 'formatrule_value', component: 'block_adeptus_insights'},
+                {key: 'formatrule_style', component: 'block_adeptus_insights'},
+                {key: 'formatrule_none', component: 'block_adeptus_insights'},
+                {key: 'formatrule_report', component: 'block_adeptus_insights'},
+                {key: 'formatrule_choose_report', component: 'block_adeptus_insights'},
+                {key: 'js_failed_load_reports', component: 'block_adeptus_insights'}
+            ]).then(function(strings) {
+                self.strings = {
+                    add: strings[0],
+                    remove: strings[1],
+                    column: strings[2],
+                    condition: strings[3],
+                    value: strings[4],
+                    style: strings[5],
+                    none: strings[6],
+                    report: strings[7],
+                    choose: strings[8],
+                    failedLoadReports: strings[9]
+                };
+                return self.strings;
+            });
+        },
+
+        /**
+         * Load the report catalogue for the report choices.
+         */
+        fetchReports: function() {
+            var self = this;
+
+            if (!this.apiKey) {
+                return;
+            }
+
+            fetchCatalogue(this.apiKey).then(function(reports) {
+                self.reports = reports;
+                self.render();
+                return reports;
+            }).catch(function() {
+                Notification.addNotification({
+                    message: self.strings.failedLoadReports,
+                    type: 'error'
+                });
+                return null;
+            });
+        },
+
+        /**
+         * Build a select from value/label pairs.
+         *
+         * @param {Object} options Labels keyed by value
+         * @param {string} selected Selected value
+         * @param {string} className
+         * @param {string} label Accessible label
+         * @return {jQuery}
+         */
+        buildSelect: function(options, selected, className, label) {
+            var select = $('<select>').addClass('form-control form-control-sm ' + className).attr('aria-label', label);
+            Object.keys(options).forEach(function(value) {
+                select.append($('<option>').val(value).text(options[value]));
+            });
+            if (selected && options[selected]) {
+                select.val(selected);
+            }
+            return select;
+        },
+
+        /**
+         * Build the editor row for one rule.
+         *
+         * @param {Object} rule {report, column, condition, value, style}
+         * @return {jQuery}
+         */
+        buildRule: function(rule) {
+            var row = $('<div>').addClass('block-adeptus-format-rule d-flex flex-wrap gap-1 mb-2');
+
+            row.append(buildReportSelect(this.reports, rule.report, 'block-adeptus-format-rule-report', this.strings.report,
+                this.strings.choose));
+            row.append($('<input>')
+                .attr('type', 'text')
+                .attr('placeholder', this.strings.column)
+                .attr('aria-label', this.strings.column)
+                .addClass('form-control form-control-sm block-adeptus-format-rule-column')
+                .val(rule.column || ''));
+            row.append(this.buildSelect(this.conditions, rule.condition, 'block-adeptus-format-rule-condition',
+                this.strings.condition));
+            row.append($('<input>')
+                .attr('type', 'text')
+                .attr('placeholder', this.strings.value)
+                .attr('aria-label', this.strings.value)
+                .addClass('form-control form-control-sm block-adeptus-format-rule-value')
+                .prop('disabled', rule.condition === 'databar')
+                .val(rule.value === null || rule.value === undefined ? '' : rule.value));
+            row.append(this.buildSelect(this.styles, rule.style, 'block-adeptus-format-rule-style', this.strings.style));
+            row.append($('<button>')
+                .attr('type', 'button')
+                .attr('title', this.strings.remove)
+                .attr('aria-label', this.strings.remove)
+                .addClass('btn btn-sm btn-outline-danger block-adeptus-format-rule-remove')
+                .append($('<i>').addClass('fa fa-trash').attr('aria-hidden', 'true')));
+
+            return row;
+        },
+
+        /**
+         * Render the rules editor.
+         */
+        render: function() {
+            var self = this;
+            var list = $('<div>').addClass('block-adeptus-format-rules-list');
+
+            this.rules.forEach(function(rule) {
+                list.append(self.buildRule(rule));
+            });
+
+            this.container.empty()
+                .append(list)
+                .append($('<p>')
+                    .addClass('block-adeptus-format-rules-empty text-muted small' + (this.rules.length ? ' d-none' : ''))
+                    .text(this.strings.none))
+                .append($('<button>')
+                    .attr('type', 'button')
+                    .addClass('btn btn-outline-primary btn-sm block-adeptus-format-rule-add')
+                    .append($('<i>').addClass('fa fa-plus mr-1').attr('aria-hidden', 'true'))
+                    .append(' ' + this.strings.add));
+        },
+
+        /**
+         * Bind event handlers.
+         */
+        bindEvents: function() {
+            var self = this;
+
+            this.container.on('click', '.block-adeptus-format-rule-add', function() {
+                self.container.find('.block-adeptus-format-rules-list').append(self.buildRule({}));
+                self.container.find('.block-adeptus-format-rule-report').last().trigger('focus');
+                self.saveRules();
+            });
+
+            this.container.on('click', '.block-adeptus-format-rule-remove', function() {
+                $(this).closest('.block-adeptus-format-rule').remove();
+                self.saveRules();
+            });
+
+            this.container.on('input change', 'input, select', function() {
+                var row = $(this).closest('.block-adeptus-format-rule');
+                row.find('.block-adeptus-format-rule-value')
+                    .prop('disabled', row.find('.block-adeptus-format-rule-condition').val() === 'databar');
+                self.saveRules();
+            });
+        },
+
+        /**
+         * Save the rules to the textarea, leaving out rows without a report or a column.
+         */
+        saveRules: function() {
+            var rules = [];
+
+            this.container.find('.block-adeptus-format-rule').each(function() {
+                var row = $(this);
+                var report = row.find('.block-adeptus-format-rule-report').val();
+                var column = $.trim(row.find('.block-adeptus-format-rule-column').val());
+                var condition = row.find('.block-adeptus-format-rule-condition').val();
+
+                if (report && column) {
+                    rules.push({
+                        report: report,
+                        column: column,
+                        condition: condition,
+                        value: condition === 'databar' ? '' : $.trim(row.find('.block-adeptus-format-rule-value').val()),
+                        style: row.find('.block-adeptus-format-rule-style').val()
+                    });
+                }
+            });
+
+            this.rules = rules;
+            this.container.find('.block-adeptus-format-rules-empty')
+                .toggleClass('d-none', this.container.find('.block-adeptus-format-rule').length > 0);
+            this.textarea.val(JSON.stringify(rules)).trigger('change');
+        }
+    };
+
+    /**
+     * ColumnTypesManager class for choosing how table columns are displayed.
+     *
+     * @param {Object} options Configuration options
+     */
+    var ColumnTypesManager = function(options) {
+        this.apiKey = options.apiKey || '';
+        this.containerId = options.containerId;
+        this.textareaName = options.textareaName;
+        this.container = null;
+        this.textarea = null;
+        this.columnTypes = [];
+        this.reports = [];
+        this.types = {};
+        this.strings = {};
+
+        this.init();
+    };
+
+    ColumnTypesManager.prototype = {
+        /**
+         * Initialize the column types editor.
+         */
+        init: function() {
+            var self = this;
+
+            this.container = $('#' + this.containerId);
+            this.textarea = $('[name="' + this.textareaName + '"]');
+
+            if (!this.container.length || !this.textarea.length) {
+                return;
+            }
+
+            this.types = this.container.data('types') || {};
+
+            try {
+                var value = JSON.parse(this.textarea.val() || '[]');
+                this.columnTypes = Array.isArray(value) ? value : [];
+            } catch (_e) {
+                this.columnTypes = [];
+            }
+
+            this.loadStrings().then(function() {
+                self.render();
+                self.bindEvents();
+                self.fetchReports();
+                self.container.show();
+                return true;
+            }).catch(function() {
+                // String loading failed, continue anyway.
+                return false;
+            });
+        },
+
+        /**
+         * Load language strings.
+         *
+         * @return {Promise}
+         */
+        loadStrings: function() {
+            var self = this;
+            return Str.get_strings([
+                {key: 'columntype_add', component: 'block_adeptus_insights'},
+                {key: 'columntype_remove', component: 'block_adeptus_insights'},
+                {key: 'formatrule_column', component: 'block_adeptus_insights'},
+                {key: 'columntype_type', component: 'block_adeptus_insights'},
+                {key: 'columntype_none', component: 'block_adeptus_insights'},
+                {key: 'formatrule_report', component: 'block_adeptus_insights'},
+                {key: 'formatrule_choose_report', component: 'block_adeptus_insights'},
+                {key: 'js_failed_load_reports', component: 'block_adeptus_insights'}
+            ]).then(function(strings) {
+                self.strings = {
+                    add: strings[0],
+                    remove: strings[1],
+                    column: strings[2],
+                    type: strings[3],
+                    none: strings[4],
+                    report: strings[5],
+                    choose: strings[6],
+                    failedLoadReports: strings[7]
+                };
+                return self.strings;
+            });
+        },
+
+        /**
+         * Load the report catalogue for the report choices.
+         */
+        fetchReports: function() {
+            var self = this;
+
+            if (!this.apiKey) {
+                return;
+            }
+
+            fetchCatalogue(this.apiKey).then(function(reports) {
+                self.reports = reports;
+                self.render();
+                return reports;
+            }).catch(function() {
+                Notification.addNotification({
+                    message: self.strings.failedLoadReports,
+                    type: 'error'
+                });
+                return null;
+            });
+        },
+
+        /**
+         * Build the editor row for one column.
+         *
+         * @param {Object} columnType {report, column, type}
+         * @return {jQuery}
+         */
+        buildRow: function(columnType) {
+            var types = this.types;
+            var select = $('<select>')
+                .addClass('form-control form-control-sm block-adeptus-column-type-type')
+                .attr('aria-label', this.strings.type);
+
+            Object.keys(types).forEach(function(value) {
+                select.append($('<option>').val(value).text(types[value]));
+            });
+            if (columnType.type && types[columnType.type]) {
+                select.val(columnType.type);
+            }
+
+            return $('<div>').addClass('block-adeptus-column-type d-flex flex-wrap gap-1 mb-2')
+                .append(buildReportSelect(this.reports, columnType.report, 'block-adeptus-column-type-report', this.strings.report,
+                    this.strings.choose))
+                .append($('<input>')
+                    .attr('type', 'text')
+                    .attr('placeholder', this.strings.column)
+                    .attr('aria-label', this.strings.column)
+                    .addClass('form-control form-control-sm block-adeptus-column-type-column')
+                    .val(columnType.column || ''))
+                .append(select)
+                .append($('<button>')
+                    .attr('type', 'button')
+                    .attr('title', this.strings.remove)
+                    .attr('aria-label', this.strings.remove)
+                    .addClass('btn btn-sm btn-outline-danger block-adeptus-column-type-remove')
+                    .append($('<i>').addClass('fa fa-trash').attr('aria-hidden', 'true')));
+        },
+
+        /**
+         * Render the column types editor.
+         */
+        render: function() {
+            var self = this;
+            var list = $('<div>').addClass('block-adeptus-column-types-list');
+
+            this.columnTypes.forEach(function(columnType) {
+                list.append(self.buildRow(columnType));
+            });
+
+            this.container.empty()
+                .append(list)
+                .append($('<p>')
+                    .addClass('block-adeptus-column-types-empty text-muted small' + (this.columnTypes.length ? ' d-none' : ''))
+                    .text(this.strings.none))
+                .append($('<button>')
+                    .attr('type', 'button')
+                    .addClass('btn btn-outline-primary btn-sm block-adeptus-column-type-add')
+                    .append($('<i>').addClass('fa fa-plus mr-1').attr('aria-hidden', 'true'))
+                    .append(' ' + this.strings.add));
+        },
+
+        /**
+         * Bind event handlers.
+         */
+        bindEvents: function() {
+            var self = this;
+
+            this.container.on('click', '.block-adeptus-column-type-add', function() {
+                self.container.find('.block-adeptus-column-types-list').append(self.buildRow({}));
+                self.container.find('.block-adeptus-column-type-report').last().trigger('focus');
+                self.saveColumnTypes();
+            });
+
+            this.container.on('click', '.block-adeptus-column-type-remove', function() {
+                $(this).closest('.block-adeptus-column-type').remove();
+                self.saveColumnTypes();
+            });
+
+            this.container.on('input change', 'input, select', function() {
+                self.saveColumnTypes();
+            });
+        },
+
+        /**
+         * Save the column types to the textarea, leaving out rows without a report or a column.
+         */
+        saveColumnTypes: function() {
+            var columnTypes = [];
+
+            this.container.find('.block-adeptus-column-type').each(function() {
+                var report = $(this).find('.block-adeptus-column-type-report').val();
+                var column = $.trim($(this).find('.block-adeptus-column-type-column').val());
+                if (report && column) {
+                    columnTypes.push({
+                        report: report,
+                        column: column,
+                        type: $(this).find('.block-adeptus-column-type-type').val()
+                    });
+                }
+            });
+
+            this.columnTypes = columnTypes;
+            this.container.find('.block-adeptus-column-types-empty')
+                .toggleClass('d-none', this.container.find('.block-adeptus-column-type').length > 0);
+            this.textarea.val(JSON.stringify(columnTypes)).trigger('change');
+        }
+    };
+
+    /**
+     * DrilldownsManager class for choosing what happens when a report's table row is clicked.
+     *
+     * @param {Object} options Configuration options
+     */
+    var DrilldownsManager = function(options) {
+        this.apiKey = options.apiKey || '';
+        this.containerId = options.containerId;
+        this.textareaName = options.textareaName;
+        this.container = null;
+        this.textarea = null;
+        this.drilldowns = [];
+        this.reports = [];
+        this.actions = {};
+        this.strings = {};
+
+        this.init();
+    };
+
+    DrilldownsManager.prototype = {
+        /**
+         * Initialize the drill-down editor.
+         */
+        init: function() {
+            var self = this;
+
+            this.container = $('#' + this.containerId);
+            this.textarea = $('[name="' + this.textareaName + '"]');
+
+            if (!this.container.length || !this.textarea.length) {
+                return;
+            }
+
+            this.actions = this.container.data('actions') || {};
+
+            try {
+                var value = JSON.parse(this.textarea.val() || '[]');
+                this.drilldowns = Array.isArray(value) ? value : [];
+            } catch (_e) {
+                this.drilldowns = [];
+            }
+
+            this.loadStrings().then(function() {
+                self.render();
+                self.bindEvents();
+                self.fetchReports();
+                self.container.show();
+                return true;
+            }).catch(function() {
+                // String loading failed, continue anyway.
+                return false;
+            });
+        },
+
+        /**
+         * Load language strings.
+         *
+         * @return {Promise}
+         */
+        loadStrings: function() {
+            var self = this;
+            return Str.get_strings([
+                {key: 'drilldown_add', component: 'block_adeptus_insights'},
+                {key: 'drilldown_remove', component: 'block_adeptus_insights'},
+                {key: 'drilldown_report', component: 'block_adeptus_insights'},
+                {key: 'drilldown_action', component: 'block_adeptus_insights'},
+                {key: 'drilldown_url', component: 'block_adeptus_insights'},
+                {key: 'drilldown_target', component: 'block_adeptus_insights'},
+                {key: 'drilldown_params', component: 'block_adeptus_insights'},
+                {key: 'drilldown_none', component: 'block_adeptus_insights'},
+                {key: 'drilldown_choose_report', component: 'block_adeptus_insights'},
+                {key: 'js_failed_load_reports', component: 'block_adeptus_insights'}
+            ]).then(function(strings) {
+                self.strings = {
+                    add: strings[0],
+                    remove: strings[1],
+                    report: strings[2],
+                    action: strings[3],
+                    url: strings[4],
+                    target: strings[5],
+                    params: strings[6],
+                    none: strings[7],
+                    choose: strings[8],
+                    failedLoadReports: strings[9]
+                };
+                return self.strings;
+            });
+        },
+
+        /**
+         * Load the report catalogue for the report choices.
+         */
+        fetchReports: function() {
+            var self = this;
+
+            if (!this.apiKey) {
+                return;
+            }
+
+            fetchCatalogue(this.apiKey).then(function(reports) {
+                self.reports = reports;
+                self.render();
+                return reports;
+            }).catch(function() {
+                Notification.addNotification({
+                    message: self.strings.failedLoadReports,
+                    type: 'error'
+                });
+                return null;
+            });
+        },
+
+        /**
+         * Build the editor row for one report's drill-down.
+         *
+         * @param {Object} drilldown {report, action, url, target, params}
+         * @return {jQuery}
+         */
+        buildRow: function(drilldown) {
+            var actions = this.actions;
+            var action = actions[drilldown.action] ? drilldown.action : Object.keys(actions)[0];
+            var select = $('<select>')
+                .addClass('form-control form-control-sm block-adeptus-drilldown-action')
+                .attr('aria-label', this.strings.action);
+
+            Object.keys(actions).forEach(function(value) {
+                select.append($('<option>').val(value).text(actions[value]));
+            });
+            select.val(action);
+
+            return $('<div>').addClass('block-adeptus-drilldown d-flex flex-wrap gap-1 mb-2')
+                .append(buildReportSelect(this.reports, drilldown.report, 'block-adeptus-drilldown-report', this.strings.report,
+                    this.strings.choose))
+                .append(select)
+                .append($('<input>')
+                    .attr('type', 'text')
+                    .attr('placeholder', '/user/view.php?id={userid}&course={courseid}')
+                    .attr('aria-label', this.strings.url)
+                    .addClass('form-control form-control-sm block-adeptus-drilldown-url' + (action === 'url' ? '' : ' d-none'))
+                    .val(drilldown.url || ''))
+                .append(buildReportSelect(this.reports, drilldown.target, 'block-adeptus-drilldown-target' +
+                    (action === 'report' ? '' : ' d-none'), this.strings.target, this.strings.choose))
+                .append($('<input>')
+                    .attr('type', 'text')
+                    .attr('placeholder', 'courseid={courseid}')
+                    .attr('title', this.strings.params)
+                    .attr('aria-label', this.strings.params)
+                    .addClass('form-control form-control-sm block-adeptus-drilldown-params' +
+                        (action === 'report' ? '' : ' d-none'))
+                    .val(drilldown.params || ''))
+                .append($('<button>')
+                    .attr('type', 'button')
+                    .attr('title', this.strings.remove)
+                    .attr('aria-label', this.strings.remove)
+                    .addClass('btn btn-sm btn-outline-danger block-adeptus-drilldown-remove')
+                    .append($('<i>').addClass('fa fa-trash').attr('aria-hidden', 'true')));
+        },
+
+        /**
+         * Render the drill-down editor.
+         */
+        render: function() {
+            var self = this;
+            var list = $('<div>').addClass('block-adeptus-drilldowns-list');
+
+            this.drilldowns.forEach(function(drilldown) {
+                list.append(self.buildRow(drilldown));
+            });
+
+            this.container.empty()
+                .append(list)
+                .append($('<p>')
+                    .addClass('block-adeptus-drilldowns-empty text-muted small' + (this.drilldowns.length ? ' d-none' : ''))
+                    .text(this.strings.none))
+                .append($('<button>')
+                    .attr('type', 'button')
+                    .addClass('btn btn-outline-primary btn-sm block-adeptus-drilldown-add')
+                    .append($('<i>').addClass('fa fa-plus mr-1').attr('aria-hidden', 'true'))
+                    .append(' ' + this.strings.add));
+        },
+
+        /**
+         * Bind event handlers.
+         */
+        bindEvents: function() {
+            var self = this;
+
+            this.container.on('click', '.block-adeptus-drilldown-add', function() {
+                self.container.find('.block-adeptus-drilldowns-list').append(self.buildRow({}));
+                self.container.find('.block-adeptus-drilldown-report').last().trigger('focus');
+                self.saveDrilldowns();
+            });
+
+            this.container.on('click', '.block-adeptus-drilldown-remove', function() {
+                $(this).closest('.block-adeptus-drilldown').remove();
+                self.saveDrilldowns();
+            });
+
+            this.container.on('input change', 'input, select', function() {
+                var row = $(this).closest('.block-adeptus-drilldown');
+                var action = row.find('.block-adeptus-drilldown-action').val();
+                row.find('.block-adeptus-drilldown-url').toggleClass('d-none', action !== 'url');
+                row.find('.block-adeptus-drilldown-target, .block-adeptus-drilldown-params')
+                    .toggleClass('d-none', action !== 'report');
+                self.saveDrilldowns();
+            });
+        },
+
+        /**
+         * Save the drill-downs to the textarea, leaving out rows without a report.
+         */
+        saveDrilldowns: function() {
+            var drilldowns = [];
+
+            this.container.find('.block-adeptus-drilldown').each(function() {
+                var row = $(this);
+                var report = row.find('.block-adeptus-drilldown-report').val();
+                var action = row.find('.block-adeptus-drilldown-action').val();
+
+                if (report) {
+                    drilldowns.push({
+                        report: report,
+                        action: action,
+                        url: action === 'url' ? $.trim(row.find('.block-adeptus-drilldown-url').val()) : '',
+                        target: action === 'report' ? row.find('.block-adeptus-drilldown-target').val() : '',
+                        params: action === 'report' ? $.trim(row.find('.block-adeptus-drilldown-params').val()) : ''
+                    });
+                }
+            });
+
+            this.drilldowns = drilldowns;
+            this.container.find('.block-adeptus-drilldowns-empty')
+                .toggleClass('d-none', this.container.find('.block-adeptus-drilldown').length > 0);
+            this.textarea.val(JSON.stringify(drilldowns)).trigger('change');
+        }
+    };
+
     // Track if module has been initialized to prevent duplicates.
     var moduleInitialized = false;
 
@@ -2368,7 +3114,10 @@ define(['jquery', 'core/str', 'core/notification'], function($, Str, Notificatio
             var initialized = {
                 kpi: false,
                 tabs: false,
-                alerts: false
+                alerts: false,
+                formatRules: false,
+                columnTypes: false,
+                drilldowns: false
             };
 
             /**
@@ -2405,6 +3154,36 @@ define(['jquery', 'core/str', 'core/notification'], function($, Str, Notificatio
                     initialized.alerts = true;
                 }
 
+                // Initialize table formatting rules editor.
+                if (!initialized.formatRules && $('#block-adeptus-format-rules-container').length) {
+                    new FormatRulesManager({
+                        apiKey: options.apiKey,
+                        containerId: 'block-adeptus-format-rules-container',
+                        textareaName: 'config_format_rules'
+                    });
+                    initialized.formatRules = true;
+                }
+
+                // Initialize column display types editor.
+                if (!initialized.columnTypes && $('#block-adeptus-column-types-container').length) {
+                    new ColumnTypesManager({
+                        apiKey: options.apiKey,
+                        containerId: 'block-adeptus-column-types-container',
+                        textareaName: 'config_column_types'
+                    });
+                    initialized.columnTypes = true;
+                }
+
+                // Initialize row drill-down editor.
+                if (!initialized.drilldowns && $('#block-adeptus-drilldowns-container').length) {
+                    new DrilldownsManager({
+                        apiKey: options.apiKey,
+                        containerId: 'block-adeptus-drilldowns-container',
+                        textareaName: 'config_drilldowns'
+                    });
+                    initialized.drilldowns = true;
+                }
+
                 // Handle Alert Configuration notice visibility based on display mode.
                 // Shows a notice when non-KPI mode is selected, hides it for KPI mode.
                 var displayModeSelect = $('[name="config_display_mode"]');
@@ -2439,7 +3218,8 @@ define(['jquery', 'core/str', 'core/notification'], function($, Str, Notificatio
                 tryInitialize();
 
                 // Stop observing once all are initialized.
-                if (initialized.kpi && initialized.tabs && initialized.alerts) {
+                if (initialized.kpi && initialized.tabs && initialized.alerts && initialized.formatRules &&
+                        initialized.columnTypes && initialized.drilldowns) {
                     observer.disconnect();
                 }
             });
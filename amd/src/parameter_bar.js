@@ -0,0 +1,308 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Runtime parameter bar for reports that declare parameters.
+ *
+ * A report declares parameters either with a parameters list (e.g.
+ * ['date_range', 'course'] or [{type: 'role'}]) or through the names in its
+ * default params. Each parameter type maps to fixed execution parameter names:
+ * date_range to startdate/enddate (Unix timestamps), course to courseid,
+ * cohort to cohortid and role to roleid.
+ *
+ * @module     block_adeptus_insights/parameter_bar
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/ajax', 'core/str'], function($, Ajax, Str) {
+    'use strict';
+
+    // Execution parameter names for each supported parameter type.
+    var TYPES = {
+        'date_range': ['startdate', 'enddate'],
+        'course': ['courseid'],
+        'cohort': ['cohortid'],
+        'role': ['roleid']
+    };
+
+    var optionPromises = {}; // Option requests keyed by block ID and type.
+    var stringsPromise = null;
+
+    /**
+     * Load the bar's language strings once.
+     *
+     * @return {Promise} Resolves with the strings keyed by name
+     */
+    var loadStrings = function() {
+        if (stringsPromise) {
+            return stringsPromise;
+        }
+
+        var stringKeys = [
+            {key: 'parameters', component: 'block_adeptus_insights'},
+            {key: 'param_from', component: 'block_adeptus_insights'},
+            {key: 'param_to', component: 'block_adeptus_insights'},
+            {key: 'param_course', component: 'block_adeptus_insights'},
+            {key: 'param_cohort', component: 'block_adeptus_insights'},
+            {key: 'param_role', component: 'block_adeptus_insights'},
+            {key: 'param_all', component: 'block_adeptus_insights'},
+            {key: 'param_reset', component: 'block_adeptus_insights'}
+        ];
+
+        stringsPromise = Str.get_strings(stringKeys).then(function(strings) {
+            return {
+                parameters: strings[0],
+                from: strings[1],
+                to: strings[2],
+                course: strings[3],
+                cohort: strings[4],
+                role: strings[5],
+                all: strings[6],
+                reset: strings[7]
+            };
+        }).catch(function() {
+            // Fallback to English if string loading fails.
+            return {
+                parameters: 'Report parameters',
+                from: 'From',
+                to: 'To',
+                course: 'Course',
+                cohort: 'Cohort',
+                role: 'Role',
+                all: 'All',
+                reset: 'Reset'
+            };
+        });
+
+        return stringsPromise;
+    };
+
+    /**
+     * Get the choices for a select parameter, loading them once per block.
+     *
+     * @param {number} blockId Block instance ID
+     * @param {string} type Parameter type (course, cohort or role)
+     * @return {Promise} Resolves with [{value, label}]
+     */
+    var getOptions = function(blockId, type) {
+        var key = blockId + '_' + type;
+
+        if (!optionPromises[key]) {
+            optionPromises[key] = Ajax.call([{
+                methodname: 'block_adeptus_insights_get_parameter_options',
+                args: {blockinstanceid: blockId, type: type}
+            }])[0].then(function(response) {
+                return response.options;
+            }).catch(function() {
+                // Allow another attempt next time the bar is rendered.
+                delete optionPromises[key];
+                return [];
+            });
+        }
+
+        return optionPromises[key];
+    };
+
+    /**
+     * Format a Unix timestamp for a date input.
+     *
+     * @param {number} timestamp Seconds since the epoch
+     * @return {string} YYYY-MM-DD in local time, or an empty string
+     */
+    var toDateInput = function(timestamp) {
+        if (!timestamp) {
+            return '';
+        }
+        var date = new Date(timestamp * 1000);
+        var pad = function(number) {
+            return (number < 10 ? '0' : '') + number;
+        };
+        return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+    };
+
+    /**
+     * Convert a date input value to a Unix timestamp.
+     *
+     * @param {string} value YYYY-MM-DD
+     * @param {boolean} endOfDay Use the last second of the day instead of the first
+     * @return {number|null}
+     */
+    var fromDateInput = function(value, endOfDay) {
+        var parts = (value || '').split('-');
+        if (parts.length !== 3) {
+            return null;
+        }
+        var date = endOfDay ?
+            new Date(parts[0], parts[1] - 1, parts[2], 23, 59, 59) :
+            new Date(parts[0], parts[1] - 1, parts[2]);
+        return isNaN(date.getTime()) ? null : Math.floor(date.getTime() / 1000);
+    };
+
+    /**
+     * Read the values currently chosen in a bar.
+     *
+     * @param {jQuery} $bar
+     * @return {Object} Execution parameters, without empty values
+     */
+    var readValues = function($bar) {
+        var values = {};
+
+        $bar.find('[data-param]').each(function() {
+            var $field = $(this);
+            var name = $field.data('param');
+            var value = $field.is('input') ?
+                fromDateInput($field.val(), name === 'enddate') :
+                (parseInt($field.val(), 10) || null);
+
+            if (value !== null) {
+                values[name] = value;
+            }
+        });
+
+        return values;
+    };
+
+    /**
+     * Build the select for a course, cohort or role parameter.
+     *
+     * @param {number} blockId Block instance ID
+     * @param {string} type Parameter type
+     * @param {*} value Current value
+     * @param {Object} strings Language strings
+     * @return {jQuery} The labelled select
+     */
+    var buildSelect = function(blockId, type, value, strings) {
+        var name = TYPES[type][0];
+        var $select = $('<select>')
+            .addClass('form-select form-select-sm')
+            .attr('data-param', name)
+            .append($('<option>').val('').text(strings.all));
+
+        getOptions(blockId, type).then(function(options) {
+            options.forEach(function(option) {
+                $select.append($('<option>').val(option.value).text(option.label));
+            });
+            if (value && !$select.find('option[value="' + value + '"]').length) {
+                // Keep a saved choice that is no longer offered.
+                $select.append($('<option>').val(value).text(value));
+            }
+            $select.val(value ? String(value) : '');
+            return options;
+        }).catch(function() {
+            return [];
+        });
+
+        return $('<label>').addClass('block-adeptus-parameter')
+            .append($('<span>').text(strings[type]))
+            .append($select);
+    };
+
+    /**
+     * Build a labelled date input.
+     *
+     * @param {string} name Execution parameter name (startdate or enddate)
+     * @param {string} label Field label
+     * @param {*} value Current value (Unix timestamp)
+     * @return {jQuery}
+     */
+    var buildDate = function(name, label, value) {
+        return $('<label>').addClass('block-adeptus-parameter')
+            .append($('<span>').text(label))
+            .append($('<input>')
+                .attr('type', 'date')
+                .addClass('form-control form-control-sm')
+                .attr('data-param', name)
+                .val(toDateInput(value)));
+    };
+
+    return /** @alias module:block_adeptus_insights/parameter_bar */ {
+        /**
+         * Get the parameter types a report declares.
+         *
+         * @param {Object} report Report metadata
+         * @return {Array} Supported parameter types, in declaration order
+         */
+        getTypes: function(report) {
+            var types = [];
+            var add = function(type) {
+                if (TYPES[type] && types.indexOf(type) === -1) {
+                    types.push(type);
+                }
+            };
+
+            if (Array.isArray(report.parameters)) {
+                report.parameters.forEach(function(parameter) {
+                    add(typeof parameter === 'string' ? parameter : parameter.type);
+                });
+            }
+
+            Object.keys(report.params || {}).forEach(function(name) {
+                Object.keys(TYPES).forEach(function(type) {
+                    if (TYPES[type].indexOf(name) !== -1) {
+                        add(type);
+                    }
+                });
+            });
+
+            return types;
+        },
+
+        /**
+         * Render the bar, replacing any previous content.
+         *
+         * @param {jQuery} $bar Container element
+         * @param {Object} options
+         * @param {number} options.blockId Block instance ID
+         * @param {Array} options.types Parameter types to show (see getTypes)
+         * @param {Object} options.values Current execution parameters
+         * @param {Function} options.onChange Receives the new execution parameters
+         * @return {Promise}
+         */
+        render: function($bar, options) {
+            var values = options.values || {};
+
+            return loadStrings().then(function(strings) {
+                $bar.empty().attr('role', 'group').attr('aria-label', strings.parameters);
+
+                options.types.forEach(function(type) {
+                    if (type === 'date_range') {
+                        $bar.append(buildDate('startdate', strings.from, values.startdate));
+                        $bar.append(buildDate('enddate', strings.to, values.enddate));
+                    } else {
+                        $bar.append(buildSelect(options.blockId, type, values[TYPES[type][0]], strings));
+                    }
+                });
+
+                $bar.append($('<button>')
+                    .attr('type', 'button')
+                    .addClass('btn btn-sm btn-link block-adeptus-parameter-reset')
+                    .text(strings.reset));
+
+                $bar.off('.parameterbar');
+                $bar.on('change.parameterbar', '[data-param]', function() {
+                    options.onChange(readValues($bar));
+                });
+                $bar.on('click.parameterbar', '.block-adeptus-parameter-reset', function() {
+                    $bar.find('[data-param]').val('');
+                    options.onChange({});
+                });
+
+                $bar.removeClass('d-none');
+                return $bar;
+            });
+        }
+    };
+});
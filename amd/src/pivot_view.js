@@ -0,0 +1,421 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Pivot view of report results.
+ *
+ * The user groups the rows by one or two columns and picks a measure column
+ * and an aggregate. The first grouping gives the rows of the pivot table and
+ * the second its columns, with totals for every row and column. The pivot is
+ * {rows, columns, measure, aggregate}; it is computed by the pivot operation
+ * of block_adeptus_insights/data_worker.
+ *
+ * @module     block_adeptus_insights/pivot_view
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/str', 'core/notification'], function($, Str, Notification) {
+    'use strict';
+
+    // Aggregates of the measure column; count needs no measure.
+    var AGGREGATES = ['sum', 'avg', 'min', 'max', 'count'];
+
+    // Most pivot rows and columns shown.
+    var ROW_LIMIT = 200;
+    var COLUMN_LIMIT = 20;
+
+    var stringsPromise = null;
+    var viewCount = 0;
+
+    /**
+     * Load the view's language strings once.
+     *
+     * @return {Promise} Resolves with the strings keyed by name
+     */
+    var loadStrings = function() {
+        if (stringsPromise) {
+            return stringsPromise;
+        }
+
+        var stringKeys = [
+            {key: 'pivot_rows', component: 'block_adeptus_insights'},
+            {key: 'pivot_columns', component: 'block_adeptus_insights'},
+            {key: 'pivot_measure', component: 'block_adeptus_insights'},
+            {key: 'pivot_aggregate', component: 'block_adeptus_insights'},
+            {key: 'pivot_none', component: 'block_adeptus_insights'},
+            {key: 'pivot_total', component: 'block_adeptus_insights'},
+            {key: 'pivot_value', component: 'block_adeptus_insights'},
+            {key: 'pivot_empty', component: 'block_adeptus_insights'},
+            {key: 'pivot_limited', component: 'block_adeptus_insights'},
+            {key: 'pivot_chart', component: 'block_adeptus_insights'},
+            {key: 'aggregate_sum', component: 'block_adeptus_insights'},
+            {key: 'aggregate_avg', component: 'block_adeptus_insights'},
+            {key: 'aggregate_min', component: 'block_adeptus_insights'},
+            {key: 'aggregate_max', component: 'block_adeptus_insights'},
+            {key: 'aggregate_count', component: 'block_adeptus_insights'}
+        ];
+
+        stringsPromise = Str.get_strings(stringKeys).then(function(strings) {
+            return {
+                rows: strings[0],
+                columns: strings[1],
+                measure: strings[2],
+                aggregate: strings[3],
+                none: strings[4],
+                total: strings[5],
+                value: strings[6],
+                empty: strings[7],
+                limited: strings[8],
+                chart: strings[9],
+                sum: strings[10],
+                avg: strings[11],
+                min: strings[12],
+                max: strings[13],
+                count: strings[14]
+            };
+        }).catch(function() {
+            // Fallback to English if string loading fails.
+            return {
+                rows: 'Group by',
+                columns: 'Then by',
+                measure: 'Measure',
+                aggregate: 'Aggregate',
+                none: 'None',
+                total: 'Total',
+                value: '{$a->aggregate} of {$a->measure}',
+                empty: '(Empty)',
+                limited: 'Showing the first {$a->shown} of {$a->total} groups.',
+                chart: 'Chart this pivot',
+                sum: 'Sum',
+                avg: 'Average',
+                min: 'Min',
+                max: 'Max',
+                count: 'Count'
+            };
+        });
+
+        return stringsPromise;
+    };
+
+    /**
+     * Format a column name for display.
+     *
+     * @param {string} name
+     * @return {string}
+     */
+    var formatName = function(name) {
+        return name.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
+            return letter.toUpperCase();
+        });
+    };
+
+    /**
+     * Format a pivot value for display.
+     *
+     * @param {number|null} value
+     * @return {string}
+     */
+    var formatValue = function(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return (Math.round(value * 100) / 100).toLocaleString();
+    };
+
+    /**
+     * Format a group value for display.
+     *
+     * @param {*} value
+     * @param {Object} strings Language strings
+     * @return {string}
+     */
+    var formatGroup = function(value, strings) {
+        return value === null || value === undefined || value === '' ? strings.empty : String(value);
+    };
+
+    /**
+     * Get the label of the aggregated measure, e.g. "Sum of Grade".
+     *
+     * @param {Object} pivot
+     * @param {Object} strings Language strings
+     * @return {string}
+     */
+    var getValueLabel = function(pivot, strings) {
+        if (pivot.aggregate === 'count' || !pivot.measure) {
+            return strings.count;
+        }
+        return strings.value
+            .replace('{$a->aggregate}', strings[pivot.aggregate])
+            .replace('{$a->measure}', formatName(pivot.measure));
+    };
+
+    /**
+     * Build a labelled select for the controls.
+     *
+     * @param {string} id
+     * @param {string} label
+     * @param {string} name Pivot property the select sets
+     * @param {Array} options [{value, text}]
+     * @param {string} value Selected value
+     * @return {jQuery}
+     */
+    var buildSelect = function(id, label, name, options, value) {
+        var $select = $('<select>')
+            .attr('id', id)
+            .attr('data-pivot', name)
+            .addClass('form-select form-select-sm');
+
+        options.forEach(function(option) {
+            $select.append($('<option>').val(option.value).text(option.text));
+        });
+        $select.val(value);
+
+        return $('<div>').addClass('block-adeptus-control-group')
+            .append($('<label>').attr('for', id).addClass('form-label small mb-1').text(label))
+            .append($select);
+    };
+
+    /**
+     * Build the pivot table.
+     *
+     * @param {Object} result From the data_worker pivot operation
+     * @param {Object} pivot
+     * @param {Object} strings Language strings
+     * @return {jQuery}
+     */
+    var buildTable = function(result, pivot, strings) {
+        var crossed = !!pivot.columns;
+        var $headRow = $('<tr>').append($('<th>').attr('scope', 'col').text(formatName(pivot.rows)));
+        var $tbody = $('<tbody>');
+        var $footRow = $('<tr>').append($('<th>').attr('scope', 'row').text(strings.total));
+
+        if (crossed) {
+            result.columns.forEach(function(value, index) {
+                $headRow.append($('<th>').attr('scope', 'col').addClass('text-end').text(formatGroup(value, strings)));
+                $footRow.append($('<td>').addClass('text-end').text(formatValue(result.columnTotals[index])));
+            });
+        }
+        $headRow.append($('<th>').attr('scope', 'col').addClass('text-end')
+            .text(crossed ? strings.total : getValueLabel(pivot, strings)));
+        $footRow.append($('<td>').addClass('text-end').text(formatValue(result.total)));
+
+        result.rows.forEach(function(value, index) {
+            var $row = $('<tr>').append($('<th>').attr('scope', 'row').text(formatGroup(value, strings)));
+            result.cells[index].forEach(function(cell) {
+                $row.append($('<td>').addClass('text-end').text(formatValue(cell)));
+            });
+            $tbody.append($row.append($('<td>').addClass('text-end block-adeptus-pivot-total')
+                .text(formatValue(result.rowTotals[index]))));
+        });
+
+        return $('<table>').addClass('table table-sm table-bordered table-hover block-adeptus-pivot-table')
+            .append($('<thead>').addClass('table-light').append($headRow))
+            .append($tbody)
+            .append($('<tfoot>').append($footRow));
+    };
+
+    /**
+     * Get the data_worker pivot options for a pivot.
+     *
+     * @param {Object} pivot
+     * @return {Object}
+     */
+    var getOptions = function(pivot) {
+        return $.extend({}, pivot, {
+            aggregate: pivot.measure ? pivot.aggregate : 'count',
+            limit: ROW_LIMIT,
+            columnLimit: COLUMN_LIMIT
+        });
+    };
+
+    /**
+     * Build the pivot controls.
+     *
+     * @param {Array} columns [{name, type}] from data_worker
+     * @param {Object} pivot
+     * @param {Object} strings Language strings
+     * @return {jQuery}
+     */
+    var buildControls = function(columns, pivot, strings) {
+        var prefix = 'block-adeptus-pivot-' + (++viewCount);
+        var toOption = function(column) {
+            return {value: column.name, text: formatName(column.name)};
+        };
+        var names = columns.map(toOption);
+        var numeric = columns.filter(function(column) {
+            return column.type === 'number';
+        }).map(toOption);
+
+        return $('<div>').addClass('block-adeptus-chart-controls d-flex flex-wrap align-items-end gap-2 mb-2')
+            .append(buildSelect(prefix + '-rows', strings.rows, 'rows', names, pivot.rows))
+            .append(buildSelect(prefix + '-columns', strings.columns, 'columns',
+                [{value: '', text: strings.none}].concat(names), pivot.columns || ''))
+            .append(buildSelect(prefix + '-measure', strings.measure, 'measure',
+                [{value: '', text: strings.none}].concat(numeric), pivot.measure || ''))
+            .append(buildSelect(prefix + '-aggregate', strings.aggregate, 'aggregate',
+                AGGREGATES.map(function(key) {
+                    return {value: key, text: strings[key]};
+                }), pivot.aggregate))
+            .append($('<button>')
+                .attr('type', 'button')
+                .addClass('btn btn-sm btn-outline-secondary block-adeptus-pivot-chart')
+                .append($('<i>').addClass('fa fa-bar-chart').attr('aria-hidden', 'true'))
+                .append(' ' + strings.chart));
+    };
+
+    /**
+     * Fetch and show the pivot table of a view.
+     *
+     * @param {Object} view {$result, pivot, options, strings}
+     * @return {Promise} Resolves with the data_worker pivot result
+     */
+    var showResult = function(view) {
+        var pivot = view.pivot;
+        var strings = view.strings;
+
+        return view.options.fetch(getOptions(pivot)).then(function(result) {
+            // Skip answers for a pivot that has been changed since.
+            if (view.pivot !== pivot) {
+                return result;
+            }
+            var $note = $();
+            var limitedRows = result.rowCount > result.rows.length;
+            if (limitedRows || result.columnCount > result.columns.length) {
+                $note = $('<p>').addClass('small text-muted mb-1').text(strings.limited
+                    .replace('{$a->shown}', limitedRows ? result.rows.length : result.columns.length)
+                    .replace('{$a->total}', limitedRows ? result.rowCount : result.columnCount));
+            }
+            view.$result.empty().append($note, $('<div>').addClass('table-responsive')
+                .append(buildTable(result, pivot, strings)));
+            return result;
+        });
+    };
+
+    /**
+     * Handle changes to the pivot controls of a view.
+     *
+     * @param {jQuery} $container
+     * @param {Object} view See showResult
+     */
+    var bindControls = function($container, view) {
+        $container.off('.pivotview');
+        $container.on('change.pivotview', 'select[data-pivot]', function() {
+            view.pivot = $.extend({}, view.pivot);
+            view.pivot[$(this).attr('data-pivot')] = $(this).val();
+            $container.find('[data-pivot="aggregate"]').prop('disabled', !view.pivot.measure);
+            view.options.onChange(view.pivot);
+            showResult(view).catch(Notification.exception);
+        });
+        $container.on('click.pivotview', '.block-adeptus-pivot-chart', function() {
+            view.options.onChart(view.pivot);
+        });
+    };
+
+    return /** @alias module:block_adeptus_insights/pivot_view */ {
+        /**
+         * Get the pivot to start with: the first text column by the last numeric one.
+         *
+         * @param {Array} columns [{name, type}] from data_worker
+         * @return {Object} {rows, columns, measure, aggregate}
+         */
+        getDefault: function(columns) {
+            var text = columns.filter(function(column) {
+                return column.type !== 'number';
+            });
+            var numeric = columns.filter(function(column) {
+                return column.type === 'number';
+            });
+            var rows = (text[0] || columns[0] || {name: ''}).name;
+            var measure = numeric.length ? numeric[numeric.length - 1].name : '';
+
+            return {rows: rows, columns: '', measure: measure === rows ? '' : measure, aggregate: measure ? 'sum' : 'count'};
+        },
+
+        /**
+         * Get the data_worker pivot options for a pivot.
+         *
+         * @param {Object} pivot
+         * @return {Object}
+         */
+        getOptions: getOptions,
+
+        /**
+         * Get the series to chart from a pivot table.
+         *
+         * Crossed pivots give one series per pivot column; others a single
+         * series. Totals is a series of the row totals, e.g. for pie charts.
+         *
+         * @param {Object} result From the data_worker pivot operation
+         * @param {Object} pivot
+         * @return {Promise} Resolves with {labels, series, totals}, series being [{label, values}]
+         */
+        getChartData: function(result, pivot) {
+            return loadStrings().then(function(strings) {
+                var labels = result.rows.map(function(value) {
+                    return formatGroup(value, strings);
+                });
+                var totals = {label: getValueLabel(pivot, strings), values: result.rowTotals};
+
+                if (!pivot.columns) {
+                    return {labels: labels, series: [totals], totals: totals};
+                }
+
+                return {
+                    labels: labels,
+                    totals: totals,
+                    series: result.columns.map(function(value, index) {
+                        return {
+                            label: formatGroup(value, strings),
+                            values: result.cells.map(function(cells) {
+                                return cells[index];
+                            })
+                        };
+                    })
+                };
+            });
+        },
+
+        /**
+         * Render the pivot controls and table, replacing any previous content.
+         *
+         * @param {jQuery} $container Container element
+         * @param {Object} options
+         * @param {Array} options.columns [{name, type}] from data_worker
+         * @param {Object} options.pivot Current pivot
+         * @param {Function} options.fetch Called with getOptions; resolves with the data_worker pivot result
+         * @param {Function} options.onChange Receives the new pivot
+         * @param {Function} options.onChart Called when the user asks for a chart of the pivot
+         * @return {Promise}
+         */
+        render: function($container, options) {
+            return loadStrings().then(function(strings) {
+                var view = {
+                    $result: $('<div>').addClass('block-adeptus-pivot-result'),
+                    pivot: $.extend({}, options.pivot),
+                    options: options,
+                    strings: strings
+                };
+
+                $container.empty().append(buildControls(options.columns, view.pivot, strings), view.$result);
+                $container.find('[data-pivot="aggregate"]').prop('disabled', !view.pivot.measure);
+                bindControls($container, view);
+
+                $container.removeClass('d-none');
+                return showResult(view);
+            });
+        }
+    };
+});
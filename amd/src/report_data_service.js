@@ -0,0 +1,669 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Report data service for the Adeptus Insights block.
+ *
+ * Executes wizard and AI reports and normalises the response into a single
+ * result shape. Concurrent requests for the same report share one in-flight
+ * request, and completed results are kept in memory until cleared. Callers
+ * pass an AbortSignal to cancel their interest in a request; the underlying
+ * HTTP request is aborted once no caller is waiting for it.
+ *
+ * One service is shared by every block on the page (see
+ * block_adeptus_insights/report_registry). Each block talks to it through a
+ * BlockDataClient, which adds the block's execution parameters (such as its
+ * course or category context) and its persistent, stale-while-revalidate cache.
+ * Parameters are sent with every execution and are part of every cache key.
+ *
+ * @module     block_adeptus_insights/report_data_service
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery'], function($) {
+    'use strict';
+
+    /**
+     * Create an error describing why a report could not be loaded.
+     *
+     * @param {string} code One of notoken, failed, connection, execution, abort
+     * @param {string} message Server supplied message (optional)
+     * @param {Object} jqXHR The failed request (optional)
+     * @param {string} textStatus The jQuery failure status (optional)
+     * @param {boolean} backend Whether the failed request went to the backend rather than Moodle (optional)
+     * @return {Error}
+     */
+    var createError = function(code, message, jqXHR, textStatus, backend) {
+        var error = new Error(message || code);
+        error.code = code;
+        error.serverMessage = message || '';
+        error.status = jqXHR ? jqXHR.status : 0;
+        error.textStatus = textStatus || '';
+        error.backend = !!backend;
+        return error;
+    };
+
+    /**
+     * Serialise execution parameters in a stable order for use in keys.
+     *
+     * @param {Object} params Execution parameters
+     * @return {string}
+     */
+    var serialiseParams = function(params) {
+        return Object.keys(params || {}).sort().map(function(name) {
+            return name + '=' + params[name];
+        }).join('&');
+    };
+
+    /**
+     * Report data service class.
+     *
+     * @param {Object} options Configuration options
+     * @param {string} options.backendUrl Backend API base URL
+     * @param {Function} options.getToken Returns the current API token
+     * @param {Object} options.store Persistent store, see block_adeptus_insights/result_cache (optional)
+     */
+    var ReportDataService = function(options) {
+        this.backendUrl = options.backendUrl;
+        this.getToken = options.getToken;
+        this.store = options.store || null;
+        this.freshAfter = 0; // Persisted results stored before this time are treated as stale.
+        this.results = {}; // Completed results keyed by report key.
+        this.pending = {}; // In-flight requests keyed by report key.
+    };
+
+    ReportDataService.prototype = {
+        /**
+         * Build the key used to identify a report execution.
+         *
+         * @param {Object} report Report metadata (slug and source)
+         * @param {Object} params Execution parameters
+         * @return {string}
+         */
+        getKey: function(report, params) {
+            return report.slug + '_' + (report.source || 'wizard') + '_' + serialiseParams(params);
+        },
+
+        /**
+         * Create a client for one block instance.
+         *
+         * @param {Object} options Client options, see BlockDataClient
+         * @return {BlockDataClient}
+         */
+        forBlock: function(options) {
+            return new BlockDataClient(this, options);
+        },
+
+        /**
+         * Execute a report, joining the in-flight request when there is one.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} params Execution parameters
+         * @param {AbortSignal|null} signal Signal used to cancel this caller's interest
+         * @return {Promise}
+         */
+        request: function(report, params, signal) {
+            var key = this.getKey(report, params);
+            var request = this.pending[key] || this.startRequest(report, key, params);
+            request.consumers++;
+
+            return this.follow(request.promise, signal, request);
+        },
+
+        /**
+         * Start executing a report and register it as in-flight.
+         *
+         * @param {Object} report Report metadata
+         * @param {string} key Report key
+         * @param {Object} params Execution parameters
+         * @return {Object} Request state {key, params, promise, xhr, aborted, consumers}
+         */
+        startRequest: function(report, key, params) {
+            var self = this;
+            var request = {key: key, params: params || {}, xhr: null, aborted: false, consumers: 0};
+
+            request.promise = this.execute(report, request).then(function(result) {
+                self.finishRequest(request);
+                self.results[key] = result;
+                return result;
+            }, function(error) {
+                self.finishRequest(request);
+                throw error;
+            });
+
+            this.pending[key] = request;
+            return request;
+        },
+
+        /**
+         * Remove a request from the in-flight list.
+         *
+         * @param {Object} request Request state
+         */
+        finishRequest: function(request) {
+            if (this.pending[request.key] === request) {
+                delete this.pending[request.key];
+            }
+        },
+
+        /**
+         * Follow a promise on behalf of one caller, honouring its abort signal.
+         *
+         * @param {Promise} promise The shared promise
+         * @param {AbortSignal|null} signal The caller's signal
+         * @param {Object|null} request The in-flight request the caller is waiting on
+         * @return {Promise}
+         */
+        follow: function(promise, signal, request) {
+            var self = this;
+
+            if (!signal) {
+                return promise;
+            }
+
+            return new Promise(function(resolve, reject) {
+                var settled = false;
+                var onAbort = function() {
+                    if (settled) {
+                        return;
+                    }
+                    settled = true;
+                    if (request) {
+                        self.release(request);
+                    }
+                    reject(createError('abort'));
+                };
+
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort);
+
+                promise.then(function(result) {
+                    signal.removeEventListener('abort', onAbort);
+                    if (!settled && !signal.aborted) {
+                        settled = true;
+                        resolve(result);
+                    }
+                    return result;
+                }).catch(function(error) {
+                    signal.removeEventListener('abort', onAbort);
+                    if (!settled) {
+                        settled = true;
+                        reject(signal.aborted ? createError('abort') : error);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Drop one caller from an in-flight request, aborting it when nobody is left waiting.
+         *
+         * @param {Object} request Request state
+         */
+        release: function(request) {
+            request.consumers--;
+            if (request.consumers > 0 || this.pending[request.key] !== request) {
+                return;
+            }
+
+            request.aborted = true;
+            this.finishRequest(request);
+            if (request.xhr) {
+                request.xhr.abort();
+            }
+        },
+
+        /**
+         * Forget all completed results.
+         *
+         * Persisted results are kept so they can still be shown while the
+         * reports execute again, but they are no longer considered fresh.
+         */
+        clear: function() {
+            this.results = {};
+            this.freshAfter = Date.now();
+        },
+
+        /**
+         * Execute a report according to its source.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} request Request state, receives the active jqXHR
+         * @return {Promise}
+         */
+        execute: function(report, request) {
+            if (report.source === 'wizard') {
+                return this.executeWizardReport(report, request);
+            }
+            return this.executeAiReport(report, request);
+        },
+
+        /**
+         * Execute a wizard report via the local Moodle endpoint.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} request Request state
+         * @return {Promise}
+         */
+        executeWizardReport: function(report, request) {
+            var self = this;
+
+            return new Promise(function(resolve, reject) {
+                request.xhr = $.ajax({
+                    url: M.cfg.wwwroot + '/report/adeptus_insights/ajax/generate_report.php',
+                    method: 'POST',
+                    // Execution parameters must not replace the report or the session key.
+                    data: $.extend({}, request.params, {
+                        reportid: report.name || report.report_template_id || report.id || report.slug,
+                        sesskey: M.cfg.sesskey
+                    }),
+                    dataType: 'json',
+                    timeout: 30000
+                }).done(function(response) {
+                    if (response.success) {
+                        resolve(self.normalise(report, response.results || [], null, response.chart_data));
+                    } else {
+                        reject(createError('failed', response.message));
+                    }
+                }).fail(function(jqXHR, textStatus) {
+                    reject(createError(textStatus === 'abort' ? 'abort' : 'connection', null, jqXHR, textStatus));
+                });
+            });
+        },
+
+        /**
+         * Fetch an AI report from the backend, executing its SQL locally when required.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} request Request state
+         * @return {Promise}
+         */
+        executeAiReport: function(report, request) {
+            var self = this;
+            var token = this.getToken();
+
+            if (!token) {
+                return Promise.reject(createError('notoken'));
+            }
+
+            return new Promise(function(resolve, reject) {
+                request.xhr = $.ajax({
+                    url: '' + self.backendUrl + '/ai-reports/' + report.slug,
+                    method: 'GET',
+                    headers: {
+                        'Authorization': 'Bearer ' + token,
+                        'Accept': 'application/json'
+                    },
+                    timeout: 15000
+                }).done(function(response) {
+                    if (!response.success) {
+                        reject(createError('failed', response.message));
+                        return;
+                    }
+
+                    // Keep the catalogue's slug and source so the result identifies its report.
+                    var reportData = response.report ?
+                        $.extend({slug: report.slug, source: report.source}, response.report) : report;
+                    var data = response.data || [];
+
+                    // Check if local execution is required (SaaS model)
+                    var sqlQuery = response.sql || reportData.sql_query || reportData.sql;
+                    var needsLocalExecution = response.execution_required || (data.length === 0 && sqlQuery);
+
+                    if (needsLocalExecution && sqlQuery) {
+                        if (request.aborted) {
+                            reject(createError('abort'));
+                            return;
+                        }
+                        var params = $.extend({}, reportData.params, request.params);
+                        self.executeLocally(sqlQuery, params, request).then(function(execution) {
+                            resolve(self.normalise(reportData, execution.data, execution.headers, null));
+                            return execution;
+                        }).catch(reject);
+                        return;
+                    }
+
+                    resolve(self.normalise(reportData, data, null, null));
+                }).fail(function(jqXHR, textStatus) {
+                    reject(createError(textStatus === 'abort' ? 'abort' : 'connection', null, jqXHR, textStatus, true));
+                });
+            });
+        },
+
+        /**
+         * Execute AI report SQL locally against the Moodle database.
+         *
+         * @param {string} sql The SQL query to execute
+         * @param {Object} params Query parameters
+         * @param {Object} request Request state
+         * @return {Promise} Resolves with {data, headers}
+         */
+        executeLocally: function(sql, params, request) {
+            return new Promise(function(resolve, reject) {
+                request.xhr = $.ajax({
+                    url: M.cfg.wwwroot + '/report/adeptus_insights/ajax/execute_ai_report.php',
+                    method: 'POST',
+                    contentType: 'application/json',
+                    data: JSON.stringify({
+                        sql: sql,
+                        params: params || {},
+                        sesskey: M.cfg.sesskey
+                    }),
+                    timeout: 60000
+                }).done(function(response) {
+                    if (response.success) {
+                        resolve({
+                            data: response.data || [],
+                            headers: response.headers || []
+                        });
+                    } else {
+                        reject(createError('execution', response.message));
+                    }
+                }).fail(function(jqXHR, textStatus) {
+                    reject(createError(textStatus === 'abort' ? 'abort' : 'execution', null, jqXHR, textStatus));
+                });
+            });
+        },
+
+        /**
+         * Build the normalised result object.
+         *
+         * @param {Object} report Report metadata
+         * @param {Array} rows Result rows
+         * @param {Array|null} headers Column names reported by the server, used when there are no rows
+         * @param {Object|null} chartData Server supplied chart data
+         * @return {Object}
+         */
+        normalise: function(report, rows, headers, chartData) {
+            rows = rows || [];
+
+            return {
+                report: report,
+                results: rows,
+                headers: rows.length ? Object.keys(rows[0]) : (headers || []),
+                chartData: chartData || null,
+                executedAt: Date.now()
+            };
+        }
+    };
+
+    /**
+     * Per-block view of the shared report data service.
+     *
+     * @param {ReportDataService} service The shared service
+     * @param {Object} options Client options
+     * @param {number} options.userId User the persisted entries belong to
+     * @param {number} options.blockId Block instance owning persisted entries
+     * @param {Object} options.params Parameters sent with every execution, part of every key
+     * @param {number} options.ttl Milliseconds a persisted result stays fresh (0 disables persistence)
+     * @param {Function} options.onResult Receives (report, result, params) once a fresh result is persisted (optional)
+     */
+    var BlockDataClient = function(service, options) {
+        this.service = service;
+        this.userId = options.userId || 0;
+        this.blockId = options.blockId || 0;
+        this.params = options.params || {};
+        this.ttl = options.ttl || 0;
+        this.onResult = options.onResult || null;
+    };
+
+    BlockDataClient.prototype = {
+        /**
+         * Get the parameters sent with an execution.
+         *
+         * @param {Object} params Runtime parameters, overriding the block's own (optional)
+         * @return {Object}
+         */
+        getParams: function(params) {
+            return $.extend({}, this.params, params);
+        },
+
+        /**
+         * Replace the block's own parameters (e.g. when its date range changes).
+         *
+         * @param {Object} params Parameters sent with every execution
+         */
+        setParams: function(params) {
+            this.params = params || {};
+        },
+
+        /**
+         * Build the key identifying a report execution with the given runtime parameters.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} params Runtime parameters (optional)
+         * @return {string}
+         */
+        getKey: function(report, params) {
+            return this.service.getKey(report, this.getParams(params));
+        },
+
+        /**
+         * Build the key used for the persistent store (user, block, slug, source and parameters).
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} params Runtime parameters (optional)
+         * @return {string}
+         */
+        getStoreKey: function(report, params) {
+            return [this.userId, this.blockId, report.slug, report.source || 'wizard', serialiseParams(this.getParams(params))]
+                .join('|');
+        },
+
+        /**
+         * Whether results are persisted between page loads.
+         *
+         * @return {boolean}
+         */
+        isPersistent: function() {
+            return this.service.store !== null && this.ttl > 0 && this.userId > 0;
+        },
+
+        /**
+         * Find a previously executed result in memory or in the persistent store.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} params Runtime parameters (optional)
+         * @return {Promise} Resolves with {result, stale} or null
+         */
+        lookup: function(report, params) {
+            var self = this;
+            var service = this.service;
+            var key = this.getKey(report, params);
+
+            if (service.results[key]) {
+                return Promise.resolve({result: service.results[key], stale: false});
+            }
+
+            if (!this.isPersistent()) {
+                return Promise.resolve(null);
+            }
+
+            return service.store.get(this.getStoreKey(report, params)).then(function(entry) {
+                if (!entry || !entry.data) {
+                    return null;
+                }
+
+                var result = entry.data;
+                var stale = (Date.now() - result.executedAt) >= self.ttl || result.executedAt < service.freshAfter;
+                if (!stale) {
+                    service.results[key] = result;
+                }
+                return {result: result, stale: stale};
+            });
+        },
+
+        /**
+         * Load report data, reusing cached results and in-flight requests.
+         *
+         * Resolves with {report, results, headers, chartData, executedAt}. Rejects
+         * with an Error carrying a code property (notoken, failed, connection,
+         * execution or abort) plus status and textStatus for failed requests.
+         * Once the signal is aborted the promise never resolves with data.
+         *
+         * A stale persisted result is passed to options.onStale before the fresh
+         * execution starts, so the caller can render it straight away.
+         *
+         * @param {Object} report Report metadata from the catalogue
+         * @param {Object} options Load options (optional)
+         * @param {boolean} options.force Ignore completed results and execute again
+         * @param {Object} options.params Runtime parameters, overriding the block's own
+         * @param {AbortSignal} options.signal Signal used to cancel this load
+         * @param {Function} options.onStale Receives a stale result while revalidating
+         * @return {Promise}
+         */
+        load: function(report, options) {
+            var self = this;
+            options = options || {};
+
+            if (options.force) {
+                return this.request(report, options.signal, options.params);
+            }
+
+            return this.lookup(report, options.params).then(function(cached) {
+                if (options.signal && options.signal.aborted) {
+                    throw createError('abort');
+                }
+                if (cached && !cached.stale) {
+                    return cached.result;
+                }
+                if (cached && options.onStale) {
+                    options.onStale(cached.result);
+                }
+                return self.request(report, options.signal, options.params);
+            });
+        },
+
+        /**
+         * Execute a report through the shared service and persist the result for this block.
+         *
+         * @param {Object} report Report metadata
+         * @param {AbortSignal|null} signal Signal used to cancel this load
+         * @param {Object} params Runtime parameters (optional)
+         * @return {Promise}
+         */
+        request: function(report, signal, params) {
+            var self = this;
+
+            return this.service.request(report, this.getParams(params), signal).then(function(result) {
+                self.publish(report, result, params || {});
+                return result;
+            });
+        },
+
+        /**
+         * Get completed results for a report without executing it.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} params Runtime parameters (optional)
+         * @return {Object|null}
+         */
+        peek: function(report, params) {
+            return this.service.results[this.getKey(report, params)] || null;
+        },
+
+        /**
+         * Store rows that were fetched outside the service (e.g. KPI batch requests).
+         *
+         * @param {Object} report Report metadata
+         * @param {Array} rows Result rows
+         * @return {Object} The normalised result
+         */
+        prime: function(report, rows) {
+            var result = this.service.normalise(report, rows, null, null);
+            this.service.results[this.getKey(report)] = result;
+            this.publish(report, result, {});
+            return result;
+        },
+
+        /**
+         * Read a result another browser tab persisted for this block, replacing the one in memory.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} params Runtime parameters the result was executed with (optional)
+         * @param {number} executedAt When the wanted result was executed
+         * @return {Promise} Resolves with the result, or null when it is not stored or older
+         */
+        readShared: function(report, params, executedAt) {
+            var service = this.service;
+            var key = this.getKey(report, params);
+
+            if (!this.isPersistent()) {
+                return Promise.resolve(null);
+            }
+
+            return service.store.get(this.getStoreKey(report, params)).then(function(entry) {
+                if (!entry || !entry.data || entry.data.executedAt < executedAt) {
+                    return null;
+                }
+                service.results[key] = entry.data;
+                return entry.data;
+            });
+        },
+
+        /**
+         * Persist a fresh result, then pass it to options.onResult.
+         *
+         * Waiting for the store lets other tabs read the result from it once they are told.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} result Normalised result
+         * @param {Object} params Runtime parameters
+         */
+        publish: function(report, result, params) {
+            var self = this;
+
+            this.persist(report, result, params).then(function() {
+                if (self.onResult) {
+                    self.onResult(report, result, params);
+                }
+                return result;
+            }).catch(function() {
+                // Sharing is best effort, this tab already has the result.
+                return null;
+            });
+        },
+
+        /**
+         * Save a completed result in the persistent store.
+         *
+         * @param {Object} report Report metadata
+         * @param {Object} result Normalised result
+         * @param {Object} params Runtime parameters (optional)
+         * @return {Promise} Resolves once the result is stored
+         */
+        persist: function(report, result, params) {
+            if (!this.isPersistent()) {
+                return Promise.resolve(null);
+            }
+            return this.service.store.set(this.getStoreKey(report, params), this.blockId, result);
+        }
+    };
+
+    return /** @alias module:block_adeptus_insights/report_data_service */ {
+        /**
+         * Create a report data service.
+         *
+         * @param {Object} options See ReportDataService
+         * @return {ReportDataService}
+         */
+        create: function(options) {
+            return new ReportDataService(options);
+        }
+    };
+});
@@ -0,0 +1,391 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Page-level registry shared by every Adeptus Insights block on the page.
+ *
+ * The report catalogue (/wizard-reports and /ai-reports) is fetched once and
+ * handed to every block, and report executions go through a single shared
+ * report data service. Blocks subscribe to be told when the catalogue is
+ * refreshed so they can re-render.
+ *
+ * When the backend cannot be reached the registry keeps retrying with backoff
+ * and offers the last catalogue that was fetched successfully, if it is
+ * recent enough. Stored catalogues are kept per user.
+ *
+ * @module     block_adeptus_insights/report_registry
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([
+    'jquery',
+    'block_adeptus_insights/report_data_service',
+    'block_adeptus_insights/result_cache'
+], function($, ReportDataService, ResultCache) {
+    'use strict';
+
+    // Catalogue cache shared by all blocks for the browser session, suffixed with the user ID.
+    var CACHE_KEY = 'adeptus_block_reports_';
+    var CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+    // Last catalogue fetched successfully, kept for offline use and suffixed with the user ID.
+    var LAST_KNOWN_KEY = 'adeptus_block_reports_last_';
+    var LAST_KNOWN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+    // Reconnection attempts back off from 15 seconds up to 5 minutes.
+    var RETRY_MIN = 15 * 1000;
+    var RETRY_MAX = 5 * 60 * 1000;
+
+    var userId = 0; // User the stored catalogues belong to.
+    var reports = null; // Catalogue loaded on this page.
+    var cataloguePromise = null; // In-flight catalogue request.
+    var refreshPromise = null; // In-flight refresh (catalogue request followed by notifications).
+    var dataService = null; // Shared report data service.
+    var listeners = [];
+    var offline = false; // Whether the backend could not be reached.
+    var retryTimer = null;
+    var retryDelay = RETRY_MIN;
+    var reconnectListeners = [];
+
+    /**
+     * Read the catalogue from sessionStorage.
+     *
+     * @return {Array|null}
+     */
+    var readCache = function() {
+        if (!userId) {
+            return null;
+        }
+        try {
+            var cached = sessionStorage.getItem(CACHE_KEY + userId);
+            if (cached) {
+                var data = JSON.parse(cached);
+                if (data.timestamp && (Date.now() - data.timestamp) < CACHE_TTL) {
+                    return data.reports;
+                }
+                // Cache expired, remove it
+                sessionStorage.removeItem(CACHE_KEY + userId);
+            }
+        } catch (_e) {
+            // Ignore storage errors
+        }
+        return null;
+    };
+
+    /**
+     * Save the catalogue to sessionStorage.
+     *
+     * @param {Array} list
+     */
+    var writeCache = function(list) {
+        if (!userId) {
+            return;
+        }
+        var data = JSON.stringify({
+            timestamp: Date.now(),
+            reports: list
+        });
+        try {
+            sessionStorage.setItem(CACHE_KEY + userId, data);
+            localStorage.setItem(LAST_KNOWN_KEY + userId, data);
+        } catch (_e) {
+            // Ignore storage errors (quota exceeded, etc.)
+        }
+    };
+
+    /**
+     * Leave offline mode after a successful request and tell the blocks.
+     */
+    var setOnline = function() {
+        if (!offline) {
+            return;
+        }
+        offline = false;
+        retryDelay = RETRY_MIN;
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        reconnectListeners.slice().forEach(function(callback) {
+            callback();
+        });
+    };
+
+    /**
+     * Fetch one catalogue endpoint and tag its reports with their source.
+     *
+     * @param {string} backendUrl Backend API base URL
+     * @param {string} endpoint API endpoint
+     * @param {string} token Auth token
+     * @param {string} source Report source (wizard or ai)
+     * @return {Promise} Resolves with the reports
+     */
+    var fetchEndpoint = function(backendUrl, endpoint, token, source) {
+        return new Promise(function(resolve, reject) {
+            $.ajax({
+                url: backendUrl + endpoint,
+                method: 'GET',
+                headers: {
+                    'Authorization': 'Bearer ' + token,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                timeout: 15000
+            }).done(function(response) {
+                var list = response.reports || response.data || [];
+                list.forEach(function(report) {
+                    report.source = report.source || source;
+                });
+                resolve(list);
+            }).fail(function(jqXHR, textStatus) {
+                reject(new Error('Catalogue request failed: ' + (textStatus || jqXHR.status)));
+            });
+        });
+    };
+
+    /**
+     * Fetch wizard and AI reports from the backend.
+     *
+     * @param {string} backendUrl Backend API base URL
+     * @param {string} token Auth token
+     * @return {Promise} Resolves with all reports
+     */
+    var fetchCatalogue = function(backendUrl, token) {
+        if (cataloguePromise) {
+            return cataloguePromise;
+        }
+
+        cataloguePromise = Promise.all([
+            fetchEndpoint(backendUrl, '/wizard-reports', token, 'wizard'),
+            fetchEndpoint(backendUrl, '/ai-reports', token, 'ai')
+        ]).then(function(lists) {
+            cataloguePromise = null;
+            reports = lists[0].concat(lists[1]);
+            writeCache(reports);
+            setOnline();
+            return reports;
+        }, function(error) {
+            cataloguePromise = null;
+            throw error;
+        });
+
+        return cataloguePromise;
+    };
+
+    /**
+     * Tell every subscribed block that the catalogue changed.
+     *
+     * @param {Array} list
+     */
+    var notify = function(list) {
+        listeners.slice().forEach(function(callback) {
+            callback(list);
+        });
+    };
+
+    return /** @alias module:block_adeptus_insights/report_registry */ {
+        /**
+         * Set the user the stored catalogues and report results belong to, before anything is loaded.
+         *
+         * @param {number} id User ID
+         */
+        setUser: function(id) {
+            if (userId || !id) {
+                return;
+            }
+            userId = id;
+            ResultCache.setUser(id);
+        },
+
+        /**
+         * Get the catalogue if it is already available without a request.
+         *
+         * @return {Array|null}
+         */
+        peekCatalogue: function() {
+            if (!reports) {
+                reports = readCache();
+            }
+            return reports;
+        },
+
+        /**
+         * Get the report catalogue, fetching it once for the whole page.
+         *
+         * @param {Object} options
+         * @param {string} options.backendUrl Backend API base URL
+         * @param {string} options.token Auth token
+         * @return {Promise} Resolves with all reports (each tagged with its source)
+         */
+        getCatalogue: function(options) {
+            var cached = this.peekCatalogue();
+            if (cached) {
+                return Promise.resolve(cached);
+            }
+            return fetchCatalogue(options.backendUrl, options.token);
+        },
+
+        /**
+         * Fetch the catalogue again, drop executed report data and notify every block.
+         *
+         * @param {Object} options See getCatalogue
+         * @return {Promise} Resolves with all reports
+         */
+        refresh: function(options) {
+            if (refreshPromise) {
+                // Another block started a refresh already; every subscriber is notified when it completes.
+                return refreshPromise;
+            }
+
+            // The catalogue and executed report data stay in use until the backend answers.
+            refreshPromise = fetchCatalogue(options.backendUrl, options.token).then(function(list) {
+                refreshPromise = null;
+                if (dataService) {
+                    dataService.clear();
+                }
+                notify(list);
+                return list;
+            }, function(error) {
+                refreshPromise = null;
+                throw error;
+            });
+
+            return refreshPromise;
+        },
+
+        /**
+         * Use a catalogue fetched elsewhere (e.g. by another browser tab) and notify every block.
+         *
+         * Executed report data is kept; fresh results arrive separately. Nothing
+         * happens when the catalogue is unchanged.
+         *
+         * @param {Array} list All reports
+         */
+        apply: function(list) {
+            if (reports && JSON.stringify(reports) === JSON.stringify(list)) {
+                return;
+            }
+            reports = list;
+            writeCache(list);
+            notify(list);
+        },
+
+        /**
+         * Subscribe to catalogue refreshes.
+         *
+         * @param {Function} callback Receives the refreshed catalogue
+         * @return {Function} Call to unsubscribe
+         */
+        subscribe: function(callback) {
+            listeners.push(callback);
+            return function() {
+                listeners = listeners.filter(function(listener) {
+                    return listener !== callback;
+                });
+            };
+        },
+
+        /**
+         * Get the last catalogue the current user fetched successfully, unless it is too old.
+         *
+         * @return {Object|null} {timestamp, reports}
+         */
+        getLastKnownCatalogue: function() {
+            if (!userId) {
+                return null;
+            }
+            try {
+                var data = JSON.parse(localStorage.getItem(LAST_KNOWN_KEY + userId));
+                if (data && data.reports && data.timestamp && (Date.now() - data.timestamp) < LAST_KNOWN_MAX_AGE) {
+                    return data;
+                }
+                // Too old to show, remove it
+                localStorage.removeItem(LAST_KNOWN_KEY + userId);
+            } catch (_e) {
+                // Ignore storage errors
+            }
+            return null;
+        },
+
+        /**
+         * Record that the backend could not be reached and schedule a reconnection attempt.
+         *
+         * Attempts only fetch the catalogue, keeping executed report data, and
+         * back off until one succeeds; every block is then given the catalogue.
+         *
+         * @param {Object} options See getCatalogue
+         */
+        markOffline: function(options) {
+            var self = this;
+            offline = true;
+            if (retryTimer) {
+                return;
+            }
+
+            retryTimer = setTimeout(function() {
+                retryTimer = null;
+                fetchCatalogue(options.backendUrl, options.token).then(function(list) {
+                    notify(list);
+                    return list;
+                }).catch(function() {
+                    self.markOffline(options);
+                });
+            }, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, RETRY_MAX);
+        },
+
+        /**
+         * Whether the backend is currently unreachable.
+         *
+         * @return {boolean}
+         */
+        isOffline: function() {
+            return offline;
+        },
+
+        /**
+         * Subscribe to the backend becoming reachable again.
+         *
+         * @param {Function} callback Called once connectivity returns
+         * @return {Function} Call to unsubscribe
+         */
+        onReconnect: function(callback) {
+            reconnectListeners.push(callback);
+            return function() {
+                reconnectListeners = reconnectListeners.filter(function(listener) {
+                    return listener !== callback;
+                });
+            };
+        },
+
+        /**
+         * Get the report data service shared by all blocks.
+         *
+         * @param {Object} options
+         * @param {string} options.backendUrl Backend API base URL
+         * @param {Function} options.getToken Returns the current API token
+         * @return {Object} The shared service (see block_adeptus_insights/report_data_service)
+         */
+        getDataService: function(options) {
+            if (!dataService) {
+                dataService = ReportDataService.create({
+                    backendUrl: options.backendUrl,
+                    getToken: options.getToken,
+                    store: ResultCache
+                });
+            }
+            return dataService;
+        }
+    };
+});
@@ -0,0 +1,689 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Report table used by the embedded, tab and modal views.
+ *
+ * A table is created for a table view element holding the column menu
+ * (.block-adeptus-column-chooser), the table, the row count
+ * (.block-adeptus-row-count) and the pagination
+ * (.block-adeptus-table-pagination with .block-adeptus-table-page-prev,
+ * -next and -info). It renders the sortable header, the rows of the current
+ * page or a virtual scrolling body, the cell formatting, the aggregate footer
+ * and the column statistics, and handles the events inside the view. The
+ * caller keeps the user's preferences; the table reports changes to them
+ * through its callbacks.
+ *
+ * @module     block_adeptus_insights/report_table
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([
+    'jquery',
+    'core/str',
+    'core/notification',
+    'block_adeptus_insights/column_chooser',
+    'block_adeptus_insights/cell_format',
+    'block_adeptus_insights/cell_renderer',
+    'block_adeptus_insights/virtual_table',
+    'block_adeptus_insights/column_stats',
+    'block_adeptus_insights/row_drilldown'
+], function($, Str, Notification, ColumnChooser, CellFormat, CellRenderer, VirtualTable, ColumnStats, RowDrilldown) {
+    'use strict';
+
+    var stringsPromise = null;
+
+    /**
+     * Load the language strings once.
+     *
+     * @return {Promise} Resolves with the strings keyed by name
+     */
+    var loadStrings = function() {
+        if (stringsPromise) {
+            return stringsPromise;
+        }
+
+        var stringKeys = [
+            {key: 'js_sort_by', component: 'block_adeptus_insights'},
+            {key: 'js_column_stats', component: 'block_adeptus_insights'},
+            {key: 'showingxofy', component: 'block_adeptus_insights'},
+            {key: 'page', component: 'block_adeptus_insights'},
+            {key: 'of', component: 'block_adeptus_insights'}
+        ];
+
+        stringsPromise = Str.get_strings(stringKeys).then(function(strings) {
+            return {
+                sortBy: strings[0],
+                columnStats: strings[1],
+                showing: strings[2],
+                page: strings[3],
+                of: strings[4]
+            };
+        }).catch(function() {
+            // Fallback to English if string loading fails.
+            return {
+                sortBy: 'Sort by {$a}',
+                columnStats: 'Statistics for {$a}',
+                showing: 'Showing {$a->start}-{$a->end} of {$a->total}',
+                page: 'Page',
+                of: 'of'
+            };
+        });
+
+        return stringsPromise;
+    };
+
+    /**
+     * Do nothing; the default for callbacks the caller leaves out.
+     *
+     * @return {null}
+     */
+    var noop = function() {
+        return null;
+    };
+
+    /**
+     * Format a column name for display.
+     *
+     * @param {string} name
+     * @return {string}
+     */
+    var formatName = function(name) {
+        return name.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
+            return letter.toUpperCase();
+        });
+    };
+
+    /**
+     * Get the numeric columns from inferred column types.
+     *
+     * @param {Array} columns [{name, type}] from a data_worker dataset
+     * @return {Array} Column names
+     */
+    var getNumericColumns = function(columns) {
+        return columns.filter(function(column) {
+            return column.type === 'number';
+        }).map(function(column) {
+            return column.name;
+        });
+    };
+
+    /**
+     * Order a report's columns by a saved layout.
+     *
+     * Columns missing from the layout (e.g. added to the report later) come after the others.
+     *
+     * @param {Array} headers Column names in the report's own order
+     * @param {Object|null} layout {order, hidden}
+     * @return {Array} Every column name, in display order
+     */
+    var getColumnOrder = function(headers, layout) {
+        if (!layout) {
+            return headers;
+        }
+
+        var ordered = layout.order.filter(function(column) {
+            return headers.indexOf(column) !== -1;
+        });
+        return ordered.concat(headers.filter(function(column) {
+            return ordered.indexOf(column) === -1;
+        }));
+    };
+
+    /**
+     * Get the columns a layout shows, in order; every column when it would hide them all.
+     *
+     * @param {Array} headers Column names in the report's own order
+     * @param {Object|null} layout {order, hidden}
+     * @return {Array} Visible column names
+     */
+    var getVisibleColumns = function(headers, layout) {
+        if (!layout) {
+            return headers;
+        }
+
+        var visible = getColumnOrder(headers, layout).filter(function(column) {
+            return layout.hidden.indexOf(column) === -1;
+        });
+        return visible.length > 0 ? visible : headers;
+    };
+
+    /**
+     * Get the sort order after a column header is activated.
+     *
+     * Each column cycles through ascending, descending and the report's own order.
+     *
+     * @param {Object|null} sort Current sort order
+     * @param {string} column Activated column
+     * @return {Object|null} {column, direction}
+     */
+    var getNextSort = function(sort, column) {
+        if (!sort || sort.column !== column) {
+            return {column: column, direction: 'asc'};
+        }
+        if (sort.direction === 'asc') {
+            return {column: column, direction: 'desc'};
+        }
+        return null;
+    };
+
+    /**
+     * Table of one report's rows.
+     *
+     * @param {jQuery} $root Table view element
+     * @param {Object} options See create
+     */
+    var ReportTable = function($root, options) {
+        this.root = $root;
+        this.table = $root.find('table').first();
+        this.dataset = options.dataset;
+        this.headers = options.headers;
+        this.key = options.key || '';
+        this.filter = options.filter || {search: '', filters: []};
+        this.sort = options.sort || null;
+        this.layout = options.layout || null;
+        this.virtual = options.mode === 'virtual';
+        this.rowsPerPage = options.rowsPerPage || 25;
+        this.textLimit = options.textLimit || 50;
+        this.formatRules = options.formatRules || {};
+        this.columnTypes = options.columnTypes || {};
+        this.footer = !!options.footer;
+        this.aggregates = options.aggregates || {};
+        this.drilldown = !!options.drilldown;
+        this.onSort = options.onSort || noop;
+        this.onLayoutChange = options.onLayoutChange || noop;
+        this.onAggregateChange = options.onAggregateChange || noop;
+        this.onDrilldown = options.onDrilldown || noop;
+        this.onPageChange = options.onPageChange || noop;
+        this.page = 1;
+        this.total = 0;
+        this.request = 0; // Latest render, so that older answers are ignored.
+        this.virtualTable = null;
+        this.destroyed = false;
+
+        this.bindEvents();
+    };
+
+    ReportTable.prototype = {
+        /**
+         * Handle the events inside the table view.
+         */
+        bindEvents: function() {
+            var self = this;
+
+            this.root.off('.reporttable');
+
+            this.root.on('click.reporttable', '.block-adeptus-sort-button', function(e) {
+                e.preventDefault();
+                self.sortBy($(this).attr('data-column'));
+            });
+
+            this.root.on('click.reporttable', '.block-adeptus-column-stats-button', function(e) {
+                e.preventDefault();
+                self.showColumnStats($(this));
+            });
+
+            this.root.on('click.reporttable', '.block-adeptus-table-page-prev', function(e) {
+                e.preventDefault();
+                if (self.page > 1) {
+                    self.showPage(self.page - 1).catch(Notification.exception);
+                    self.onPageChange(self.page);
+                }
+            });
+
+            this.root.on('click.reporttable', '.block-adeptus-table-page-next', function(e) {
+                e.preventDefault();
+                if (self.page < self.getPageCount()) {
+                    self.showPage(self.page + 1).catch(Notification.exception);
+                    self.onPageChange(self.page);
+                }
+            });
+
+            this.root.on('click.reporttable keydown.reporttable', '.block-adeptus-drilldown-row', function(e) {
+                if (RowDrilldown.isActivation(e)) {
+                    e.preventDefault();
+                    self.onDrilldown($(this).data('row'));
+                }
+            });
+        },
+
+        /**
+         * Get the columns shown, in order.
+         *
+         * @return {Array}
+         */
+        getColumns: function() {
+            return getVisibleColumns(this.headers, this.layout);
+        },
+
+        /**
+         * Get the query for the rows shown: the filter and the sort order.
+         *
+         * @return {Object} {search, filters, sort}
+         */
+        getQuery: function() {
+            return {search: this.filter.search, filters: this.filter.filters, sort: this.sort};
+        },
+
+        /**
+         * Get the number of pages of the rows left after filtering.
+         *
+         * @return {number}
+         */
+        getPageCount: function() {
+            return Math.max(1, Math.ceil(this.total / this.rowsPerPage));
+        },
+
+        /**
+         * Show a page of rows, e.g. the first one after the filter changed.
+         *
+         * @param {number} page
+         * @return {Promise}
+         */
+        showPage: function(page) {
+            this.page = page;
+            return this.render();
+        },
+
+        /**
+         * Render the column menu, the header, the rows of the current page and the footer.
+         *
+         * @return {Promise}
+         */
+        render: function() {
+            var self = this;
+            var request = ++this.request;
+            var headers = this.getColumns();
+            var query = this.getQuery();
+            var formatPromise = this.loadFormat(query, headers);
+
+            ColumnStats.closePopover();
+            this.renderColumnChooser();
+            this.renderFooter(query, headers).catch(Notification.exception);
+
+            if (this.virtualTable) {
+                this.virtualTable.destroy();
+                this.virtualTable = null;
+            }
+
+            return loadStrings().then(function(strings) {
+                if (request !== self.request || self.destroyed) {
+                    return null;
+                }
+                self.table.find('thead').empty().append(self.buildHeader(headers, strings));
+
+                if (self.virtual) {
+                    return self.renderVirtual(query, headers, formatPromise, strings);
+                }
+                return self.renderPage(request, query, headers, formatPromise, strings);
+            });
+        },
+
+        /**
+         * Render the rows of the current page and update the pagination.
+         *
+         * @param {number} request The render these rows belong to
+         * @param {Object} query See getQuery
+         * @param {Array} headers Columns shown
+         * @param {Promise} formatPromise See loadFormat
+         * @param {Object} strings Language strings
+         * @return {Promise} Resolves with the page {rows, total}
+         */
+        renderPage: function(request, query, headers, formatPromise, strings) {
+            var self = this;
+            var start = (this.page - 1) * this.rowsPerPage;
+
+            return Promise.all([
+                this.dataset.query($.extend({offset: start, limit: this.rowsPerPage}, query)),
+                formatPromise
+            ]).then(function(results) {
+                var page = results[0];
+                var format = results[1];
+                var tbody = self.table.find('tbody');
+
+                if (request !== self.request || self.destroyed) {
+                    return page;
+                }
+                self.total = page.total;
+
+                tbody.empty();
+                page.rows.forEach(function(row) {
+                    tbody.append(self.buildRow(row, headers, format));
+                });
+
+                var pages = self.getPageCount();
+                self.showRange(Math.min(start + 1, page.total), start + page.rows.length, page.total, strings);
+                self.root.find('.block-adeptus-table-page-info')
+                    .text(strings.page + ' ' + self.page + ' ' + strings.of + ' ' + pages);
+                self.root.find('.block-adeptus-table-page-prev').prop('disabled', self.page <= 1);
+                self.root.find('.block-adeptus-table-page-next').prop('disabled', self.page >= pages);
+                self.root.find('.block-adeptus-table-pagination').toggleClass('d-none', pages <= 1);
+                return page;
+            });
+        },
+
+        /**
+         * Render the rows with virtual scrolling instead of pages.
+         *
+         * @param {Object} query See getQuery
+         * @param {Array} headers Columns shown
+         * @param {Promise} formatPromise See loadFormat
+         * @param {Object} strings Language strings
+         * @return {Promise} Resolves with the number of rows after filtering
+         */
+        renderVirtual: function(query, headers, formatPromise, strings) {
+            var self = this;
+
+            this.root.find('.block-adeptus-table-pagination').addClass('d-none');
+            this.virtualTable = VirtualTable.create({
+                scroller: this.table.closest('.table-responsive'),
+                tbody: this.table.find('tbody'),
+                columns: headers.length,
+                fetch: function(offset, count) {
+                    return Promise.all([
+                        self.dataset.query($.extend({offset: offset, limit: count}, query)),
+                        formatPromise
+                    ]).then(function(results) {
+                        return {
+                            total: results[0].total,
+                            rows: results[0].rows.map(function(row) {
+                                return self.buildRow(row, headers, results[1]);
+                            })
+                        };
+                    });
+                },
+                onRange: function(first, last, total) {
+                    self.total = total;
+                    self.showRange(first, last, total, strings);
+                }
+            });
+
+            return this.virtualTable.load();
+        },
+
+        /**
+         * Show which rows are in view.
+         *
+         * @param {number} first 1-based
+         * @param {number} last
+         * @param {number} total Rows left after filtering
+         * @param {Object} strings Language strings
+         */
+        showRange: function(first, last, total, strings) {
+            this.root.find('.block-adeptus-row-count').text(strings.showing
+                .replace('{$a->start}', first)
+                .replace('{$a->end}', last)
+                .replace('{$a->total}', total));
+        },
+
+        /**
+         * Build the header row with sort and statistics buttons.
+         *
+         * @param {Array} headers Columns shown
+         * @param {Object} strings Language strings
+         * @return {jQuery}
+         */
+        buildHeader: function(headers, strings) {
+            var sort = this.sort;
+            var headerRow = $('<tr>');
+
+            headers.forEach(function(h) {
+                var formatted = formatName(h);
+                var direction = sort && sort.column === h ? sort.direction : null;
+                var ariaSort = {asc: 'ascending', desc: 'descending'}[direction] || 'none';
+
+                headerRow.append($('<th>').attr('aria-sort', ariaSort).append(
+                    $('<button>')
+                        .attr('type', 'button')
+                        .attr('data-column', h)
+                        .attr('title', strings.sortBy.replace('{$a}', formatted))
+                        .addClass('block-adeptus-sort-button')
+                        .text(formatted + ' ')
+                        .append($('<i>')
+                            .addClass('fa ' + (direction ? 'fa-sort-' + direction : 'fa-sort text-muted'))
+                            .attr('aria-hidden', 'true')),
+                    $('<button>')
+                        .attr('type', 'button')
+                        .attr('data-column', h)
+                        .attr('aria-expanded', 'false')
+                        .attr('aria-label', strings.columnStats.replace('{$a}', formatted))
+                        .attr('title', strings.columnStats.replace('{$a}', formatted))
+                        .addClass('block-adeptus-column-stats-button')
+                        .append($('<i>').addClass('fa fa-bar-chart text-muted').attr('aria-hidden', 'true'))
+                ));
+            });
+
+            return headerRow;
+        },
+
+        /**
+         * Build a body row.
+         *
+         * @param {Object} row Result row
+         * @param {Array} headers Columns shown
+         * @param {Object} format See loadFormat
+         * @return {jQuery}
+         */
+        buildRow: function(row, headers, format) {
+            var limit = this.textLimit;
+            var tr = $('<tr>');
+
+            headers.forEach(function(h) {
+                tr.append(CellFormat.apply(format.cells.render(h, row[h], limit), h, row[h], format));
+            });
+            if (this.drilldown) {
+                // The whole row, hidden columns included, is what the drill-down works from.
+                tr.addClass('block-adeptus-drilldown-row').attr('tabindex', '0').data('row', row);
+            }
+            return tr;
+        },
+
+        /**
+         * Prepare the cell rendering and conditional formatting of the rows.
+         *
+         * Top/bottom percentage rules and data bars are measured against every
+         * row left after filtering, not just the page.
+         *
+         * @param {Object} query See getQuery
+         * @param {Array} headers Columns shown
+         * @return {Promise} Resolves with {cells, rules, stats}: the CellRenderer renderer, and the
+         *     formatting for CellFormat.apply
+         */
+        loadFormat: function(query, headers) {
+            var self = this;
+            var rules = CellFormat.forColumns(this.formatRules, this.key, headers);
+            var statsOptions = CellFormat.getStatsOptions(rules);
+
+            return Promise.all([
+                this.dataset.columns().then(function(columns) {
+                    return CellRenderer.create(columns, CellRenderer.forReport(self.columnTypes, self.key));
+                }),
+                statsOptions ? this.dataset.stats($.extend({}, query, statsOptions)) : {}
+            ]).then(function(results) {
+                return {cells: results[0], rules: rules, stats: results[1]};
+            });
+        },
+
+        /**
+         * Render the aggregate footer, when the table has one.
+         *
+         * @param {Object} query See getQuery
+         * @param {Array} headers Columns shown
+         * @return {Promise}
+         */
+        renderFooter: function(query, headers) {
+            var self = this;
+            var tfoot = this.table.find('tfoot');
+            var request = (tfoot.data('request') || 0) + 1;
+
+            tfoot.data('request', request);
+            if (!this.footer) {
+                tfoot.empty();
+                return Promise.resolve();
+            }
+
+            return this.dataset.columns().then(function(columns) {
+                var numeric = getNumericColumns(columns).filter(function(column) {
+                    return headers.indexOf(column) !== -1;
+                });
+                return Promise.all([numeric, self.dataset.stats($.extend({}, query, {columns: numeric}))]);
+            }).then(function(results) {
+                if (tfoot.data('request') !== request) {
+                    return null;
+                }
+                if (results[0].length === 0) {
+                    tfoot.empty();
+                    return null;
+                }
+                return ColumnStats.renderFooter(tfoot, {
+                    headers: headers,
+                    numeric: results[0],
+                    aggregates: self.aggregates,
+                    stats: results[1],
+                    onChange: function(column, aggregate) {
+                        self.aggregates = $.extend({}, self.aggregates);
+                        self.aggregates[column] = aggregate;
+                        self.onAggregateChange(column, aggregate);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Show the column menu; like the filters, it is only rebuilt when the report
+         * or its columns change, or after the layout was reset.
+         */
+        renderColumnChooser: function() {
+            var self = this;
+            var $container = this.root.find('.block-adeptus-column-chooser');
+            var signature = this.key + '|' + this.headers.join(',');
+
+            if (!$container.length || $container.data('signature') === signature) {
+                return;
+            }
+            $container.data('signature', signature);
+
+            ColumnChooser.render($container, {
+                columns: getColumnOrder(this.headers, this.layout),
+                hidden: this.layout ? this.layout.hidden : [],
+                onChange: function(layout) {
+                    self.layout = layout;
+                    self.onLayoutChange(layout);
+                    if (!layout) {
+                        $container.removeData('signature');
+                    }
+                    self.render();
+                }
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Sort by a column (see getNextSort) and keep the keyboard focus on its header.
+         *
+         * @param {string} column
+         * @return {Promise}
+         */
+        sortBy: function(column) {
+            var self = this;
+
+            this.sort = getNextSort(this.sort, column);
+            this.page = 1;
+            this.onSort(this.sort);
+            return this.render().then(function() {
+                self.table.find('.block-adeptus-sort-button').filter(function() {
+                    return $(this).attr('data-column') === column;
+                }).trigger('focus');
+                return null;
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Open the statistics popover of a column.
+         *
+         * @param {jQuery} button The column's statistics button
+         * @return {Promise}
+         */
+        showColumnStats: function(button) {
+            var column = button.attr('data-column');
+
+            return Promise.all([
+                this.dataset.columns(),
+                this.dataset.stats($.extend(this.getQuery(), ColumnStats.getPopoverOptions(column)))
+            ]).then(function(results) {
+                return ColumnStats.showPopover(button, {
+                    column: column,
+                    numeric: getNumericColumns(results[0]).indexOf(column) !== -1,
+                    stats: results[1][column]
+                });
+            }).catch(Notification.exception);
+        },
+
+        /**
+         * Stop handling the view's events, e.g. before another report is shown in it.
+         */
+        destroy: function() {
+            this.destroyed = true;
+            this.root.off('.reporttable');
+            ColumnStats.closePopover();
+            if (this.virtualTable) {
+                this.virtualTable.destroy();
+                this.virtualTable = null;
+            }
+        }
+    };
+
+    return /** @alias module:block_adeptus_insights/report_table */ {
+        /**
+         * Create the table of a table view and bind its events; call render to fill it.
+         *
+         * @param {jQuery} $root Table view element (see the module description)
+         * @param {Object} options
+         * @param {Object} options.dataset data_worker dataset of the report rows
+         * @param {Array} options.headers Column names in the report's own order
+         * @param {string} options.key Report key (slug::source); the column menu is kept while it stays the same
+         * @param {Object} options.filter Quick and column filters {search, filters}, read at every
+         *     render so that the caller can change them in place and call showPage(1)
+         * @param {Object|null} options.sort Sort order {column, direction}, null for the report's own order
+         * @param {Object|null} options.layout Column layout {order, hidden}, null for the report's own columns
+         * @param {string} options.mode 'paginated' or 'virtual' (one scrolling body)
+         * @param {number} options.rowsPerPage Rows per page when paginated
+         * @param {number} options.textLimit Maximum text length before a cell is cut
+         * @param {Object} options.formatRules Conditional formatting rules keyed by report key (see cell_format)
+         * @param {Object} options.columnTypes Display types keyed by report key, then column name (see cell_renderer)
+         * @param {boolean} options.footer Whether to show the footer row of column aggregates
+         * @param {Object} options.aggregates Footer aggregate keyed by column name (see column_stats)
+         * @param {boolean} options.drilldown Whether rows can be clicked (see onDrilldown)
+         * @param {Function} options.onSort Called with the new sort order
+         * @param {Function} options.onLayoutChange Called with the new column layout, null when it was reset
+         * @param {Function} options.onAggregateChange Called with (column, aggregate)
+         * @param {Function} options.onDrilldown Called with the result row that was clicked
+         * @param {Function} options.onPageChange Called with the page the user moved to
+         * @return {ReportTable}
+         */
+        create: function($root, options) {
+            return new ReportTable($root, options);
+        },
+
+        /**
+         * Get the columns a layout shows, in order.
+         *
+         * @param {Array} headers Column names in the report's own order
+         * @param {Object|null} layout {order, hidden}
+         * @return {Array}
+         */
+        getVisibleColumns: getVisibleColumns
+    };
+});
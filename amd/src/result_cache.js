@@ -0,0 +1,253 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Persistent IndexedDB store for executed report results.
+ *
+ * Every method resolves (never rejects) so callers can treat the store as
+ * optional: when IndexedDB is unavailable, reads resolve with null and writes
+ * are ignored.
+ *
+ * Entries belong to the user set with setUser and are only returned to that
+ * user. The whole store is cleared when another user, or the same user in a
+ * new session, opens it, so report rows never outlive the session that
+ * fetched them. Until a user is set the store is unavailable.
+ *
+ * @module     block_adeptus_insights/result_cache
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function() {
+    'use strict';
+
+    var DB_NAME = 'block_adeptus_insights';
+    var DB_VERSION = 1;
+    var STORE = 'results';
+
+    // Hash of the user and session that last opened the store.
+    var SESSION_KEY = 'adeptus_block_results_session';
+
+    // Entries older than this are removed when the database is opened (7 days).
+    var MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+    // Shared promise resolving with the open database (or null).
+    var dbPromise = null;
+
+    // User the entries belong to, null until set.
+    var userId = null;
+
+    /**
+     * Hash the current user and session, so that the session key itself is not stored.
+     *
+     * @return {string}
+     */
+    var getSessionHash = function() {
+        var text = userId + ':' + M.cfg.sesskey;
+        var hash = 5381;
+        for (var i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return userId + ':' + (hash >>> 0).toString(36);
+    };
+
+    /**
+     * Clear the store when it was last opened by another user or in another session.
+     *
+     * @param {IDBDatabase} db
+     */
+    var checkSession = function(db) {
+        var hash = getSessionHash();
+        var previous = null;
+        try {
+            previous = localStorage.getItem(SESSION_KEY);
+            localStorage.setItem(SESSION_KEY, hash);
+        } catch (_e) {
+            // Without storage the session cannot be compared, so nothing persisted is trusted.
+        }
+        if (previous === hash) {
+            return;
+        }
+        try {
+            db.transaction(STORE, 'readwrite').objectStore(STORE).clear();
+        } catch (_e) {
+            // Entries of other users are still never returned.
+        }
+    };
+
+    /**
+     * Remove entries that are too old to be useful.
+     *
+     * @param {IDBDatabase} db
+     */
+    var prune = function(db) {
+        try {
+            var store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+            var range = IDBKeyRange.upperBound(Date.now() - MAX_AGE);
+            store.index('storedAt').openCursor(range).onsuccess = function(e) {
+                var cursor = e.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        } catch (_e) {
+            // Pruning is housekeeping only.
+        }
+    };
+
+    /**
+     * Open (and create or upgrade) the database.
+     *
+     * @return {Promise} Resolves with the IDBDatabase, or null when unavailable
+     */
+    var openDatabase = function() {
+        if (dbPromise) {
+            return dbPromise;
+        }
+        if (userId === null) {
+            return Promise.resolve(null);
+        }
+
+        dbPromise = new Promise(function(resolve) {
+            var request;
+            try {
+                request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            } catch (_e) {
+                // IndexedDB missing or blocked (e.g. private browsing).
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = function() {
+                var db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    var store = db.createObjectStore(STORE, {keyPath: 'key'});
+                    store.createIndex('userBlock', ['userId', 'blockId'], {unique: false});
+                    store.createIndex('storedAt', 'storedAt', {unique: false});
+                }
+            };
+            request.onsuccess = function() {
+                checkSession(request.result);
+                prune(request.result);
+                resolve(request.result);
+            };
+            request.onerror = function() {
+                resolve(null);
+            };
+            request.onblocked = function() {
+                resolve(null);
+            };
+        });
+
+        return dbPromise;
+    };
+
+    /**
+     * Run a single request against the results store.
+     *
+     * @param {string} mode Transaction mode (readonly or readwrite)
+     * @param {Function} callback Receives the object store and returns an IDBRequest
+     * @return {Promise} Resolves with the request result, or null on failure
+     */
+    var withStore = function(mode, callback) {
+        return openDatabase().then(function(db) {
+            if (!db) {
+                return null;
+            }
+            return new Promise(function(resolve) {
+                try {
+                    var request = callback(db.transaction(STORE, mode).objectStore(STORE));
+                    request.onsuccess = function() {
+                        resolve(request.result === undefined ? null : request.result);
+                    };
+                    request.onerror = function() {
+                        resolve(null);
+                    };
+                } catch (_e) {
+                    resolve(null);
+                }
+            });
+        });
+    };
+
+    return /** @alias module:block_adeptus_insights/result_cache */ {
+        /**
+         * Set the user the entries belong to, before the store is first used.
+         *
+         * @param {number} id User ID
+         */
+        setUser: function(id) {
+            if (userId === null && id) {
+                userId = id;
+            }
+        },
+
+        /**
+         * Read a cached entry of the current user.
+         *
+         * @param {string} key Cache key
+         * @return {Promise} Resolves with {key, userId, blockId, storedAt, data} or null
+         */
+        get: function(key) {
+            return withStore('readonly', function(store) {
+                return store.get(key);
+            }).then(function(entry) {
+                return entry && entry.userId === userId ? entry : null;
+            });
+        },
+
+        /**
+         * Store an entry.
+         *
+         * @param {string} key Cache key
+         * @param {number} blockId Block instance the entry belongs to
+         * @param {Object} data Value to store (must be structured-cloneable)
+         * @return {Promise}
+         */
+        set: function(key, blockId, data) {
+            return withStore('readwrite', function(store) {
+                return store.put({
+                    key: key,
+                    userId: userId,
+                    blockId: blockId,
+                    storedAt: Date.now(),
+                    data: data
+                });
+            });
+        },
+
+        /**
+         * Remove every entry the current user stored for a block.
+         *
+         * @param {number} blockId Block instance ID
+         * @return {Promise}
+         */
+        clearBlock: function(blockId) {
+            return withStore('readwrite', function(store) {
+                var request = store.index('userBlock').openCursor(IDBKeyRange.only([userId, blockId]));
+                var onsuccess = function(e) {
+                    var cursor = e.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+                request.addEventListener('success', onsuccess);
+                return request;
+            });
+        }
+    };
+});
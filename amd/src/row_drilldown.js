@@ -0,0 +1,241 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Row drill-down for report tables.
+ *
+ * Block editors give a report a drill-down action: detail (a panel listing
+ * every field of the row), url (a Moodle URL such as
+ * /user/view.php?id={userid}&course={courseid}) or report (another report,
+ * run with parameters such as courseid={courseid}). Placeholders in braces
+ * are replaced with the row's values.
+ *
+ * @module     block_adeptus_insights/row_drilldown
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/str', 'core/modal_factory', 'core/modal_events'], function($, Str, ModalFactory, ModalEvents) {
+    'use strict';
+
+    // Drill-down actions, the first being the default.
+    var ACTIONS = ['detail', 'url', 'report'];
+
+    // Placeholders for row values, e.g. {userid}.
+    var PLACEHOLDER = /\{([^{}]+)\}/g;
+
+    var stringsPromise = null;
+
+    /**
+     * Load the language strings once.
+     *
+     * @return {Promise} Resolves with the strings keyed by name
+     */
+    var loadStrings = function() {
+        if (stringsPromise) {
+            return stringsPromise;
+        }
+
+        var stringKeys = [
+            {key: 'drilldown_field', component: 'block_adeptus_insights'},
+            {key: 'drilldown_value', component: 'block_adeptus_insights'}
+        ];
+
+        stringsPromise = Str.get_strings(stringKeys).then(function(strings) {
+            return {
+                field: strings[0],
+                value: strings[1]
+            };
+        }).catch(function() {
+            // Fallback to English if string loading fails.
+            return {
+                field: 'Field',
+                value: 'Value'
+            };
+        });
+
+        return stringsPromise;
+    };
+
+    /**
+     * Escape text for use in HTML.
+     *
+     * @param {string} text
+     * @return {string}
+     */
+    var escapeHtml = function(text) {
+        var div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    };
+
+    /**
+     * Load the title of a row's detail panel. The title is rendered as HTML, so the report name is escaped.
+     *
+     * @param {string} name Report name
+     * @return {Promise} Resolves with the title
+     */
+    var loadDetailTitle = function(name) {
+        var escaped = escapeHtml(name || '');
+        return Str.get_string('drilldown_detail_title', 'block_adeptus_insights', escaped).catch(function() {
+            // Fallback to English if string loading fails.
+            return 'Row details: ' + escaped;
+        });
+    };
+
+    /**
+     * Replace the placeholders in a template with a row's values.
+     *
+     * @param {string} template
+     * @param {Object} row Result row
+     * @param {Function} encode Applied to each value
+     * @return {string}
+     */
+    var fill = function(template, row, encode) {
+        return String(template || '').replace(PLACEHOLDER, function(match, column) {
+            var value = row[$.trim(column)];
+            return value === null || value === undefined ? '' : encode(String(value));
+        });
+    };
+
+    /**
+     * Format a column name for display.
+     *
+     * @param {string} name
+     * @return {string}
+     */
+    var formatName = function(name) {
+        return name.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
+            return letter.toUpperCase();
+        });
+    };
+
+    return /** @alias module:block_adeptus_insights/row_drilldown */ {
+        /**
+         * Get the drill-down configured for a report.
+         *
+         * @param {Object} drilldowns Drill-downs keyed by report key (slug::source)
+         * @param {string} key Report key
+         * @return {Object|null} {action, url, target, params}
+         */
+        forReport: function(drilldowns, key) {
+            var drilldown = (drilldowns || {})[key];
+            if (!drilldown) {
+                return null;
+            }
+            return $.extend({}, drilldown, {
+                action: ACTIONS.indexOf(drilldown.action) !== -1 ? drilldown.action : ACTIONS[0]
+            });
+        },
+
+        /**
+         * Whether an event on a table row should drill down.
+         *
+         * Clicks on links, buttons and fields in the row keep their own behaviour.
+         *
+         * @param {Event} e Click or keydown event
+         * @return {boolean}
+         */
+        isActivation: function(e) {
+            if (e.type === 'keydown') {
+                return (e.key === 'Enter' || e.key === ' ') && e.target === e.currentTarget;
+            }
+            return !$(e.target).closest('a, button, input, select, textarea').length;
+        },
+
+        /**
+         * Build the URL a row navigates to.
+         *
+         * Only Moodle URLs are followed: paths on this site, or full URLs starting with its address.
+         *
+         * @param {string} template URL with placeholders
+         * @param {Object} row Result row
+         * @return {string|null} Absolute URL, null when the template is not a Moodle URL
+         */
+        buildUrl: function(template, row) {
+            var url = fill($.trim(template), row, encodeURIComponent);
+
+            if (/^\/(?!\/)/.test(url)) {
+                return M.cfg.wwwroot + url;
+            }
+            if (url.indexOf(M.cfg.wwwroot + '/') === 0) {
+                return url;
+            }
+            return null;
+        },
+
+        /**
+         * Get the execution parameters a row passes to another report.
+         *
+         * @param {string} template Parameters as name={column}, separated by & or new lines
+         * @param {Object} row Result row
+         * @return {Object} Execution parameters, without empty values
+         */
+        getParams: function(template, row) {
+            var params = {};
+
+            String(template || '').split(/[&\n]/).forEach(function(pair) {
+                var index = pair.indexOf('=');
+                var name = $.trim(index === -1 ? '' : pair.substring(0, index));
+                var value = index === -1 ? '' : $.trim(fill(pair.substring(index + 1), row, function(text) {
+                    return text;
+                }));
+                if (name && value !== '') {
+                    params[name] = value;
+                }
+            });
+
+            return params;
+        },
+
+        /**
+         * Show a panel listing every field of a row.
+         *
+         * @param {Object} options
+         * @param {string} options.title Report name
+         * @param {Object} options.row Result row
+         * @param {Object} options.cells CellRenderer renderer for the report's columns
+         * @return {Promise} Resolves with the modal
+         */
+        showDetail: function(options) {
+            return Promise.all([loadStrings(), loadDetailTitle(options.title)]).then(function(results) {
+                var strings = results[0];
+                var $tbody = $('<tbody>');
+
+                Object.keys(options.row).forEach(function(column) {
+                    $tbody.append($('<tr>')
+                        .append($('<th>').attr('scope', 'row').text(formatName(column)))
+                        .append(options.cells.render(column, options.row[column], 0)));
+                });
+
+                return ModalFactory.create({
+                    type: ModalFactory.types.DEFAULT,
+                    title: results[1],
+                    body: $('<table>').addClass('table table-sm table-striped block-adeptus-row-detail mb-0')
+                        .append($('<thead>').append($('<tr>')
+                            .append($('<th>').attr('scope', 'col').text(strings.field))
+                            .append($('<th>').attr('scope', 'col').text(strings.value))))
+                        .append($tbody)
+                });
+            }).then(function(modal) {
+                modal.getRoot().on(ModalEvents.hidden, function() {
+                    modal.destroy();
+                });
+                modal.show();
+                return modal;
+            });
+        }
+    };
+});
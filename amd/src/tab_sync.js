@@ -0,0 +1,232 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Coordination between browser tabs showing the same Adeptus Insights block.
+ *
+ * For every block instance one tab holds a leader lease in localStorage. The
+ * leader runs auto-refresh and posts KPI snapshots, and shares what it fetched
+ * with the other tabs over a BroadcastChannel (or localStorage events where
+ * BroadcastChannel is not supported). The most recently focused tab takes over
+ * the lease, and the lease expires when its tab is closed or stops renewing it.
+ *
+ * When localStorage is unavailable every tab acts as its own leader.
+ *
+ * @module     block_adeptus_insights/tab_sync
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define([], function() {
+    'use strict';
+
+    var CHANNEL_NAME = 'block_adeptus_insights';
+    var LEADER_KEY = 'adeptus_block_leader_'; // Suffixed with the block ID.
+    var MESSAGE_KEY = 'adeptus_block_message';
+    var HEARTBEAT = 5000; // Lease renewal interval.
+    var LEASE = 15000; // Lease lifetime without renewal.
+
+    // Identifies this tab in leases and messages.
+    var tabId = Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+    var handlers = {}; // Message callbacks keyed by block ID.
+    var channel = null;
+    var storage = null;
+    var started = false;
+
+    /**
+     * Get localStorage if it can be written to.
+     *
+     * @return {Storage|null}
+     */
+    var getStorage = function() {
+        try {
+            window.localStorage.setItem(MESSAGE_KEY, '');
+            window.localStorage.removeItem(MESSAGE_KEY);
+            return window.localStorage;
+        } catch (_e) {
+            return null;
+        }
+    };
+
+    /**
+     * Read the current lease for a block.
+     *
+     * @param {number} blockId
+     * @return {Object|null} {tab, expires}
+     */
+    var readLease = function(blockId) {
+        try {
+            return JSON.parse(storage.getItem(LEADER_KEY + blockId));
+        } catch (_e) {
+            return null;
+        }
+    };
+
+    /**
+     * Take or renew the lease for a block.
+     *
+     * @param {number} blockId
+     */
+    var writeLease = function(blockId) {
+        try {
+            storage.setItem(LEADER_KEY + blockId, JSON.stringify({tab: tabId, expires: Date.now() + LEASE}));
+        } catch (_e) {
+            // Ignore storage errors
+        }
+    };
+
+    /**
+     * Renew leases held by this tab and claim any that have expired.
+     *
+     * @param {boolean} takeOver Claim leases even when another tab holds them
+     */
+    var heartbeat = function(takeOver) {
+        Object.keys(handlers).forEach(function(blockId) {
+            var lease = readLease(blockId);
+            if (takeOver || !lease || lease.tab === tabId || lease.expires < Date.now()) {
+                writeLease(blockId);
+            }
+        });
+    };
+
+    /**
+     * Give up the leases held by this tab so another tab can claim them straight away.
+     */
+    var release = function() {
+        Object.keys(handlers).forEach(function(blockId) {
+            var lease = readLease(blockId);
+            if (lease && lease.tab === tabId) {
+                storage.removeItem(LEADER_KEY + blockId);
+            }
+        });
+    };
+
+    /**
+     * Pass a message from another tab to the block it is addressed to.
+     *
+     * @param {Object} message {blockId, type, payload, tab}
+     */
+    var dispatch = function(message) {
+        if (!message || message.tab === tabId || !handlers[message.blockId]) {
+            return;
+        }
+        handlers[message.blockId](message.type, message.payload);
+    };
+
+    /**
+     * Open the message channel and start the lease heartbeat.
+     */
+    var start = function() {
+        started = true;
+        storage = getStorage();
+
+        if (typeof window.BroadcastChannel === 'function') {
+            channel = new window.BroadcastChannel(CHANNEL_NAME);
+            channel.onmessage = function(e) {
+                dispatch(e.data);
+            };
+        }
+
+        if (!storage) {
+            return;
+        }
+
+        window.addEventListener('storage', function(e) {
+            if (!channel && e.key === MESSAGE_KEY && e.newValue) {
+                try {
+                    dispatch(JSON.parse(e.newValue));
+                } catch (_e) {
+                    // Ignore malformed messages
+                }
+            }
+        });
+
+        // The tab the user is looking at leads, so its refreshes are the ones they see.
+        document.addEventListener('visibilitychange', function() {
+            if (!document.hidden) {
+                heartbeat(true);
+            }
+        });
+        window.addEventListener('pagehide', release);
+
+        setInterval(function() {
+            heartbeat(false);
+        }, HEARTBEAT);
+    };
+
+    return /** @alias module:block_adeptus_insights/tab_sync */ {
+        /**
+         * Take part in leader election for a block and receive its messages from other tabs.
+         *
+         * @param {number} blockId Block instance ID
+         * @param {Function} callback Receives (type, payload) for each message
+         */
+        join: function(blockId, callback) {
+            if (!started) {
+                start();
+            }
+            handlers[blockId] = callback;
+            if (storage) {
+                heartbeat(!document.hidden);
+            }
+        },
+
+        /**
+         * Whether this tab leads the given block.
+         *
+         * @param {number} blockId Block instance ID
+         * @return {boolean}
+         */
+        isLeader: function(blockId) {
+            if (!storage) {
+                return true;
+            }
+            var lease = readLease(blockId);
+            return !!lease && lease.tab === tabId && lease.expires >= Date.now();
+        },
+
+        /**
+         * Send a message to the same block in other tabs.
+         *
+         * @param {number} blockId Block instance ID
+         * @param {string} type Message type
+         * @param {Object} payload Message data (must be structured-cloneable and JSON-serialisable)
+         */
+        publish: function(blockId, type, payload) {
+            var message = {blockId: blockId, type: type, payload: payload, tab: tabId};
+
+            if (channel) {
+                try {
+                    channel.postMessage(message);
+                } catch (_e) {
+                    // Ignore messages that cannot be cloned
+                }
+                return;
+            }
+
+            if (storage) {
+                try {
+                    // A unique value makes sure the storage event fires for repeated messages.
+                    message.nonce = Math.random();
+                    storage.setItem(MESSAGE_KEY, JSON.stringify(message));
+                    storage.removeItem(MESSAGE_KEY);
+                } catch (_e) {
+                    // Ignore storage errors (quota exceeded, etc.)
+                }
+            }
+        }
+    };
+});
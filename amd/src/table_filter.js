@@ -0,0 +1,346 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Quick filter and per-column filters for report tables.
+ *
+ * The bar holds a quick-filter box that matches any cell, and a collapsible
+ * panel with one control per column: contains/equals for text, a range for
+ * numbers and a date range for dates. Its value is {search, filters} in the
+ * format block_adeptus_insights/data_worker queries accept.
+ *
+ * @module     block_adeptus_insights/table_filter
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery', 'core/str'], function($, Str) {
+    'use strict';
+
+    // Delay before typed text is applied.
+    var TYPING_DELAY = 300;
+
+    var stringsPromise = null;
+    var panelCount = 0;
+
+    /**
+     * Load the filter's language strings once.
+     *
+     * @return {Promise} Resolves with the strings keyed by name
+     */
+    var loadStrings = function() {
+        if (stringsPromise) {
+            return stringsPromise;
+        }
+
+        var stringKeys = [
+            {key: 'filter_search', component: 'block_adeptus_insights'},
+            {key: 'filter_columns', component: 'block_adeptus_insights'},
+            {key: 'filter_clear', component: 'block_adeptus_insights'},
+            {key: 'filter_contains', component: 'block_adeptus_insights'},
+            {key: 'filter_equals', component: 'block_adeptus_insights'},
+            {key: 'filter_min', component: 'block_adeptus_insights'},
+            {key: 'filter_max', component: 'block_adeptus_insights'},
+            {key: 'param_from', component: 'block_adeptus_insights'},
+            {key: 'param_to', component: 'block_adeptus_insights'}
+        ];
+
+        stringsPromise = Str.get_strings(stringKeys).then(function(strings) {
+            return {
+                search: strings[0],
+                columns: strings[1],
+                clear: strings[2],
+                contains: strings[3],
+                equals: strings[4],
+                min: strings[5],
+                max: strings[6],
+                from: strings[7],
+                to: strings[8]
+            };
+        }).catch(function() {
+            // Fallback to English if string loading fails.
+            return {
+                search: 'Filter rows...',
+                columns: 'Column filters',
+                clear: 'Clear filters',
+                contains: 'Contains',
+                equals: 'Equals',
+                min: 'Min',
+                max: 'Max',
+                from: 'From',
+                to: 'To'
+            };
+        });
+
+        return stringsPromise;
+    };
+
+    /**
+     * Format a column name for display.
+     *
+     * @param {string} name
+     * @return {string}
+     */
+    var formatName = function(name) {
+        return name.replace(/_/g, ' ').replace(/\b\w/g, function(letter) {
+            return letter.toUpperCase();
+        });
+    };
+
+    /**
+     * Format a timestamp for a date input.
+     *
+     * @param {number} time Milliseconds since the epoch
+     * @return {string} YYYY-MM-DD in local time, or an empty string
+     */
+    var toDateInput = function(time) {
+        if (time === null || time === undefined || time === '') {
+            return '';
+        }
+        var date = new Date(time);
+        var pad = function(number) {
+            return (number < 10 ? '0' : '') + number;
+        };
+        return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+    };
+
+    /**
+     * Convert a date input value to a timestamp.
+     *
+     * @param {string} value YYYY-MM-DD
+     * @param {boolean} endOfDay Use the last millisecond of the day instead of the first
+     * @return {number|null} Milliseconds since the epoch
+     */
+    var fromDateInput = function(value, endOfDay) {
+        var parts = (value || '').split('-');
+        if (parts.length !== 3) {
+            return null;
+        }
+        var date = endOfDay ?
+            new Date(parts[0], parts[1] - 1, parts[2], 23, 59, 59, 999) :
+            new Date(parts[0], parts[1] - 1, parts[2]);
+        return isNaN(date.getTime()) ? null : date.getTime();
+    };
+
+    /**
+     * Convert a number input value.
+     *
+     * @param {string} value
+     * @return {number|null}
+     */
+    var fromNumberInput = function(value) {
+        var number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    };
+
+    /**
+     * Build the controls for one column.
+     *
+     * @param {Object} column {name, type}
+     * @param {Object|undefined} filter The column's current filter
+     * @param {Object} strings Language strings
+     * @return {jQuery}
+     */
+    var buildColumn = function(column, filter, strings) {
+        var label = formatName(column.name);
+        var $row = $('<div>')
+            .addClass('block-adeptus-table-filter-column')
+            .attr('data-column', column.name)
+            .attr('data-type', column.type)
+            .append($('<span>').addClass('block-adeptus-table-filter-label').text(label));
+        var input = function(type, className, ariaLabel, value) {
+            return $('<input>')
+                .attr('type', type)
+                .attr('aria-label', label + ': ' + ariaLabel)
+                .addClass('form-control form-control-sm ' + className)
+                .val(value === null || value === undefined ? '' : value);
+        };
+
+        filter = filter || {};
+
+        if (column.type === 'number') {
+            $row.append(input('number', 'block-adeptus-filter-from', strings.min, filter.value)
+                .attr('placeholder', strings.min).attr('step', 'any'));
+            $row.append(input('number', 'block-adeptus-filter-to', strings.max, filter.to)
+                .attr('placeholder', strings.max).attr('step', 'any'));
+        } else if (column.type === 'date') {
+            $row.append(input('date', 'block-adeptus-filter-from', strings.from, toDateInput(filter.value)));
+            $row.append(input('date', 'block-adeptus-filter-to', strings.to, toDateInput(filter.to)));
+        } else {
+            $row.append($('<select>')
+                .addClass('form-select form-select-sm block-adeptus-filter-operator')
+                .attr('aria-label', label)
+                .append($('<option>').val('contains').text(strings.contains))
+                .append($('<option>').val('equals').text(strings.equals))
+                .val(filter.operator === 'equals' ? 'equals' : 'contains'));
+            $row.append(input('text', 'block-adeptus-filter-value', strings.contains, filter.value));
+        }
+
+        return $row;
+    };
+
+    /**
+     * Read the filter value from the controls.
+     *
+     * @param {jQuery} $container
+     * @return {Object} {search, filters}
+     */
+    var readValue = function($container) {
+        var filters = [];
+
+        $container.find('.block-adeptus-table-filter-column').each(function() {
+            var $row = $(this);
+            var column = $row.attr('data-column');
+            var type = $row.attr('data-type');
+            var from = $row.find('.block-adeptus-filter-from').val();
+            var to = $row.find('.block-adeptus-filter-to').val();
+
+            if (type === 'number' || type === 'date') {
+                var range = type === 'date' ?
+                    {value: fromDateInput(from, false), to: fromDateInput(to, true)} :
+                    {value: fromNumberInput(from), to: fromNumberInput(to)};
+                if (range.value !== null || range.to !== null) {
+                    filters.push({column: column, operator: 'between', value: range.value, to: range.to});
+                }
+                return;
+            }
+
+            var value = $.trim($row.find('.block-adeptus-filter-value').val());
+            if (value !== '') {
+                filters.push({column: column, operator: $row.find('.block-adeptus-filter-operator').val(), value: value});
+            }
+        });
+
+        return {
+            search: $.trim($container.find('.block-adeptus-table-search').val()),
+            filters: filters
+        };
+    };
+
+    /**
+     * Show how many column filters are active on the panel toggle.
+     *
+     * @param {jQuery} $container
+     * @param {Object} value {search, filters}
+     */
+    var showCount = function($container, value) {
+        var count = value.filters.length;
+        $container.find('.block-adeptus-table-filter-count').text(count ? count : '').toggleClass('d-none', !count);
+        $container.find('.block-adeptus-table-filter-clear').toggleClass('d-none', !count && !value.search);
+    };
+
+    return /** @alias module:block_adeptus_insights/table_filter */ {
+        /**
+         * Create an empty filter value.
+         *
+         * @return {Object} {search, filters}
+         */
+        empty: function() {
+            return {search: '', filters: []};
+        },
+
+        /**
+         * Whether a filter value filters anything.
+         *
+         * @param {Object} value {search, filters}
+         * @return {boolean}
+         */
+        isActive: function(value) {
+            return !!value && (!!value.search || value.filters.length > 0);
+        },
+
+        /**
+         * Render the filter controls, replacing any previous content.
+         *
+         * @param {jQuery} $container Container element
+         * @param {Object} options
+         * @param {Array} options.columns [{name, type}] as inferred by data_worker
+         * @param {Object} options.value Current value {search, filters}
+         * @param {Function} options.onChange Receives the new value
+         * @return {Promise}
+         */
+        render: function($container, options) {
+            var value = options.value || this.empty();
+
+            return loadStrings().then(function(strings) {
+                var panelId = 'block-adeptus-table-filter-' + (++panelCount);
+                var byColumn = {};
+                var timer = null;
+
+                value.filters.forEach(function(filter) {
+                    byColumn[filter.column] = filter;
+                });
+
+                var $panel = $('<div>')
+                    .attr('id', panelId)
+                    .addClass('block-adeptus-table-filter-columns d-none');
+                options.columns.forEach(function(column) {
+                    $panel.append(buildColumn(column, byColumn[column.name], strings));
+                });
+
+                $container.empty().append(
+                    $('<div>').addClass('block-adeptus-table-filter-bar')
+                        .append($('<input>')
+                            .attr('type', 'search')
+                            .attr('placeholder', strings.search)
+                            .attr('aria-label', strings.search)
+                            .addClass('form-control form-control-sm block-adeptus-table-search')
+                            .val(value.search))
+                        .append($('<button>')
+                            .attr('type', 'button')
+                            .attr('aria-expanded', 'false')
+                            .attr('aria-controls', panelId)
+                            .addClass('btn btn-sm btn-outline-secondary block-adeptus-table-filter-toggle')
+                            .append($('<i>').addClass('fa fa-filter').attr('aria-hidden', 'true'))
+                            .append(' ' + strings.columns + ' ')
+                            .append($('<span>').addClass('badge bg-primary block-adeptus-table-filter-count d-none')))
+                        .append($('<button>')
+                            .attr('type', 'button')
+                            .addClass('btn btn-sm btn-link block-adeptus-table-filter-clear d-none')
+                            .text(strings.clear)),
+                    $panel
+                );
+                showCount($container, value);
+
+                var apply = function() {
+                    clearTimeout(timer);
+                    var newValue = readValue($container);
+                    showCount($container, newValue);
+                    options.onChange(newValue);
+                };
+
+                $container.off('.tablefilter');
+                $container.on('input.tablefilter', 'input[type="search"], input[type="text"], input[type="number"]', function() {
+                    clearTimeout(timer);
+                    timer = setTimeout(apply, TYPING_DELAY);
+                });
+                $container.on('change.tablefilter', 'select, input[type="date"]', apply);
+                $container.on('click.tablefilter', '.block-adeptus-table-filter-toggle', function() {
+                    var expanded = $(this).attr('aria-expanded') === 'true';
+                    $(this).attr('aria-expanded', expanded ? 'false' : 'true');
+                    $panel.toggleClass('d-none', expanded);
+                });
+                $container.on('click.tablefilter', '.block-adeptus-table-filter-clear', function() {
+                    $container.find('input').val('');
+                    $container.find('select').val('contains');
+                    apply();
+                });
+
+                $container.removeClass('d-none');
+                return $container;
+            });
+        }
+    };
+});
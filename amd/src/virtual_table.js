@@ -0,0 +1,235 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Virtual scrolling for report tables.
+ *
+ * Only the rows in and around the visible part of the scroll area are in the
+ * page. Spacer rows above and below them keep the scrollbar the height of the
+ * whole result, and rows are fetched again as the user scrolls.
+ *
+ * @module     block_adeptus_insights/virtual_table
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+define(['jquery'], function($) {
+    'use strict';
+
+    // Rows rendered above and below the visible ones.
+    var OVERSCAN = 20;
+
+    // Row height in pixels until a rendered row has been measured.
+    var DEFAULT_ROW_HEIGHT = 33;
+
+    // Scroll area height in pixels when it cannot be measured (e.g. while hidden).
+    var DEFAULT_HEIGHT = 400;
+
+    /**
+     * Virtual scrolling table body.
+     *
+     * @param {Object} options See create
+     */
+    var VirtualTable = function(options) {
+        this.scroller = options.scroller;
+        this.tbody = options.tbody;
+        this.columns = options.columns;
+        this.fetch = options.fetch;
+        this.onRange = options.onRange || function() {
+            return null;
+        };
+        this.rowHeight = DEFAULT_ROW_HEIGHT;
+        this.measured = false;
+        this.total = 0;
+        this.offset = 0; // Index of the first rendered row.
+        this.count = 0; // Number of rendered rows.
+        this.request = 0; // Latest fetch, so that older answers are ignored.
+        this.frame = null;
+        this.destroyed = false;
+
+        this.scroller.addClass('block-adeptus-virtual-scroll').scrollTop(0);
+        this.scroller.off('.virtualtable').on('scroll.virtualtable', this.schedule.bind(this));
+    };
+
+    VirtualTable.prototype = {
+        /**
+         * Fetch and render the first rows.
+         *
+         * @return {Promise} Resolves with the total number of rows
+         */
+        load: function() {
+            var self = this;
+            var view = this.getView();
+
+            return this.show(0, view.visible + OVERSCAN).then(function() {
+                // The measured row height may call for more rows.
+                self.update();
+                return self.total;
+            });
+        },
+
+        /**
+         * Get the rows in the visible part of the scroll area.
+         *
+         * @return {Object} {first, visible}: index of the first visible row and how many fit
+         */
+        getView: function() {
+            // Until rows are rendered the scroll area is only as high as the header.
+            var height = Math.max(this.scroller.innerHeight() || 0, parseFloat(this.scroller.css('max-height')) || 0) ||
+                DEFAULT_HEIGHT;
+
+            return {
+                first: Math.floor(this.scroller.scrollTop() / this.rowHeight),
+                visible: Math.ceil(height / this.rowHeight)
+            };
+        },
+
+        /**
+         * Update the rows on the next animation frame.
+         */
+        schedule: function() {
+            var self = this;
+
+            if (this.frame !== null || this.destroyed) {
+                return;
+            }
+            this.frame = window.requestAnimationFrame(function() {
+                self.frame = null;
+                self.update();
+            });
+        },
+
+        /**
+         * Render the rows around the visible part of the scroll area, unless they already are.
+         */
+        update: function() {
+            var view = this.getView();
+            // Start on an even row so that striped rows keep their colours.
+            var start = Math.max(0, view.first - OVERSCAN);
+            start -= start % 2;
+            var end = Math.min(this.total, view.first + view.visible + OVERSCAN);
+
+            this.reportRange(view);
+            if (start >= this.offset && end <= this.offset + this.count) {
+                return;
+            }
+            this.show(start, end - start);
+        },
+
+        /**
+         * Fetch and render rows.
+         *
+         * @param {number} offset First row
+         * @param {number} limit Number of rows
+         * @return {Promise}
+         */
+        show: function(offset, limit) {
+            var self = this;
+            var request = ++this.request;
+
+            return this.fetch(offset, limit).then(function(result) {
+                if (self.destroyed || request !== self.request) {
+                    return result;
+                }
+                self.total = result.total;
+                self.render(offset, result.rows);
+                self.reportRange(self.getView());
+                return result;
+            });
+        },
+
+        /**
+         * Replace the rendered rows.
+         *
+         * @param {number} offset Index of the first row
+         * @param {Array} rows Row elements (jQuery)
+         */
+        render: function(offset, rows) {
+            var tbody = this.tbody.empty();
+
+            rows.forEach(function(row) {
+                tbody.append(row);
+            });
+
+            if (!this.measured && rows.length > 0 && rows[0][0].offsetHeight > 0) {
+                this.rowHeight = rows[0][0].offsetHeight;
+                this.measured = true;
+            }
+
+            // The top spacer is always there, so that the striping does not shift.
+            tbody.prepend(this.buildSpacer(offset * this.rowHeight));
+            if (offset + rows.length < this.total) {
+                tbody.append(this.buildSpacer((this.total - offset - rows.length) * this.rowHeight));
+            }
+
+            this.offset = offset;
+            this.count = rows.length;
+        },
+
+        /**
+         * Build a spacer row standing in for rows that are not rendered.
+         *
+         * @param {number} height In pixels
+         * @return {jQuery}
+         */
+        buildSpacer: function(height) {
+            return $('<tr>')
+                .addClass('block-adeptus-virtual-spacer')
+                .attr('aria-hidden', 'true')
+                .append($('<td>').attr('colspan', this.columns).css('height', height + 'px'));
+        },
+
+        /**
+         * Tell the caller which rows are visible.
+         *
+         * @param {Object} view See getView
+         */
+        reportRange: function(view) {
+            var first = Math.min(view.first + 1, this.total);
+            var last = Math.min(view.first + view.visible, this.total);
+
+            this.onRange(first, last, this.total);
+        },
+
+        /**
+         * Stop updating the table, e.g. before it is rendered again.
+         */
+        destroy: function() {
+            this.destroyed = true;
+            this.scroller.off('.virtualtable');
+            if (this.frame !== null) {
+                window.cancelAnimationFrame(this.frame);
+                this.frame = null;
+            }
+        }
+    };
+
+    return /** @alias module:block_adeptus_insights/virtual_table */ {
+        /**
+         * Start virtual scrolling in a table, replacing its rows.
+         *
+         * @param {Object} options
+         * @param {jQuery} options.scroller Scroll area around the table
+         * @param {jQuery} options.tbody Table body
+         * @param {number} options.columns Number of columns
+         * @param {Function} options.fetch Called with (offset, limit); resolves with {rows, total}, rows being tr elements
+         * @param {Function} options.onRange Called with (first, last, total) when the visible rows change (1-based)
+         * @return {VirtualTable}
+         */
+        create: function(options) {
+            return new VirtualTable(options);
+        }
+    };
+});
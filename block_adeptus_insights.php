@@ -250,6 +250,7 @@ class block_adeptus_insights extends block_base {
         $data['auto_refresh'] = $this->config->auto_refresh ?? 'never';
         $data['show_refresh_button'] = $this->config->show_refresh_button ?? true;
         $data['show_timestamp'] = $this->config->show_timestamp ?? true;
+        $data['show_date_filter'] = $this->config->show_date_filter ?? true;
 
         return $data;
     }
@@ -312,7 +313,7 @@ class block_adeptus_insights extends block_base {
      * @return array
      */
     private function get_js_config() {
-        global $CFG;
+        global $CFG, $USER;
 
         // Parse selected reports for KPI mode.
         $kpiselectedreports = [];
@@ -341,6 +342,51 @@ class block_adeptus_insights extends block_base {
             }
         }
 
+        // Parse table formatting rules into a map of report key (slug::source) to its rules.
+        $formatrules = [];
+        if (!empty($this->config->format_rules)) {
+            $decoded = json_decode($this->config->format_rules, true);
+            if (is_array($decoded)) {
+                foreach ($decoded as $rule) {
+                    if (is_array($rule) && !empty($rule['report']) && !empty($rule['column']) && !empty($rule['condition'])) {
+                        $formatrules[$rule['report']][] = $rule;
+                    }
+                }
+            }
+        }
+
+        // Parse column display type overrides into a map of report key (slug::source) to column name to type.
+        $columntypes = [];
+        if (!empty($this->config->column_types)) {
+            $decoded = json_decode($this->config->column_types, true);
+            if (is_array($decoded)) {
+                foreach ($decoded as $columntype) {
+                    if (is_array($columntype) && !empty($columntype['report']) && !empty($columntype['column']) &&
+                            !empty($columntype['type'])) {
+                        $columntypes[$columntype['report']][$columntype['column']] = $columntype['type'];
+                    }
+                }
+            }
+        }
+
+        // Parse row drill-downs into a map of report key (slug::source) to action.
+        $drilldowns = [];
+        if (!empty($this->config->drilldowns)) {
+            $decoded = json_decode($this->config->drilldowns, true);
+            if (is_array($decoded)) {
+                foreach ($decoded as $drilldown) {
+                    if (is_array($drilldown) && !empty($drilldown['report']) && !empty($drilldown['action'])) {
+                        $drilldowns[$drilldown['report']] = [
+                            'action' => $drilldown['action'],
+                            'url' => $drilldown['url'] ?? '',
+                            'target' => $drilldown['target'] ?? '',
+                            'params' => $drilldown['params'] ?? '',
+                        ];
+                    }
+                }
+            }
+        }
+
         // Get alert status for this block.
         $alertstatus = $this->get_alert_status();
 
@@ -365,8 +411,12 @@ class block_adeptus_insights extends block_base {
             debugging('Failed to get backend URL: ' . $e->getMessage(), DEBUG_DEVELOPER);
         }
 
+        [$chartsort, $charttopn] = \block_adeptus_insights\chart_options::from_config($this->config);
+
         return [
             'backendUrl' => $backendurl,
+            // Scopes what the block keeps in the browser to the user.
+            'userId' => (int) $USER->id,
             'displayMode' => $this->config->display_mode ?? 'links',
             'reportCategory' => $this->config->report_category ?? '',
             'kpiSelectedReports' => $kpiselectedreports,
@@ -374,11 +424,19 @@ class block_adeptus_insights extends block_base {
             'kpiColumns' => $this->config->kpi_columns ?? 2,
             'kpiHistoryInterval' => (int) ($this->config->kpi_history_interval ?? 3600),
             'chartHeight' => $this->config->chart_height ?? 250,
+            'chartSort' => $chartsort,
+            'chartTopN' => $charttopn,
+            // Block editors save the chart sort order and top labels from the chart controls.
+            'canEditCharts' => has_capability('moodle/block:edit', $this->context),
             'clickAction' => 'modal', // Always use modal to keep users on the page.
             'autoRefresh' => $this->config->auto_refresh ?? 'never',
             'showRefreshButton' => $this->config->show_refresh_button ?? true,
             'showTimestamp' => $this->config->show_timestamp ?? true,
+            'cacheTtl' => (int) ($this->config->cache_ttl ?? 900),
             'maxLinkItems' => $this->config->max_link_items ?? 10,
+            'tableMode' => $this->config->table_mode ?? 'paginated',
+            'tableRowsPerPage' => (int) ($this->config->table_rows_per_page ?? 25),
+            'tableFooter' => !empty($this->config->table_footer),
             'contextType' => $this->get_context_filter()['type'],
             'contextId' => $this->get_context_filter()['id'],
             'alertsEnabled' => !empty($this->config->alerts_enabled),
@@ -387,6 +445,14 @@ class block_adeptus_insights extends block_base {
             'snapshotsEnabled' => $snapshotsenabled,
             'alertsFeatureEnabled' => $alertsfeatureenabled,
             'baselinePeriod' => $this->config->baseline_period ?? 'all_time',
+            // Objects so that empty maps encode as {} rather than [].
+            'formatRules' => (object) $formatrules,
+            'columnTypes' => (object) $columntypes,
+            'drilldowns' => (object) $drilldowns,
+            // Objects so that types without saved reports still encode as {} rather than [].
+            'reportPreferences' => array_map(function($reports) {
+                return (object) $reports;
+            }, \block_adeptus_insights\report_preferences::get_all()),
         ];
     }
 
@@ -0,0 +1,83 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Chart options of the Adeptus Insights block.
+ *
+ * Embedded and tab charts can sort their labels by value and keep only the
+ * top ones, grouping the rest into an Other label. The choices are stored in
+ * the block configuration, set from the block settings or, by block editors,
+ * from the chart controls.
+ *
+ * @package    block_adeptus_insights
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_adeptus_insights;
+
+/**
+ * Chart options class.
+ */
+class chart_options {
+    /** @var string[] Label orders: the report's, largest value first and smallest value first. */
+    const SORTS = ['none', 'desc', 'asc'];
+
+    /** @var int[] Numbers of top labels a chart can keep, 0 keeping all of them. */
+    const TOP_N = [0, 5, 10, 15, 20, 25];
+
+    /**
+     * Get the label orders for a select menu.
+     *
+     * @return array Names keyed by sort order
+     */
+    public static function get_sort_menu() {
+        $menu = [];
+        foreach (self::SORTS as $sort) {
+            $menu[$sort] = get_string('chart_sort_' . $sort, 'block_adeptus_insights');
+        }
+        return $menu;
+    }
+
+    /**
+     * Get the numbers of top labels for a select menu.
+     *
+     * @return array Names keyed by number
+     */
+    public static function get_top_menu() {
+        $menu = [];
+        foreach (self::TOP_N as $topn) {
+            $menu[$topn] = $topn ? get_string('chart_top_n', 'block_adeptus_insights', $topn) :
+                get_string('chart_top_all', 'block_adeptus_insights');
+        }
+        return $menu;
+    }
+
+    /**
+     * Get the chart options of a block configuration, with defaults for missing or unknown values.
+     *
+     * @param \stdClass|null $config Block configuration
+     * @return array [sort, topn]
+     */
+    public static function from_config($config) {
+        $sort = $config->chart_sort ?? '';
+        $topn = (int) ($config->chart_top_n ?? 0);
+        return [
+            in_array($sort, self::SORTS, true) ? $sort : self::SORTS[0],
+            in_array($topn, self::TOP_N, true) ? $topn : self::TOP_N[0],
+        ];
+    }
+}
@@ -0,0 +1,139 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function listing the choices for a report parameter.
+ *
+ * Used by the runtime parameter bar to fill its course, cohort and role selectors.
+ *
+ * @package    block_adeptus_insights
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_adeptus_insights\external;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/externallib.php');
+
+use external_api;
+use external_function_parameters;
+use external_multiple_structure;
+use external_single_structure;
+use external_value;
+
+/**
+ * External function to get report parameter options.
+ */
+class get_parameter_options extends external_api {
+    /**
+     * Returns description of method parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'blockinstanceid' => new external_value(PARAM_INT, 'Block instance ID'),
+            'type' => new external_value(PARAM_ALPHA, 'Parameter type: course, cohort or role'),
+        ]);
+    }
+
+    /**
+     * Get the options for a parameter type.
+     *
+     * @param int $blockinstanceid Block instance ID
+     * @param string $type Parameter type
+     * @return array Options data
+     */
+    public static function execute($blockinstanceid, $type) {
+        global $CFG;
+
+        // Parameter validation.
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'blockinstanceid' => $blockinstanceid,
+            'type' => $type,
+        ]);
+
+        // Context validation.
+        $context = \context_block::instance($params['blockinstanceid']);
+        self::validate_context($context);
+        require_capability('block/adeptus_insights:view', $context);
+
+        $options = [];
+
+        switch ($params['type']) {
+            case 'course':
+                // Site-wide viewers can pick any course, everyone else picks from their own courses.
+                if (has_capability('moodle/course:view', \context_system::instance())) {
+                    $courses = get_courses('all', 'c.fullname ASC', 'c.id, c.fullname, c.visible');
+                } else {
+                    $courses = enrol_get_my_courses(['id', 'fullname'], 'fullname ASC');
+                }
+                foreach ($courses as $course) {
+                    if ($course->id == SITEID) {
+                        continue;
+                    }
+                    $options[] = [
+                        'value' => (int) $course->id,
+                        'label' => format_string($course->fullname),
+                    ];
+                }
+                break;
+
+            case 'cohort':
+                require_once($CFG->dirroot . '/cohort/lib.php');
+                $cohorts = cohort_get_available_cohorts($context, COHORT_ALL, 0, 0);
+                foreach ($cohorts as $cohort) {
+                    $options[] = [
+                        'value' => (int) $cohort->id,
+                        'label' => format_string($cohort->name),
+                    ];
+                }
+                break;
+
+            case 'role':
+                $roles = role_fix_names(get_all_roles($context), $context, ROLENAME_ALIAS, true);
+                foreach ($roles as $roleid => $rolename) {
+                    $options[] = [
+                        'value' => (int) $roleid,
+                        'label' => $rolename,
+                    ];
+                }
+                break;
+        }
+
+        return [
+            'options' => $options,
+        ];
+    }
+
+    /**
+     * Returns description of method result value.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'options' => new external_multiple_structure(
+                new external_single_structure([
+                    'value' => new external_value(PARAM_INT, 'Option value'),
+                    'label' => new external_value(PARAM_TEXT, 'Option label'),
+                ])
+            ),
+        ]);
+    }
+}
@@ -0,0 +1,114 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for saving a block's chart options.
+ *
+ * Called from JavaScript when a block editor changes the label order or the
+ * number of top labels in the chart controls of an embedded or tab chart.
+ *
+ * @package    block_adeptus_insights
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_adeptus_insights\external;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/externallib.php');
+
+use block_adeptus_insights\chart_options;
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+
+/**
+ * External function for saving chart options.
+ */
+class set_chart_options extends external_api {
+    /**
+     * Define parameters for the function.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'blockinstanceid' => new external_value(PARAM_INT, 'Block instance ID'),
+            'sort' => new external_value(PARAM_ALPHA, 'Label order (none, desc or asc)'),
+            'topn' => new external_value(PARAM_INT, 'Number of top labels kept, 0 for all'),
+        ]);
+    }
+
+    /**
+     * Execute the function.
+     *
+     * @param int $blockinstanceid Block instance ID
+     * @param string $sort Label order
+     * @param int $topn Number of top labels
+     * @return array Result
+     */
+    public static function execute($blockinstanceid, $sort, $topn) {
+        global $DB;
+
+        // Validate parameters.
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'blockinstanceid' => $blockinstanceid,
+            'sort' => $sort,
+            'topn' => $topn,
+        ]);
+
+        // Get block context and verify capability.
+        $context = \context_block::instance($params['blockinstanceid']);
+        self::validate_context($context);
+        require_capability('moodle/block:edit', $context);
+
+        if (!in_array($params['sort'], chart_options::SORTS, true) || !in_array($params['topn'], chart_options::TOP_N, true)) {
+            return [
+                'success' => false,
+                'message' => get_string('error_invalid_chart_options', 'block_adeptus_insights'),
+            ];
+        }
+
+        $instance = $DB->get_record('block_instances', ['id' => $params['blockinstanceid']], '*', MUST_EXIST);
+        $block = block_instance('adeptus_insights', $instance);
+        $config = $block->config ? clone $block->config : new \stdClass();
+        $config->chart_sort = $params['sort'];
+        $config->chart_top_n = $params['topn'];
+
+        // Commit the configuration directly: instance_config_save() would also resave the alerts.
+        $block->config = $config;
+        $block->instance_config_commit();
+
+        return [
+            'success' => true,
+            'message' => '',
+        ];
+    }
+
+    /**
+     * Define return values.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the options were saved'),
+            'message' => new external_value(PARAM_TEXT, 'Error message'),
+        ]);
+    }
+}
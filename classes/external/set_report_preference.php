@@ -0,0 +1,123 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External function for saving a viewer's per-report preferences.
+ *
+ * Called from JavaScript when a viewer changes a report setting that should be
+ * remembered, such as the runtime parameter values of a report.
+ *
+ * @package    block_adeptus_insights
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_adeptus_insights\external;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/externallib.php');
+
+use block_adeptus_insights\report_preferences;
+use external_api;
+use external_function_parameters;
+use external_single_structure;
+use external_value;
+
+/**
+ * External function for saving report preferences.
+ */
+class set_report_preference extends external_api {
+    /**
+     * Define parameters for the function.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters() {
+        return new external_function_parameters([
+            'blockinstanceid' => new external_value(PARAM_INT, 'Block instance ID'),
+            'type' => new external_value(PARAM_ALPHA, 'Preference type'),
+            'reportkey' => new external_value(PARAM_TEXT, 'Report key (slug::source)'),
+            'value' => new external_value(PARAM_RAW, 'JSON encoded value, empty to remove the preference'),
+        ]);
+    }
+
+    /**
+     * Execute the function.
+     *
+     * @param int $blockinstanceid Block instance ID
+     * @param string $type Preference type
+     * @param string $reportkey Report key
+     * @param string $value JSON encoded value
+     * @return array Result
+     */
+    public static function execute($blockinstanceid, $type, $reportkey, $value) {
+        // Validate parameters.
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'blockinstanceid' => $blockinstanceid,
+            'type' => $type,
+            'reportkey' => $reportkey,
+            'value' => $value,
+        ]);
+
+        // Get block context and verify capability.
+        $context = \context_block::instance($params['blockinstanceid']);
+        self::validate_context($context);
+        require_capability('block/adeptus_insights:view', $context);
+
+        if (!in_array($params['type'], report_preferences::TYPES)) {
+            return [
+                'success' => false,
+                'message' => get_string('error_invalid_preference', 'block_adeptus_insights'),
+            ];
+        }
+
+        $decoded = null;
+        if ($params['value'] !== '') {
+            $decoded = json_decode($params['value'], true);
+            if (!is_array($decoded)) {
+                return [
+                    'success' => false,
+                    'message' => get_string('error_invalid_preference', 'block_adeptus_insights'),
+                ];
+            }
+        }
+
+        if (!report_preferences::set($params['type'], $params['reportkey'], $decoded)) {
+            return [
+                'success' => false,
+                'message' => get_string('error_preference_too_long', 'block_adeptus_insights'),
+            ];
+        }
+
+        return [
+            'success' => true,
+            'message' => '',
+        ];
+    }
+
+    /**
+     * Define return values.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns() {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the preference was saved'),
+            'message' => new external_value(PARAM_TEXT, 'Error message'),
+        ]);
+    }
+}
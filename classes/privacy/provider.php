@@ -24,6 +24,7 @@
 
 namespace block_adeptus_insights\privacy;
 
+use block_adeptus_insights\report_preferences;
 use core_privacy\local\metadata\collection;
 use core_privacy\local\metadata\provider as metadata_provider;
 use core_privacy\local\request\approved_contextlist;
@@ -31,14 +32,17 @@ use core_privacy\local\request\approved_userlist;
 use core_privacy\local\request\contextlist;
 use core_privacy\local\request\core_userlist_provider;
 use core_privacy\local\request\plugin\provider as plugin_provider;
+use core_privacy\local\request\user_preference_provider;
 use core_privacy\local\request\userlist;
+use core_privacy\local\request\writer;
 
 /**
  * Privacy provider implementation for block_adeptus_insights.
  *
  * This plugin stores block configuration data and alert logs associated with
- * block instances, not individual users. No personal user data is collected
- * or stored by this plugin.
+ * block instances, not individual users. The only per-user data are report
+ * preferences (such as runtime parameter values), stored as user preferences
+ * named block_adeptus_insights_{type}_{md5 of the report key} in the user context.
  *
  * @package    block_adeptus_insights
  * @copyright  2026 Adeptus 360 <info@adeptus360.com>
@@ -47,7 +51,8 @@ use core_privacy\local\request\userlist;
 class provider implements
     core_userlist_provider,
     metadata_provider,
-    plugin_provider
+    plugin_provider,
+    user_preference_provider
 {
     /**
      * Returns metadata about the data stored by this plugin.
@@ -56,7 +61,6 @@ class provider implements
      * @return collection A listing of user data stored through this system.
      */
     public static function get_metadata(collection $collection): collection {
-        // This plugin does not store any personal user data.
         // The tables store block instance configuration and system logs only.
         $collection->add_database_table(
             'block_adeptus_insights_snap_sched',
@@ -78,6 +82,12 @@ class provider implements
             'privacy:metadata:block_adeptus_insights_alert_log'
         );
 
+        // One preference per report and type, see report_preferences::get_name().
+        $collection->add_user_preference(
+            report_preferences::PREFIX . '{type}_{md5}',
+            'privacy:metadata:preference:report_preferences'
+        );
+
         // External system for backend API.
         $collection->add_external_location_link(
             'adeptus_backend',
@@ -93,67 +103,110 @@ class provider implements
     /**
      * Get the list of contexts that contain user information for the specified user.
      *
-     * This plugin does not store personal user data, so this returns an empty contextlist.
+     * Only the user context, when the user has report preferences.
      *
      * @param int $userid The user to search.
      * @return contextlist The contextlist containing the list of contexts used in this plugin.
      */
     public static function get_contexts_for_userid(int $userid): contextlist {
-        return new contextlist();
+        $contextlist = new contextlist();
+        if (self::has_report_preferences($userid)) {
+            $contextlist->add_user_context($userid);
+        }
+        return $contextlist;
     }
 
     /**
      * Get the list of users who have data within a context.
      *
-     * This plugin does not store personal user data.
+     * Only the owner of a user context, when they have report preferences.
      *
      * @param userlist $userlist The userlist containing the list of users.
      */
     public static function get_users_in_context(userlist $userlist) {
-        // This plugin does not store personal user data.
+        $context = $userlist->get_context();
+        if ($context->contextlevel == CONTEXT_USER && self::has_report_preferences($context->instanceid)) {
+            $userlist->add_user($context->instanceid);
+        }
     }
 
     /**
      * Export all user data for the specified user, in the specified contexts.
      *
-     * This plugin does not store personal user data.
+     * Report preferences are exported by export_user_preferences().
      *
      * @param approved_contextlist $contextlist The approved contexts to export information for.
      */
     public static function export_user_data(approved_contextlist $contextlist) {
-        // This plugin does not store personal user data.
+        // Report preferences are the only user data, see export_user_preferences().
     }
 
     /**
      * Delete all data for all users in the specified context.
      *
-     * This plugin does not store personal user data.
-     *
      * @param \context $context The specific context to delete data for.
      */
     public static function delete_data_for_all_users_in_context(\context $context) {
-        // This plugin does not store personal user data.
+        if ($context->contextlevel == CONTEXT_USER) {
+            report_preferences::delete_all($context->instanceid);
+        }
     }
 
     /**
      * Delete all user data for the specified user, in the specified contexts.
      *
-     * This plugin does not store personal user data.
-     *
      * @param approved_contextlist $contextlist The approved contexts and user information to delete.
      */
     public static function delete_data_for_user(approved_contextlist $contextlist) {
-        // This plugin does not store personal user data.
+        $userid = $contextlist->get_user()->id;
+        foreach ($contextlist->get_contexts() as $context) {
+            if ($context->contextlevel == CONTEXT_USER && $context->instanceid == $userid) {
+                report_preferences::delete_all($userid);
+            }
+        }
     }
 
     /**
      * Delete multiple users within a single context.
      *
-     * This plugin does not store personal user data.
-     *
      * @param approved_userlist $userlist The approved context and user information to delete.
      */
     public static function delete_data_for_users(approved_userlist $userlist) {
-        // This plugin does not store personal user data.
+        $context = $userlist->get_context();
+        if ($context->contextlevel == CONTEXT_USER && in_array($context->instanceid, $userlist->get_userids())) {
+            report_preferences::delete_all($context->instanceid);
+        }
+    }
+
+    /**
+     * Export the report preferences of a user.
+     *
+     * @param int $userid The user to export preferences for.
+     */
+    public static function export_user_preferences(int $userid) {
+        $preferences = report_preferences::get_all($userid);
+        foreach ($preferences as $type => $reports) {
+            foreach ($reports as $reportkey => $value) {
+                writer::export_user_preference(
+                    'block_adeptus_insights',
+                    report_preferences::get_name($type, $reportkey),
+                    json_encode($value),
+                    get_string('privacy:preference:report', 'block_adeptus_insights', [
+                        'type' => $type,
+                        'report' => $reportkey,
+                    ])
+                );
+            }
+        }
+    }
+
+    /**
+     * Whether a user has any report preferences.
+     *
+     * @param int $userid The user to check.
+     * @return bool
+     */
+    protected static function has_report_preferences(int $userid): bool {
+        return (bool) array_filter(report_preferences::get_all($userid));
     }
 }
@@ -0,0 +1,127 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Per-user report preferences for the Adeptus Insights block.
+ *
+ * Choices a viewer makes while looking at a report (such as runtime parameter
+ * values, table sort order, column layout and footer aggregates) are stored as
+ * Moodle user preferences, one preference per report and preference type, so
+ * they follow the user across pages and devices.
+ *
+ * @package    block_adeptus_insights
+ * @copyright  2026 Adeptus 360 <info@adeptus360.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_adeptus_insights;
+
+/**
+ * Report preferences class.
+ */
+class report_preferences {
+    /** @var string Prefix of every preference name stored by this class. */
+    const PREFIX = 'block_adeptus_insights_';
+
+    /** @var string[] Supported preference types. */
+    const TYPES = ['params', 'sort', 'columns', 'aggregates'];
+
+    /** @var int Maximum length of a user preference value. */
+    const MAX_LENGTH = 1333;
+
+    /**
+     * Get the preference name for a report.
+     *
+     * Report keys are hashed so that preference names stay short and safe.
+     *
+     * @param string $type Preference type
+     * @param string $reportkey Report key (slug::source)
+     * @return string
+     */
+    public static function get_name($type, $reportkey) {
+        return self::PREFIX . $type . '_' . md5($reportkey);
+    }
+
+    /**
+     * Get the type of a preference stored by this class from its name.
+     *
+     * @param string $name Preference name
+     * @return string|null Preference type, or null when the preference is not a report preference
+     */
+    public static function get_type($name) {
+        $pattern = '/^' . self::PREFIX . '(' . implode('|', self::TYPES) . ')_[0-9a-f]{32}$/';
+        return preg_match($pattern, $name, $matches) ? $matches[1] : null;
+    }
+
+    /**
+     * Save a preference for the current user.
+     *
+     * @param string $type Preference type
+     * @param string $reportkey Report key (slug::source)
+     * @param mixed $value Value to store, null removes the preference
+     * @return bool False when the value is too long to store
+     */
+    public static function set($type, $reportkey, $value) {
+        $name = self::get_name($type, $reportkey);
+
+        if ($value === null || $value === [] || $value === '') {
+            unset_user_preference($name);
+            return true;
+        }
+
+        $encoded = json_encode(['report' => $reportkey, 'value' => $value]);
+        if (\core_text::strlen($encoded) > self::MAX_LENGTH) {
+            return false;
+        }
+
+        set_user_preference($name, $encoded);
+        return true;
+    }
+
+    /**
+     * Get every report preference of a user, grouped by type and report key.
+     *
+     * @param int|null $userid User ID (defaults to the current user)
+     * @return array [type => [reportkey => value]]
+     */
+    public static function get_all($userid = null) {
+        $preferences = array_fill_keys(self::TYPES, []);
+
+        foreach (get_user_preferences(null, null, $userid) as $name => $encoded) {
+            $type = self::get_type($name);
+            $decoded = json_decode($encoded, true);
+            if ($type === null || !is_array($decoded) || !isset($decoded['report'])) {
+                continue;
+            }
+            $preferences[$type][$decoded['report']] = $decoded['value'] ?? null;
+        }
+
+        return $preferences;
+    }
+
+    /**
+     * Delete every report preference of a user.
+     *
+     * @param int $userid User ID
+     */
+    public static function delete_all($userid) {
+        foreach (array_keys(get_user_preferences(null, null, $userid)) as $name) {
+            if (self::get_type($name) !== null) {
+                unset_user_preference($name, $userid);
+            }
+        }
+    }
+}
@@ -68,4 +68,37 @@ $functions = [
         'loginrequired' => true,
         'capabilities'  => 'block/adeptus_insights:addinstance',
     ],
+
+    // Get the choices for a runtime report parameter (course, cohort or role).
+    'block_adeptus_insights_get_parameter_options' => [
+        'classname'     => 'block_adeptus_insights\external\get_parameter_options',
+        'methodname'    => 'execute',
+        'description'   => 'Get the options for a runtime report parameter',
+        'type'          => 'read',
+        'ajax'          => true,
+        'loginrequired' => true,
+        'capabilities'  => 'block/adeptus_insights:view',
+    ],
+
+    // Save a viewer's per-report preferences (e.g. runtime parameter values).
+    'block_adeptus_insights_set_report_preference' => [
+        'classname'     => 'block_adeptus_insights\external\set_report_preference',
+        'methodname'    => 'execute',
+        'description'   => 'Save a per-report preference for the current user',
+        'type'          => 'write',
+        'ajax'          => true,
+        'loginrequired' => true,
+        'capabilities'  => 'block/adeptus_insights:view',
+    ],
+
+    // Save a block's chart label order and top labels from the chart controls.
+    'block_adeptus_insights_set_chart_options' => [
+        'classname'     => 'block_adeptus_insights\external\set_chart_options',
+        'methodname'    => 'execute',
+        'description'   => 'Save the chart sort order and number of top labels of a block',
+        'type'          => 'write',
+        'ajax'          => true,
+        'loginrequired' => true,
+        'capabilities'  => 'moodle/block:edit',
+    ],
 ];
@@ -88,6 +88,30 @@ class block_adeptus_insights_edit_form extends block_edit_form {
         );
         $mform->setDefault('config_chart_height', 250);
 
+        // Chart label order and top labels (embedded and tab charts).
+        $mform->addElement(
+            'select',
+            'config_chart_sort',
+            get_string('configchartsort', 'block_adeptus_insights'),
+            \block_adeptus_insights\chart_options::get_sort_menu()
+        );
+        $mform->setDefault('config_chart_sort', 'none');
+        $mform->addHelpButton('config_chart_sort', 'configchartsort', 'block_adeptus_insights');
+        $mform->hideIf('config_chart_sort', 'config_display_mode', 'eq', 'links');
+        $mform->hideIf('config_chart_sort', 'config_display_mode', 'eq', 'kpi');
+
+        $mform->addElement(
+            'select',
+            'config_chart_top_n',
+            get_string('configcharttopn', 'block_adeptus_insights'),
+            \block_adeptus_insights\chart_options::get_top_menu()
+        );
+        $mform->setDefault('config_chart_top_n', 0);
+        $mform->setType('config_chart_top_n', PARAM_INT);
+        $mform->addHelpButton('config_chart_top_n', 'configcharttopn', 'block_adeptus_insights');
+        $mform->hideIf('config_chart_top_n', 'config_display_mode', 'eq', 'links');
+        $mform->hideIf('config_chart_top_n', 'config_display_mode', 'eq', 'kpi');
+
         // Show category badges (links mode only).
         $mform->addElement(
             'advcheckbox',
@@ -184,6 +208,155 @@ class block_adeptus_insights_edit_form extends block_edit_form {
         $mform->setDefault('config_max_link_items', 10);
         $mform->hideIf('config_max_link_items', 'config_display_mode', 'neq', 'links');
 
+        // Report table layout: pages or virtual scrolling.
+        $tablemodes = [
+            'paginated' => get_string('tablemode_paginated', 'block_adeptus_insights'),
+            'virtual' => get_string('tablemode_virtual', 'block_adeptus_insights'),
+        ];
+        $mform->addElement(
+            'select',
+            'config_table_mode',
+            get_string('configtablemode', 'block_adeptus_insights'),
+            $tablemodes
+        );
+        $mform->setDefault('config_table_mode', 'paginated');
+        $mform->addHelpButton('config_table_mode', 'configtablemode', 'block_adeptus_insights');
+
+        // Rows per table page (paginated tables only).
+        $rowsperpage = [10 => '10', 25 => '25', 50 => '50', 100 => '100'];
+        $mform->addElement(
+            'select',
+            'config_table_rows_per_page',
+            get_string('configtablerowsperpage', 'block_adeptus_insights'),
+            $rowsperpage
+        );
+        $mform->setDefault('config_table_rows_per_page', 25);
+        $mform->setType('config_table_rows_per_page', PARAM_INT);
+        $mform->hideIf('config_table_rows_per_page', 'config_table_mode', 'eq', 'virtual');
+
+        // Footer row of column aggregates in report tables.
+        $mform->addElement(
+            'advcheckbox',
+            'config_table_footer',
+            get_string('configtablefooter', 'block_adeptus_insights')
+        );
+        $mform->setDefault('config_table_footer', 0);
+        $mform->addHelpButton('config_table_footer', 'configtablefooter', 'block_adeptus_insights');
+
+        // Table formatting section.
+        $mform->addElement(
+            'header',
+            'config_header_formatting',
+            get_string('config_header_formatting', 'block_adeptus_insights')
+        );
+
+        $mform->addElement(
+            'static',
+            'config_format_rules_label',
+            '',
+            '<div class="alert alert-info small">' .
+            '<i class="fa fa-info-circle"></i> ' .
+            get_string('configformatrules_desc', 'block_adeptus_insights') .
+            '</div>'
+        );
+        $mform->hideIf('config_format_rules_label', 'config_display_mode', 'eq', 'kpi');
+
+        // Formatting rules (stored as JSON - hidden, used by JS).
+        $mform->addElement(
+            'textarea',
+            'config_format_rules',
+            get_string('configformatrules', 'block_adeptus_insights'),
+            ['rows' => 2, 'class' => 'block-adeptus-format-rules-input d-none']
+        );
+        $mform->setType('config_format_rules', PARAM_RAW);
+        $mform->setDefault('config_format_rules', '[]');
+        $mform->hideIf('config_format_rules', 'config_display_mode', 'eq', 'kpi');
+
+        // Formatting rules editor container (rendered via JavaScript).
+        $mform->addElement(
+            'static',
+            'format_rules_container',
+            '',
+            '<div id="block-adeptus-format-rules-container" class="block-adeptus-format-rules-ui mb-3" style="display:none;"' .
+                ' data-conditions="' . htmlspecialchars(json_encode($this->get_format_conditions()), ENT_QUOTES, 'UTF-8') . '"' .
+                ' data-styles="' . htmlspecialchars(json_encode($this->get_format_styles()), ENT_QUOTES, 'UTF-8') . '">' .
+                '</div>'
+        );
+        $mform->hideIf('format_rules_container', 'config_display_mode', 'eq', 'kpi');
+
+        $mform->addElement(
+            'static',
+            'config_column_types_label',
+            '',
+            '<div class="alert alert-info small">' .
+            '<i class="fa fa-info-circle"></i> ' .
+            get_string('configcolumntypes_desc', 'block_adeptus_insights') .
+            '</div>'
+        );
+        $mform->hideIf('config_column_types_label', 'config_display_mode', 'eq', 'kpi');
+
+        // Column display types (stored as JSON - hidden, used by JS).
+        $mform->addElement(
+            'textarea',
+            'config_column_types',
+            get_string('configcolumntypes', 'block_adeptus_insights'),
+            ['rows' => 2, 'class' => 'block-adeptus-column-types-input d-none']
+        );
+        $mform->setType('config_column_types', PARAM_RAW);
+        $mform->setDefault('config_column_types', '[]');
+        $mform->hideIf('config_column_types', 'config_display_mode', 'eq', 'kpi');
+
+        // Column display types editor container (rendered via JavaScript).
+        $mform->addElement(
+            'static',
+            'column_types_container',
+            '',
+            '<div id="block-adeptus-column-types-container" class="block-adeptus-column-types-ui mb-3" style="display:none;"' .
+                ' data-types="' . htmlspecialchars(json_encode($this->get_column_types()), ENT_QUOTES, 'UTF-8') . '">' .
+                '</div>'
+        );
+        $mform->hideIf('column_types_container', 'config_display_mode', 'eq', 'kpi');
+
+        // Row drill-down section.
+        $mform->addElement(
+            'header',
+            'config_header_drilldown',
+            get_string('config_header_drilldown', 'block_adeptus_insights')
+        );
+
+        $mform->addElement(
+            'static',
+            'config_drilldowns_label',
+            '',
+            '<div class="alert alert-info small">' .
+            '<i class="fa fa-info-circle"></i> ' .
+            get_string('configdrilldowns_desc', 'block_adeptus_insights') .
+            '</div>'
+        );
+        $mform->hideIf('config_drilldowns_label', 'config_display_mode', 'eq', 'kpi');
+
+        // Drill-down actions per report (stored as JSON - hidden, used by JS).
+        $mform->addElement(
+            'textarea',
+            'config_drilldowns',
+            get_string('configdrilldowns', 'block_adeptus_insights'),
+            ['rows' => 2, 'class' => 'block-adeptus-drilldowns-input d-none']
+        );
+        $mform->setType('config_drilldowns', PARAM_RAW);
+        $mform->setDefault('config_drilldowns', '[]');
+        $mform->hideIf('config_drilldowns', 'config_display_mode', 'eq', 'kpi');
+
+        // Drill-down editor container (rendered via JavaScript).
+        $mform->addElement(
+            'static',
+            'drilldowns_container',
+            '',
+            '<div id="block-adeptus-drilldowns-container" class="block-adeptus-drilldowns-ui mb-3" style="display:none;"' .
+                ' data-actions="' . htmlspecialchars(json_encode($this->get_drilldown_actions()), ENT_QUOTES, 'UTF-8') . '">' .
+                '</div>'
+        );
+        $mform->hideIf('drilldowns_container', 'config_display_mode', 'eq', 'kpi');
+
         // Data refresh settings section.
         $mform->addElement('header', 'config_header_behavior', get_string('settings_datarefresh', 'block_adeptus_insights'));
 
@@ -219,6 +392,34 @@ class block_adeptus_insights_edit_form extends block_edit_form {
         );
         $mform->setDefault('config_show_timestamp', 1);
 
+        // Show block-wide date range filter.
+        $mform->addElement(
+            'advcheckbox',
+            'config_show_date_filter',
+            get_string('configshowdatefilter', 'block_adeptus_insights')
+        );
+        $mform->setDefault('config_show_date_filter', 1);
+        $mform->addHelpButton('config_show_date_filter', 'configshowdatefilter', 'block_adeptus_insights');
+
+        // Report result cache duration.
+        $cachedurations = [
+            0 => get_string('cacheduration_off', 'block_adeptus_insights'),
+            300 => get_string('cacheduration_5m', 'block_adeptus_insights'),
+            900 => get_string('cacheduration_15m', 'block_adeptus_insights'),
+            3600 => get_string('cacheduration_1h', 'block_adeptus_insights'),
+            21600 => get_string('cacheduration_6h', 'block_adeptus_insights'),
+            86400 => get_string('cacheduration_24h', 'block_adeptus_insights'),
+        ];
+        $mform->addElement(
+            'select',
+            'config_cache_ttl',
+            get_string('cacheduration', 'block_adeptus_insights'),
+            $cachedurations
+        );
+        $mform->setDefault('config_cache_ttl', 900);
+        $mform->setType('config_cache_ttl', PARAM_INT);
+        $mform->addHelpButton('config_cache_ttl', 'cacheduration', 'block_adeptus_insights');
+
         // Context filtering section.
         $mform->addElement('header', 'config_header_context', get_string('configcontextfilter', 'block_adeptus_insights'));
 
@@ -812,6 +1013,71 @@ class block_adeptus_insights_edit_form extends block_edit_form {
         ];
     }
 
+    /**
+     * Get the conditions a table formatting rule can test.
+     *
+     * @return array
+     */
+    private function get_format_conditions() {
+        return [
+            'lt' => get_string('formatcondition_lt', 'block_adeptus_insights'),
+            'gt' => get_string('formatcondition_gt', 'block_adeptus_insights'),
+            'eq' => get_string('formatcondition_eq', 'block_adeptus_insights'),
+            'contains' => get_string('formatcondition_contains', 'block_adeptus_insights'),
+            'top' => get_string('formatcondition_top', 'block_adeptus_insights'),
+            'bottom' => get_string('formatcondition_bottom', 'block_adeptus_insights'),
+            'databar' => get_string('formatcondition_databar', 'block_adeptus_insights'),
+        ];
+    }
+
+    /**
+     * Get the styles a table formatting rule can apply.
+     *
+     * @return array
+     */
+    private function get_format_styles() {
+        return [
+            'bg_red' => get_string('formatstyle_bg_red', 'block_adeptus_insights'),
+            'bg_amber' => get_string('formatstyle_bg_amber', 'block_adeptus_insights'),
+            'bg_green' => get_string('formatstyle_bg_green', 'block_adeptus_insights'),
+            'badge_red' => get_string('formatstyle_badge_red', 'block_adeptus_insights'),
+            'badge_amber' => get_string('formatstyle_badge_amber', 'block_adeptus_insights'),
+            'badge_green' => get_string('formatstyle_badge_green', 'block_adeptus_insights'),
+            'bold' => get_string('formatstyle_bold', 'block_adeptus_insights'),
+        ];
+    }
+
+    /**
+     * Get the display types a table column can be given.
+     *
+     * @return array
+     */
+    private function get_column_types() {
+        return [
+            'text' => get_string('columntype_text', 'block_adeptus_insights'),
+            'number' => get_string('columntype_number', 'block_adeptus_insights'),
+            'date' => get_string('columntype_date', 'block_adeptus_insights'),
+            'user' => get_string('columntype_user', 'block_adeptus_insights'),
+            'course' => get_string('columntype_course', 'block_adeptus_insights'),
+            'url' => get_string('columntype_url', 'block_adeptus_insights'),
+            'boolean' => get_string('columntype_boolean', 'block_adeptus_insights'),
+            'percent' => get_string('columntype_percent', 'block_adeptus_insights'),
+        ];
+    }
+
+    /**
+     * Get the actions a table row can drill down to.
+     *
+     * @return array
+     */
+    private function get_drilldown_actions() {
+        return [
+            'detail' => get_string('drilldown_action_detail', 'block_adeptus_insights'),
+            'url' => get_string('drilldown_action_url', 'block_adeptus_insights'),
+            'report' => get_string('drilldown_action_report', 'block_adeptus_insights'),
+        ];
+    }
+
     /**
      * Get available check intervals for alerts.
      *
@@ -1018,6 +1284,27 @@ class block_adeptus_insights_edit_form extends block_edit_form {
             }
         }
 
+        if (!empty($data['config_format_rules'])) {
+            $rules = json_decode($data['config_format_rules'], true);
+            if (!is_array($rules)) {
+                $errors['config_format_rules'] = get_string('error_invalid_format_rules', 'block_adeptus_insights');
+            }
+        }
+
+        if (!empty($data['config_column_types'])) {
+            $columntypes = json_decode($data['config_column_types'], true);
+            if (!is_array($columntypes)) {
+                $errors['config_column_types'] = get_string('error_invalid_column_types', 'block_adeptus_insights');
+            }
+        }
+
+        if (!empty($data['config_drilldowns'])) {
+            $drilldowns = json_decode($data['config_drilldowns'], true);
+            if (!is_array($drilldowns)) {
+                $errors['config_drilldowns'] = get_string('error_invalid_drilldowns', 'block_adeptus_insights');
+            }
+        }
+
         return $errors;
     }
 }
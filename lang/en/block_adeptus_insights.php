@@ -32,6 +32,12 @@ $string['adeptus_insights:configurealerts'] = 'Configure alert thresholds';
 $string['adeptus_insights:myaddinstance'] = 'Add a new Adeptus Insights block to Dashboard';
 $string['adeptus_insights:receivealerts'] = 'Receive alert notifications';
 $string['adeptus_insights:view'] = 'View Adeptus Insights block content';
+$string['aggregate_avg'] = 'Average';
+$string['aggregate_count'] = 'Count';
+$string['aggregate_distinct'] = 'Distinct count';
+$string['aggregate_max'] = 'Max';
+$string['aggregate_min'] = 'Min';
+$string['aggregate_sum'] = 'Sum';
 $string['aireport'] = 'AI';
 $string['alert_check_every'] = 'Check every {$a}';
 $string['alert_critical_intro'] = 'A critical alert has been triggered that requires your immediate attention.';
@@ -123,19 +129,86 @@ $string['baseline_rolling_30d'] = 'Rolling 30 days';
 $string['baseline_rolling_7d'] = 'Rolling 7 days';
 $string['baseline_week_start'] = 'Start of this week';
 $string['cacheduration'] = 'Cache duration';
+$string['cacheduration_15m'] = '15 minutes';
+$string['cacheduration_1h'] = '1 hour';
+$string['cacheduration_24h'] = '24 hours';
+$string['cacheduration_5m'] = '5 minutes';
+$string['cacheduration_6h'] = '6 hours';
 $string['cacheduration_desc'] = 'How long to cache report data (in seconds).';
+$string['cacheduration_help'] = 'Report results are stored in the browser so they show instantly when the page is opened again. Within this period cached results are used as they are; after it, the cached results are shown while the report runs again in the background. Choose "Do not cache" to always run reports when the page loads.';
+$string['cacheduration_off'] = 'Do not cache';
 $string['categorylevel'] = 'Category: {$a}';
+$string['cell_expand'] = 'Show the full value';
 $string['chart'] = 'Chart';
+$string['chart_aggregate'] = 'Aggregate';
+$string['chart_aggregate_auto'] = 'Automatic';
+$string['chart_aggregate_none'] = 'None (one per row)';
+$string['chart_bucket'] = 'Group dates by';
+$string['chart_bucket_auto'] = 'Automatic';
+$string['chart_bucket_day'] = 'Day';
+$string['chart_bucket_month'] = 'Month';
+$string['chart_bucket_none'] = 'Don\'t group';
+$string['chart_bucket_quarter'] = 'Quarter (term)';
+$string['chart_bucket_week'] = 'Week';
+$string['chart_bucket_year'] = 'Year';
+$string['chart_other'] = 'Other';
+$string['chart_series'] = 'Series';
+$string['chart_series_axis'] = 'Axis of {$a}';
+$string['chart_series_axis_y'] = 'Main axis';
+$string['chart_series_axis_y2'] = 'Second axis';
+$string['chart_series_color'] = 'Colour of {$a}';
+$string['chart_sort'] = 'Sort';
+$string['chart_sort_asc'] = 'Smallest first';
+$string['chart_sort_desc'] = 'Largest first';
+$string['chart_sort_none'] = 'Report order';
+$string['chart_top'] = 'Show';
+$string['chart_top_all'] = 'All';
+$string['chart_top_n'] = 'Top {$a}';
 $string['charttype'] = 'Type';
+$string['charttype_area'] = 'Area';
+$string['charttype_area_full'] = 'Area Chart';
 $string['charttype_bar'] = 'Bar';
 $string['charttype_bar_full'] = 'Bar Chart';
 $string['charttype_doughnut'] = 'Doughnut';
 $string['charttype_doughnut_full'] = 'Doughnut Chart';
+$string['charttype_horizontalbar'] = 'Horizontal Bar';
+$string['charttype_horizontalbar_full'] = 'Horizontal Bar Chart';
 $string['charttype_line'] = 'Line';
 $string['charttype_line_full'] = 'Line Chart';
+$string['charttype_mixed'] = 'Bar and Line';
+$string['charttype_mixed_full'] = 'Bar and Line Chart';
 $string['charttype_pie'] = 'Pie';
 $string['charttype_pie_full'] = 'Pie Chart';
+$string['charttype_polararea'] = 'Polar Area';
+$string['charttype_polararea_full'] = 'Polar Area Chart';
+$string['charttype_radar'] = 'Radar';
+$string['charttype_radar_full'] = 'Radar Chart';
+$string['charttype_scatter'] = 'Scatter';
+$string['charttype_scatter_full'] = 'Scatter Chart';
+$string['charttype_stackedbar'] = 'Stacked Bar';
+$string['charttype_stackedbar_full'] = 'Stacked Bar Chart';
 $string['closemodal'] = 'Close';
+$string['column_aggregate'] = 'Total for {$a}';
+$string['column_chooser'] = 'Columns';
+$string['column_movedown'] = 'Move {$a} down';
+$string['column_moveup'] = 'Move {$a} up';
+$string['column_reset'] = 'Reset columns';
+$string['column_stats_distinct'] = 'Distinct values';
+$string['column_stats_empty'] = 'Empty values';
+$string['column_stats_histogram'] = 'Distribution';
+$string['column_stats_range'] = 'Range';
+$string['columntype_add'] = 'Add column';
+$string['columntype_boolean'] = 'Yes/No icon';
+$string['columntype_course'] = 'Course link';
+$string['columntype_date'] = 'Date';
+$string['columntype_none'] = 'No overrides: column types are detected automatically.';
+$string['columntype_number'] = 'Number';
+$string['columntype_percent'] = 'Percentage';
+$string['columntype_remove'] = 'Remove column';
+$string['columntype_text'] = 'Text';
+$string['columntype_type'] = 'Display as';
+$string['columntype_url'] = 'Link';
+$string['columntype_user'] = 'User profile link';
 $string['config_add_alert'] = 'Add alert';
 $string['config_alert_check_interval'] = 'Check frequency';
 $string['config_alert_check_interval_desc'] = 'How often to check the threshold.';
@@ -216,6 +289,8 @@ $string['config_header_alerts_help'] = 'The Alert System provides proactive moni
 - **Cooldown period**: Prevent repeated notifications
 
 You can configure multiple alerts per block, each monitoring a different metric with its own thresholds and notification settings.';
+$string['config_header_drilldown'] = 'Row drill-down';
+$string['config_header_formatting'] = 'Table formatting';
 $string['config_no_alerts'] = 'No alerts configured. Click "Add alert" to create one.';
 $string['config_remove_alert'] = 'Remove alert';
 $string['configautorefresh'] = 'Auto-refresh interval';
@@ -231,6 +306,12 @@ $string['configbaselineperiod_help'] = 'The baseline period determines the refer
 - **Rolling 7 days**: Compare against the value from 7 days ago';
 $string['configchartheight'] = 'Chart height';
 $string['configchartheight_desc'] = 'Height of the chart in pixels.';
+$string['configchartsort'] = 'Chart sort order';
+$string['configchartsort_help'] = 'The order of the labels of embedded and tab charts: the report\'s own order, or by value. Block editors can also change it from the chart controls, which saves it here.';
+$string['configcharttopn'] = 'Chart labels';
+$string['configcharttopn_help'] = 'Keep only the labels with the largest values in embedded and tab charts, and group the rest into one Other slice or bar, so that charts of many categories stay readable. Block editors can also change it from the chart controls, which saves it here.';
+$string['configcolumntypes'] = 'Column display types';
+$string['configcolumntypes_desc'] = 'Dates, user and course IDs, links, yes/no values and fractions are detected automatically. Add a report\'s column here to choose how it is displayed in that report instead.';
 $string['configcontextcategory'] = 'Filter by category';
 $string['configcontextcategory_desc'] = 'Show only data for this category.';
 $string['configcontextcourse'] = 'Filter by course';
@@ -265,6 +346,10 @@ Displays a list of clickable report names. Users click to view full reports. Bes
 
 **Tabbed Reports**
 Shows multiple reports in a tabbed interface where users can switch between them. Good for grouping related reports together in a single block.';
+$string['configdrilldowns'] = 'Drill-down actions';
+$string['configdrilldowns_desc'] = 'Choose what happens when a row of a report\'s table is clicked: show all the row\'s fields, go to a Moodle page, or open another report. In URLs and parameters, a column name in braces is replaced with the row\'s value, e.g. /user/view.php?id={userid}&course={courseid} or courseid={courseid}. Separate parameters with &.';
+$string['configformatrules'] = 'Formatting rules';
+$string['configformatrules_desc'] = 'Highlight the table cells of a report\'s column. Choose the report and use the column name as it appears in the report data, e.g. completion_rate. For top and bottom rules the value is a percentage, e.g. 10 for the top 10%.';
 $string['configkpicolumns'] = 'Number of KPI cards';
 $string['configkpicolumns_desc'] = 'Number of KPI cards to display (1-4).';
 $string['configkpihistoryinterval'] = 'History save frequency';
@@ -287,10 +372,17 @@ $string['configselectedcategory_help'] = 'Filter which reports appear in this bl
 Select "All Categories" to show all available reports without filtering.';
 $string['configshowcategorybadges'] = 'Show category badges';
 $string['configshowcategorybadges_desc'] = 'Display category color badges on reports.';
+$string['configshowdatefilter'] = 'Show date range filter';
+$string['configshowdatefilter_help'] = 'Show a date range control at the top of the block. The chosen range is applied to every report and KPI the block shows, and is the initial range of the KPI detail view.';
 $string['configshowrefreshbutton'] = 'Show refresh button';
 $string['configshowrefreshbutton_desc'] = 'Display manual refresh button.';
 $string['configshowtimestamp'] = 'Show timestamp';
 $string['configshowtimestamp_desc'] = 'Display "Last updated" timestamp.';
+$string['configtablefooter'] = 'Show totals row';
+$string['configtablefooter_help'] = 'Adds a footer row to report tables with a total under each numeric column. Viewers can switch each column between sum, average, min, max and count; their choice is remembered for each report. Totals cover every row matching the current search and filters, not only the rows on the page.';
+$string['configtablemode'] = 'Table layout';
+$string['configtablemode_help'] = 'How report tables show their rows. Paginated tables show one page of rows at a time. Virtual scrolling shows every row in a single scrolling table with a fixed header, and only draws the rows in view, so large reports stay responsive.';
+$string['configtablerowsperpage'] = 'Rows per page';
 $string['configtabsreports'] = 'Tab reports';
 $string['configtabsreports_desc'] = 'Select which reports to display as tabs. Drag to reorder.';
 $string['configtitle'] = 'Block title';
@@ -316,6 +408,7 @@ $string['cooldown_48h'] = '48 hours';
 $string['cooldown_4h'] = '4 hours';
 $string['cooldown_8h'] = '8 hours';
 $string['courselevel'] = 'Course: {$a}';
+$string['customrange'] = 'Custom range';
 $string['datapoints'] = 'data points';
 $string['daterange'] = 'Date Range';
 $string['defaultchartheight'] = 'Default chart height';
@@ -328,13 +421,34 @@ $string['displaymode_embedded'] = 'Embedded report (chart & table)';
 $string['displaymode_kpi'] = 'KPI cards';
 $string['displaymode_links'] = 'Report links';
 $string['displaymode_tabs'] = 'Tabbed reports';
+$string['drilldown_action'] = 'Action';
+$string['drilldown_action_detail'] = 'Show row details';
+$string['drilldown_action_report'] = 'Open another report';
+$string['drilldown_action_url'] = 'Go to a Moodle URL';
+$string['drilldown_add'] = 'Add drill-down';
+$string['drilldown_choose_report'] = 'Choose a report';
+$string['drilldown_detail_title'] = 'Row details: {$a}';
+$string['drilldown_field'] = 'Field';
+$string['drilldown_none'] = 'Clicking a table row does nothing until a drill-down is added.';
+$string['drilldown_params'] = 'Parameters for the report, e.g. courseid={courseid}';
+$string['drilldown_remove'] = 'Remove drill-down';
+$string['drilldown_report'] = 'Report';
+$string['drilldown_target'] = 'Report to open';
+$string['drilldown_url'] = 'URL, e.g. /user/view.php?id={userid}';
+$string['drilldown_value'] = 'Value';
 $string['edit_alert'] = 'Edit alert';
 $string['email_notifications_header'] = 'Email Notifications';
 $string['enablealerts'] = 'Enable alerts';
 $string['enablealerts_desc'] = 'Allow alert thresholds to be configured on blocks.';
 $string['error_block_not_found'] = 'Block instance not found';
 $string['error_exception'] = 'Error: {$a}';
+$string['error_invalid_chart_options'] = 'Invalid chart options';
+$string['error_invalid_column_types'] = 'Invalid column display types';
+$string['error_invalid_drilldowns'] = 'Invalid drill-down actions';
+$string['error_invalid_format_rules'] = 'Invalid formatting rules';
+$string['error_invalid_preference'] = 'Invalid report preference';
 $string['error_invalid_report_source'] = 'Invalid report source';
+$string['error_preference_too_long'] = 'The report preference is too long to be saved';
 $string['error_snapshots_disabled'] = 'Snapshots feature is not enabled for this installation';
 $string['errorloadingkpi'] = 'Error loading KPI data.';
 $string['errorloadingreport'] = 'Error loading report data.';
@@ -349,7 +463,37 @@ $string['exportformat_json'] = 'JSON';
 $string['exportformat_pdf'] = 'PDF';
 $string['exportpdf'] = 'Export PDF';
 $string['feature_locked'] = 'Feature Not Available';
+$string['filter_clear'] = 'Clear filters';
+$string['filter_columns'] = 'Column filters';
+$string['filter_contains'] = 'Contains';
+$string['filter_equals'] = 'Equals';
+$string['filter_max'] = 'Max';
+$string['filter_min'] = 'Min';
+$string['filter_search'] = 'Filter rows...';
 $string['filteringby'] = 'Filtering by: {$a}';
+$string['formatcondition_bottom'] = 'In bottom % of values';
+$string['formatcondition_contains'] = 'Contains';
+$string['formatcondition_databar'] = 'Data bar';
+$string['formatcondition_eq'] = 'Equals';
+$string['formatcondition_gt'] = 'Greater than';
+$string['formatcondition_lt'] = 'Less than';
+$string['formatcondition_top'] = 'In top % of values';
+$string['formatrule_add'] = 'Add rule';
+$string['formatrule_choose_report'] = 'Choose a report';
+$string['formatrule_column'] = 'Column';
+$string['formatrule_condition'] = 'Condition';
+$string['formatrule_none'] = 'No formatting rules yet.';
+$string['formatrule_remove'] = 'Remove rule';
+$string['formatrule_report'] = 'Report';
+$string['formatrule_style'] = 'Format';
+$string['formatrule_value'] = 'Value';
+$string['formatstyle_badge_amber'] = 'Amber badge';
+$string['formatstyle_badge_green'] = 'Green badge';
+$string['formatstyle_badge_red'] = 'Red badge';
+$string['formatstyle_bg_amber'] = 'Amber background';
+$string['formatstyle_bg_green'] = 'Green background';
+$string['formatstyle_bg_red'] = 'Red background';
+$string['formatstyle_bold'] = 'Bold';
 $string['insightsreports'] = 'Insights Reports';
 $string['insurance_example_engagement'] = 'Detect shifts in engagement patterns';
 $string['insurance_example_grades'] = 'Watch for changes in grade distributions';
@@ -366,6 +510,7 @@ $string['js_alert_failed_update'] = 'Failed to update alert.';
 $string['js_alert_no_reports'] = 'No reports configured in this block. Add reports in the KPI or Tabs settings first.';
 $string['js_alert_select_report'] = 'Please select a report to monitor.';
 $string['js_alert_updated'] = 'Alert updated successfully.';
+$string['js_column_stats'] = 'Statistics for {$a}';
 $string['js_day_ago'] = '{$a} day ago';
 $string['js_days_ago'] = '{$a} days ago';
 $string['js_error_auth_failed'] = 'Authentication failed';
@@ -397,6 +542,8 @@ $string['js_ok'] = 'OK';
 $string['js_page_x_of_y'] = 'Page {$a->current} of {$a->total}';
 $string['js_selected'] = 'Selected: {$a}';
 $string['js_showing_x_of_y'] = 'Showing {$a->start}-{$a->end} of {$a->total}';
+$string['js_sort_by'] = 'Sort by {$a}';
+$string['js_stale_since'] = 'Stale since {$a}. Adeptus Insights cannot be reached, retrying automatically.';
 $string['js_unknown'] = 'Unknown';
 $string['js_updated'] = 'Updated: {$a}';
 $string['js_value'] = 'Value: {$a}';
@@ -447,7 +594,28 @@ $string['noreportsincategory'] = 'No reports in this category';
 $string['noreportsselected'] = 'No reports selected. Click "Add report" to get started.';
 $string['of'] = 'of';
 $string['page'] = 'Page';
+$string['param_all'] = 'All';
+$string['param_cohort'] = 'Cohort';
+$string['param_course'] = 'Course';
+$string['param_from'] = 'From';
+$string['param_reset'] = 'Reset';
+$string['param_role'] = 'Role';
+$string['param_to'] = 'To';
+$string['parameters'] = 'Report parameters';
 $string['parentpluginmissing'] = 'The Adeptus Insights report plugin is required but not installed.';
+$string['pivot'] = 'Pivot';
+$string['pivot_aggregate'] = 'Aggregate';
+$string['pivot_chart'] = 'Chart this pivot';
+$string['pivot_chart_rows'] = 'Chart report rows instead';
+$string['pivot_charting'] = 'This chart shows the pivot table.';
+$string['pivot_columns'] = 'Then by';
+$string['pivot_empty'] = '(Empty)';
+$string['pivot_limited'] = 'Showing the first {$a->shown} of {$a->total} groups.';
+$string['pivot_measure'] = 'Measure';
+$string['pivot_none'] = 'None';
+$string['pivot_rows'] = 'Group by';
+$string['pivot_total'] = 'Total';
+$string['pivot_value'] = '{$a->aggregate} of {$a->measure}';
 $string['pluginname'] = 'Adeptus Insights';
 $string['prev'] = 'Prev';
 $string['privacy:metadata'] = 'The Adeptus Insights block stores KPI history and alert configuration data.';
@@ -473,8 +641,11 @@ $string['privacy:metadata:block_adeptus_kpi_history:metric_value'] = 'The record
 $string['privacy:metadata:block_adeptus_kpi_history:report_slug'] = 'The report identifier.';
 $string['privacy:metadata:block_adeptus_kpi_history:timecreated'] = 'When the value was captured.';
 $string['privacy:metadata:block_adeptus_kpi_history:userid'] = 'The ID of the user who triggered the KPI capture.';
+$string['privacy:metadata:preference:report_preferences'] = 'Report choices made by the user, such as runtime parameter values, table sort order, column layout and footer aggregates. Each is stored as a preference named block_adeptus_insights_{type}_{md5}, where {type} is params, sort, columns or aggregates and {md5} is the MD5 hash of the report key.';
+$string['privacy:preference:report'] = 'Your {$a->type} choices for the report {$a->report}, stored as block_adeptus_insights_{$a->type}_ followed by the MD5 hash of the report key.';
 $string['quickstats'] = 'Quick Stats';
 $string['refresh'] = 'Refresh';
+$string['refreshing'] = 'Refreshing...';
 $string['removereport'] = 'Remove report';
 $string['reportdetails'] = 'Report Details';
 $string['reportnotfound'] = 'Report not found.';
@@ -493,6 +664,8 @@ $string['sitelevel'] = 'Site-wide';
 $string['snapshot_registered_failed'] = 'Failed to register snapshot schedule';
 $string['snapshot_registered_success'] = 'Snapshot schedule registered successfully';
 $string['table'] = 'Table';
+$string['tablemode_paginated'] = 'Paginated';
+$string['tablemode_virtual'] = 'Virtual scrolling';
 $string['task_check_alert_thresholds'] = 'Check KPI alert thresholds';
 $string['task_cleanup_alert_history'] = 'Cleanup old alert history entries';
 $string['task_cleanup_kpi_history'] = 'Cleanup old KPI history entries';